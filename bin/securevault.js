@@ -1,66 +1,171 @@
 #!/usr/bin/env node
 
-import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { parseArgs } from 'util';
 import open from 'open';
+import { generateApiToken } from '../server/auth.js';
+import { parsePort, waitForHealth } from '../server/listen.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '..');
 
-console.log('🔒 Starting SecureVault...\n');
+const usage = `Usage:
+  securevault [--backend <name>] [--vault <name>] [--port <n>]
+                                                 Start SecureVault and open it in the browser
+                                                 (port 3001 or SECUREVAULT_PORT by default;
+                                                 a free port when it is taken)
+  securevault list [--category <id>] [--tag <tag>]
+                                                 List secrets (titles and IDs, never values)
+  securevault get <title|id> [--copy]            Print a secret's value, or copy it to the clipboard
+  securevault set <title|id> [--category <id>] [--notes <text>] [--tags <a,b>]
+                                                 Change a secret's value, or create the secret;
+                                                 the value is read from stdin or prompted for
+  securevault rm <title|id> [--purge]            Move a secret to the trash (--purge: delete it)
+  securevault run [--env NAME=<title|id>]... [--env-file <mapping.yml>] -- <command> [args...]
+                                                 Run a command with secrets in its environment
+  securevault inject -i <template> [-o <output>] [--check]
+                                                 Fill {{ vault "Title" }} and \${vault:id} references
+                                                 in a template (--check: only verify they resolve)
+  securevault doctor [--reattach] [--remove-missing]
+                                                 Check that secrets and keychain values match;
+                                                 re-attach orphaned values as new secrets, or
+                                                 remove secrets whose value is gone
+  securevault migrate --from <name> --to <name>  Move every secret between storage backends
+                      [--keep-source]            (keep the values in the source backend)
 
-// Start backend server
-console.log('Starting backend API server on http://localhost:3001...');
-const backendProcess = spawn('node', [join(rootDir, 'server', 'index.js')], {
-  stdio: 'inherit',
-  cwd: rootDir
-});
+list, get, set, rm, run, inject and doctor accept --backend <name>, and --vault <name|id> to use
+another named vault than the one in use last; list, get, set, rm and doctor accept --json for
+machine-readable output. A mapping file has one "NAME: <secret title or ID>" per line.
+run exits with the command's exit code. When a master password is set, every command but list,
+inject --check and doctor without repairs asks for it first, or takes it from
+SECUREVAULT_MASTER_PASSWORD.
+Exit codes: 0 success, 1 failure, 2 invalid usage or input, 3 secret not found,
+4 several secrets share the title (use the ID), 5 doctor found problems it did not repair.
 
-// Wait a bit for backend to start
-setTimeout(() => {
-  // Start frontend server
-  console.log('Starting frontend server on http://localhost:5000...');
-  const frontendProcess = spawn('npx', ['http-server', join(rootDir, 'dist'), '-p', '5000', '-c-1', '--silent'], {
-    stdio: 'inherit',
-    cwd: rootDir
-  });
+Backends: keytar (OS keychain), file (encrypted vault file), memory`;
 
-  // Open browser after a short delay
-  setTimeout(() => {
-    console.log('\n✅ SecureVault is running!');
-    console.log('   Frontend: http://localhost:5000');
-    console.log('   Backend API: http://localhost:3001');
-    console.log('\n   Opening browser...\n');
-    open('http://localhost:5000').catch(() => {
-      console.log('   Could not open browser automatically. Please open http://localhost:5000 manually.');
-    });
-  }, 2000);
-
-  // Handle process termination
-  const cleanup = () => {
-    console.log('\n\n🛑 Shutting down SecureVault...');
-    backendProcess.kill();
-    frontendProcess.kill();
-    process.exit(0);
-  };
-
-  process.on('SIGINT', cleanup);
-  process.on('SIGTERM', cleanup);
-
-  frontendProcess.on('exit', () => {
-    backendProcess.kill();
-    process.exit(0);
+let parsed;
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      backend: { type: 'string' },
+      vault: { type: 'string' },
+      port: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'keep-source': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      copy: { type: 'boolean', default: false },
+      purge: { type: 'boolean', default: false },
+      category: { type: 'string' },
+      notes: { type: 'string' },
+      tags: { type: 'string' },
+      tag: { type: 'string' },
+      env: { type: 'string', multiple: true },
+      'env-file': { type: 'string' },
+      input: { type: 'string', short: 'i' },
+      output: { type: 'string', short: 'o' },
+      check: { type: 'boolean', default: false },
+      reattach: { type: 'boolean', default: false },
+      'remove-missing': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
   });
+} catch (error) {
+  console.error(`${error.message}\n\n${usage}`);
+  process.exit(2);
+}
 
-  backendProcess.on('exit', () => {
-    frontendProcess.kill();
-    process.exit(0);
-  });
-}, 2000);
+const { values: args, positionals } = parsed;
+const [command] = positionals;
+
+if (args.help) {
+  console.log(usage);
+  process.exit(0);
+}
+
+if (command === 'migrate') {
+  const { runMigrate } = await import('../server/cli/migrate.js');
+  process.exit(await runMigrate({ from: args.from, to: args.to, keepSource: args['keep-source'] }));
+}
+
+if (command === 'run') {
+  const { runWithSecrets } = await import('../server/cli/run.js');
+  process.exit(await runWithSecrets(args, positionals.slice(1)));
+}
+
+if (command === 'inject') {
+  const { runInject } = await import('../server/cli/inject.js');
+  const exitCode = await runInject(args);
+  // Let piped output drain before exiting
+  await new Promise((resolve) => process.stdout.write('', resolve));
+  process.exit(exitCode);
+}
+
+if (command === 'doctor') {
+  const { runDoctor } = await import('../server/cli/doctor.js');
+  const exitCode = await runDoctor({ ...args, removeMissing: args['remove-missing'] });
+  // Let piped output drain before exiting
+  await new Promise((resolve) => process.stdout.write('', resolve));
+  process.exit(exitCode);
+}
 
-backendProcess.on('error', (err) => {
-  console.error('Failed to start backend:', err);
+const { SECRET_COMMANDS, runSecretsCommand } = await import('../server/cli/secrets.js');
+if (SECRET_COMMANDS.includes(command)) {
+  const exitCode = await runSecretsCommand(command, positionals.slice(1), args);
+  // Let piped output drain before exiting
+  await new Promise((resolve) => process.stdout.write('', resolve));
+  process.exit(exitCode);
+}
+
+if (command !== undefined) {
+  console.error(`Unknown command "${command}"\n\n${usage}`);
+  process.exit(2);
+}
+
+console.log('🔒 Starting SecureVault...\n');
+
+// Per-launch API token: only the browser tab we open receives it, so other local
+// processes cannot read the vault through the API
+const apiToken = generateApiToken();
+
+// One process serves the built frontend and the API from the same origin
+const { startServer } = await import('../server/start.js');
+let server;
+let url;
+try {
+  ({ server, url } = await startServer({
+    backend: args.backend,
+    vault: args.vault,
+    port: parsePort(args.port ?? process.env.SECUREVAULT_PORT),
+    apiToken,
+    staticDir: join(rootDir, 'dist'),
+  }));
+} catch (error) {
+  console.error(`❌ Failed to start SecureVault: ${error.message}`);
   process.exit(1);
+}
+
+const shutdown = () => {
+  console.log('\n\n🛑 Shutting down SecureVault...');
+  server.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+if (!(await waitForHealth(url))) {
+  console.error(`❌ SecureVault did not answer on ${url}/api/health`);
+  process.exit(1);
+}
+
+// The token travels in the URL fragment, which browsers never send to the server
+const appUrl = `${url}/#token=${apiToken}`;
+console.log(`\n✅ SecureVault is running at ${url}`);
+console.log('   Opening browser...\n');
+open(appUrl).catch(() => {
+  console.log(`   Could not open browser automatically. Please open ${appUrl} manually.`);
 });
@@ -2,9 +2,10 @@ import { jest } from '@jest/globals';
 import express from 'express';
 import request from 'supertest';
 import cors from 'cors';
+import { DEFAULT_CATEGORIES } from '../categoryStore.js';
 
-// Valid secret categories - shared constant to match server
-const VALID_CATEGORIES = ['password', 'api-key', 'token', 'certificate', 'note', 'other'];
+// Category IDs of a new vault, from the same list the server starts with
+const VALID_CATEGORIES = DEFAULT_CATEGORIES.map(c => c.id);
 
 // Mock keytar
 const mockKeytar = {
@@ -59,30 +60,29 @@ describe('SecureVault API', () => {
       }
     };
 
-    // GET /api/secrets
-    app.get('/api/secrets', async (req, res) => {
+    // GET /api/secrets - metadata only
+    app.get('/api/secrets', (req, res) => {
+      res.json(secretsMetadata);
+    });
+
+    // GET /api/secrets/:id/value
+    app.get('/api/secrets/:id/value', async (req, res) => {
       try {
-        const secretPromises = secretsMetadata.map(async (meta) => {
-          try {
-            const value = await storage.getPassword('SecureVault', meta.id);
-            if (!value) {
-              return null;
-            }
-            return {
-              ...meta,
-              value: value
-            };
-          } catch (error) {
-            console.error(`Error getting secret ${meta.id}:`, error);
-            return null;
-          }
-        });
+        const { id } = req.params;
+
+        const meta = secretsMetadata.find(s => s.id === id);
+        if (!meta) {
+          return res.status(404).json({ error: 'Secret not found' });
+        }
+
+        const value = await storage.getPassword('SecureVault', id);
+        if (!value) {
+          return res.status(404).json({ error: 'Secret value not found in storage' });
+        }
 
-        const secretsWithNulls = await Promise.all(secretPromises);
-        const secrets = secretsWithNulls.filter(Boolean);
-        res.json(secrets);
+        res.json({ value });
       } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch secrets' });
+        res.status(500).json({ error: 'Failed to fetch secret value' });
       }
     });
 
@@ -125,7 +125,7 @@ describe('SecureVault API', () => {
         const metadata = { id, title: title.trim(), category, notes, createdAt, updatedAt };
         secretsMetadata.push(metadata);
         
-        res.status(201).json({ ...metadata, value });
+        res.status(201).json(metadata);
       } catch (error) {
         res.status(500).json({ error: 'Failed to create secret' });
       }
@@ -159,9 +159,6 @@ describe('SecureVault API', () => {
         
         const existingMeta = secretsMetadata[metaIndex];
         
-        // Get current secret value
-        let secretValue = await storage.getPassword('SecureVault', id);
-        
         // Update the secret value in keychain only if a new value is provided
         if (value !== undefined) {
           if (value === null || value === '') {
@@ -171,7 +168,6 @@ describe('SecureVault API', () => {
             return res.status(400).json({ error: 'Secret value must be a string' });
           }
           await storage.setPassword('SecureVault', id, value);
-          secretValue = value;
         }
         
         // Update metadata, preserving existing fields when omitted
@@ -183,7 +179,7 @@ describe('SecureVault API', () => {
           updatedAt: updatedAt !== undefined ? updatedAt : existingMeta.updatedAt
         };
         
-        res.json({ ...secretsMetadata[metaIndex], value: secretValue });
+        res.json(secretsMetadata[metaIndex]);
       } catch (error) {
         res.status(500).json({ error: 'Failed to update secret' });
       }
@@ -301,6 +297,47 @@ describe('SecureVault API', () => {
       expect(response.status).toBe(200);
       expect(Array.isArray(response.body)).toBe(true);
     });
+
+    it('should not include secret values', async () => {
+      await request(app).post('/api/secrets').send({
+        id: 'test-id-no-value',
+        title: 'Listed Secret',
+        value: 'hidden-value',
+        category: 'password',
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      });
+
+      const response = await request(app).get('/api/secrets');
+
+      const listed = response.body.find(s => s.id === 'test-id-no-value');
+      expect(listed).toBeDefined();
+      expect(listed).not.toHaveProperty('value');
+    });
+  });
+
+  describe('GET /api/secrets/:id/value', () => {
+    it('should return the value of a single secret', async () => {
+      await request(app).post('/api/secrets').send({
+        id: 'test-id-value',
+        title: 'Revealed Secret',
+        value: 'revealed-value',
+        category: 'token',
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      });
+
+      const response = await request(app).get('/api/secrets/test-id-value/value');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ value: 'revealed-value' });
+    });
+
+    it('should return 404 for non-existent secret', async () => {
+      const response = await request(app).get('/api/secrets/non-existent/value');
+
+      expect(response.status).toBe(404);
+    });
   });
 
   describe('PUT /api/secrets/:id', () => {
@@ -386,7 +423,11 @@ describe('SecureVault API', () => {
       expect(response.body.title).toBe('Updated Title');
       expect(response.body.category).toBe(newSecret.category);
       expect(response.body.notes).toBe(newSecret.notes);
-      expect(response.body.value).toBe(newSecret.value); // Value should be preserved
+      expect(response.body).not.toHaveProperty('value');
+
+      // Value should be preserved
+      const valueResponse = await request(app).get(`/api/secrets/${newSecret.id}/value`);
+      expect(valueResponse.body.value).toBe(newSecret.value);
     });
   });
 
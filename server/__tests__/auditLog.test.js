@@ -0,0 +1,211 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { getAuditLogPath, openAuditLog } from '../auditLog.js';
+import { withFileLock } from '../fileLock.js';
+
+const API_TOKEN = 'test-api-token';
+
+describe('Audit log', () => {
+  let tempDir;
+
+  const openLog = () => openAuditLog({ baseDirOverride: tempDir, actor: 'tester' });
+  const readLines = () => fs.readFileSync(getAuditLogPath(tempDir), 'utf8').split('\n').filter(Boolean);
+  const writeLines = (lines) => fs.writeFileSync(getAuditLogPath(tempDir), lines.map(l => `${l}\n`).join(''));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securevault-audit-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const appendThree = async () => {
+    const log = openLog();
+    await log.append({ action: 'secret.create', secretId: 'a', title: 'A' });
+    await log.append({ action: 'secret.read', secretId: 'a', title: 'A', details: { purpose: 'copy' } });
+    await log.append({ action: 'secret.delete', secretId: 'a', title: 'A' });
+    return log;
+  };
+
+  test('chains entries and verifies an untouched log', async () => {
+    const log = await appendThree();
+    const entries = readLines().map(line => JSON.parse(line));
+
+    expect(entries.map(e => e.seq)).toEqual([1, 2, 3]);
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    expect(entries[0].actor).toBe('tester');
+    expect(log.verify()).toEqual({ valid: true, entries: 3, problems: [] });
+  });
+
+  test('continues the chain after reopening', async () => {
+    await appendThree();
+    const reopened = openLog();
+    await reopened.append({ action: 'secret.create', secretId: 'b', title: 'B' });
+
+    expect(reopened.verify().valid).toBe(true);
+    expect(readLines()).toHaveLength(4);
+  });
+
+  test('keeps one chain when several processes append to the same log', async () => {
+    const server = openLog();
+    const cli = openLog();
+
+    await server.append({ action: 'secret.create', secretId: 'a', title: 'A' });
+    await cli.append({ action: 'secret.read', secretId: 'a', title: 'A' });
+    await server.append({ action: 'secret.update', secretId: 'a', title: 'A' });
+    await cli.append({ action: 'secret.delete', secretId: 'a', title: 'A' });
+
+    expect(readLines().map(line => JSON.parse(line).seq)).toEqual([1, 2, 3, 4]);
+    expect(server.verify()).toEqual({ valid: true, entries: 4, problems: [] });
+
+    // Appends made without waiting are written in the order they were made
+    await Promise.all(['e', 'f', 'g'].map((id, index) =>
+      (index % 2 === 0 ? server : cli).append({ action: 'secret.create', secretId: id, title: id })));
+    expect(readLines().map(line => JSON.parse(line).secretId)).toEqual(['a', 'a', 'a', 'a', 'e', 'f', 'g']);
+    expect(cli.verify().valid).toBe(true);
+  });
+
+  test('waits for the lock and takes over one left by a process that is gone', async () => {
+    const lockPath = `${getAuditLogPath(tempDir)}.lock`;
+    fs.writeFileSync(lockPath, String(process.pid));
+    await expect(withFileLock(lockPath, () => {}, { timeoutMs: 50 })).rejects.toMatchObject({ status: 503 });
+
+    // Pids are never this large, so no process owns the lock
+    fs.writeFileSync(lockPath, '2147483646');
+    await openLog().append({ action: 'secret.create', secretId: 'a', title: 'A' });
+
+    expect(fs.existsSync(lockPath)).toBe(false);
+    expect(readLines()).toHaveLength(1);
+  });
+
+  test('detects an edited entry', async () => {
+    await appendThree();
+    const lines = readLines();
+    lines[1] = lines[1].replace('"copy"', '"reveal"');
+    writeLines(lines);
+
+    const result = openLog().verify();
+    expect(result.valid).toBe(false);
+    expect(result.problems[0]).toEqual({ line: 2, message: expect.stringContaining('entry edited') });
+  });
+
+  test('detects a removed entry', async () => {
+    await appendThree();
+    const lines = readLines();
+    writeLines([lines[0], lines[2]]);
+
+    const result = openLog().verify();
+    expect(result.valid).toBe(false);
+    expect(result.problems.map(p => p.message).join('\n')).toContain('chain broken');
+  });
+
+  test('detects truncation at the end', async () => {
+    await appendThree();
+    writeLines(readLines().slice(0, 2));
+
+    const result = openLog().verify();
+    expect(result.valid).toBe(false);
+    expect(result.problems[0].message).toContain('truncated');
+  });
+
+  test('keeps a damaged or emptied tail detectable after further appends', async () => {
+    await appendThree();
+    const lines = readLines();
+    writeLines([...lines.slice(0, 2), '{"seq": 3, "hash":']);
+    const log = openLog();
+    await log.append({ action: 'secret.create', secretId: 'b', title: 'B' });
+
+    // The chain continues from the head file instead of starting over
+    expect(JSON.parse(readLines()[3])).toMatchObject({ seq: 4, prevHash: JSON.parse(lines[2]).hash });
+    const messages = log.verify().problems.map(p => p.message).join('\n');
+    expect(messages).toContain('not valid JSON');
+    expect(messages).toContain('chain broken');
+
+    writeLines([]);
+    await log.append({ action: 'secret.create', secretId: 'c', title: 'C' });
+    expect(JSON.parse(readLines()[0]).seq).toBe(5);
+    expect(log.verify().valid).toBe(false);
+  });
+
+  test('refuses to append when neither the last entry nor the head can be read', async () => {
+    await appendThree();
+    writeLines([...readLines().slice(0, 2), 'garbage']);
+    fs.rmSync(path.join(tempDir, 'audit.head.json'), { force: true });
+
+    await expect(openLog().append({ action: 'secret.create', secretId: 'b', title: 'B' })).rejects.toThrow(/unreadable/);
+    expect(readLines()).toHaveLength(3);
+  });
+
+  test('filters entries, newest first', async () => {
+    const log = await appendThree();
+
+    expect(log.query({ actions: ['secret.read'] }).entries).toHaveLength(1);
+    expect(log.query({ secretId: 'a', limit: 2 })).toEqual({
+      total: 3,
+      entries: [expect.objectContaining({ seq: 3 }), expect.objectContaining({ seq: 2 })],
+    });
+    expect(log.query({ since: Date.now() + 60_000 }).total).toBe(0);
+  });
+});
+
+describe('Audit API', () => {
+  let app;
+  let auditLog;
+
+  const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+
+  beforeEach(async () => {
+    auditLog = openAuditLog({ persist: false, actor: 'tester' });
+    app = createApp({ storage: await openBackend('memory'), apiToken: API_TOKEN, auditLog });
+
+    await authorized(request(app).post('/api/secrets')).send({
+      id: 'db', title: 'Prod DB', value: 'hunter2', category: 'password', notes: '', createdAt: 1, updatedAt: 1,
+    }).expect(201);
+  });
+
+  test('records creates, updates, reads and deletes without values', async () => {
+    await authorized(request(app).get('/api/secrets/db/value?purpose=copy')).expect(200);
+    await authorized(request(app).put('/api/secrets/db')).send({ value: 'rotated', updatedAt: 2 }).expect(200);
+    await authorized(request(app).delete('/api/secrets/db')).expect(204);
+
+    const response = await authorized(request(app).get('/api/audit'));
+    expect(response.status).toBe(200);
+    expect(response.body.entries.map(e => e.action)).toEqual([
+      'secret.delete', 'secret.update', 'secret.read', 'secret.create',
+    ]);
+    expect(response.body.entries[2]).toMatchObject({ secretId: 'db', title: 'Prod DB', details: { purpose: 'copy' } });
+    expect(response.body.entries[1].details).toEqual({ changed: ['value'] });
+
+    const serialized = JSON.stringify(response.body);
+    expect(serialized).not.toContain('hunter2');
+    expect(serialized).not.toContain('rotated');
+  });
+
+  test('answers "when was this secret last read?"', async () => {
+    await authorized(request(app).get('/api/secrets/db/value?purpose=reveal')).expect(200);
+
+    const response = await authorized(request(app).get('/api/audit?secretId=db&action=secret.read&limit=1'));
+    expect(response.body.total).toBe(1);
+    expect(response.body.entries[0].details).toEqual({ purpose: 'reveal' });
+  });
+
+  test('validates filters', async () => {
+    expect((await authorized(request(app).get('/api/audit?action=secret.steal'))).status).toBe(400);
+    expect((await authorized(request(app).get('/api/audit?since=yesterday'))).status).toBe(400);
+    expect((await authorized(request(app).get('/api/audit?limit=0'))).status).toBe(400);
+  });
+
+  test('reports verification results', async () => {
+    const response = await authorized(request(app).get('/api/audit/verify'));
+    expect(response.body).toEqual({ valid: true, entries: 1, problems: [] });
+  });
+
+  test('requires the API token', async () => {
+    expect((await request(app).get('/api/audit')).status).toBe(401);
+  });
+});
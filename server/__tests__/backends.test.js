@@ -0,0 +1,242 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// Mock keytar so the keychain backend can be made available or unavailable on demand
+const keychain = new Map();
+const mockKeytar = {
+  setPassword: jest.fn(async (service, account, password) => { keychain.set(`${service}/${account}`, password); }),
+  getPassword: jest.fn(async (service, account) => keychain.get(`${service}/${account}`) ?? null),
+  deletePassword: jest.fn(async (service, account) => keychain.delete(`${service}/${account}`)),
+  findCredentials: jest.fn(async (service) => [...keychain.entries()]
+    .filter(([key]) => key.startsWith(`${service}/`))
+    .map(([key, password]) => ({ account: key.slice(service.length + 1), password }))),
+};
+
+jest.unstable_mockModule('keytar', () => ({
+  default: mockKeytar,
+  ...mockKeytar
+}));
+
+const { getBackend, listBackends, openBackend, registerBackend, selectBackend } = await import('../backends/index.js');
+const { migrateSecrets } = await import('../migrate.js');
+const { loadConfig, updateConfig } = await import('../config.js');
+
+const SERVICE = 'SecureVault';
+
+describe('Storage backends', () => {
+  beforeEach(() => {
+    keychain.clear();
+    jest.clearAllMocks();
+  });
+
+  describe('registry', () => {
+    it('should register the built-in backends', () => {
+      expect(listBackends()).toEqual(expect.arrayContaining(['keytar', 'file', 'memory']));
+    });
+
+    it('should describe capabilities for each backend', () => {
+      expect(getBackend('keytar').capabilities).toEqual({ persistent: true, listable: true, requiresPassphrase: false });
+      expect(getBackend('file').capabilities).toEqual({ persistent: true, listable: true, requiresPassphrase: true });
+      expect(getBackend('memory').capabilities).toEqual({ persistent: false, listable: true, requiresPassphrase: false });
+    });
+
+    it('should reject unknown backend names', () => {
+      expect(() => getBackend('floppy')).toThrow('Unknown storage backend "floppy"');
+    });
+
+    it('should reject duplicate and incomplete registrations', () => {
+      expect(() => registerBackend(getBackend('memory'))).toThrow('already registered');
+      expect(() => registerBackend({ name: 'broken' })).toThrow('needs a name, isAvailable() and open()');
+    });
+
+    it('should accept additional backends', async () => {
+      registerBackend({
+        name: 'test-extra',
+        description: 'Test backend',
+        capabilities: { persistent: false, listable: false, requiresPassphrase: false },
+        isAvailable: async () => true,
+        open: async () => getBackend('memory').open(),
+      });
+
+      const backend = await openBackend('test-extra');
+
+      expect(backend.name).toBe('test-extra');
+      expect(backend.capabilities.listable).toBe(false);
+    });
+  });
+
+  describe('memory backend', () => {
+    it('should implement get/set/delete/list', async () => {
+      const backend = await openBackend('memory');
+
+      await backend.setPassword(SERVICE, 'a', 'value-a');
+      await backend.setPassword(SERVICE, 'b', 'value-b');
+      await backend.setPassword('Other', 'c', 'value-c');
+
+      expect(await backend.getPassword(SERVICE, 'a')).toBe('value-a');
+      expect(await backend.listAccounts(SERVICE)).toEqual(['a', 'b']);
+      expect(await backend.deletePassword(SERVICE, 'a')).toBe(true);
+      expect(await backend.getPassword(SERVICE, 'a')).toBeNull();
+      expect(await backend.deletePassword(SERVICE, 'a')).toBe(false);
+    });
+  });
+
+  describe('keytar backend', () => {
+    it('should list accounts through findCredentials', async () => {
+      const backend = await openBackend('keytar');
+      await backend.setPassword(SERVICE, 'id-1', 'value');
+
+      expect(await backend.listAccounts(SERVICE)).toEqual(['id-1']);
+      expect(mockKeytar.findCredentials).toHaveBeenCalledWith(SERVICE);
+    });
+
+    it('should leave out accounts of services that merely start with the same name', async () => {
+      const backend = await openBackend('keytar');
+      await backend.setPassword(SERVICE, 'id-1', 'value');
+      await backend.setPassword(`${SERVICE}:work`, 'id-2', 'work value');
+      await backend.setPassword(`${SERVICE}:work-2`, 'id-3', 'other value');
+      // Windows matches services by prefix
+      const findByPrefix = async (service) => [...keychain.entries()]
+        .filter(([key]) => key.startsWith(service))
+        .map(([key, password]) => ({ account: key.slice(key.indexOf('/') + 1), password }));
+      mockKeytar.findCredentials.mockImplementationOnce(findByPrefix).mockImplementationOnce(findByPrefix);
+
+      expect(await backend.listAccounts(SERVICE)).toEqual(['id-1']);
+      expect(await backend.listAccounts(`${SERVICE}:work`)).toEqual(['id-2']);
+    });
+  });
+
+  describe('selectBackend', () => {
+    it('should prefer the OS keychain when it is available', async () => {
+      const backend = await selectBackend();
+
+      expect(backend.name).toBe('keytar');
+    });
+
+    it('should fall back when the keychain is unavailable', async () => {
+      mockKeytar.setPassword.mockRejectedValueOnce(new Error('No keychain'));
+
+      const backend = await selectBackend();
+
+      // No passphrase and no TTY in tests, so the file vault is skipped too
+      expect(backend.name).toBe('memory');
+    });
+
+    it('should open an explicitly requested backend', async () => {
+      const backend = await selectBackend('memory');
+
+      expect(backend.name).toBe('memory');
+    });
+
+    it('should not silently fall back when the requested backend is unavailable', async () => {
+      mockKeytar.setPassword.mockRejectedValueOnce(new Error('No keychain'));
+
+      await expect(selectBackend('keytar')).rejects.toThrow('Storage backend "keytar" is not available');
+    });
+  });
+
+  describe('migrateSecrets', () => {
+    it('should move every secret and verify the copies', async () => {
+      const source = await openBackend('memory');
+      const target = await openBackend('keytar');
+      await source.setPassword(SERVICE, 'id-1', 'value-1');
+      await source.setPassword(SERVICE, 'id-2', 'value-2');
+
+      const report = await migrateSecrets({ source, target, serviceName: SERVICE, ids: ['id-1', 'id-2'] });
+
+      expect(report).toEqual({ migrated: ['id-1', 'id-2'], missing: [], failed: [], verified: true, sourceCleared: true });
+      expect(await target.getPassword(SERVICE, 'id-1')).toBe('value-1');
+      expect(await target.getPassword(SERVICE, 'id-2')).toBe('value-2');
+      expect(await source.listAccounts(SERVICE)).toEqual([]);
+    });
+
+    it('should keep source values when asked to', async () => {
+      const source = await openBackend('memory');
+      const target = await openBackend('memory');
+      await source.setPassword(SERVICE, 'id-1', 'value-1');
+
+      const report = await migrateSecrets({ source, target, serviceName: SERVICE, ids: ['id-1'], keepSource: true });
+
+      expect(report.sourceCleared).toBe(false);
+      expect(await source.getPassword(SERVICE, 'id-1')).toBe('value-1');
+    });
+
+    it('should report secrets without a value in the source', async () => {
+      const source = await openBackend('memory');
+      const target = await openBackend('memory');
+
+      const report = await migrateSecrets({ source, target, serviceName: SERVICE, ids: ['ghost'] });
+
+      expect(report.missing).toEqual(['ghost']);
+      expect(report.verified).toBe(true);
+    });
+
+    it('should leave the source untouched when verification fails', async () => {
+      const source = await openBackend('memory');
+      const target = await openBackend('memory');
+      await source.setPassword(SERVICE, 'id-1', 'value-1');
+      await source.setPassword(SERVICE, 'id-2', 'value-2');
+
+      // A target that silently corrupts one value
+      const corruptingTarget = {
+        ...target,
+        async setPassword(service, account, value) {
+          return target.setPassword(service, account, account === 'id-2' ? 'corrupted' : value);
+        },
+      };
+
+      const report = await migrateSecrets({ source, target: corruptingTarget, serviceName: SERVICE, ids: ['id-1', 'id-2'] });
+
+      expect(report.verified).toBe(false);
+      expect(report.failed).toEqual([{ id: 'id-2', error: 'value read back from the target backend does not match' }]);
+      expect(report.sourceCleared).toBe(false);
+      expect(await source.listAccounts(SERVICE)).toEqual(['id-1', 'id-2']);
+    });
+  });
+
+  describe('config', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securevault-config-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should default to automatic backend selection', () => {
+      expect(loadConfig(tempDir).backend).toBeNull();
+    });
+
+    it('should persist the selected backend', () => {
+      updateConfig({ backend: 'file' }, tempDir);
+
+      expect(loadConfig(tempDir).backend).toBe('file');
+    });
+
+    it.each([
+      ['an array', '[1, 2, 3]'],
+      ['invalid JSON', '{"masterPassword": {"kdf"'],
+    ])('should keep a copy of a config file holding %s and refuse to load or save over it', (_shape, contents) => {
+      const configPath = path.join(tempDir, 'config.json');
+      fs.writeFileSync(configPath, contents);
+
+      expect(() => loadConfig(tempDir)).toThrow(/config\.json could not be read/);
+      expect(() => updateConfig({ backend: 'file' }, tempDir)).toThrow(/config\.json could not be read/);
+
+      expect(fs.readFileSync(configPath, 'utf8')).toBe(contents);
+      const copies = fs.readdirSync(tempDir).filter(name => name.startsWith('config.json.unreadable-'));
+      expect(copies).toHaveLength(1);
+      expect(fs.readFileSync(path.join(tempDir, copies[0]), 'utf8')).toBe(contents);
+    });
+
+    it('should keep keys it does not know', () => {
+      fs.writeFileSync(path.join(tempDir, 'config.json'), JSON.stringify({ futureOption: true }));
+
+      expect(updateConfig({ backend: 'file' }, tempDir)).toMatchObject({ backend: 'file', futureOption: true });
+    });
+  });
+});
@@ -0,0 +1,204 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { DEFAULT_CATEGORIES, loadCategories, saveCategories } from '../categoryStore.js';
+
+const API_TOKEN = 'test-api-token';
+const PASSPHRASE = 'correct horse battery';
+const kdfParams = { N: 2 ** 10, r: 8, p: 1 };
+
+describe('Categories', () => {
+  let secretsMetadata;
+  let categories;
+  let savedCategories;
+  let persistCategories;
+  let app;
+
+  const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+  const buildApp = async (fields = {}) =>
+    createApp({
+      storage: await openBackend('memory'),
+      secretsMetadata: fields.secretsMetadata ?? [],
+      categories: fields.categories,
+      persistCategories: (list) => persistCategories(list),
+      apiToken: API_TOKEN,
+      kdfParams,
+    });
+  const createSecret = (fields) =>
+    authorized(request(app).post('/api/secrets')).send({
+      id: 'secret-1',
+      title: 'Server login',
+      value: 'hunter2',
+      category: 'password',
+      createdAt: 1000,
+      updatedAt: 1000,
+      ...fields,
+    });
+  const createCategory = (fields) =>
+    authorized(request(app).post('/api/categories')).send({ label: 'SSH Key', color: 'teal', icon: 'terminal', ...fields });
+
+  beforeEach(async () => {
+    secretsMetadata = [];
+    categories = DEFAULT_CATEGORIES.map(c => ({ ...c }));
+    savedCategories = null;
+    persistCategories = (list) => {
+      savedCategories = JSON.parse(JSON.stringify(list));
+    };
+    app = await buildApp({ secretsMetadata, categories });
+  });
+
+  test('lists the default categories with the available colors and icons', async () => {
+    const res = await authorized(request(app).get('/api/categories')).expect(200);
+    expect(res.body.categories).toEqual(DEFAULT_CATEGORIES);
+    expect(res.body.colors).toContain('teal');
+    expect(res.body.icons).toContain('terminal');
+  });
+
+  test('creates a category with an ID derived from its label and accepts it for secrets', async () => {
+    const res = await createCategory({ label: '  SSH Key ' }).expect(201);
+    expect(res.body).toEqual({ id: 'ssh-key', label: 'SSH Key', color: 'teal', icon: 'terminal' });
+    expect(savedCategories.map(c => c.id)).toContain('ssh-key');
+
+    await createSecret({ category: 'ssh-key' }).expect(201);
+    await createSecret({ id: 'secret-2', category: 'database' }).expect(400);
+  });
+
+  test('rejects invalid and duplicate categories', async () => {
+    await createCategory({ label: '' }).expect(400);
+    await createCategory({ color: 'chartreuse' }).expect(400);
+    await createCategory({ icon: 'rocket' }).expect(400);
+    await createCategory({ label: 'password' }).expect(409);
+    expect(savedCategories).toBeNull();
+  });
+
+  test('renames and recolors a category without changing its ID', async () => {
+    await createSecret({}).expect(201);
+
+    const res = await authorized(request(app).put('/api/categories/password'))
+      .send({ label: 'Login', color: 'red' })
+      .expect(200);
+    expect(res.body).toEqual({ id: 'password', label: 'Login', color: 'red', icon: 'key' });
+    expect(secretsMetadata[0].category).toBe('password');
+
+    await authorized(request(app).put('/api/categories/password')).send({ label: 'Token' }).expect(409);
+    await authorized(request(app).put('/api/categories/missing')).send({ label: 'X' }).expect(404);
+  });
+
+  test('requires a target category to delete a category in use', async () => {
+    await createSecret({}).expect(201);
+
+    const res = await authorized(request(app).delete('/api/categories/password')).expect(409);
+    expect(res.body.error).toContain('1 secret(s)');
+    await authorized(request(app).delete('/api/categories/password?reassignTo=password')).expect(400);
+    await authorized(request(app).delete('/api/categories/password?reassignTo=missing')).expect(400);
+    expect(categories.map(c => c.id)).toContain('password');
+  });
+
+  test('moves secrets, their history and the trash to the target category on delete', async () => {
+    await createSecret({}).expect(201);
+    await authorized(request(app).put('/api/secrets/secret-1')).send({ value: 'rotated', updatedAt: 2000 }).expect(200);
+    await createSecret({ id: 'secret-2', title: 'Old login' }).expect(201);
+    await authorized(request(app).delete('/api/secrets/secret-2')).expect(204);
+
+    const res = await authorized(request(app).delete('/api/categories/password?reassignTo=other')).expect(200);
+    expect(res.body).toEqual({ reassigned: 2 });
+    expect(categories.map(c => c.id)).not.toContain('password');
+    expect(secretsMetadata.map(s => s.category)).toEqual(['other', 'other']);
+    expect(secretsMetadata[0].versions[0].category).toBe('other');
+
+    // Restoring the old version works because it now uses an existing category
+    await authorized(request(app).post('/api/secrets/secret-1/versions/1/restore')).expect(200);
+  });
+
+  test('deletes an unused category without a target but never the last one', async () => {
+    await authorized(request(app).delete('/api/categories/note')).expect(200);
+    expect(categories.map(c => c.id)).not.toContain('note');
+
+    app = await buildApp({ categories: [{ id: 'only', label: 'Only', color: 'gray', icon: 'folder' }] });
+    await authorized(request(app).delete('/api/categories/only')).expect(409);
+  });
+
+  test('rolls back when categories cannot be saved', async () => {
+    persistCategories = () => {
+      throw new Error('disk full');
+    };
+    await createCategory({}).expect(500);
+    expect(categories).toEqual(DEFAULT_CATEGORIES);
+  });
+
+  test('files imports of other tools under "other" when their category is gone', async () => {
+    await authorized(request(app).delete('/api/categories/password')).expect(200);
+
+    const res = await authorized(request(app).post('/api/import/external')).send({
+      format: 'dotenv',
+      content: 'DB_PASSWORD=hunter2\n',
+      dryRun: true,
+    }).expect(200);
+    expect(res.body.items[0]).toMatchObject({ category: 'other', error: null });
+  });
+
+  test('carries custom categories through export and import', async () => {
+    await createCategory({}).expect(201);
+    await createCategory({ label: 'Unused', color: 'pink', icon: 'user' }).expect(201);
+    await createSecret({ category: 'ssh-key' }).expect(201);
+    const exported = await authorized(request(app).get('/api/export')).set('X-Export-Passphrase', PASSPHRASE);
+
+    const targetCategories = DEFAULT_CATEGORIES.map(c => ({ ...c }));
+    app = await buildApp({ categories: targetCategories });
+    await authorized(request(app).post('/api/import'))
+      .send({ file: exported.body, passphrase: PASSPHRASE, mode: 'merge' })
+      .expect(200);
+
+    // Only the categories the imported secrets use are added
+    expect(targetCategories.map(c => c.id)).toEqual([...DEFAULT_CATEGORIES.map(c => c.id), 'ssh-key']);
+    expect(savedCategories.at(-1)).toEqual({ id: 'ssh-key', label: 'SSH Key', color: 'teal', icon: 'terminal' });
+    const list = await authorized(request(app).get('/api/secrets'));
+    expect(list.body[0].category).toBe('ssh-key');
+  });
+
+  describe('categoryStore', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securevault-categories-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('starts with the defaults and round-trips saved categories', () => {
+      expect(loadCategories(tempDir)).toEqual(DEFAULT_CATEGORIES);
+
+      const custom = [...DEFAULT_CATEGORIES, { id: 'ssh-key', label: 'SSH Key', color: 'teal', icon: 'terminal' }];
+      saveCategories(custom, tempDir);
+      expect(loadCategories(tempDir)).toEqual(custom);
+    });
+
+    test('falls back to the defaults for an unreadable file', () => {
+      fs.writeFileSync(path.join(tempDir, 'categories.json'), '{ broken', 'utf8');
+      expect(loadCategories(tempDir)).toEqual(DEFAULT_CATEGORIES);
+    });
+
+    test('keeps a copy of an unreadable file and refuses to save over it', () => {
+      const categoriesPath = path.join(tempDir, 'categories.json');
+      fs.writeFileSync(categoriesPath, '[{ "id": "ssh-key", ', 'utf8');
+
+      loadCategories(tempDir);
+      loadCategories(tempDir);
+
+      const copies = fs.readdirSync(tempDir).filter(name => name.startsWith('categories.json.unreadable-'));
+      expect(copies).toHaveLength(1);
+      expect(fs.readFileSync(path.join(tempDir, copies[0]), 'utf8')).toBe('[{ "id": "ssh-key", ');
+      expect(() => saveCategories(DEFAULT_CATEGORIES, tempDir)).toThrow('Failed to persist categories');
+      expect(fs.readFileSync(categoriesPath, 'utf8')).toBe('[{ "id": "ssh-key", ');
+
+      fs.writeFileSync(categoriesPath, JSON.stringify(DEFAULT_CATEGORIES), 'utf8');
+      loadCategories(tempDir);
+      expect(() => saveCategories(DEFAULT_CATEGORIES, tempDir)).not.toThrow();
+    });
+  });
+});
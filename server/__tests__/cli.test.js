@@ -0,0 +1,299 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { openFileVault } from '../fileVault.js';
+import { createWriteLock, loadVaultData } from '../vaultStore.js';
+import { openAuditLog } from '../auditLog.js';
+import { defaultCategories } from '../categoryStore.js';
+import { createSecret } from '../secrets.js';
+import { DEFAULT_SETTINGS } from '../settings.js';
+import { runSecretsCommand } from '../cli/secrets.js';
+import { runDoctor } from '../cli/doctor.js';
+import { updateConfig } from '../config.js';
+import { EXIT_AMBIGUOUS, EXIT_NOT_FOUND, EXIT_OK, EXIT_USAGE, requireMasterPassword } from '../cli/common.js';
+import { hashMasterPassword } from '../lock.js';
+
+const SERVICE_NAME = 'SecureVault';
+
+describe('CLI secret commands', () => {
+  let context;
+  let io;
+  let output;
+
+  // Collects what a command writes; values come from `input`
+  const fakeIo = ({ isTTY = false, input = null } = {}) => {
+    output = { stdout: '', stderr: '', copied: null };
+    return {
+      stdout: { isTTY, write: (text) => { output.stdout += text; } },
+      stderr: { write: (text) => { output.stderr += text; } },
+      readValue: async () => input,
+      copy: async (text) => { output.copied = text; },
+    };
+  };
+  const run = (command, positionals = [], options = {}, ioOverride = io) =>
+    runSecretsCommand(command, positionals, options, { context, io: ioOverride });
+  const addSecret = (id, title, fields = {}) =>
+    createSecret(context, { id, title, value: `${id}-value`, category: 'password', createdAt: 1000, updatedAt: 1000, ...fields });
+
+  beforeEach(async () => {
+    context = {
+      storage: await openBackend('memory'),
+      serviceName: SERVICE_NAME,
+      secretsMetadata: [],
+      persistMetadata: null,
+      categories: defaultCategories(),
+      auditLog: openAuditLog({ persist: false }),
+    };
+    io = fakeIo();
+  });
+
+  test('get prints exactly the value, matching titles case-insensitively', async () => {
+    await addSecret('db', 'Prod DB');
+
+    expect(await run('get', ['prod db'])).toBe(EXIT_OK);
+    expect(output.stdout).toBe('db-value');
+
+    expect(await run('get', ['db'], {}, fakeIo({ isTTY: true }))).toBe(EXIT_OK);
+    expect(output.stdout).toBe('db-value\n');
+
+    const reads = context.auditLog.query({ actions: ['secret.read'] }).entries;
+    expect(reads.map(entry => entry.details)).toEqual([{ purpose: 'print' }, { purpose: 'print' }]);
+  });
+
+  test('get --copy and --json', async () => {
+    await addSecret('db', 'Prod DB');
+
+    expect(await run('get', ['Prod DB'], { copy: true })).toBe(EXIT_OK);
+    expect(output.copied).toBe('db-value');
+    expect(output.stdout).toBe('');
+
+    expect(await run('get', ['Prod DB'], { json: true }, fakeIo())).toBe(EXIT_OK);
+    expect(JSON.parse(output.stdout)).toEqual({ id: 'db', title: 'Prod DB', value: 'db-value' });
+  });
+
+  test('exit codes tell missing, ambiguous and invalid references apart', async () => {
+    await addSecret('a', 'Shared');
+    await addSecret('b', 'shared');
+    await addSecret('gone', 'Gone');
+    await run('rm', ['gone']);
+
+    expect(await run('get', ['missing'])).toBe(EXIT_NOT_FOUND);
+    expect(await run('get', ['Gone'])).toBe(EXIT_NOT_FOUND);
+    expect(await run('get', ['shared'])).toBe(EXIT_AMBIGUOUS);
+    expect(output.stderr).toContain('a, b');
+    expect(await run('get', ['b'])).toBe(EXIT_OK);
+    expect(await run('get', [])).toBe(EXIT_USAGE);
+    expect(await run('get', ['a', 'b'])).toBe(EXIT_USAGE);
+  });
+
+  test('list shows titles and IDs but never values', async () => {
+    await addSecret('db', 'Prod DB', { tags: ['prod'] });
+    await addSecret('key', 'API key', { category: 'api-key' });
+
+    expect(await run('list')).toBe(EXIT_OK);
+    const lines = output.stdout.trim().split('\n');
+    expect(lines[0]).toMatch(/^TITLE\s+CATEGORY\s+UPDATED\s+ID$/);
+    expect(lines.slice(1).map(line => line.split(/\s{2,}/)[0])).toEqual(['API key', 'Prod DB']);
+    expect(output.stdout).not.toContain('-value');
+
+    expect(await run('list', [], { json: true, tag: 'PROD' }, fakeIo())).toBe(EXIT_OK);
+    expect(JSON.parse(output.stdout).map(s => s.id)).toEqual(['db']);
+    expect(await run('list', [], { json: true, category: 'api-key' }, fakeIo())).toBe(EXIT_OK);
+    expect(JSON.parse(output.stdout).map(s => s.id)).toEqual(['key']);
+  });
+
+  test('set creates a secret, then changes its value through the regular update path', async () => {
+    expect(await run('set', ['Prod DB'], { tags: 'prod, db', json: true }, fakeIo({ input: 'first' }))).toBe(EXIT_OK);
+    const created = JSON.parse(output.stdout);
+    expect(created).toMatchObject({ title: 'Prod DB', category: 'password', tags: ['prod', 'db'] });
+    expect(await context.storage.getPassword(SERVICE_NAME, created.id)).toBe('first');
+
+    expect(await run('set', ['prod db'], {}, fakeIo({ input: 'second' }))).toBe(EXIT_OK);
+    expect(output.stdout).toContain('Updated "Prod DB"');
+    expect(await context.storage.getPassword(SERVICE_NAME, created.id)).toBe('second');
+    expect(context.secretsMetadata).toHaveLength(1);
+    expect(context.secretsMetadata[0].versions).toHaveLength(1);
+  });
+
+  test('set puts new secrets in the default category from the settings', async () => {
+    context.settings = { ...DEFAULT_SETTINGS, defaultCategory: 'token' };
+    expect(await run('set', ['CI token'], { json: true }, fakeIo({ input: 'x' }))).toBe(EXIT_OK);
+    expect(JSON.parse(output.stdout).category).toBe('token');
+
+    expect(await run('set', ['Prod DB'], { category: 'password', json: true }, fakeIo({ input: 'y' }))).toBe(EXIT_OK);
+    expect(JSON.parse(output.stdout).category).toBe('password');
+  });
+
+  test('set rejects empty values and invalid fields', async () => {
+    expect(await run('set', ['Prod DB'], {}, fakeIo({ input: '' }))).toBe(EXIT_USAGE);
+    expect(await run('set', ['Prod DB'], { category: 'nope' }, fakeIo({ input: 'x' }))).toBe(EXIT_USAGE);
+    expect(output.stderr).toContain('Invalid category');
+    expect(context.secretsMetadata).toEqual([]);
+  });
+
+  test('rm moves to the trash, or deletes for good with --purge', async () => {
+    await addSecret('a', 'First');
+    await addSecret('b', 'Second');
+
+    expect(await run('rm', ['First'])).toBe(EXIT_OK);
+    expect(context.secretsMetadata.find(s => s.id === 'a').deletedAt).toEqual(expect.any(Number));
+
+    expect(await run('rm', ['Second'], { purge: true, json: true })).toBe(EXIT_OK);
+    expect(output.stdout).toContain('"purged": true');
+    expect(context.secretsMetadata.map(s => s.id)).toEqual(['a']);
+    expect(await context.storage.getPassword(SERVICE_NAME, 'b')).toBeNull();
+  });
+
+  describe('requireMasterPassword', () => {
+    const prompts = (...answers) => async () => answers.shift() ?? null;
+
+    test('does not ask when no master password is set', async () => {
+      await expect(requireMasterPassword(context, null, { prompt: prompts() })).resolves.toBeUndefined();
+    });
+
+    test('asks again after a wrong password and records the attempts', async () => {
+      const password = await hashMasterPassword('right password', { N: 2 ** 10, r: 8, p: 1 });
+
+      await requireMasterPassword(context, password, { prompt: prompts('wrong', 'right password') });
+
+      const actions = context.auditLog.query({ actions: ['vault.unlock', 'vault.unlock-failed'] }).entries;
+      expect(actions.map(entry => entry.action)).toEqual(['vault.unlock', 'vault.unlock-failed']);
+    });
+
+    test('refuses without a password or after too many wrong ones', async () => {
+      const password = await hashMasterPassword('right password', { N: 2 ** 10, r: 8, p: 1 });
+
+      await expect(requireMasterPassword(context, password, { prompt: prompts() }))
+        .rejects.toMatchObject({ exitCode: EXIT_USAGE });
+      await expect(requireMasterPassword(context, password, { prompt: prompts('a', 'b', 'c', 'right password') }))
+        .rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('with a master password in config.json', () => {
+    const savedEnv = { HOME: process.env.HOME, XDG_CONFIG_HOME: process.env.XDG_CONFIG_HOME };
+    let tempDir;
+
+    beforeEach(async () => {
+      // Commands opened without a context use the config directory under HOME
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securevault-cli-'));
+      process.env.HOME = tempDir;
+      process.env.XDG_CONFIG_HOME = tempDir;
+      updateConfig({ masterPassword: await hashMasterPassword('right password', { N: 2 ** 10, r: 8, p: 1 }) });
+    });
+
+    afterEach(() => {
+      for (const [name, value] of Object.entries(savedEnv)) {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('asks for it before any command that changes the vault', async () => {
+      const runOpened = (command, positionals, options = {}) =>
+        runSecretsCommand(command, positionals, { backend: 'memory', ...options }, { io: fakeIo({ input: 'value' }) });
+
+      expect(await runOpened('list', [])).toBe(EXIT_OK);
+      for (const [command, positionals, options] of [['set', ['New']], ['rm', ['Old']], ['rm', ['Old'], { purge: true }]]) {
+        expect(await runOpened(command, positionals, options)).toBe(EXIT_USAGE);
+        expect(output.stderr).toMatch(/master password/);
+      }
+
+      const stdout = { write: () => {} };
+      expect(await runDoctor({ backend: 'memory' }, { stdout })).toBe(EXIT_OK);
+      expect(await runDoctor({ backend: 'memory', reattach: true }, { stdout })).toBe(EXIT_USAGE);
+    });
+  });
+
+  describe('next to a running server', () => {
+    const API_TOKEN = 'test-api-token';
+    let tempDir;
+
+    // One process' view of the vault: its own file vault and metadata, like the
+    // server and the CLI each have
+    const openProcess = async () => {
+      const vaultData = loadVaultData('default', { persistent: true, baseDirOverride: tempDir });
+      const openedVaults = new Map([['default', vaultData]]);
+      return {
+        storage: await openFileVault('passphrase', { baseDirOverride: tempDir, kdfParams: { N: 2 ** 10, r: 8, p: 1 } }),
+        ...vaultData,
+        openedVaults,
+        withWriteLock: createWriteLock(openedVaults, tempDir),
+        auditLog: openAuditLog({ persist: false }),
+        settings: { ...DEFAULT_SETTINGS },
+      };
+    };
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securevault-cli-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('set and rm are kept when the server saves afterwards', async () => {
+      const server = await openProcess();
+      const app = createApp({ ...server, apiToken: API_TOKEN });
+      const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+      context = await openProcess();
+      await addSecret('old', 'Old');
+
+      expect(await run('set', ['From CLI'], { json: true }, fakeIo({ input: 'cli-value' }))).toBe(EXIT_OK);
+      const { id } = JSON.parse(output.stdout);
+      await authorized(request(app).post('/api/secrets'))
+        .send({ id: 'ui', title: 'From UI', value: 'ui-value', category: 'password' })
+        .expect(201);
+      expect(await run('rm', ['Old'], { purge: true })).toBe(EXIT_OK);
+      await authorized(request(app).put('/api/secrets/ui')).send({ notes: 'edited' }).expect(200);
+
+      const listed = await authorized(request(app).get('/api/secrets')).expect(200);
+      expect(listed.body.map(meta => meta.title).sort()).toEqual(['From CLI', 'From UI']);
+      const value = await authorized(request(app).get(`/api/secrets/${id}/value`)).expect(200);
+      expect(value.body.value).toBe('cli-value');
+      expect(loadVaultData('default', { persistent: true, baseDirOverride: tempDir }).secretsMetadata.map(meta => meta.id).sort())
+        .toEqual([id, 'ui'].sort());
+    });
+
+    test('reads are served while the CLI holds the write lock, and changes wait for it', async () => {
+      const server = await openProcess();
+      const app = createApp({ ...server, apiToken: API_TOKEN });
+      const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+      context = await openProcess();
+
+      let release;
+      const cliWrite = context.withWriteLock(async () => {
+        await addSecret('cli', 'From CLI');
+        await new Promise((resolve) => { release = resolve; });
+      });
+      while (!release) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      const listed = await authorized(request(app).get('/api/secrets')).expect(200);
+      expect(listed.body.map(meta => meta.title)).toEqual(['From CLI']);
+      await authorized(request(app).get('/api/lock')).expect(200);
+
+      let created = null;
+      const create = authorized(request(app).post('/api/secrets'))
+        .send({ id: 'ui', title: 'From UI', value: 'ui-value', category: 'password' })
+        .then((response) => { created = response; });
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(created).toBeNull();
+
+      release();
+      await cliWrite;
+      await create;
+      expect(created.status).toBe(201);
+      expect(loadVaultData('default', { persistent: true, baseDirOverride: tempDir }).secretsMetadata.map(meta => meta.id).sort())
+        .toEqual(['cli', 'ui']);
+    });
+  });
+});
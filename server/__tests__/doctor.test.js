@@ -0,0 +1,163 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { openAuditLog } from '../auditLog.js';
+import { defaultCategories } from '../categoryStore.js';
+import { createSecret, deleteSecret, updateSecret } from '../secrets.js';
+import { DEFAULT_SETTINGS } from '../settings.js';
+import { checkIntegrity, reattachOrphan, removeMissingSecret } from '../doctor.js';
+import { runDoctor } from '../cli/doctor.js';
+import { EXIT_DRIFT, EXIT_OK } from '../cli/common.js';
+
+const API_TOKEN = 'test-api-token';
+const SERVICE_NAME = 'SecureVault';
+
+describe('Vault integrity check', () => {
+  let context;
+
+  const addSecret = (id, title) =>
+    createSecret(context, { id, title, value: `${id}-value`, category: 'password', createdAt: 1000, updatedAt: 1000 });
+
+  beforeEach(async () => {
+    context = {
+      storage: await openBackend('memory'),
+      serviceName: SERVICE_NAME,
+      secretsMetadata: [],
+      persistMetadata: null,
+      categories: defaultCategories(),
+      settings: { ...DEFAULT_SETTINGS },
+      auditLog: openAuditLog({ persist: false }),
+    };
+    await addSecret('db', 'Prod DB');
+    await addSecret('api', 'API key');
+  });
+
+  test('reports no drift when metadata and storage match, version values included', async () => {
+    await updateSecret(context, 'db', { value: 'rotated', updatedAt: 2000 });
+
+    const report = await checkIntegrity(context, { now: 5000 });
+
+    expect(report).toEqual({
+      checkedAt: 5000,
+      listable: true,
+      summary: { secrets: 2, missing: 0, orphans: 0 },
+      missing: [],
+      orphans: [],
+    });
+  });
+
+  test('reports secrets without a value and values without a secret', async () => {
+    await deleteSecret(context, 'api');
+    await context.storage.deletePassword(SERVICE_NAME, 'db');
+    await context.storage.deletePassword(SERVICE_NAME, 'api');
+    await context.storage.setPassword(SERVICE_NAME, 'lost', 'lost-value');
+    await context.storage.setPassword(SERVICE_NAME, 'db#v7', 'stale version');
+    await context.storage.setPassword('SecureVault:work', 'other-vault', 'x');
+
+    const report = await checkIntegrity(context);
+
+    expect(report.summary).toEqual({ secrets: 2, missing: 2, orphans: 2 });
+    expect(report.missing).toEqual([
+      { id: 'db', title: 'Prod DB', category: 'password', trashed: false },
+      { id: 'api', title: 'API key', category: 'password', trashed: true },
+    ]);
+    expect(report.orphans).toEqual([{ account: 'db#v7' }, { account: 'lost' }]);
+    expect(JSON.stringify(report)).not.toContain('value');
+  });
+
+  test('only looks for orphans when the backend can list its entries', async () => {
+    await context.storage.setPassword(SERVICE_NAME, 'lost', 'lost-value');
+    context.storage = { ...context.storage, capabilities: { ...context.storage.capabilities, listable: false } };
+
+    const report = await checkIntegrity(context);
+
+    expect(report.listable).toBe(false);
+    expect(report.orphans).toEqual([]);
+  });
+
+  test('re-attaches an orphaned value as a new secret', async () => {
+    await context.storage.setPassword(SERVICE_NAME, 'lost', 'lost-value');
+
+    const meta = await reattachOrphan(context, { account: 'lost', title: 'Found again' });
+
+    expect(meta).toMatchObject({ title: 'Found again', category: 'password' });
+    expect(meta.id).not.toBe('lost');
+    expect(await context.storage.getPassword(SERVICE_NAME, meta.id)).toBe('lost-value');
+    expect(await context.storage.getPassword(SERVICE_NAME, 'lost')).toBeNull();
+    expect((await checkIntegrity(context)).summary.orphans).toBe(0);
+    expect(context.auditLog.query().entries[0]).toMatchObject({ action: 'secret.create', secretId: meta.id });
+  });
+
+  test('only re-attaches values no secret refers to', async () => {
+    await expect(reattachOrphan(context, { account: 'db' })).rejects.toMatchObject({ status: 404 });
+    await expect(reattachOrphan(context, { account: 'nothing' })).rejects.toMatchObject({ status: 404 });
+    await expect(reattachOrphan(context, {})).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('removes a secret only once its value is gone', async () => {
+    await expect(removeMissingSecret(context, 'db')).rejects.toMatchObject({ status: 409 });
+
+    await context.storage.deletePassword(SERVICE_NAME, 'db');
+    await removeMissingSecret(context, 'db');
+
+    expect(context.secretsMetadata.map(meta => meta.id)).toEqual(['api']);
+    await expect(removeMissingSecret(context, 'db')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('GET /api/doctor and its repairs', async () => {
+    const app = createApp({ ...context, apiToken: API_TOKEN });
+    const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+    await context.storage.deletePassword(SERVICE_NAME, 'api');
+    await context.storage.setPassword(SERVICE_NAME, 'lost', 'lost-value');
+
+    const report = await authorized(request(app).get('/api/doctor')).expect(200);
+    expect(report.body.summary).toEqual({ secrets: 2, missing: 1, orphans: 1 });
+
+    const reattached = await authorized(request(app).post('/api/doctor/orphans/reattach'))
+      .send({ account: 'lost', category: 'token' })
+      .expect(201);
+    expect(reattached.body).toMatchObject({ title: 'Recovered lost', category: 'token' });
+    await authorized(request(app).delete('/api/doctor/missing/api')).expect(204);
+    await authorized(request(app).delete('/api/doctor/missing/db')).expect(409);
+
+    const after = await authorized(request(app).get('/api/doctor')).expect(200);
+    expect(after.body.summary).toEqual({ secrets: 2, missing: 0, orphans: 0 });
+    await request(app).get('/api/doctor').expect(401);
+  });
+
+  describe('securevault doctor', () => {
+    let printed;
+    const stdout = { write: (text) => { printed += text; } };
+
+    beforeEach(() => {
+      printed = '';
+    });
+
+    test('exits with EXIT_DRIFT and lists the problems', async () => {
+      await context.storage.deletePassword(SERVICE_NAME, 'db');
+      await context.storage.setPassword(SERVICE_NAME, 'lost', 'lost-value');
+
+      expect(await runDoctor({}, { context, stdout })).toBe(EXIT_DRIFT);
+      expect(printed).toContain('Prod DB (db)');
+      expect(printed).toContain('   lost\n');
+      expect(context.secretsMetadata).toHaveLength(2);
+    });
+
+    test('repairs with --reattach and --remove-missing', async () => {
+      await context.storage.deletePassword(SERVICE_NAME, 'db');
+      await context.storage.setPassword(SERVICE_NAME, 'lost', 'lost-value');
+
+      expect(await runDoctor({ reattach: true, removeMissing: true, json: true }, { context, stdout })).toBe(EXIT_OK);
+
+      const result = JSON.parse(printed);
+      expect(result.summary).toEqual({ secrets: 2, missing: 0, orphans: 0 });
+      expect(result.reattached).toEqual([{ account: 'lost', id: expect.any(String), title: 'Recovered lost' }]);
+      expect(result.removed).toEqual([{ id: 'db', title: 'Prod DB' }]);
+    });
+
+    test('exits with EXIT_OK when nothing drifted', async () => {
+      expect(await runDoctor({}, { context, stdout })).toBe(EXIT_OK);
+      expect(printed).toContain('Metadata and storage match');
+    });
+  });
+});
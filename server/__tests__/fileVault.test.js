@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import request from 'supertest';
+import { getVaultPath, openFileVault, vaultExists } from '../fileVault.js';
+import { loadMetadata, saveMetadata } from '../metadataStore.js';
+import { createApp } from '../app.js';
+
+// Cheap KDF parameters keep the tests fast; production uses DEFAULT_KDF_PARAMS
+const kdfParams = { N: 2 ** 10, r: 8, p: 1 };
+const SERVICE = 'SecureVault';
+
+describe('Encrypted file vault', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securevault-vault-'));
+  });
+
+  afterEach(() => {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  const open = (passphrase = 'correct horse battery staple') =>
+    openFileVault(passphrase, { baseDirOverride: tempDir, kdfParams });
+
+  it('should create the vault file next to metadata.json on first open', async () => {
+    expect(vaultExists(tempDir)).toBe(false);
+
+    const vault = await open();
+
+    expect(vault.path).toBe(path.join(tempDir, 'vault.enc'));
+    expect(vaultExists(tempDir)).toBe(true);
+  });
+
+  it('should store, read and delete values', async () => {
+    const vault = await open();
+
+    await vault.setPassword(SERVICE, 'id-1', 'value-1');
+    expect(await vault.getPassword(SERVICE, 'id-1')).toBe('value-1');
+
+    expect(await vault.deletePassword(SERVICE, 'id-1')).toBe(true);
+    expect(await vault.getPassword(SERVICE, 'id-1')).toBeNull();
+    expect(await vault.deletePassword(SERVICE, 'id-1')).toBe(false);
+  });
+
+  it('should keep services separate like the keychain does', async () => {
+    const vault = await open();
+
+    await vault.setPassword('ServiceA', 'shared-id', 'a');
+    await vault.setPassword('ServiceB', 'shared-id', 'b');
+
+    expect(await vault.getPassword('ServiceA', 'shared-id')).toBe('a');
+    expect(await vault.getPassword('ServiceB', 'shared-id')).toBe('b');
+  });
+
+  it('should persist values across reopen (server restart)', async () => {
+    const first = await open();
+    await first.setPassword(SERVICE, 'id-1', 'survives restart');
+
+    const second = await open();
+
+    expect(await second.getPassword(SERVICE, 'id-1')).toBe('survives restart');
+  });
+
+  it('should pick up values another process wrote meanwhile', async () => {
+    const server = await open();
+    const cli = await open();
+
+    await cli.setPassword(SERVICE, 'from-cli', 'cli value');
+    expect(await server.getPassword(SERVICE, 'from-cli')).toBe('cli value');
+
+    await server.setPassword(SERVICE, 'from-ui', 'ui value');
+    expect(await cli.listAccounts(SERVICE)).toEqual(['from-cli', 'from-ui']);
+    expect(await (await open()).getPassword(SERVICE, 'from-cli')).toBe('cli value');
+  });
+
+  it('should reject a wrong passphrase', async () => {
+    const vault = await open();
+    await vault.setPassword(SERVICE, 'id-1', 'value-1');
+
+    await expect(open('wrong passphrase')).rejects.toThrow('Incorrect passphrase or corrupted vault file');
+  });
+
+  it('should require a passphrase', async () => {
+    await expect(open('')).rejects.toThrow('A passphrase is required');
+  });
+
+  it('should not store values in plaintext', async () => {
+    const vault = await open();
+    await vault.setPassword(SERVICE, 'id-1', 'very-recognisable-plaintext');
+
+    const contents = fs.readFileSync(getVaultPath(tempDir), 'utf8');
+
+    expect(contents).not.toContain('very-recognisable-plaintext');
+    expect(contents).not.toContain('id-1');
+  });
+
+  it('should detect tampering with the ciphertext', async () => {
+    const vault = await open();
+    await vault.setPassword(SERVICE, 'id-1', 'value-1');
+
+    const vaultPath = getVaultPath(tempDir);
+    const file = JSON.parse(fs.readFileSync(vaultPath, 'utf8'));
+    const data = Buffer.from(file.data, 'base64');
+    data[0] ^= 0xff;
+    fs.writeFileSync(vaultPath, JSON.stringify({ ...file, data: data.toString('base64') }));
+
+    await expect(open()).rejects.toThrow('Incorrect passphrase or corrupted vault file');
+  });
+
+  it('should detect tampering with the KDF parameters', async () => {
+    await open();
+
+    const vaultPath = getVaultPath(tempDir);
+    const file = JSON.parse(fs.readFileSync(vaultPath, 'utf8'));
+    fs.writeFileSync(vaultPath, JSON.stringify({ ...file, kdf: { ...file.kdf, N: 2 ** 11 } }));
+
+    await expect(open()).rejects.toThrow('Incorrect passphrase or corrupted vault file');
+  });
+
+  it('should reject files in an unknown format', async () => {
+    fs.writeFileSync(getVaultPath(tempDir), JSON.stringify({ version: 99 }));
+
+    await expect(open()).rejects.toThrow('Unsupported vault file format');
+  });
+
+  it('should set restrictive file permissions', async () => {
+    const vault = await open();
+    await vault.setPassword(SERVICE, 'id-1', 'value-1');
+
+    if (process.platform !== 'win32') {
+      const mode = fs.statSync(getVaultPath(tempDir)).mode & 0o777;
+      expect(mode).toBe(0o600);
+    }
+  });
+
+  it('should serve the API as a drop-in storage backend', async () => {
+    const token = 'test-token';
+    const createVaultApp = async () => createApp({
+      storage: await open(),
+      secretsMetadata: loadMetadata(tempDir),
+      persistMetadata: (metadata) => saveMetadata(metadata, tempDir),
+      apiToken: token,
+    });
+
+    const app = await createVaultApp();
+    await request(app)
+      .post('/api/secrets')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ id: 'id-1', title: 'DB', value: 'hunter2', category: 'password', createdAt: 1, updatedAt: 1 })
+      .expect(201);
+
+    // Simulate a restart: both metadata and the encrypted value come back
+    const restarted = await createVaultApp();
+    const list = await request(restarted).get('/api/secrets').set('Authorization', `Bearer ${token}`);
+    const value = await request(restarted).get('/api/secrets/id-1/value').set('Authorization', `Bearer ${token}`);
+
+    expect(list.body.map(s => s.id)).toEqual(['id-1']);
+    expect(value.body).toEqual({ value: 'hunter2' });
+  });
+});
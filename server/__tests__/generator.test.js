@@ -0,0 +1,121 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { WORD_LIST, generateSecret, validateGeneratorOptions } from '../generator/index.js';
+
+const API_TOKEN = 'test-api-token';
+
+describe('Password generator', () => {
+  describe('generateSecret', () => {
+    test('uses only the selected classes and includes each of them', () => {
+      for (let i = 0; i < 20; i++) {
+        const { value } = generateSecret({ length: 12, symbols: false });
+        expect(value).toHaveLength(12);
+        expect(value).toMatch(/^[A-Za-z0-9]+$/);
+        expect(value).toMatch(/[a-z]/);
+        expect(value).toMatch(/[A-Z]/);
+        expect(value).toMatch(/[0-9]/);
+      }
+    });
+
+    test('leaves out look-alike characters when asked', () => {
+      const { value } = generateSecret({ length: 128, excludeLookAlikes: true });
+      expect(value).not.toMatch(/[Il1|O0o]/);
+    });
+
+    test('estimates entropy from the character pool', () => {
+      // 10 digits: log2(10) bits per character
+      expect(generateSecret({ length: 10, lowercase: false, uppercase: false, symbols: false }).entropyBits)
+        .toBeCloseTo(33.2, 1);
+    });
+
+    test('builds pronounceable passwords from alternating consonants and vowels', () => {
+      const { value, entropyBits } = generateSecret({ mode: 'pronounceable', length: 10, uppercase: false });
+      expect(value).toMatch(/^([bcdfghjklmnpqrstvwxz][aeiou]){4}[0-9]{2}$/);
+      expect(entropyBits).toBeGreaterThan(20);
+    });
+
+    test('builds passphrases from the bundled word list', () => {
+      expect(WORD_LIST.length).toBeGreaterThan(1000);
+
+      const { value, entropyBits } = generateSecret({ mode: 'passphrase', words: 5, separator: '.', capitalize: true });
+      const words = value.split('.');
+      expect(words).toHaveLength(5);
+      for (const word of words) {
+        expect(word[0]).toBe(word[0].toUpperCase());
+        expect(WORD_LIST).toContain(word.toLowerCase());
+      }
+      expect(entropyBits).toBeCloseTo(5 * Math.log2(WORD_LIST.length), 1);
+    });
+
+    test('does not repeat itself', () => {
+      const values = new Set(Array.from({ length: 50 }, () => generateSecret().value));
+      expect(values.size).toBe(50);
+    });
+  });
+
+  test.each([
+    [{ mode: 'diceware' }],
+    [{ length: 3 }],
+    [{ length: 129 }],
+    [{ words: 2 }],
+    [{ separator: '----' }],
+    [{ symbols: 'yes' }],
+    [{ lowercase: false, uppercase: false, digits: false, symbols: false }],
+  ])('rejects %j', (options) => {
+    expect(validateGeneratorOptions(options)).not.toBeNull();
+  });
+
+  describe('API', () => {
+    let generatorPresets;
+    let saved;
+    let app;
+
+    const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+
+    beforeEach(async () => {
+      generatorPresets = [];
+      saved = null;
+      app = createApp({
+        storage: await openBackend('memory'),
+        apiToken: API_TOKEN,
+        generatorPresets,
+        saveGeneratorPresets: (presets) => {
+          saved = JSON.parse(JSON.stringify(presets));
+        },
+      });
+    });
+
+    test('generates a value with its entropy', async () => {
+      const res = await authorized(request(app).post('/api/generator')).send({ length: 32, symbols: false }).expect(200);
+      expect(res.body.value).toMatch(/^[A-Za-z0-9]{32}$/);
+      expect(res.body.entropyBits).toBeCloseTo(32 * Math.log2(62), 1);
+      expect(res.headers['cache-control']).toBe('no-store');
+
+      await authorized(request(app).post('/api/generator')).send({ length: 2 }).expect(400);
+      await request(app).post('/api/generator').send({}).expect(401);
+    });
+
+    test('saves, lists and deletes presets', async () => {
+      const created = await authorized(request(app).post('/api/generator/presets'))
+        .send({ name: 'Legacy DB', options: { length: 32, symbols: false } })
+        .expect(201);
+      expect(created.body.options).toMatchObject({ mode: 'random', length: 32, symbols: false, lowercase: true });
+      expect(saved).toEqual([created.body]);
+
+      await authorized(request(app).post('/api/generator/presets'))
+        .send({ name: 'legacy db', options: {} })
+        .expect(409);
+      await authorized(request(app).post('/api/generator/presets'))
+        .send({ name: 'Broken', options: { length: 1 } })
+        .expect(400);
+
+      const list = await authorized(request(app).get('/api/generator/presets')).expect(200);
+      expect(list.body).toEqual([created.body]);
+
+      await authorized(request(app).delete(`/api/generator/presets/${created.body.id}`)).expect(204);
+      expect(saved).toEqual([]);
+      await authorized(request(app).delete(`/api/generator/presets/${created.body.id}`)).expect(404);
+    });
+  });
+});
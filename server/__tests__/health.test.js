@@ -0,0 +1,123 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { defaultCategories } from '../categoryStore.js';
+import { buildHealthReport, scoreStrength, WEAK_SCORE } from '../health.js';
+
+const API_TOKEN = 'test-api-token';
+const SERVICE_NAME = 'SecureVault';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Health report', () => {
+  let storage;
+  let secretsMetadata;
+  let categories;
+  let app;
+
+  const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+  const createSecret = (fields) =>
+    authorized(request(app).post('/api/secrets')).send({
+      category: 'password',
+      notes: '',
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      ...fields,
+    }).expect(201);
+
+  beforeEach(async () => {
+    storage = await openBackend('memory');
+    secretsMetadata = [];
+    categories = defaultCategories();
+    app = createApp({ storage, serviceName: SERVICE_NAME, secretsMetadata, categories, apiToken: API_TOKEN });
+  });
+
+  describe('scoreStrength', () => {
+    test('rates common, short and repetitive values as weak', () => {
+      for (const value of ['password', 'Password123!', 'qwerty', 'abc1', 'aaaaaaaaaaaaaaaa', '1234567890123']) {
+        expect(scoreStrength(value).score).toBeLessThanOrEqual(WEAK_SCORE);
+      }
+    });
+
+    test('rates long random values as strong', () => {
+      expect(scoreStrength('k7#Qv9!mZ2@pL4xR').score).toBe(4);
+      expect(scoreStrength('correct-horse-battery-staple').score).toBe(4);
+      expect(scoreStrength('Tr0ub4dor&3')).toEqual({ score: 3, label: 'Strong' });
+    });
+  });
+
+  test('requires the API token', async () => {
+    await request(app).get('/api/health/report').expect(401);
+  });
+
+  test('reports weak values without exposing them', async () => {
+    await createSecret({ id: 'weak', title: 'Router', value: 'letmein1' });
+    await createSecret({ id: 'strong', title: 'Database', value: 'k7#Qv9!mZ2@pL4xR' });
+    await createSecret({ id: 'key', title: 'SSH key', value: '-----BEGIN KEY-----\nabc\n-----END KEY-----', category: 'other' });
+
+    const res = await authorized(request(app).get('/api/health/report')).expect(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.weak).toEqual([{ id: 'weak', title: 'Router', category: 'password', score: 0, label: 'Very weak' }]);
+    expect(res.body.summary).toMatchObject({ total: 3, weak: 1, reused: 0, stale: 0, missing: 0 });
+    expect(JSON.stringify(res.body)).not.toContain('letmein1');
+  });
+
+  test('groups secrets that share a value', async () => {
+    await createSecret({ id: 'a', title: 'Mail', value: 'shared-Value-123!' });
+    await createSecret({ id: 'b', title: 'Forum', value: 'shared-Value-123!' });
+    await createSecret({ id: 'c', title: 'Bank', value: 'unique-Value-456?' });
+    await createSecret({ id: 'd', title: 'Old forum', value: 'shared-Value-123!' });
+    await authorized(request(app).delete('/api/secrets/d')).expect(204);
+
+    const res = await authorized(request(app).get('/api/health/report')).expect(200);
+    expect(res.body.reused).toEqual([{
+      secrets: [
+        { id: 'a', title: 'Mail', category: 'password' },
+        { id: 'b', title: 'Forum', category: 'password' },
+      ],
+    }]);
+    expect(res.body.summary).toMatchObject({ total: 3, reused: 2, reuseGroups: 1 });
+    expect(JSON.stringify(res.body)).not.toContain('shared-Value-123!');
+  });
+
+  test('flags secrets older than their category threshold and resets on rotation', async () => {
+    const now = Date.now();
+    await createSecret({ id: 'token', title: 'CI token', value: 'k7#Qv9!mZ2@pL4xR', category: 'token', createdAt: now - 100 * DAY_MS });
+    await createSecret({ id: 'pw', title: 'Mail', value: 'q8$Wn3!xB6@rT1yU', createdAt: now - 100 * DAY_MS });
+    await createSecret({ id: 'note', title: 'Recovery codes', value: 'm4%Hs7!cV2@kD9zE', category: 'note', createdAt: now - 5000 * DAY_MS });
+
+    let report = await buildHealthReport({ storage, serviceName: SERVICE_NAME, secretsMetadata, categories }, { now });
+    expect(report.stale).toEqual([
+      { id: 'token', title: 'CI token', category: 'token', rotatedAt: now - 100 * DAY_MS, ageDays: 100, staleAfterDays: 90 },
+    ]);
+
+    // A category can set its own threshold
+    await authorized(request(app).put('/api/categories/password')).send({ staleAfterDays: 30 }).expect(200);
+    report = await buildHealthReport({ storage, serviceName: SERVICE_NAME, secretsMetadata, categories }, { now });
+    expect(report.stale.map(s => s.id)).toEqual(['token', 'pw']);
+
+    // Changing the value counts as a rotation; other edits do not
+    await authorized(request(app).put('/api/secrets/pw')).send({ notes: 'edited' }).expect(200);
+    await authorized(request(app).put('/api/secrets/token')).send({ value: 'n5&Jd8!fG3@hK6wP' }).expect(200);
+    report = await buildHealthReport({ storage, serviceName: SERVICE_NAME, secretsMetadata, categories });
+    expect(report.stale.map(s => s.id)).toEqual(['pw']);
+  });
+
+  test('validates category thresholds and clears them with null', async () => {
+    await authorized(request(app).put('/api/categories/password')).send({ staleAfterDays: -1 }).expect(400);
+    await authorized(request(app).put('/api/categories/password')).send({ staleAfterDays: 1.5 }).expect(400);
+    await authorized(request(app).post('/api/categories'))
+      .send({ label: 'Wi-Fi', color: 'teal', icon: 'globe', staleAfterDays: 0 })
+      .expect(201, { id: 'wi-fi', label: 'Wi-Fi', color: 'teal', icon: 'globe', staleAfterDays: 0 });
+
+    const res = await authorized(request(app).put('/api/categories/wi-fi')).send({ staleAfterDays: null }).expect(200);
+    expect(res.body).not.toHaveProperty('staleAfterDays');
+  });
+
+  test('counts secrets whose value is missing from storage', async () => {
+    await createSecret({ id: 'gone', title: 'Gone', value: 'k7#Qv9!mZ2@pL4xR' });
+    await storage.deletePassword(SERVICE_NAME, 'gone');
+
+    const res = await authorized(request(app).get('/api/health/report')).expect(200);
+    expect(res.body.summary).toMatchObject({ total: 1, missing: 1, weak: 0 });
+  });
+});
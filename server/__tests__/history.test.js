@@ -0,0 +1,168 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { versionAccount } from '../history.js';
+
+const API_TOKEN = 'test-api-token';
+const SERVICE_NAME = 'SecureVault';
+
+describe('Secret version history', () => {
+  let storage;
+  let secretsMetadata;
+  let persistMetadata;
+  let app;
+
+  const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+  const update = (changes, id = 'secret-1') =>
+    authorized(request(app).put(`/api/secrets/${id}`)).send({ updatedAt: Date.now(), ...changes });
+  const versions = async (id = 'secret-1') => (await authorized(request(app).get(`/api/secrets/${id}/versions`))).body;
+  const currentValue = async (id = 'secret-1') =>
+    (await authorized(request(app).get(`/api/secrets/${id}/value`))).body.value;
+
+  beforeEach(async () => {
+    storage = await openBackend('memory');
+    secretsMetadata = [];
+    persistMetadata = () => {};
+    app = createApp({
+      storage,
+      serviceName: SERVICE_NAME,
+      secretsMetadata,
+      persistMetadata: (metadata) => persistMetadata(metadata),
+      apiToken: API_TOKEN,
+    });
+
+    await authorized(request(app).post('/api/secrets')).send({
+      id: 'secret-1',
+      title: 'Database',
+      value: 'original',
+      category: 'password',
+      notes: 'v1 notes',
+      createdAt: 1000,
+      updatedAt: 1000,
+    }).expect(201);
+  });
+
+  test('keeps the previous state and records what changed', async () => {
+    await update({ value: 'rotated', notes: 'v2 notes' }).expect(200);
+
+    const list = await versions();
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({
+      version: 1,
+      title: 'Database',
+      category: 'password',
+      notes: 'v1 notes',
+      updatedAt: 1000,
+      changed: ['value', 'notes'],
+    });
+    expect(typeof list[0].savedAt).toBe('number');
+    // Listing never includes values
+    expect(JSON.stringify(list)).not.toContain('original');
+  });
+
+  test('refuses IDs that could collide with the storage of a version', async () => {
+    await update({ value: 'rotated' }).expect(200);
+
+    const response = await authorized(request(app).post('/api/secrets')).send({
+      id: 'secret-1#v1',
+      title: 'Impostor',
+      value: 'overwritten',
+      category: 'password',
+    });
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/ID must be/);
+    expect(await storage.getPassword(SERVICE_NAME, versionAccount('secret-1', 1))).toBe('original');
+
+    for (const id of [42, 'a/b', 'x'.repeat(129)]) {
+      await authorized(request(app).post('/api/secrets'))
+        .send({ id, title: 'Bad', value: 'v', category: 'password' })
+        .expect(400);
+    }
+  });
+
+  test('does not create a version when nothing changed', async () => {
+    await update({ title: 'Database', value: 'original' }).expect(200);
+    expect(await versions()).toEqual([]);
+  });
+
+  test('does not expose history in the secret list or update response', async () => {
+    const response = await update({ value: 'rotated' }).expect(200);
+    expect(response.body.versions).toBeUndefined();
+
+    const list = await authorized(request(app).get('/api/secrets'));
+    expect(list.body[0].versions).toBeUndefined();
+  });
+
+  test('serves a single version and its value', async () => {
+    await update({ value: 'rotated' });
+
+    const version = await authorized(request(app).get('/api/secrets/secret-1/versions/1'));
+    expect(version.status).toBe(200);
+    expect(version.body.version).toBe(1);
+
+    const value = await authorized(request(app).get('/api/secrets/secret-1/versions/1/value'));
+    expect(value.status).toBe(200);
+    expect(value.headers['cache-control']).toBe('no-store');
+    expect(value.body).toEqual({ value: 'original' });
+
+    const missing = await authorized(request(app).get('/api/secrets/secret-1/versions/9'));
+    expect(missing.status).toBe(404);
+  });
+
+  test('restoring a version keeps the replaced state as a new version', async () => {
+    await update({ value: 'rotated', title: 'Database (new)' });
+
+    const response = await authorized(request(app).post('/api/secrets/secret-1/versions/1/restore'));
+    expect(response.status).toBe(200);
+    expect(response.body.title).toBe('Database');
+    expect(await currentValue()).toBe('original');
+
+    const list = await versions();
+    expect(list.map(v => v.version)).toEqual([2, 1]);
+    expect(list[0]).toMatchObject({ title: 'Database (new)', changed: ['value', 'title'] });
+    expect(await storage.getPassword(SERVICE_NAME, versionAccount('secret-1', 2))).toBe('rotated');
+  });
+
+  test('caps the number of versions and removes pruned values', async () => {
+    await update({ historyLimit: 2 }).expect(200);
+    for (const value of ['a', 'b', 'c']) {
+      await update({ value }).expect(200);
+    }
+
+    const list = await versions();
+    expect(list.map(v => v.version)).toEqual([3, 2]);
+    expect(await storage.getPassword(SERVICE_NAME, versionAccount('secret-1', 1))).toBeNull();
+
+    await update({ historyLimit: 0 }).expect(200);
+    expect(await versions()).toEqual([]);
+    expect(await storage.listAccounts(SERVICE_NAME)).toEqual(['secret-1']);
+  });
+
+  test('rejects an invalid history limit', async () => {
+    const response = await update({ historyLimit: -1 });
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('History limit');
+  });
+
+  test('rolls back the new version when persisting fails', async () => {
+    persistMetadata = () => {
+      throw new Error('disk full');
+    };
+
+    await update({ value: 'rotated' }).expect(500);
+
+    expect(secretsMetadata[0].versions).toBeUndefined();
+    expect(await currentValue()).toBe('original');
+    expect(await storage.listAccounts(SERVICE_NAME)).toEqual(['secret-1']);
+  });
+
+  test('purging a secret removes its version values', async () => {
+    await update({ value: 'rotated' });
+    await authorized(request(app).delete('/api/secrets/secret-1')).expect(204);
+    // Kept while in the trash
+    expect(await storage.listAccounts(SERVICE_NAME)).toHaveLength(2);
+
+    await authorized(request(app).delete('/api/trash/secret-1')).expect(204);
+    expect(await storage.listAccounts(SERVICE_NAME)).toEqual([]);
+  });
+});
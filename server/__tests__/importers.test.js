@@ -0,0 +1,223 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { parseCsv } from '../importers/csv.js';
+import { parseDotenv } from '../importers/dotenv.js';
+import { parseBitwardenCsv, parseBitwardenJson } from '../importers/bitwarden.js';
+import { parseOnePasswordCsv } from '../importers/onepassword.js';
+import { parseKeePassCsv } from '../importers/keepass.js';
+import { planExternalImport } from '../importers/index.js';
+
+const API_TOKEN = 'test-api-token';
+
+describe('CSV parser', () => {
+  test('handles quoted fields, escaped quotes and embedded line breaks', () => {
+    const rows = parseCsv('a,b,c\r\n"one, two","say ""hi""","line1\nline2"\n');
+    expect(rows).toEqual([
+      ['a', 'b', 'c'],
+      ['one, two', 'say "hi"', 'line1\nline2'],
+    ]);
+  });
+
+  test('skips blank lines and a byte order mark', () => {
+    expect(parseCsv('﻿a,b\n\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('a,"b\n')).toThrow('unterminated');
+  });
+});
+
+describe('dotenv parser', () => {
+  test('parses comments, export prefix and quoting', () => {
+    const items = parseDotenv([
+      '# Database',
+      'export DB_PASSWORD=hunter2 # inline comment',
+      "STRIPE_API_KEY='sk_test_#123'",
+      'GITHUB_TOKEN="ghp\\nabc"',
+      'PRIVATE_CERT="-----BEGIN-----',
+      'body',
+      '-----END-----"',
+      'LOG_LEVEL=debug',
+    ].join('\n'));
+
+    expect(items.map(({ title, value, category }) => ({ title, value, category }))).toEqual([
+      { title: 'DB_PASSWORD', value: 'hunter2', category: 'password' },
+      { title: 'STRIPE_API_KEY', value: 'sk_test_#123', category: 'api-key' },
+      { title: 'GITHUB_TOKEN', value: 'ghp\nabc', category: 'token' },
+      { title: 'PRIVATE_CERT', value: '-----BEGIN-----\nbody\n-----END-----', category: 'certificate' },
+      { title: 'LOG_LEVEL', value: 'debug', category: 'other' },
+    ]);
+  });
+
+  test('rejects lines that are not assignments', () => {
+    expect(() => parseDotenv('VALID=1\nnot an assignment')).toThrow('Invalid dotenv line 2');
+  });
+});
+
+describe('Bitwarden parsers', () => {
+  test('maps logins and secure notes from a JSON export', () => {
+    const items = parseBitwardenJson(JSON.stringify({
+      encrypted: false,
+      items: [
+        { type: 1, name: 'Mail', notes: 'work', login: { username: 'me', password: 'pw', uris: [{ uri: 'https://mail.example' }] } },
+        { type: 2, name: 'Recovery codes', notes: 'abc def' },
+        { type: 3, name: 'Visa' },
+      ],
+    }));
+
+    expect(items[0]).toEqual({
+      title: 'Mail',
+      value: 'pw',
+      category: 'password',
+      notes: 'Username: me\nURL: https://mail.example\nwork',
+    });
+    expect(items[1]).toMatchObject({ title: 'Recovery codes', value: 'abc def', category: 'note' });
+    expect(items[2].error).toBe('Unsupported Bitwarden item type');
+  });
+
+  test('rejects encrypted JSON exports', () => {
+    expect(() => parseBitwardenJson(JSON.stringify({ encrypted: true, data: 'x' }))).toThrow('Encrypted Bitwarden exports');
+  });
+
+  test('rejects malformed JSON items, naming the first one', () => {
+    const items = (...list) => JSON.stringify({ items: list });
+    const valid = { type: 1, name: 'GitHub', login: { password: 'pw' } };
+
+    expect(() => parseBitwardenJson(items(valid, null))).toThrow('item 2 is not an object');
+    expect(() => parseBitwardenJson(items(valid, valid, { type: 1, name: 42 }))).toThrow('item 3 has no name');
+  });
+
+  test('maps a CSV export', () => {
+    const items = parseBitwardenCsv([
+      'folder,favorite,type,name,notes,fields,reprompt,login_uri,login_username,login_password,login_totp',
+      ',,login,GitHub,,,0,https://github.com,octo,s3cret,',
+      ',,note,Wifi,guest password,,0,,,,',
+    ].join('\n'));
+
+    expect(items).toEqual([
+      { title: 'GitHub', value: 's3cret', category: 'password', notes: 'Username: octo\nURL: https://github.com' },
+      { title: 'Wifi', value: 'guest password', category: 'note', notes: '' },
+    ]);
+  });
+});
+
+describe('1Password and KeePass parsers', () => {
+  test('matches 1Password columns by name', () => {
+    const items = parseOnePasswordCsv('Title,Website,Username,Password,Notes\nBank,https://bank.example,alice,pw1,\nPin,,,,1234\n');
+    expect(items).toEqual([
+      { title: 'Bank', value: 'pw1', category: 'password', notes: 'Username: alice\nURL: https://bank.example' },
+      { title: 'Pin', value: '1234', category: 'note', notes: '' },
+    ]);
+  });
+
+  test('reads KeePass 2 and KeePassXC layouts', () => {
+    const keepass2 = parseKeePassCsv('"Account","Login Name","Password","Web Site","Comments"\n"Router","admin","pw","http://192.168.1.1","closet"\n');
+    const keepassXc = parseKeePassCsv('"Group","Title","Username","Password","URL","Notes"\n"Root","Router","admin","pw","http://192.168.1.1","closet"\n');
+
+    const expected = [{ title: 'Router', value: 'pw', category: 'password', notes: 'Username: admin\nURL: http://192.168.1.1\ncloset' }];
+    expect(keepass2).toEqual(expected);
+    expect(keepassXc).toEqual(expected);
+  });
+});
+
+describe('Duplicate detection', () => {
+  test('flags titles matching existing secrets or earlier rows', () => {
+    const plan = planExternalImport([
+      { title: 'GitHub', value: 'a', category: 'password', notes: '' },
+      { title: 'New', value: 'b', category: 'password', notes: '' },
+      { title: 'new ', value: 'c', category: 'password', notes: '' },
+      { title: 'Empty', value: '', category: 'password', notes: '' },
+    ], [{ id: 'existing', title: 'github' }]);
+
+    expect(plan.map(({ duplicate, duplicateOf, error }) => ({ duplicate, duplicateOf, error }))).toEqual([
+      { duplicate: true, duplicateOf: 'existing', error: null },
+      { duplicate: false, duplicateOf: null, error: null },
+      { duplicate: true, duplicateOf: null, error: null },
+      { duplicate: false, duplicateOf: null, error: 'Entry has no secret value' },
+    ]);
+  });
+});
+
+describe('POST /api/import/external', () => {
+  let storage;
+  let secretsMetadata;
+  let persistMetadata;
+  let app;
+
+  const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+  const importFile = (body) => authorized(request(app).post('/api/import/external')).send(body);
+  const content = 'API_KEY=abc\nDB_PASSWORD=hunter2\n';
+
+  beforeEach(async () => {
+    storage = await openBackend('memory');
+    secretsMetadata = [];
+    persistMetadata = () => {};
+    app = createApp({
+      storage,
+      secretsMetadata,
+      persistMetadata: (metadata) => persistMetadata(metadata),
+      apiToken: API_TOKEN,
+    });
+  });
+
+  test('requires the API token', async () => {
+    const response = await request(app).post('/api/import/external').send({ format: 'dotenv', content, dryRun: true });
+    expect(response.status).toBe(401);
+  });
+
+  test('previews rows without values or changes', async () => {
+    const response = await importFile({ format: 'dotenv', content, dryRun: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.items).toHaveLength(2);
+    expect(response.body.items[0]).toEqual({
+      index: 0, title: 'API_KEY', category: 'api-key', notes: '', duplicate: false, duplicateOf: null, error: null,
+    });
+    expect(JSON.stringify(response.body)).not.toContain('hunter2');
+    expect(secretsMetadata).toHaveLength(0);
+  });
+
+  test('creates only the selected rows', async () => {
+    const response = await importFile({ format: 'dotenv', content, selected: [1] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.imported).toHaveLength(1);
+    expect(secretsMetadata).toHaveLength(1);
+    expect(secretsMetadata[0]).toMatchObject({ title: 'DB_PASSWORD', category: 'password' });
+    expect(await storage.getPassword('SecureVault', secretsMetadata[0].id)).toBe('hunter2');
+  });
+
+  test('rejects unknown formats and unparseable files', async () => {
+    expect((await importFile({ format: 'lastpass', content, dryRun: true })).status).toBe(400);
+    expect((await importFile({ format: 'bitwarden-json', content: 'not json', dryRun: true })).status).toBe(400);
+
+    const malformed = await importFile({ format: 'bitwarden-json', content: '{"items": [null]}', dryRun: true });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error).toBe('Invalid Bitwarden JSON export: item 1 is not an object');
+  });
+
+  test('rejects selecting a row that cannot be imported', async () => {
+    const response = await importFile({ format: 'dotenv', content: 'EMPTY=\nOK=1\n', selected: [0, 1] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('Row 1');
+    expect(secretsMetadata).toHaveLength(0);
+  });
+
+  test('rolls back the whole batch when persisting fails', async () => {
+    let calls = 0;
+    persistMetadata = () => {
+      calls += 1;
+      if (calls === 2) {
+        throw new Error('disk full');
+      }
+    };
+
+    const response = await importFile({ format: 'dotenv', content, selected: [0, 1] });
+
+    expect(response.status).toBe(500);
+    expect(secretsMetadata).toHaveLength(0);
+    expect(await storage.listAccounts('SecureVault')).toEqual([]);
+  });
+});
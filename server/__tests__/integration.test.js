@@ -144,7 +144,13 @@ describe('Metadata Persistence Integration', () => {
       const secretsMetadata = loadMetadata(tempDir);
       expect(secretsMetadata).toEqual([]);
       
-      // Should be able to save new data after recovery
+      // The corrupted file is kept rather than overwritten with the new list
+      expect(() => saveMetadata(secretsMetadata, tempDir)).toThrow('Failed to persist metadata');
+      expect(fs.readFileSync(metadataPath, 'utf8')).toBe('{ invalid json }');
+
+      // Should be able to save new data once the file is removed and reloaded
+      fs.rmSync(metadataPath);
+      secretsMetadata.push(...loadMetadata(tempDir));
       secretsMetadata.push({
         id: 'recovered',
         title: 'After Recovery',
@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { DEFAULT_PORT, HOST, listenWithFallback, originsFor, parsePort, waitForHealth } from '../listen.js';
+
+const API_TOKEN = 'test-api-token';
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+describe('Serving the app', () => {
+  let app;
+  let warnSpy;
+  const servers = [];
+
+  beforeEach(async () => {
+    app = createApp({ storage: await openBackend('memory'), apiToken: API_TOKEN });
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    warnSpy.mockRestore();
+    await Promise.all(servers.splice(0).map(close));
+  });
+
+  // Listen on a port the OS picks, so tests never clash with a running vault
+  const occupyFreePort = async () => {
+    const server = http.createServer();
+    await new Promise((resolve) => server.listen(0, HOST, resolve));
+    servers.push(server);
+    return server.address().port;
+  };
+
+  describe('parsePort', () => {
+    it('should default to 3001', () => {
+      expect(DEFAULT_PORT).toBe(3001);
+      expect(parsePort(undefined)).toBe(3001);
+      expect(parsePort('')).toBe(3001);
+    });
+
+    it('should accept ports from 1 to 65535', () => {
+      expect(parsePort('8080')).toBe(8080);
+      expect(parsePort('65535')).toBe(65535);
+    });
+
+    it.each(['0', '65536', '80.5', 'http', '-1'])('should reject %s', (value) => {
+      expect(() => parsePort(value)).toThrow(`Invalid port "${value}"`);
+    });
+  });
+
+  describe('listenWithFallback', () => {
+    it('should listen on the requested port when it is free', async () => {
+      const port = await occupyFreePort();
+      await close(servers.pop());
+
+      const listening = await listenWithFallback(app, { port });
+      servers.push(listening.server);
+
+      expect(listening).toMatchObject({ host: '127.0.0.1', port });
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    it('should allow browsers on the bound address, under either loopback name', () => {
+      expect(originsFor(HOST, 4321)).toEqual(['http://127.0.0.1:4321', 'http://localhost:4321']);
+    });
+
+    it('should fall back to a free port when the requested one is taken', async () => {
+      const taken = await occupyFreePort();
+
+      const listening = await listenWithFallback(app, { port: taken });
+      servers.push(listening.server);
+
+      expect(listening.port).not.toBe(taken);
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining(`Port ${taken} is already in use`));
+      expect(await waitForHealth(`http://localhost:${listening.port}`)).toBe(true);
+    });
+  });
+
+  describe('waitForHealth', () => {
+    it('should resolve to true once the health probe answers', async () => {
+      const listening = await listenWithFallback(app, { port: 0 });
+      servers.push(listening.server);
+
+      expect(await waitForHealth(`http://localhost:${listening.port}`)).toBe(true);
+    });
+
+    it('should give up after the timeout when nothing answers', async () => {
+      const port = await occupyFreePort();
+      await close(servers.pop());
+
+      expect(await waitForHealth(`http://localhost:${port}`, { timeoutMs: 300, intervalMs: 50 })).toBe(false);
+    });
+
+    it('should keep waiting while another service answers on the port', async () => {
+      const other = http.createServer((req, res) => res.writeHead(404).end());
+      await new Promise((resolve) => other.listen(0, HOST, resolve));
+      servers.push(other);
+
+      expect(await waitForHealth(`http://localhost:${other.address().port}`, { timeoutMs: 300, intervalMs: 50 }))
+        .toBe(false);
+    });
+  });
+
+  describe('staticDir', () => {
+    let staticDir;
+
+    beforeEach(() => {
+      staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securevault-dist-'));
+      fs.writeFileSync(path.join(staticDir, 'index.html'), '<div id="root"></div>');
+    });
+
+    afterEach(() => {
+      fs.rmSync(staticDir, { recursive: true, force: true });
+    });
+
+    it('should serve the frontend and the API from one origin', async () => {
+      const served = createApp({ storage: await openBackend('memory'), apiToken: API_TOKEN, staticDir });
+
+      const page = await request(served).get('/');
+      expect(page.status).toBe(200);
+      expect(page.text).toBe('<div id="root"></div>');
+      expect(page.headers['cache-control']).toBe('no-cache');
+
+      const secrets = await request(served).get('/api/secrets').set('Authorization', `Bearer ${API_TOKEN}`);
+      expect(secrets.status).toBe(200);
+    });
+
+    it('should still require the token for the API', async () => {
+      const served = createApp({ storage: await openBackend('memory'), apiToken: API_TOKEN, staticDir });
+
+      expect((await request(served).get('/api/secrets')).status).toBe(401);
+    });
+
+    it('should serve nothing but the API without a staticDir', async () => {
+      expect((await request(app).get('/')).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { openAuditLog } from '../auditLog.js';
+import {
+  BACKGROUND_HEADER, DEFAULT_AUTO_LOCK_MINUTES, createVaultLock, hashMasterPassword, validateAutoLockMinutes,
+} from '../lock.js';
+
+const API_TOKEN = 'test-api-token';
+const PASSWORD = 'correct horse battery';
+// Cheap scrypt parameters so the tests stay fast
+const KDF_PARAMS = { N: 2 ** 10, r: 8, p: 1 };
+const MINUTE_MS = 60 * 1000;
+
+describe('Vault lock', () => {
+  let clock;
+  let auditLog;
+  let password;
+
+  const now = () => clock;
+  const createLock = (options = {}) =>
+    createVaultLock({ password, auditLog, kdfParams: KDF_PARAMS, now, ...options });
+  const entries = (query) => auditLog.query(query).entries.reverse();
+  const actions = () => entries().map(entry => entry.action);
+
+  beforeAll(async () => {
+    password = await hashMasterPassword(PASSWORD, KDF_PARAMS);
+  });
+
+  beforeEach(() => {
+    clock = 1_000_000;
+    auditLog = openAuditLog({ persist: false });
+  });
+
+  describe('createVaultLock', () => {
+    it('should never lock without a master password', () => {
+      const vaultLock = createLock({ password: null });
+
+      vaultLock.lock();
+      clock += 10 * DEFAULT_AUTO_LOCK_MINUTES * MINUTE_MS;
+
+      expect(vaultLock.status()).toEqual({
+        enabled: false, locked: false, autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES, retryAfterMs: 0,
+      });
+    });
+
+    it('should start locked when a master password is set', () => {
+      expect(createLock().isLocked()).toBe(true);
+    });
+
+    it('should refuse a malformed stored password', () => {
+      expect(() => createLock({ password: { hash: 'x' } })).toThrow('master password is malformed');
+    });
+
+    it('should unlock with the right password and lock again on request', async () => {
+      const vaultLock = createLock();
+
+      await vaultLock.unlock(PASSWORD);
+      expect(vaultLock.isLocked()).toBe(false);
+
+      vaultLock.lock();
+      expect(vaultLock.isLocked()).toBe(true);
+      expect(actions()).toEqual(['vault.unlock', 'vault.lock']);
+    });
+
+    it('should reject a wrong password', async () => {
+      const vaultLock = createLock();
+
+      await expect(vaultLock.unlock('wrong password')).rejects.toMatchObject({ status: 403 });
+      expect(vaultLock.isLocked()).toBe(true);
+      expect(actions()).toEqual(['vault.unlock-failed']);
+    });
+
+    it('should make further attempts wait after repeated failures, doubling the wait', async () => {
+      const vaultLock = createLock();
+
+      for (let attempt = 0; attempt < 3; attempt += 1) {
+        await expect(vaultLock.unlock('wrong')).rejects.toMatchObject({ status: 403 });
+      }
+      expect(vaultLock.status().retryAfterMs).toBe(5000);
+
+      // Even the right password is not checked while waiting
+      await expect(vaultLock.unlock(PASSWORD)).rejects.toMatchObject({ status: 429, retryAfterMs: 5000 });
+
+      clock += 5000;
+      await expect(vaultLock.unlock('wrong')).rejects.toMatchObject({ status: 403 });
+      expect(vaultLock.status().retryAfterMs).toBe(10_000);
+
+      clock += 10_000;
+      await vaultLock.unlock(PASSWORD);
+      expect(vaultLock.status()).toMatchObject({ locked: false, retryAfterMs: 0 });
+    });
+
+    it('should lock after the idle time and stay unlocked while there is activity', async () => {
+      const vaultLock = createLock({ autoLockMinutes: 5 });
+      await vaultLock.unlock(PASSWORD);
+
+      clock += 4 * MINUTE_MS;
+      vaultLock.touch();
+      clock += 4 * MINUTE_MS;
+      expect(vaultLock.isLocked()).toBe(false);
+
+      clock += MINUTE_MS;
+      vaultLock.checkIdle();
+      expect(vaultLock.isLocked()).toBe(true);
+      expect(entries({ actions: ['vault.lock'] })[0].details).toEqual({ reason: 'idle' });
+    });
+
+    it('should set, change and remove the master password', async () => {
+      let saved;
+      const vaultLock = createLock({ password: null, savePassword: (record) => { saved = record; } });
+
+      await vaultLock.setPassword({ newPassword: 'first password' });
+      expect(saved).toEqual({ kdf: expect.objectContaining({ name: 'scrypt' }), hash: expect.any(String) });
+      expect(JSON.stringify(saved)).not.toContain('first password');
+
+      await expect(vaultLock.setPassword({ currentPassword: 'wrong', newPassword: 'second password' }))
+        .rejects.toMatchObject({ status: 403 });
+      await vaultLock.setPassword({ currentPassword: 'first password', newPassword: 'second password' });
+
+      vaultLock.lock();
+      await vaultLock.unlock('second password');
+      await vaultLock.setPassword({ currentPassword: 'second password', newPassword: null });
+
+      expect(saved).toBeNull();
+      expect(vaultLock.status().enabled).toBe(false);
+      expect(entries({ actions: ['vault.password'] }).map(entry => entry.details.change))
+        .toEqual(['set', 'changed', 'removed']);
+    });
+
+    it('should reject short passwords', async () => {
+      const vaultLock = createLock({ password: null });
+
+      await expect(vaultLock.setPassword({ newPassword: 'short' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should validate the idle time', () => {
+      expect(validateAutoLockMinutes(1)).toBeNull();
+      expect(validateAutoLockMinutes(1440)).toBeNull();
+      expect(validateAutoLockMinutes(0)).toMatch(/from 1 to 1440/);
+      expect(validateAutoLockMinutes(2.5)).toMatch(/from 1 to 1440/);
+    });
+  });
+
+  describe('API', () => {
+    let app;
+    let vaultLock;
+
+    const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+
+    beforeEach(async () => {
+      vaultLock = createLock();
+      app = createApp({ storage: await openBackend('memory'), apiToken: API_TOKEN, auditLog, vaultLock });
+    });
+
+    it('should refuse secrets, values and other routes while locked', async () => {
+      for (const path of ['/api/secrets', '/api/secrets/x/value', '/api/audit', '/api/trash']) {
+        const response = await authorized(request(app).get(path));
+        expect(response.status).toBe(423);
+        expect(response.body.error).toBe('The vault is locked');
+      }
+      const create = await authorized(request(app).post('/api/secrets'))
+        .send({ id: 'x', title: 'X', value: 'v', category: 'password' });
+      expect(create.status).toBe(423);
+    });
+
+    it('should keep the health probe and lock status reachable while locked', async () => {
+      expect((await request(app).get('/api/health')).status).toBe(200);
+
+      const status = await authorized(request(app).get('/api/lock'));
+      expect(status.body).toEqual({
+        enabled: true, locked: true, autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES, retryAfterMs: 0,
+      });
+    });
+
+    it('should still require the API token for the lock routes', async () => {
+      expect((await request(app).post('/api/lock/unlock').send({ password: PASSWORD })).status).toBe(401);
+    });
+
+    it('should unlock with the master password and lock again', async () => {
+      const wrong = await authorized(request(app).post('/api/lock/unlock')).send({ password: 'nope' });
+      expect(wrong.status).toBe(403);
+      expect(wrong.body).toMatchObject({ error: 'Incorrect master password', locked: true });
+
+      const unlocked = await authorized(request(app).post('/api/lock/unlock')).send({ password: PASSWORD });
+      expect(unlocked.status).toBe(200);
+      expect(unlocked.body.locked).toBe(false);
+      expect((await authorized(request(app).get('/api/secrets'))).status).toBe(200);
+
+      const locked = await authorized(request(app).post('/api/lock'));
+      expect(locked.body.locked).toBe(true);
+      expect((await authorized(request(app).get('/api/secrets'))).status).toBe(423);
+    });
+
+    it('should answer 429 with Retry-After while attempts have to wait', async () => {
+      for (let attempt = 0; attempt < 3; attempt += 1) {
+        await authorized(request(app).post('/api/lock/unlock')).send({ password: 'nope' });
+      }
+
+      const response = await authorized(request(app).post('/api/lock/unlock')).send({ password: PASSWORD });
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe('5');
+      expect(response.body.retryAfterMs).toBe(5000);
+    });
+
+    it('should lock after the idle time, ignoring background requests', async () => {
+      await authorized(request(app).post('/api/lock/unlock')).send({ password: PASSWORD });
+
+      clock += (DEFAULT_AUTO_LOCK_MINUTES - 1) * MINUTE_MS;
+      await authorized(request(app).get('/api/secrets')).set(BACKGROUND_HEADER, '1');
+      clock += MINUTE_MS;
+
+      expect((await authorized(request(app).get('/api/secrets'))).status).toBe(423);
+    });
+
+    it('should not let the password be changed while locked', async () => {
+      const response = await authorized(request(app).put('/api/lock/password'))
+        .send({ currentPassword: PASSWORD, newPassword: null });
+
+      expect(response.status).toBe(423);
+      expect(vaultLock.status().enabled).toBe(true);
+    });
+
+    it('should set the master password and idle time when unlocked', async () => {
+      const open = createApp({
+        storage: await openBackend('memory'),
+        apiToken: API_TOKEN,
+        vaultLock: createLock({ password: null }),
+      });
+
+      const set = await authorized(request(open).put('/api/lock/password')).send({ newPassword: 'a long password' });
+      expect(set.body).toMatchObject({ enabled: true, locked: false });
+
+      for (const body of [{ currentPassword: 'a long password' }, { currentPassword: 'a long password', newPassword: 42 }]) {
+        const invalidPassword = await authorized(request(open).put('/api/lock/password')).send(body);
+        expect(invalidPassword.status).toBe(400);
+        expect(invalidPassword.body.enabled).toBe(true);
+      }
+
+      const settings = await authorized(request(open).put('/api/lock/settings')).send({ autoLockMinutes: 5 });
+      expect(settings.body.autoLockMinutes).toBe(5);
+
+      const invalid = await authorized(request(open).put('/api/lock/settings')).send({ autoLockMinutes: 0 });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should refuse to lock without a master password', async () => {
+      const open = createApp({ storage: await openBackend('memory'), apiToken: API_TOKEN });
+
+      expect((await authorized(request(open).post('/api/lock'))).status).toBe(400);
+    });
+  });
+});
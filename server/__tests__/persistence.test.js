@@ -2,7 +2,7 @@ import { jest } from '@jest/globals';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import { getMetadataPath, loadMetadata, saveMetadata } from '../metadataStore.js';
+import { METADATA_SCHEMA_VERSION, getMetadataPath, loadMetadata, saveMetadata } from '../metadataStore.js';
 
 describe('Metadata Persistence', () => {
   let tempDir;
@@ -76,6 +76,22 @@ describe('Metadata Persistence', () => {
       expect(loadedMetadata[1].id).toBe('test-id-2');
     });
 
+    it('should round-trip tags', () => {
+      const testMetadata = [
+        { id: 'tagged', title: 'Tagged', category: 'password', tags: ['prod', 'aws'], createdAt: 1, updatedAt: 1 },
+        { id: 'cleared', title: 'Cleared', category: 'token', tags: [], createdAt: 1, updatedAt: 1 },
+        { id: 'untagged', title: 'Untagged', category: 'note', createdAt: 1, updatedAt: 1 }
+      ];
+
+      saveMetadata(testMetadata, tempDir);
+      const loadedMetadata = loadMetadata(tempDir);
+
+      expect(loadedMetadata).toEqual(testMetadata);
+      expect(loadedMetadata[0].tags).toEqual(['prod', 'aws']);
+      expect(loadedMetadata[1].tags).toEqual([]);
+      expect(loadedMetadata[2]).not.toHaveProperty('tags');
+    });
+
     it('should return empty array when file does not exist', () => {
       const loadedMetadata = loadMetadata(tempDir);
       expect(loadedMetadata).toEqual([]);
@@ -162,4 +178,123 @@ describe('Metadata Persistence', () => {
       }
     });
   });
+  describe('schema versions', () => {
+    const writeRaw = (contents) =>
+      fs.writeFileSync(getMetadataPath(tempDir), typeof contents === 'string' ? contents : JSON.stringify(contents), 'utf8');
+    const readRaw = () => fs.readFileSync(getMetadataPath(tempDir), 'utf8');
+    const filesStartingWith = (prefix) => fs.readdirSync(tempDir).filter(name => name.startsWith(prefix));
+
+    let errorSpy;
+    let logSpy;
+
+    beforeEach(() => {
+      errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      errorSpy.mockRestore();
+      logSpy.mockRestore();
+    });
+
+    it('should save metadata in a versioned envelope', () => {
+      saveMetadata([{ id: 'a', title: 'A', category: 'password', createdAt: 1, updatedAt: 1 }], tempDir);
+
+      expect(JSON.parse(readRaw())).toEqual({
+        schemaVersion: METADATA_SCHEMA_VERSION,
+        secrets: [{ id: 'a', title: 'A', category: 'password', createdAt: 1, updatedAt: 1 }],
+      });
+    });
+
+    it('should upgrade a bare array from 1.0.0 and keep a backup of the original', () => {
+      // As written by the first release: no envelope, no tags, history or trash
+      const original = JSON.stringify([
+        { id: 'db', title: 'Prod DB', category: 'password', notes: 'primary', createdAt: 1, updatedAt: 2 },
+        { id: 'gh', title: 'GitHub', category: 'token', createdAt: 3, updatedAt: 3 },
+      ], null, 2);
+      writeRaw(original);
+
+      const loaded = loadMetadata(tempDir);
+
+      expect(loaded).toEqual(JSON.parse(original));
+      expect(JSON.parse(readRaw())).toEqual({ schemaVersion: METADATA_SCHEMA_VERSION, secrets: JSON.parse(original) });
+      const backups = filesStartingWith('metadata.json.v0-backup-');
+      expect(backups).toHaveLength(1);
+      expect(fs.readFileSync(path.join(tempDir, backups[0]), 'utf8')).toBe(original);
+    });
+
+    it('should upgrade a bare array with every field added since, unchanged', () => {
+      const secrets = [
+        {
+          id: 'api',
+          title: 'API key',
+          category: 'api-key',
+          tags: ['prod'],
+          historyLimit: 5,
+          expiresAt: 10,
+          rotateEveryDays: 30,
+          rotatedAt: 4,
+          versions: [{ version: 1, title: 'API key', category: 'api-key', tags: [], updatedAt: 1, savedAt: 4, changed: ['value'] }],
+          createdAt: 1,
+          updatedAt: 4,
+        },
+        { id: 'otp', title: 'GitHub 2FA', category: 'other', type: 'totp', totp: { digits: 6, period: 30, algorithm: 'SHA1' }, createdAt: 1, updatedAt: 1 },
+        { id: 'old', title: 'Old', category: 'custom-category', deletedAt: 5, createdAt: 1, updatedAt: 1 },
+      ];
+      writeRaw(secrets);
+
+      expect(loadMetadata(tempDir)).toEqual(secrets);
+      expect(JSON.parse(readRaw()).secrets).toEqual(secrets);
+    });
+
+    it('should upgrade an empty bare array', () => {
+      writeRaw([]);
+
+      expect(loadMetadata(tempDir)).toEqual([]);
+      expect(JSON.parse(readRaw())).toEqual({ schemaVersion: METADATA_SCHEMA_VERSION, secrets: [] });
+    });
+
+    it('should load the current schema version without a backup', () => {
+      writeRaw({ schemaVersion: METADATA_SCHEMA_VERSION, secrets: [{ id: 'a', title: 'A' }] });
+
+      expect(loadMetadata(tempDir)).toEqual([{ id: 'a', title: 'A' }]);
+      expect(filesStartingWith('metadata.json.v')).toEqual([]);
+    });
+
+    it.each([
+      ['invalid JSON', '{ "schemaVersion": 1, "secrets": ['],
+      ['an object without the envelope', { a: { id: 'a' } }],
+      ['entries without an ID', [{ title: 'No ID' }]],
+      ['a schema version from a newer release', { schemaVersion: METADATA_SCHEMA_VERSION + 1, secrets: [{ id: 'a', renamed: true }] }],
+    ])('should quarantine %s and refuse to save over it', (_shape, contents) => {
+      writeRaw(contents);
+      const original = readRaw();
+
+      expect(loadMetadata(tempDir)).toEqual([]);
+
+      const copies = filesStartingWith('metadata.json.unreadable-');
+      expect(copies).toHaveLength(1);
+      expect(fs.readFileSync(path.join(tempDir, copies[0]), 'utf8')).toBe(original);
+      expect(() => saveMetadata([], tempDir)).toThrow('Failed to persist metadata');
+      expect(readRaw()).toBe(original);
+    });
+
+    it('should keep a single copy of an unreadable file across loads', () => {
+      writeRaw('not json');
+
+      loadMetadata(tempDir);
+      loadMetadata(tempDir);
+
+      expect(filesStartingWith('metadata.json.unreadable-')).toHaveLength(1);
+    });
+
+    it('should allow saving again once the file has been repaired', () => {
+      writeRaw('not json');
+      loadMetadata(tempDir);
+      writeRaw([{ id: 'a' }]);
+
+      expect(loadMetadata(tempDir)).toEqual([{ id: 'a' }]);
+      expect(() => saveMetadata([{ id: 'a' }, { id: 'b' }], tempDir)).not.toThrow();
+    });
+  });
 });
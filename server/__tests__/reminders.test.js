@@ -0,0 +1,94 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { listDueSecrets, listOverdueSecrets } from '../reminders.js';
+
+const API_TOKEN = 'test-api-token';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Expiration and rotation reminders', () => {
+  let secretsMetadata;
+  let app;
+
+  const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+  const createSecret = (fields) =>
+    authorized(request(app).post('/api/secrets')).send({
+      title: 'Secret',
+      value: 'value',
+      category: 'api-key',
+      notes: '',
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      ...fields,
+    });
+
+  beforeEach(async () => {
+    secretsMetadata = [];
+    app = createApp({ storage: await openBackend('memory'), secretsMetadata, apiToken: API_TOKEN });
+  });
+
+  test('stores expiresAt and rotateEveryDays only when set', async () => {
+    const expiresAt = Date.now() + 30 * DAY_MS;
+    const res = await createSecret({ id: 'a', expiresAt, rotateEveryDays: 90 }).expect(201);
+    expect(res.body).toMatchObject({ expiresAt, rotateEveryDays: 90 });
+
+    const plain = await createSecret({ id: 'b' }).expect(201);
+    expect(plain.body).not.toHaveProperty('expiresAt');
+    expect(plain.body).not.toHaveProperty('rotateEveryDays');
+  });
+
+  test('rejects invalid values', async () => {
+    await createSecret({ id: 'a', expiresAt: 'tomorrow' }).expect(400);
+    await createSecret({ id: 'a', expiresAt: -5 }).expect(400);
+    await createSecret({ id: 'a', rotateEveryDays: 0 }).expect(400);
+    await createSecret({ id: 'a', rotateEveryDays: 4000 }).expect(400);
+    await createSecret({ id: 'a' }).expect(201);
+    await authorized(request(app).put('/api/secrets/a')).send({ rotateEveryDays: 2.5 }).expect(400);
+    expect(secretsMetadata).toHaveLength(1);
+  });
+
+  test('updates keep omitted fields and clear fields set to null', async () => {
+    await createSecret({ id: 'a', expiresAt: Date.now() + DAY_MS, rotateEveryDays: 30 }).expect(201);
+
+    let res = await authorized(request(app).put('/api/secrets/a')).send({ title: 'Renamed' }).expect(200);
+    expect(res.body).toMatchObject({ rotateEveryDays: 30 });
+
+    res = await authorized(request(app).put('/api/secrets/a')).send({ expiresAt: null, rotateEveryDays: 60 }).expect(200);
+    expect(res.body).not.toHaveProperty('expiresAt');
+    expect(res.body.rotateEveryDays).toBe(60);
+  });
+
+  test('lists secrets due soon, soonest first, including overdue ones', async () => {
+    const now = Date.now();
+    await createSecret({ id: 'expired', title: 'Old token', expiresAt: now - 2 * DAY_MS }).expect(201);
+    await createSecret({ id: 'soon', title: 'CI key', expiresAt: now + 5 * DAY_MS + 1000 }).expect(201);
+    await createSecret({ id: 'later', title: 'Cert', expiresAt: now + 60 * DAY_MS }).expect(201);
+    await createSecret({ id: 'rotate', title: 'DB password', createdAt: now - 100 * DAY_MS, rotateEveryDays: 90 }).expect(201);
+    await createSecret({ id: 'trashed', title: 'Gone', expiresAt: now - DAY_MS }).expect(201);
+    await authorized(request(app).delete('/api/secrets/trashed')).expect(204);
+
+    const res = await authorized(request(app).get('/api/secrets/due')).expect(200);
+    expect(res.body.map(s => [s.id, s.reason, s.overdue])).toEqual([
+      ['rotate', 'rotate', true],
+      ['expired', 'expires', true],
+      ['soon', 'expires', false],
+    ]);
+    expect(res.body[0].daysLeft).toBe(-10);
+    expect(res.body[2].daysLeft).toBe(6);
+
+    const wide = await authorized(request(app).get('/api/secrets/due?withinDays=90')).expect(200);
+    expect(wide.body.map(s => s.id)).toContain('later');
+    await authorized(request(app).get('/api/secrets/due?withinDays=-1')).expect(400);
+    await authorized(request(app).get('/api/secrets/due?withinDays=soon')).expect(400);
+  });
+
+  test('a new value restarts the rotation period', async () => {
+    const now = Date.now();
+    await createSecret({ id: 'a', createdAt: now - 40 * DAY_MS, rotateEveryDays: 30 }).expect(201);
+    expect(listOverdueSecrets({ secretsMetadata }).map(s => s.id)).toEqual(['a']);
+
+    await authorized(request(app).put('/api/secrets/a')).send({ value: 'rotated' }).expect(200);
+    expect(listOverdueSecrets({ secretsMetadata })).toEqual([]);
+    expect(listDueSecrets({ secretsMetadata }, { withinDays: 30 })).toHaveLength(1);
+  });
+});
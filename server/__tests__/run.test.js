@@ -0,0 +1,187 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openBackend } from '../backends/index.js';
+import { openAuditLog } from '../auditLog.js';
+import { defaultCategories } from '../categoryStore.js';
+import { createSecret } from '../secrets.js';
+import { EXIT_AMBIGUOUS, EXIT_NOT_FOUND, EXIT_USAGE } from '../cli/common.js';
+import {
+  EXIT_COMMAND_NOT_FOUND, parseEnvAssignment, parseEnvMapping, runWithSecrets, spawnWithEnv,
+} from '../cli/run.js';
+
+const SERVICE_NAME = 'SecureVault';
+
+// A node child process running a short script
+const node = (script) => [process.execPath, '-e', script];
+const splitCommand = ([command, ...args]) => [command, args];
+
+describe('securevault run', () => {
+  let context;
+  let errorSpy;
+
+  const addSecret = (id, title, value, fields = {}) =>
+    createSecret(context, { id, title, value, category: 'password', createdAt: 1000, updatedAt: 1000, ...fields });
+  const run = (options, commandLine) => runWithSecrets(options, commandLine, { context, stdio: 'ignore' });
+
+  beforeEach(async () => {
+    context = {
+      storage: await openBackend('memory'),
+      serviceName: SERVICE_NAME,
+      secretsMetadata: [],
+      persistMetadata: null,
+      categories: defaultCategories(),
+      auditLog: openAuditLog({ persist: false }),
+    };
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+  });
+
+  test('parses --env assignments and mapping files', () => {
+    expect(parseEnvAssignment('DB_PASS=Prod DB')).toEqual({ name: 'DB_PASS', ref: 'Prod DB' });
+    expect(() => parseEnvAssignment('DB_PASS')).toThrow('Invalid --env');
+    expect(() => parseEnvAssignment('1DB=x')).toThrow('Invalid --env');
+
+    const mapping = [
+      '# Secrets for local development',
+      '---',
+      'DB_PASS: Prod DB',
+      'STRIPE_KEY: "Stripe: live key"  # quoted because of the colon',
+      "TOKEN: 'ci-token'",
+      '',
+    ].join('\n');
+    expect(parseEnvMapping(mapping)).toEqual([
+      { name: 'DB_PASS', ref: 'Prod DB' },
+      { name: 'STRIPE_KEY', ref: 'Stripe: live key' },
+      { name: 'TOKEN', ref: 'ci-token' },
+    ]);
+    expect(() => parseEnvMapping('DB_PASS: x\nnested:\n  - a')).toThrow('line 2');
+  });
+
+  test('passes secrets to the command through its environment only', async () => {
+    await addSecret('db', 'Prod DB', 'hunter2');
+    await addSecret('stripe', 'Stripe', 'sk_live_123');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'securevault-run-'));
+    const mappingFile = path.join(dir, 'mapping.yml');
+    fs.writeFileSync(mappingFile, 'DB_PASS: prod db\nSTRIPE_KEY: Stripe\n');
+
+    try {
+      const check = "process.exit(process.env.DB_PASS === 'hunter2' && process.env.STRIPE_KEY === 'override' ? 0 : 9)";
+      await addSecret('override', 'Override', 'override');
+      // --env wins over the mapping file
+      expect(await run({ 'env-file': mappingFile, env: ['STRIPE_KEY=Override'] }, node(check))).toBe(0);
+      expect(fs.readdirSync(dir)).toEqual(['mapping.yml']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const reads = context.auditLog.query({ actions: ['secret.read'] }).entries;
+    expect(reads.map(entry => [entry.secretId, entry.details])).toEqual([
+      ['override', { purpose: 'run' }],
+      ['db', { purpose: 'run' }],
+    ]);
+  });
+
+  test('passes the exit code through', async () => {
+    await addSecret('db', 'Prod DB', 'hunter2');
+    expect(await run({ env: ['DB_PASS=Prod DB'] }, node('process.exit(42)'))).toBe(42);
+    expect(await run({ env: ['DB_PASS=Prod DB'] }, ['securevault-no-such-command'])).toBe(EXIT_COMMAND_NOT_FOUND);
+  });
+
+  test('fails before starting the command when a secret cannot be resolved', async () => {
+    await addSecret('a', 'Shared', 'one');
+    await addSecret('b', 'shared', 'two');
+    const marker = path.join(os.tmpdir(), `securevault-run-${process.pid}`);
+    const touch = node(`require('fs').writeFileSync(${JSON.stringify(marker)}, '')`);
+
+    expect(await run({ env: ['A=missing', 'B=other'] }, touch)).toBe(EXIT_NOT_FOUND);
+    expect(errorSpy.mock.calls[0][0]).toContain('A: no secret matches "missing"');
+    expect(errorSpy.mock.calls[0][0]).toContain('B: no secret matches "other"');
+    expect(await run({ env: ['A=shared'] }, touch)).toBe(EXIT_AMBIGUOUS);
+    expect(await run({}, touch)).toBe(EXIT_USAGE);
+    expect(await run({ 'env-file': '/nonexistent/mapping.yml' }, touch)).toBe(EXIT_USAGE);
+    expect(fs.existsSync(marker)).toBe(false);
+    expect(context.auditLog.query({ actions: ['secret.read'] }).entries).toEqual([]);
+  });
+
+  test('forwards signals to the command and reports how it ended', async () => {
+    const signals = new EventEmitter();
+    const ready = path.join(os.tmpdir(), `securevault-run-ready-${process.pid}`);
+    fs.rmSync(ready, { force: true });
+
+    // A command that handles SIGTERM itself exits with its own code...
+    const [command, args] = splitCommand(node(
+      `process.on('SIGTERM', () => process.exit(7)); require('fs').writeFileSync(${JSON.stringify(ready)}, ''); setInterval(() => {}, 1000)`,
+    ));
+    const handled = spawnWithEnv(command, args, {}, { signals, stdio: 'ignore' });
+    while (!fs.existsSync(ready)) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    fs.rmSync(ready);
+    signals.emit('SIGTERM', 'SIGTERM');
+    expect(await handled).toBe(7);
+    expect(signals.listenerCount('SIGTERM')).toBe(0);
+
+    // ...and one ended by the signal reports 128 + its number, like shells do
+    const killed = spawnWithEnv(...splitCommand(node('setInterval(() => {}, 1000)')), {}, { signals, stdio: 'ignore' });
+    signals.emit('SIGTERM', 'SIGTERM');
+    expect(await killed).toBe(128 + os.constants.signals.SIGTERM);
+  });
+
+  test('delivers each signal to the command once, also when it shares the terminal', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'securevault-run-'));
+    const ready = path.join(dir, 'ready');
+    const counts = path.join(dir, 'counts');
+    // Counts the signals it gets, and reports them shortly after SIGHUP
+    const [command, args] = splitCommand(node(`
+      const fs = require('fs');
+      const counts = { SIGINT: 0, SIGTERM: 0, SIGHUP: 0 };
+      for (const signal of Object.keys(counts)) {
+        process.on(signal, () => {
+          counts[signal] += 1;
+          if (signal === 'SIGHUP') {
+            setTimeout(() => { fs.writeFileSync(${JSON.stringify(counts)}, JSON.stringify(counts)); process.exit(0); }, 200);
+          }
+        });
+      }
+      fs.writeFileSync(${JSON.stringify(ready)}, String(process.pid));
+      setInterval(() => {}, 1000);
+    `));
+    const waitUntilReady = async () => {
+      while (!fs.existsSync(ready) || fs.readFileSync(ready, 'utf8') === '') {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      const pid = Number(fs.readFileSync(ready, 'utf8'));
+      fs.rmSync(ready);
+      return pid;
+    };
+
+    try {
+      for (const terminal of [false, true]) {
+        const signals = new EventEmitter();
+        const exited = spawnWithEnv(command, args, {}, { signals, stdio: 'ignore', terminal });
+        const pid = await waitUntilReady();
+
+        if (terminal) {
+          // Ctrl-C: the terminal signals the command as well as SecureVault
+          process.kill(pid, 'SIGINT');
+        }
+        for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+          signals.emit(signal, signal);
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+
+        expect(await exited).toBe(0);
+        expect(JSON.parse(fs.readFileSync(counts, 'utf8'))).toEqual({ SIGINT: 1, SIGTERM: 1, SIGHUP: 1 });
+        expect(signals.listenerCount('SIGINT')).toBe(0);
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,174 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+
+const API_TOKEN = 'test-api-token';
+
+describe('SecureVault server (createApp)', () => {
+  let app;
+
+  beforeEach(async () => {
+    // Unlike api.test.js, these tests exercise the real route handlers from app.js
+    app = createApp({ storage: await openBackend('memory'), apiToken: API_TOKEN });
+  });
+
+  const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+
+  describe('API token', () => {
+    it('should require an API token to create the app', async () => {
+      const storage = await openBackend('memory');
+      expect(() => createApp({ storage })).toThrow('An API token is required');
+    });
+
+    it('should allow the health probe without a token', async () => {
+      const response = await request(app).get('/api/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ status: 'ok', service: 'SecureVault Backend', backend: 'memory' });
+    });
+
+    it('should return 401 when the token is missing', async () => {
+      const response = await request(app).get('/api/secrets');
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      expect(response.body.error).toBe('Missing or invalid API token');
+    });
+
+    it('should return 401 when the token is wrong', async () => {
+      const response = await request(app)
+        .get('/api/secrets')
+        .set('Authorization', 'Bearer not-the-token');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 401 for a token with the wrong scheme', async () => {
+      const response = await request(app)
+        .get('/api/secrets')
+        .set('Authorization', `Basic ${API_TOKEN}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject unauthenticated writes without touching storage', async () => {
+      const create = await request(app)
+        .post('/api/secrets')
+        .send({ id: 'x', title: 'X', value: 'v', category: 'password' });
+      const update = await request(app).put('/api/secrets/x').send({ title: 'Y' });
+      const remove = await request(app).delete('/api/secrets/x');
+
+      expect(create.status).toBe(401);
+      expect(update.status).toBe(401);
+      expect(remove.status).toBe(401);
+
+      const list = await authorized(request(app).get('/api/secrets'));
+      expect(list.body).toEqual([]);
+    });
+
+    it('should let CORS preflight requests through without a token', async () => {
+      const preflight = (origin) => request(served)
+        .options('/api/secrets')
+        .set('Origin', origin)
+        .set('Access-Control-Request-Method', 'GET')
+        .set('Access-Control-Request-Headers', 'authorization');
+      const allowedOrigins = [];
+      const served = createApp({ storage: await openBackend('memory'), apiToken: API_TOKEN, allowedOrigins });
+      // Filled in once the server listens
+      allowedOrigins.push('http://127.0.0.1:4321', 'http://localhost:4321');
+
+      const response = await preflight('http://localhost:4321');
+      expect(response.status).toBe(204);
+      expect(response.headers['access-control-allow-origin']).toBe('http://localhost:4321');
+
+      // Other local ports get no CORS headers
+      const other = await preflight('http://localhost:5000');
+      expect(other.headers['access-control-allow-origin']).toBeUndefined();
+    });
+  });
+
+  describe('with a valid token', () => {
+    it('should create, list, update and delete a secret', async () => {
+      const secret = {
+        id: 'secret-1',
+        title: 'Database',
+        value: 's3cret',
+        category: 'password',
+        createdAt: 1,
+        updatedAt: 1,
+      };
+
+      const created = await authorized(request(app).post('/api/secrets')).send(secret);
+      expect(created.status).toBe(201);
+
+      const { value, ...metadata } = secret;
+      expect(created.body).toEqual(metadata);
+
+      const list = await authorized(request(app).get('/api/secrets'));
+      expect(list.status).toBe(200);
+      expect(list.body).toEqual([metadata]);
+
+      const revealed = await authorized(request(app).get('/api/secrets/secret-1/value'));
+      expect(revealed.status).toBe(200);
+      expect(revealed.body).toEqual({ value });
+
+      const updated = await authorized(request(app).put('/api/secrets/secret-1')).send({ title: 'Prod DB' });
+      expect(updated.status).toBe(200);
+      expect(updated.body.title).toBe('Prod DB');
+
+      const removed = await authorized(request(app).delete('/api/secrets/secret-1'));
+      expect(removed.status).toBe(204);
+    });
+  });
+
+  describe('secret values', () => {
+    const secret = {
+      id: 'value-test',
+      title: 'API key',
+      value: 'sk-live-123',
+      category: 'api-key',
+      createdAt: 1,
+      updatedAt: 1,
+    };
+
+    beforeEach(async () => {
+      await authorized(request(app).post('/api/secrets')).send(secret);
+    });
+
+    it('should never include values in the listing', async () => {
+      const response = await authorized(request(app).get('/api/secrets'));
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0]).not.toHaveProperty('value');
+    });
+
+    it('should not echo values in update responses', async () => {
+      const response = await authorized(request(app).put(`/api/secrets/${secret.id}`)).send({ value: 'sk-live-456' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).not.toHaveProperty('value');
+
+      const revealed = await authorized(request(app).get(`/api/secrets/${secret.id}/value`));
+      expect(revealed.body.value).toBe('sk-live-456');
+    });
+
+    it('should mark value responses as non-cacheable', async () => {
+      const response = await authorized(request(app).get(`/api/secrets/${secret.id}/value`));
+
+      expect(response.headers['cache-control']).toBe('no-store');
+    });
+
+    it('should return 404 for the value of an unknown secret', async () => {
+      const response = await authorized(request(app).get('/api/secrets/missing/value'));
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Secret not found');
+    });
+
+    it('should return 401 for value reads without a token', async () => {
+      const response = await request(app).get(`/api/secrets/${secret.id}/value`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { defaultCategories } from '../categoryStore.js';
+import { DEFAULT_SETTINGS, defaultCategoryOf, loadSettings } from '../settings.js';
+
+const API_TOKEN = 'test-api-token';
+
+describe('Settings', () => {
+  describe('loadSettings', () => {
+    it('should use the defaults when nothing is stored', () => {
+      expect(loadSettings(null)).toEqual(DEFAULT_SETTINGS);
+      expect(loadSettings(['not', 'an', 'object'])).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('should keep valid stored values and drop invalid or unknown ones', () => {
+      const settings = loadSettings({
+        revealTimeoutSeconds: 0,
+        clipboardClearSeconds: -5,
+        defaultCategory: 'token',
+        confirmDelete: 'yes',
+        theme: 'dark',
+      });
+
+      expect(settings).toEqual({ ...DEFAULT_SETTINGS, revealTimeoutSeconds: 0, defaultCategory: 'token' });
+    });
+  });
+
+  describe('defaultCategoryOf', () => {
+    it('should fall back to password, then the first category, when the default is gone', () => {
+      const categories = defaultCategories();
+
+      expect(defaultCategoryOf({ defaultCategory: 'token' }, categories)).toBe('token');
+      expect(defaultCategoryOf({ defaultCategory: 'deleted' }, categories)).toBe('password');
+      expect(defaultCategoryOf(undefined, categories.filter(c => c.id !== 'password'))).toBe('api-key');
+    });
+  });
+
+  describe('API', () => {
+    let app;
+    let saved;
+    let categories;
+
+    const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+
+    beforeEach(async () => {
+      saved = null;
+      categories = defaultCategories();
+      app = createApp({
+        storage: await openBackend('memory'),
+        apiToken: API_TOKEN,
+        categories,
+        settings: { ...DEFAULT_SETTINGS },
+        saveSettings: (settings) => { saved = settings; },
+      });
+    });
+
+    it('should return the current settings', async () => {
+      const response = await authorized(request(app).get('/api/settings'));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('should change only the given settings and persist them', async () => {
+      const response = await authorized(request(app).put('/api/settings'))
+        .send({ clipboardClearSeconds: 10, confirmDelete: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ...DEFAULT_SETTINGS, clipboardClearSeconds: 10, confirmDelete: false });
+      expect(saved).toEqual(response.body);
+      expect((await authorized(request(app).get('/api/settings'))).body).toEqual(response.body);
+    });
+
+    it.each([
+      [{ revealTimeoutSeconds: 3601 }, 'revealTimeoutSeconds must be a whole number from 0 to 3600'],
+      [{ clipboardClearSeconds: 1.5 }, 'clipboardClearSeconds must be a whole number from 0 to 3600'],
+      [{ defaultCategory: 'nope' }, 'Unknown category: nope'],
+      [{ confirmDelete: 'no' }, 'confirmDelete must be true or false'],
+      [{ theme: 'dark' }, 'Unknown setting: theme'],
+    ])('should reject %j', async (changes, message) => {
+      const response = await authorized(request(app).put('/api/settings')).send(changes);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(message);
+      expect(saved).toBeNull();
+    });
+
+    it('should not apply any change when one of them is invalid', async () => {
+      await authorized(request(app).put('/api/settings')).send({ confirmDelete: false, defaultCategory: 'nope' });
+
+      expect((await authorized(request(app).get('/api/settings'))).body.confirmDelete).toBe(true);
+    });
+
+    it('should report the fallback when the default category has been deleted', async () => {
+      await authorized(request(app).put('/api/settings')).send({ defaultCategory: 'token' });
+      categories.splice(categories.findIndex(c => c.id === 'token'), 1);
+
+      expect((await authorized(request(app).get('/api/settings'))).body.defaultCategory).toBe('password');
+    });
+  });
+});
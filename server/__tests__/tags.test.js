@@ -0,0 +1,86 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { MAX_TAGS } from '../tags.js';
+
+const API_TOKEN = 'test-api-token';
+
+describe('Secret tags', () => {
+  let secretsMetadata;
+  let app;
+
+  const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+  const create = (fields) =>
+    authorized(request(app).post('/api/secrets')).send({
+      id: 'secret-1',
+      title: 'Database',
+      value: 'hunter2',
+      category: 'password',
+      createdAt: 1000,
+      updatedAt: 1000,
+      ...fields,
+    });
+  const update = (changes) =>
+    authorized(request(app).put('/api/secrets/secret-1')).send({ updatedAt: 2000, ...changes });
+
+  beforeEach(async () => {
+    secretsMetadata = [];
+    app = createApp({
+      storage: await openBackend('memory'),
+      secretsMetadata,
+      apiToken: API_TOKEN,
+    });
+  });
+
+  test('stores tags trimmed, lowercased and without duplicates', async () => {
+    const res = await create({ tags: [' Prod ', 'aws', 'prod', 'AWS'] }).expect(201);
+    expect(res.body.tags).toEqual(['prod', 'aws']);
+    expect(secretsMetadata[0].tags).toEqual(['prod', 'aws']);
+  });
+
+  test('leaves tags out when none are given', async () => {
+    const res = await create({}).expect(201);
+    expect(res.body).not.toHaveProperty('tags');
+  });
+
+  test.each([
+    ['a string', 'prod'],
+    ['non-string entries', ['prod', 1]],
+    ['empty tags', ['prod', '  ']],
+    ['tags with spaces', ['prod db']],
+    ['tags with commas', ['prod,db']],
+    ['overlong tags', ['x'.repeat(41)]],
+    ['too many tags', Array.from({ length: MAX_TAGS + 1 }, (_, i) => `tag${i}`)],
+  ])('rejects %s', async (_label, tags) => {
+    await create({ tags }).expect(400);
+    await create({}).expect(201);
+    await update({ tags }).expect(400);
+  });
+
+  test('replaces tags on update and keeps them when omitted', async () => {
+    await create({ tags: ['prod'] }).expect(201);
+
+    const renamed = await update({ title: 'Primary DB' }).expect(200);
+    expect(renamed.body.tags).toEqual(['prod']);
+
+    const retagged = await update({ tags: ['staging', 'Shared'] }).expect(200);
+    expect(retagged.body.tags).toEqual(['staging', 'shared']);
+
+    const cleared = await update({ tags: [] }).expect(200);
+    expect(cleared.body.tags).toEqual([]);
+  });
+
+  test('records tag changes in the history and restores them', async () => {
+    await create({ tags: ['prod'] }).expect(201);
+    await update({ tags: ['PROD'] }).expect(200);
+    await update({ tags: ['staging'] }).expect(200);
+
+    // Changing only the case of a tag is not a change
+    const versions = (await authorized(request(app).get('/api/secrets/secret-1/versions'))).body;
+    expect(versions).toHaveLength(1);
+    expect(versions[0]).toMatchObject({ tags: ['prod'], changed: ['tags'] });
+
+    const restored = await authorized(request(app).post('/api/secrets/secret-1/versions/1/restore')).expect(200);
+    expect(restored.body.tags).toEqual(['prod']);
+  });
+});
@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { openAuditLog } from '../auditLog.js';
+import { defaultCategories } from '../categoryStore.js';
+import { createSecret } from '../secrets.js';
+import { MASK, previewTemplate, renderTemplate } from '../templates.js';
+import { runInject } from '../cli/inject.js';
+import { EXIT_NOT_FOUND, EXIT_OK, EXIT_USAGE } from '../cli/common.js';
+
+const API_TOKEN = 'test-api-token';
+const SERVICE_NAME = 'SecureVault';
+
+describe('Templates with vault references', () => {
+  let context;
+
+  const addSecret = (id, title, value) =>
+    createSecret(context, { id, title, value, category: 'password', createdAt: 1000, updatedAt: 1000 });
+
+  beforeEach(async () => {
+    context = {
+      storage: await openBackend('memory'),
+      serviceName: SERVICE_NAME,
+      secretsMetadata: [],
+      persistMetadata: null,
+      categories: defaultCategories(),
+      auditLog: openAuditLog({ persist: false }),
+    };
+    await addSecret('db', 'Prod DB', 'p@ss$1');
+    await addSecret('api', 'API "live" key', 'sk_live_123');
+  });
+
+  test('replaces every reference style with the secret value', async () => {
+    const template = [
+      'jdbc:postgresql://db/app?password={{ vault "prod db" }}',
+      "again: {{vault 'Prod DB'}}",
+      'by id: ${vault:api}',
+      'escaped: {{ vault "API \\"live\\" key" }}',
+      'untouched: {{ other "x" }} ${HOME}',
+    ].join('\n');
+
+    const { rendered, references } = await renderTemplate(context, template);
+    expect(rendered).toBe([
+      'jdbc:postgresql://db/app?password=p@ss$1',
+      'again: p@ss$1',
+      'by id: sk_live_123',
+      'escaped: sk_live_123',
+      'untouched: {{ other "x" }} ${HOME}',
+    ].join('\n'));
+    expect(references.map(r => r.id)).toEqual(['db', 'db', 'api', 'api']);
+    expect(context.auditLog.query({ actions: ['secret.read'] }).entries[0].details).toEqual({ purpose: 'inject' });
+  });
+
+  test('fails on any unresolved reference without reading values', async () => {
+    await addSecret('dup-1', 'Shared', 'a');
+    await addSecret('dup-2', 'shared', 'b');
+
+    await expect(renderTemplate(context, '{{ vault "Prod DB" }} ${vault:missing} {{ vault "Shared" }}'))
+      .rejects.toThrow(/"missing": No secret matches.*\n"Shared": Several secrets/s);
+    expect(context.auditLog.query({ actions: ['secret.read'] }).entries).toEqual([]);
+  });
+
+  test('previews with values masked and unresolved references left in place', () => {
+    const { rendered, references } = previewTemplate(context, 'a={{ vault "Prod DB" }} b=${vault:missing}');
+    expect(rendered).toBe(`a=${MASK} b=\${vault:missing}`);
+    expect(references).toEqual([
+      { ref: 'Prod DB', id: 'db', title: 'Prod DB' },
+      { ref: 'missing', error: 'No secret matches this reference' },
+    ]);
+  });
+
+  test('POST /api/templates/preview never returns values', async () => {
+    const app = createApp({ ...context, apiToken: API_TOKEN });
+    const preview = (body) => request(app).post('/api/templates/preview').set('Authorization', `Bearer ${API_TOKEN}`).send(body);
+
+    const res = await preview({ template: 'password: ${vault:db}' }).expect(200);
+    expect(res.body.rendered).toBe(`password: ${MASK}`);
+    expect(JSON.stringify(res.body)).not.toContain('p@ss');
+    await preview({ template: 42 }).expect(400);
+    await request(app).post('/api/templates/preview').send({ template: 'x' }).expect(401);
+  });
+
+  describe('securevault inject', () => {
+    let dir;
+    let errorSpy;
+
+    const write = (name, text) => {
+      fs.writeFileSync(path.join(dir, name), text);
+      return path.join(dir, name);
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'securevault-inject-'));
+      errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      errorSpy.mockRestore();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('writes the rendered file readable by the user only', async () => {
+      const input = write('app.tpl', 'password: {{ vault "Prod DB" }}\n');
+      const output = path.join(dir, 'app.conf');
+      fs.writeFileSync(output, 'old', { mode: 0o644 });
+
+      expect(await runInject({ input, output }, { context })).toBe(EXIT_OK);
+      expect(fs.readFileSync(output, 'utf8')).toBe('password: p@ss$1\n');
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(output).mode & 0o777).toBe(0o600);
+      }
+    });
+
+    test('prints to stdout without -o', async () => {
+      let printed = '';
+      const stdout = { write: (text) => { printed += text; } };
+      expect(await runInject({ input: write('app.tpl', '${vault:api}') }, { context, stdout })).toBe(EXIT_OK);
+      expect(printed).toBe('sk_live_123');
+    });
+
+    test('--check verifies references without writing or reading values', async () => {
+      expect(await runInject({ input: write('good.tpl', '{{ vault "Prod DB" }}'), check: true }, { context })).toBe(EXIT_OK);
+      expect(await runInject({ input: write('bad.tpl', '${vault:missing}'), check: true }, { context })).toBe(EXIT_NOT_FOUND);
+      expect(errorSpy.mock.calls.flat().join('\n')).toContain('"missing"');
+      expect(context.auditLog.query({ actions: ['secret.read'] }).entries).toEqual([]);
+    });
+
+    test('fails loudly and writes nothing when a reference is missing', async () => {
+      const output = path.join(dir, 'app.conf');
+      expect(await runInject({ input: write('app.tpl', '${vault:missing}'), output }, { context })).toBe(EXIT_NOT_FOUND);
+      expect(fs.existsSync(output)).toBe(false);
+      expect(await runInject({ input: path.join(dir, 'nope.tpl'), output }, { context })).toBe(EXIT_USAGE);
+      expect(await runInject({}, { context })).toBe(EXIT_USAGE);
+    });
+  });
+});
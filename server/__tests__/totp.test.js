@@ -0,0 +1,161 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { openAuditLog } from '../auditLog.js';
+import { base32Decode, normalizeBase32, prepareTotp, totpCode } from '../totp.js';
+
+const API_TOKEN = 'test-api-token';
+const SERVICE_NAME = 'SecureVault';
+// "12345678901234567890" in base32
+const RFC_SEED = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  describe('RFC 6238 test vectors', () => {
+    // Appendix B: 8-digit codes with a 30 second period; each algorithm uses
+    // the ASCII seed "1234567890" repeated to its hash length
+    const keys = {
+      SHA1: Buffer.from('12345678901234567890', 'ascii'),
+      SHA256: Buffer.from('12345678901234567890123456789012', 'ascii'),
+      SHA512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234', 'ascii'),
+    };
+    const vectors = [
+      [59, '94287082', '46119246', '90693936'],
+      [1111111109, '07081804', '68084774', '25091201'],
+      [1111111111, '14050471', '67062674', '99943326'],
+      [1234567890, '89005924', '91819424', '93441116'],
+      [2000000000, '69279037', '90698825', '38618901'],
+      [20000000000, '65353130', '77737706', '47863826'],
+    ];
+
+    test.each(vectors)('at %i seconds', (seconds, sha1, sha256, sha512) => {
+      const expected = { SHA1: sha1, SHA256: sha256, SHA512: sha512 };
+      for (const algorithm of Object.keys(keys)) {
+        const { code } = totpCode(keys[algorithm], { digits: 8, period: 30, algorithm }, seconds * 1000);
+        expect(code).toBe(expected[algorithm]);
+      }
+    });
+  });
+
+  test('reports when the current code stops being valid', () => {
+    const key = base32Decode(RFC_SEED);
+    expect(totpCode(key, { digits: 6, period: 30, algorithm: 'SHA1' }, 59_000)).toEqual({ code: '287082', validUntil: 60_000 });
+  });
+
+  test('decodes base32 seeds as people paste them', () => {
+    expect(base32Decode(normalizeBase32('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq====')).toString('ascii'))
+      .toBe('12345678901234567890');
+    expect(base32Decode('GEZD1')).toBeNull();
+  });
+
+  test('reads seeds and settings from otpauth:// URIs, with explicit settings winning', () => {
+    const uri = `otpauth://totp/ACME%20Co:alice@example.com?secret=${RFC_SEED.toLowerCase()}&issuer=ACME%20Co&algorithm=SHA256&digits=8&period=60`;
+    expect(prepareTotp(uri)).toEqual({
+      seed: RFC_SEED,
+      settings: { digits: 8, period: 60, algorithm: 'SHA256', issuer: 'ACME Co', account: 'alice@example.com' },
+    });
+    expect(prepareTotp(uri, { digits: 6 }).settings.digits).toBe(6);
+
+    expect(() => prepareTotp('otpauth://hotp/x?secret=ABC')).toThrow('Only otpauth://totp/');
+    expect(() => prepareTotp('otpauth://totp/x?digits=6')).toThrow('has no secret');
+    expect(() => prepareTotp(`otpauth://totp/x?secret=${RFC_SEED}&digits=9`)).toThrow('digits');
+    expect(() => prepareTotp('not base32!')).toThrow('base32');
+  });
+
+  describe('API', () => {
+    let storage;
+    let secretsMetadata;
+    let auditLog;
+    let app;
+
+    const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+    const createTotp = (fields) =>
+      authorized(request(app).post('/api/secrets')).send({
+        id: 'github',
+        title: 'GitHub 2FA',
+        value: RFC_SEED,
+        category: 'other',
+        type: 'totp',
+        createdAt: 1000,
+        updatedAt: 1000,
+        ...fields,
+      });
+
+    beforeEach(async () => {
+      storage = await openBackend('memory');
+      secretsMetadata = [];
+      auditLog = openAuditLog({ persist: false });
+      app = createApp({ storage, serviceName: SERVICE_NAME, secretsMetadata, auditLog, apiToken: API_TOKEN });
+    });
+
+    test('stores the normalized seed and the settings from a URI', async () => {
+      const res = await createTotp({ value: `otpauth://totp/GitHub:octocat?secret=${RFC_SEED.toLowerCase()}&period=60` }).expect(201);
+      expect(res.body).toMatchObject({
+        type: 'totp',
+        totp: { digits: 6, period: 60, algorithm: 'SHA1', issuer: 'GitHub', account: 'octocat' },
+      });
+      expect(await storage.getPassword(SERVICE_NAME, 'github')).toBe(RFC_SEED);
+    });
+
+    test('rejects invalid seeds and settings', async () => {
+      await createTotp({ value: 'not-base32!' }).expect(400);
+      await createTotp({ totp: { algorithm: 'MD5' } }).expect(400);
+      await createTotp({ type: 'hotp' }).expect(400);
+      await authorized(request(app).post('/api/secrets'))
+        .send({ id: 'pw', title: 'Password', value: 'x', category: 'password', totp: { digits: 6 } })
+        .expect(400);
+      expect(secretsMetadata).toEqual([]);
+    });
+
+    test('returns the current code without exposing the seed', async () => {
+      await createTotp({ totp: { digits: 8 } }).expect(201);
+
+      const before = Date.now();
+      const res = await authorized(request(app).get('/api/secrets/github/totp')).expect(200);
+      expect(res.headers['cache-control']).toBe('no-store');
+      expect(res.body.code).toMatch(/^\d{8}$/);
+      expect(res.body).toMatchObject({ digits: 8, period: 30 });
+      expect(res.body.validUntil).toBeGreaterThan(before);
+      expect(JSON.stringify(res.body)).not.toContain(RFC_SEED);
+
+      // Only copies are audited
+      await authorized(request(app).get('/api/secrets/github/totp?purpose=copy')).expect(200);
+      const reads = auditLog.query({ actions: ['secret.read'] }).entries;
+      expect(reads).toHaveLength(1);
+      expect(reads[0].details).toEqual({ purpose: 'copy', totp: true });
+    });
+
+    test('never hands out the seed, current or previous', async () => {
+      await createTotp({}).expect(201);
+      await authorized(request(app).put('/api/secrets/github')).send({ value: 'JBSWY3DPEHPK3PXP' }).expect(200);
+
+      const current = await authorized(request(app).get('/api/secrets/github/value?purpose=reveal')).expect(400);
+      const previous = await authorized(request(app).get('/api/secrets/github/versions/1/value')).expect(400);
+
+      expect(JSON.stringify([current.body, previous.body])).not.toMatch(/GEZDGNBV|JBSWY3DP/);
+      expect(auditLog.query({ actions: ['secret.read', 'version.read'] }).total).toBe(0);
+    });
+
+    test('only TOTP secrets have codes', async () => {
+      await authorized(request(app).post('/api/secrets'))
+        .send({ id: 'pw', title: 'Password', value: 'x', category: 'password' })
+        .expect(201);
+      await authorized(request(app).get('/api/secrets/pw/totp')).expect(400);
+      await authorized(request(app).get('/api/secrets/missing/totp')).expect(404);
+    });
+
+    test('updates settings and seeds but never the type', async () => {
+      await createTotp({}).expect(201);
+
+      let res = await authorized(request(app).put('/api/secrets/github')).send({ totp: { period: 45 } }).expect(200);
+      expect(res.body.totp).toEqual({ digits: 6, period: 45, algorithm: 'SHA1' });
+
+      res = await authorized(request(app).put('/api/secrets/github')).send({ value: 'jbsw y3dp ehpk 3pxp' }).expect(200);
+      expect(res.body.totp.period).toBe(45);
+      expect(await storage.getPassword(SERVICE_NAME, 'github')).toBe('JBSWY3DPEHPK3PXP');
+
+      await authorized(request(app).put('/api/secrets/github')).send({ value: 'bad seed!' }).expect(400);
+      await authorized(request(app).put('/api/secrets/github')).send({ type: 'generic' }).expect(400);
+      await authorized(request(app).put('/api/secrets/github')).send({ totp: { digits: 5 } }).expect(400);
+    });
+  });
+});
@@ -0,0 +1,290 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { planImport } from '../transfer.js';
+
+const API_TOKEN = 'test-api-token';
+const PASSPHRASE = 'export passphrase';
+// Cheap KDF parameters keep the tests fast
+const kdfParams = { N: 2 ** 10, r: 8, p: 1 };
+
+const secret = (id, overrides = {}) => ({
+  id,
+  title: `Secret ${id}`,
+  value: `value-${id}`,
+  category: 'password',
+  notes: '',
+  createdAt: 1000,
+  updatedAt: 1000,
+  ...overrides,
+});
+
+describe('Vault export and import', () => {
+  let storage;
+  let secretsMetadata;
+  let persistMetadata;
+  let app;
+
+  const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+
+  const buildApp = async () => {
+    storage = await openBackend('memory');
+    secretsMetadata = [];
+    persistMetadata = () => {};
+    app = createApp({
+      storage,
+      secretsMetadata,
+      persistMetadata: (metadata) => persistMetadata(metadata),
+      apiToken: API_TOKEN,
+      kdfParams,
+    });
+    return app;
+  };
+
+  const addSecrets = async (...secrets) => {
+    for (const s of secrets) {
+      await authorized(request(app).post('/api/secrets')).send(s).expect(201);
+    }
+  };
+
+  const exportVault = async () => {
+    const response = await authorized(request(app).get('/api/export')).set('X-Export-Passphrase', PASSPHRASE);
+    expect(response.status).toBe(200);
+    return response.body;
+  };
+
+  const importVault = (body) => authorized(request(app).post('/api/import')).send({ passphrase: PASSPHRASE, ...body });
+
+  const valueOf = async (id) => (await authorized(request(app).get(`/api/secrets/${id}/value`))).body.value;
+
+  beforeEach(buildApp);
+
+  describe('GET /api/export', () => {
+    it('should produce an encrypted file with metadata and values', async () => {
+      await addSecrets(secret('a'), secret('b'));
+
+      const response = await authorized(request(app).get('/api/export')).set('X-Export-Passphrase', PASSPHRASE);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="securevault-export-\d{4}-\d{2}-\d{2}\.json"/);
+      expect(response.body).toMatchObject({ format: 'securevault-export', version: 1, cipher: 'aes-256-gcm' });
+      expect(JSON.stringify(response.body)).not.toContain('value-a');
+      expect(JSON.stringify(response.body)).not.toContain('Secret a');
+    });
+
+    it('should reject short passphrases', async () => {
+      const response = await authorized(request(app).get('/api/export')).set('X-Export-Passphrase', 'short');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Export passphrase must be at least 8 characters');
+    });
+
+    it('should require the API token', async () => {
+      const response = await request(app).get('/api/export').set('X-Export-Passphrase', PASSPHRASE);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/import', () => {
+    it('should round-trip a full vault into an empty one', async () => {
+      await addSecrets(secret('a', { notes: 'note a' }), secret('b', { category: 'api-key' }));
+      const file = await exportVault();
+
+      await buildApp();
+      const response = await importVault({ file, mode: 'merge' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.applied).toBe(true);
+      expect(response.body.summary).toEqual({ create: 2, update: 0, skip: 0, invalid: 0 });
+
+      const list = await authorized(request(app).get('/api/secrets'));
+      expect(list.body).toEqual([
+        { id: 'a', title: 'Secret a', category: 'password', notes: 'note a', createdAt: 1000, updatedAt: 1000 },
+        { id: 'b', title: 'Secret b', category: 'api-key', notes: '', createdAt: 1000, updatedAt: 1000 },
+      ]);
+      expect(await valueOf('a')).toBe('value-a');
+      expect(await valueOf('b')).toBe('value-b');
+    });
+
+    it('should preview changes without applying them on dry run', async () => {
+      await addSecrets(secret('a'));
+      const file = await exportVault();
+
+      await buildApp();
+      const response = await importVault({ file, mode: 'merge', dryRun: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        mode: 'merge',
+        applied: false,
+        summary: { create: 1, update: 0, skip: 0, invalid: 0 },
+        changes: [{ id: 'a', title: 'Secret a', category: 'password', action: 'create' }],
+      });
+      expect(JSON.stringify(response.body)).not.toContain('value-a');
+
+      const list = await authorized(request(app).get('/api/secrets'));
+      expect(list.body).toEqual([]);
+    });
+
+    describe('modes', () => {
+      let file;
+
+      beforeEach(async () => {
+        // The export holds an older "a" and a newer "b" than the target vault
+        await addSecrets(
+          secret('a', { value: 'exported-a', updatedAt: 1000 }),
+          secret('b', { value: 'exported-b', updatedAt: 3000 }),
+          secret('c', { value: 'exported-c' })
+        );
+        file = await exportVault();
+
+        await buildApp();
+        await addSecrets(
+          secret('a', { value: 'local-a', updatedAt: 2000 }),
+          secret('b', { value: 'local-b', updatedAt: 2000 })
+        );
+      });
+
+      it('merge should keep whichever copy is newer', async () => {
+        const response = await importVault({ file, mode: 'merge' });
+
+        expect(response.body.summary).toEqual({ create: 1, update: 1, skip: 1, invalid: 0 });
+        expect(await valueOf('a')).toBe('local-a');
+        expect(await valueOf('b')).toBe('exported-b');
+        expect(await valueOf('c')).toBe('exported-c');
+      });
+
+      it('overwrite should replace every existing secret', async () => {
+        const response = await importVault({ file, mode: 'overwrite' });
+
+        expect(response.body.summary).toEqual({ create: 1, update: 2, skip: 0, invalid: 0 });
+        expect(await valueOf('a')).toBe('exported-a');
+        expect(await valueOf('b')).toBe('exported-b');
+      });
+
+      it('should keep the replaced values in the history', async () => {
+        await importVault({ file, mode: 'overwrite' });
+
+        const versions = await authorized(request(app).get('/api/secrets/a/versions'));
+        expect(versions.body).toMatchObject([{ version: 1, changed: ['value'] }]);
+        const previous = await authorized(request(app).get('/api/secrets/a/versions/1/value'));
+        expect(previous.body.value).toBe('local-a');
+      });
+
+      it('should record each imported secret in the audit log', async () => {
+        await importVault({ file, mode: 'merge' });
+
+        const audit = await authorized(request(app).get('/api/audit?action=secret.create,secret.update,vault.import'));
+        expect(audit.body.entries.slice(0, 3)).toMatchObject([
+          { action: 'vault.import', details: { mode: 'merge', created: 1, updated: 1 } },
+          { action: 'secret.create', secretId: 'c', details: { source: 'import' } },
+          { action: 'secret.update', secretId: 'b', details: { changed: ['value'], source: 'import' } },
+        ]);
+      });
+
+      it('skip should only add secrets that do not exist yet', async () => {
+        const response = await importVault({ file, mode: 'skip' });
+
+        expect(response.body.summary).toEqual({ create: 1, update: 0, skip: 2, invalid: 0 });
+        expect(await valueOf('a')).toBe('local-a');
+        expect(await valueOf('b')).toBe('local-b');
+        expect(await valueOf('c')).toBe('exported-c');
+      });
+    });
+
+    it('should reject a wrong passphrase', async () => {
+      await addSecrets(secret('a'));
+      const file = await exportVault();
+
+      const response = await importVault({ file, passphrase: 'wrong passphrase' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Incorrect passphrase or corrupted file');
+    });
+
+    it('should reject files that are not exports', async () => {
+      const response = await importVault({ file: { hello: 'world' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Not a SecureVault export file');
+    });
+
+    it('should reject key derivation parameters outside the supported range', async () => {
+      await addSecrets(secret('a'));
+      const file = await exportVault();
+
+      for (const kdf of [
+        { N: 2 ** 30 },
+        { N: 2 ** 18 },
+        { N: 1000 },
+        { r: 1024 },
+        { p: 64 },
+        { N: '1024' },
+      ]) {
+        const response = await importVault({ file: { ...file, kdf: { ...file.kdf, ...kdf } } });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Invalid export file: unsupported key derivation parameters');
+      }
+    });
+
+    it('should reject unknown modes', async () => {
+      const response = await importVault({ file: {}, mode: 'replace-everything' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/Invalid import mode/);
+    });
+
+    it('should roll back every change when metadata cannot be persisted', async () => {
+      await addSecrets(secret('a', { value: 'exported-a', updatedAt: 5000 }), secret('b'));
+      const file = await exportVault();
+
+      await buildApp();
+      await addSecrets(secret('a', { value: 'local-a', updatedAt: 1000 }));
+      persistMetadata = () => { throw new Error('disk full'); };
+
+      const response = await importVault({ file, mode: 'overwrite' });
+
+      expect(response.status).toBe(500);
+      expect(await valueOf('a')).toBe('local-a');
+      const list = await authorized(request(app).get('/api/secrets'));
+      expect(list.body.map(s => s.id)).toEqual(['a']);
+      expect(await storage.getPassword('SecureVault', 'b')).toBeNull();
+      expect(await storage.listAccounts('SecureVault')).toEqual(['a']);
+    });
+  });
+
+  describe('planImport', () => {
+    const CERTIFICATE_PEM = '-----BEGIN CERTIFICATE-----\nbm90IGEgY2VydGlmaWNhdGU=\n-----END CERTIFICATE-----';
+
+    it('should check TOTP seeds and store them normalized', () => {
+      const plan = planImport([
+        secret('otp', { type: 'totp', value: 'jbsw y3dp', totp: { digits: 6, period: 30, algorithm: 'SHA1' } }),
+        secret('bad-otp', { type: 'totp', value: 'not base32!' }),
+      ], [], 'merge');
+
+      expect(plan[0]).toMatchObject({ action: 'create', value: 'JBSWY3DP' });
+      expect(plan[1]).toMatchObject({ action: 'invalid', reason: 'TOTP seed must be base32 (A-Z, 2-7)' });
+    });
+
+    it('should parse certificates again instead of trusting the file', () => {
+      const plan = planImport([
+        secret('cert', { category: 'certificate', value: CERTIFICATE_PEM, certificate: { subject: 'CN=forged' } }),
+        secret('pw', { certificate: { subject: 'CN=forged' }, privateKeyId: 'cert' }),
+      ], [], 'merge');
+
+      expect(plan[0].action).toBe('invalid');
+      expect(plan[1].action).toBe('create');
+      expect(plan[1].secret).not.toHaveProperty('certificate');
+      expect(plan[1].secret).not.toHaveProperty('privateKeyId');
+    });
+
+    it('should refuse IDs that could collide with stored versions', () => {
+      const plan = planImport([secret('db#v1'), secret('db')], [], 'merge');
+
+      expect(plan[0]).toMatchObject({ action: 'invalid', reason: expect.stringMatching(/ID must be/) });
+      expect(plan[1].action).toBe('create');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { purgeExpiredTrash } from '../trash.js';
+
+const API_TOKEN = 'test-api-token';
+const SERVICE_NAME = 'SecureVault';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Trash', () => {
+  let storage;
+  let secretsMetadata;
+  let persistMetadata;
+  let trashSettings;
+  let savedSettings;
+  let app;
+
+  const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+  const listIds = async () => (await authorized(request(app).get('/api/secrets'))).body.map(s => s.id);
+  const trash = async () => (await authorized(request(app).get('/api/trash'))).body;
+
+  beforeEach(async () => {
+    storage = await openBackend('memory');
+    secretsMetadata = [];
+    persistMetadata = () => {};
+    trashSettings = { retentionDays: 30 };
+    savedSettings = null;
+    app = createApp({
+      storage,
+      serviceName: SERVICE_NAME,
+      secretsMetadata,
+      persistMetadata: (metadata) => persistMetadata(metadata),
+      apiToken: API_TOKEN,
+      trashSettings,
+      saveTrashSettings: (settings) => {
+        savedSettings = settings;
+      },
+    });
+
+    for (const id of ['a', 'b']) {
+      await authorized(request(app).post('/api/secrets')).send({
+        id, title: `Secret ${id}`, value: `value-${id}`, category: 'password', notes: '', createdAt: 1, updatedAt: 1,
+      }).expect(201);
+    }
+  });
+
+  test('deleting moves a secret to the trash and keeps its value', async () => {
+    await authorized(request(app).delete('/api/secrets/a')).expect(204);
+
+    expect(await listIds()).toEqual(['b']);
+    expect(await storage.getPassword(SERVICE_NAME, 'a')).toBe('value-a');
+
+    const { retentionDays, items } = await trash();
+    expect(retentionDays).toBe(30);
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ id: 'a', title: 'Secret a' });
+    expect(items[0].purgeAt).toBe(items[0].deletedAt + 30 * DAY_MS);
+  });
+
+  test('secrets in the trash cannot be read or edited', async () => {
+    await authorized(request(app).delete('/api/secrets/a')).expect(204);
+
+    expect((await authorized(request(app).get('/api/secrets/a/value'))).status).toBe(404);
+    expect((await authorized(request(app).put('/api/secrets/a')).send({ title: 'x' })).status).toBe(404);
+    expect((await authorized(request(app).delete('/api/secrets/a'))).status).toBe(404);
+  });
+
+  test('restores a secret from the trash', async () => {
+    await authorized(request(app).delete('/api/secrets/a')).expect(204);
+
+    const response = await authorized(request(app).post('/api/trash/a/restore'));
+    expect(response.status).toBe(200);
+    expect(response.body.deletedAt).toBeUndefined();
+    expect(await listIds()).toEqual(['a', 'b']);
+    expect((await trash()).items).toEqual([]);
+
+    expect((await authorized(request(app).post('/api/trash/b/restore'))).status).toBe(404);
+  });
+
+  test('permanently deletes a secret and its value', async () => {
+    await authorized(request(app).delete('/api/secrets/a')).expect(204);
+    await authorized(request(app).delete('/api/trash/a')).expect(204);
+
+    expect(secretsMetadata.map(s => s.id)).toEqual(['b']);
+    expect(await storage.getPassword(SERVICE_NAME, 'a')).toBeNull();
+
+    // Only secrets in the trash can be deleted permanently
+    expect((await authorized(request(app).delete('/api/trash/b'))).status).toBe(404);
+  });
+
+  test('empties the trash', async () => {
+    await authorized(request(app).delete('/api/secrets/a')).expect(204);
+    await authorized(request(app).delete('/api/secrets/b')).expect(204);
+
+    const response = await authorized(request(app).delete('/api/trash'));
+    expect(response.body).toEqual({ purged: 2 });
+    expect(await storage.listAccounts(SERVICE_NAME)).toEqual([]);
+  });
+
+  test('rolls back a move to the trash when persisting fails', async () => {
+    persistMetadata = () => {
+      throw new Error('disk full');
+    };
+
+    expect((await authorized(request(app).delete('/api/secrets/a'))).status).toBe(500);
+    expect(secretsMetadata.find(s => s.id === 'a').deletedAt).toBeUndefined();
+  });
+
+  test('purges secrets whose retention period has passed', async () => {
+    await authorized(request(app).delete('/api/secrets/a')).expect(204);
+    await authorized(request(app).delete('/api/secrets/b')).expect(204);
+    secretsMetadata.find(s => s.id === 'a').deletedAt = Date.now() - 31 * DAY_MS;
+
+    const purged = await purgeExpiredTrash({ storage, serviceName: SERVICE_NAME, secretsMetadata }, 30);
+
+    expect(purged).toEqual(['a']);
+    expect((await trash()).items.map(s => s.id)).toEqual(['b']);
+    expect(await storage.getPassword(SERVICE_NAME, 'a')).toBeNull();
+  });
+
+  test('updates the retention period and applies it', async () => {
+    await authorized(request(app).delete('/api/secrets/a')).expect(204);
+    secretsMetadata.find(s => s.id === 'a').deletedAt = Date.now() - 8 * DAY_MS;
+
+    const response = await authorized(request(app).put('/api/trash/settings')).send({ retentionDays: 7 });
+
+    expect(response.body).toEqual({ retentionDays: 7 });
+    expect(savedSettings).toEqual({ retentionDays: 7 });
+    expect(trashSettings.retentionDays).toBe(7);
+    expect((await trash()).items).toEqual([]);
+  });
+
+  test('rejects an invalid retention period', async () => {
+    const response = await authorized(request(app).put('/api/trash/settings')).send({ retentionDays: 0 });
+    expect(response.status).toBe(400);
+    expect(trashSettings.retentionDays).toBe(30);
+  });
+});
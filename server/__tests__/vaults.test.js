@@ -0,0 +1,203 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { openBackend } from '../backends/index.js';
+import { openAuditLog } from '../auditLog.js';
+import { openVault } from '../vault.js';
+import { getVaultDir, loadVaultData, loadVaultList, removeVaultFiles } from '../vaultStore.js';
+
+const API_TOKEN = 'test-api-token';
+
+describe('Vaults', () => {
+  describe('loadVaultList', () => {
+    it('should always start with the default vault', () => {
+      expect(loadVaultList(null)).toEqual([{ id: 'default', name: 'Default' }]);
+      expect(loadVaultList([{ id: 'work', name: 'Work' }])).toEqual([
+        { id: 'default', name: 'Default' },
+        { id: 'work', name: 'Work' },
+      ]);
+    });
+
+    it('should keep a renamed default vault and drop invalid or duplicate entries', () => {
+      const vaults = loadVaultList([
+        { id: 'default', name: 'Personal' },
+        { id: 'work', name: 'Work' },
+        { id: 'work', name: 'Work again' },
+        { id: '../escape', name: 'Bad' },
+        { id: 'blank', name: ' ' },
+        null,
+      ]);
+
+      expect(vaults).toEqual([{ id: 'default', name: 'Personal' }, { id: 'work', name: 'Work' }]);
+    });
+  });
+
+  describe('loadVaultData', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securevault-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should keep the default vault in the config directory and others in vaults/<id>', () => {
+      const personal = loadVaultData('default', { persistent: true, baseDirOverride: tempDir });
+      const work = loadVaultData('work', { persistent: true, baseDirOverride: tempDir });
+      personal.persistMetadata([{ id: 'a' }]);
+      work.persistMetadata([{ id: 'b' }]);
+
+      expect(personal.serviceName).toBe('SecureVault');
+      expect(work.serviceName).toBe('SecureVault:work');
+      expect(JSON.parse(fs.readFileSync(path.join(tempDir, 'metadata.json'), 'utf8')).secrets).toEqual([{ id: 'a' }]);
+      expect(JSON.parse(fs.readFileSync(path.join(tempDir, 'vaults', 'work', 'metadata.json'), 'utf8')).secrets).toEqual([{ id: 'b' }]);
+      expect(loadVaultData('work', { persistent: true, baseDirOverride: tempDir }).secretsMetadata).toEqual([{ id: 'b' }]);
+    });
+
+    it('should only remove the files of named vaults', () => {
+      loadVaultData('work', { persistent: true, baseDirOverride: tempDir }).persistMetadata([]);
+
+      removeVaultFiles('work', tempDir);
+
+      expect(fs.existsSync(getVaultDir('work', tempDir))).toBe(false);
+      expect(() => removeVaultFiles('default', tempDir)).toThrow('The default vault cannot be removed');
+    });
+  });
+
+  describe('openVault', () => {
+    const config = { backend: 'memory', vaults: [{ id: 'work', name: 'Work' }], activeVault: 'work' };
+
+    it('should open the vault in use last, or the requested one', async () => {
+      expect((await openVault({ config })).serviceName).toBe('SecureVault:work');
+      expect((await openVault({ vault: 'default', config })).serviceName).toBe('SecureVault');
+      expect((await openVault({ vault: 'work', config: { ...config, activeVault: null } })).activeVault).toBe('work');
+    });
+
+    it('should reject an unknown vault', async () => {
+      await expect(openVault({ vault: 'Nope', config })).rejects.toMatchObject({
+        status: 400,
+        message: 'No vault matches "Nope". Vaults: Default, Work',
+      });
+    });
+  });
+
+  describe('API', () => {
+    let app;
+    let storage;
+    let auditLog;
+    let saved;
+    let removed;
+
+    const authorized = (req) => req.set('Authorization', `Bearer ${API_TOKEN}`);
+
+    const addSecret = (title) =>
+      authorized(request(app).post('/api/secrets')).send({
+        id: title.toLowerCase(),
+        title,
+        value: `${title}-value`,
+        category: 'password',
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      });
+
+    beforeEach(async () => {
+      saved = null;
+      removed = [];
+      storage = await openBackend('memory');
+      auditLog = openAuditLog({ persist: false });
+      app = createApp({
+        storage,
+        apiToken: API_TOKEN,
+        auditLog,
+        saveVaults: (state) => { saved = structuredClone(state); },
+        removeVaultFiles: (id) => removed.push(id),
+      });
+    });
+
+    it('should list the default vault as the one in use', async () => {
+      const response = await authorized(request(app).get('/api/vaults'));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ activeVault: 'default', vaults: [{ id: 'default', name: 'Default' }] });
+    });
+
+    it('should create vaults with an ID derived from the name', async () => {
+      const response = await authorized(request(app).post('/api/vaults')).send({ name: ' Side Project ' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ id: 'side-project', name: 'Side Project' });
+      expect(saved.vaults).toContainEqual({ id: 'side-project', name: 'Side Project' });
+      expect(saved.activeVault).toBe('default');
+      expect(auditLog.query().entries[0]).toMatchObject({ action: 'vault.create', title: 'Side Project' });
+    });
+
+    it('should reject invalid and duplicate names', async () => {
+      await authorized(request(app).post('/api/vaults')).send({ name: 'Work' });
+
+      const duplicate = await authorized(request(app).post('/api/vaults')).send({ name: 'work' });
+      const blank = await authorized(request(app).post('/api/vaults')).send({ name: '' });
+
+      expect(duplicate.status).toBe(409);
+      expect(blank.status).toBe(400);
+    });
+
+    it('should rename a vault without changing its ID', async () => {
+      await authorized(request(app).post('/api/vaults')).send({ name: 'Work' });
+
+      const response = await authorized(request(app).put('/api/vaults/work')).send({ name: 'Job' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 'work', name: 'Job' });
+      expect((await authorized(request(app).put('/api/vaults/missing')).send({ name: 'X' })).status).toBe(404);
+    });
+
+    it('should keep the secrets of each vault apart', async () => {
+      await addSecret('Personal');
+      await authorized(request(app).post('/api/vaults')).send({ name: 'Work' });
+
+      const switched = await authorized(request(app).post('/api/vaults/work/activate'));
+      expect(switched.status).toBe(200);
+      expect(switched.body.activeVault).toBe('work');
+      expect(saved.activeVault).toBe('work');
+      expect((await authorized(request(app).get('/api/secrets'))).body).toEqual([]);
+
+      await addSecret('Job');
+      expect(await storage.getPassword('SecureVault:work', 'job')).toBe('Job-value');
+      expect(await storage.getPassword('SecureVault', 'job')).toBeNull();
+
+      await authorized(request(app).post('/api/vaults/Default/activate'));
+      const secrets = (await authorized(request(app).get('/api/secrets'))).body;
+      expect(secrets.map(secret => secret.title)).toEqual(['Personal']);
+    });
+
+    it('should delete a vault with its values in storage', async () => {
+      await authorized(request(app).post('/api/vaults')).send({ name: 'Work' });
+      await authorized(request(app).post('/api/vaults/work/activate'));
+      await addSecret('Job');
+      await storage.setPassword('SecureVault:work', 'leftover', 'stray value');
+      await authorized(request(app).post('/api/vaults/default/activate'));
+
+      const response = await authorized(request(app).delete('/api/vaults/work'));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ deletedValues: 2 });
+      expect(await storage.listAccounts('SecureVault:work')).toEqual([]);
+      expect(removed).toEqual(['work']);
+      expect(saved.vaults).toEqual([{ id: 'default', name: 'Default' }]);
+      expect(auditLog.query().entries[0]).toMatchObject({ action: 'vault.delete', title: 'Work' });
+    });
+
+    it('should refuse to delete the default vault or the one in use', async () => {
+      await authorized(request(app).post('/api/vaults')).send({ name: 'Work' });
+      await authorized(request(app).post('/api/vaults/work/activate'));
+
+      expect((await authorized(request(app).delete('/api/vaults/default'))).status).toBe(400);
+      expect((await authorized(request(app).delete('/api/vaults/work'))).status).toBe(409);
+      expect(removed).toEqual([]);
+    });
+  });
+});
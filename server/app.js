@@ -0,0 +1,260 @@
+import express from 'express';
+import cors from 'cors';
+import { requireApiToken } from './auth.js';
+import { publicMetadata } from './history.js';
+import {
+  createSecret, deleteSecret, getSecretValue, getTotpCode, isTrashed, sendError, updateSecret,
+} from './secrets.js';
+import { createTransferRouter } from './routes/transfer.js';
+import { createHistoryRouter } from './routes/history.js';
+import { createAuditRouter } from './routes/audit.js';
+import { createTrashRouter } from './routes/trash.js';
+import { createCategoriesRouter } from './routes/categories.js';
+import { createGeneratorRouter } from './routes/generator.js';
+import { createHealthRouter } from './routes/health.js';
+import { createRemindersRouter } from './routes/reminders.js';
+import { createCertificatesRouter } from './routes/certificates.js';
+import { createTemplatesRouter } from './routes/templates.js';
+import { createLockRouter } from './routes/lock.js';
+import { createSettingsRouter } from './routes/settings.js';
+import { createVaultsRouter } from './routes/vaults.js';
+import { createDoctorRouter } from './routes/doctor.js';
+import { createVaultLock, requireUnlocked } from './lock.js';
+import { DEFAULT_TRASH_RETENTION_DAYS } from './trash.js';
+import { openAuditLog } from './auditLog.js';
+import { defaultCategories } from './categoryStore.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+import { DEFAULT_VAULT_ID, SERVICE_NAME, loadVaultData, loadVaultList, reloadVaults } from './vaultStore.js';
+
+// Reasons a client may give for reading a value, recorded in the audit log
+const VALUE_READ_PURPOSES = ['reveal', 'copy'];
+
+// Requests that never write a vault file, so they do not take the write lock
+const LOCK_FREE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const LOCK_FREE_PATHS = ['/lock', '/lock/unlock', '/generator', '/templates/preview'];
+
+// CORS configuration - only the origins the server itself is reached on
+const corsOptionsFor = (allowedOrigins) => ({
+  origin: (origin, callback) => {
+    // Only allow the server's own origins for security.
+    // Note: callback(null, false) omits CORS headers but does NOT reject the request.
+    // Non-browser clients (e.g., curl, server-to-server) can still reach the API,
+    // which is why every route except the health probe also requires the API token.
+    if (!origin) {
+      return callback(null, false);
+    }
+
+    if (allowedOrigins.includes(origin)) {
+      return callback(null, true);
+    }
+
+    return callback(null, false);
+  },
+  credentials: true,
+});
+
+// Build the Express application.
+// - storage: opened storage backend (see backends/index.js for the interface)
+// - serviceName: keychain service of the vault in use
+// - secretsMetadata: in-memory array of secret metadata (values live in storage)
+// - persistMetadata: called with the metadata array after every change; null disables persistence
+// - apiToken: per-launch token every /api route except /api/health requires
+// - kdfParams: optional scrypt parameters for export files (tests use cheaper ones)
+// - auditLog: audit log from openAuditLog (defaults to one kept in memory)
+// - trashSettings: { retentionDays } shared with the purge timer; saveTrashSettings persists changes
+// - categories: in-memory category list (defaults when omitted); persistCategories saves it, null disables
+// - generatorPresets: saved generator presets; saveGeneratorPresets persists changes
+// - settings: user settings (see settings.js); saveSettings persists changes
+// - vaults, activeVault: the named vaults and the ID of the one serviceName,
+//   secretsMetadata and categories belong to; saveVaults persists both,
+//   loadVault(id) loads another vault, openedVaults caches the vaults opened so
+//   far and removeVaultFiles(id) deletes a vault's files (see vaults.js)
+// - withWriteLock(fn): runs fn on vault data reloaded from disk while no other
+//   process changes a vault (see createWriteLock); every request that changes a vault holds it
+// - vaultLock: master password lock from createVaultLock (defaults to none)
+// - staticDir: built frontend (dist/) to serve next to the API; null serves the API only
+// - allowedOrigins: origins browsers may call the API from cross-origin; the
+//   caller adds the server's own (see originsFor) once it is listening. The
+//   Vite dev server proxies /api, so the dev frontend needs none.
+export const createApp = ({
+  storage,
+  serviceName = SERVICE_NAME,
+  secretsMetadata = [],
+  persistMetadata = null,
+  apiToken,
+  kdfParams,
+  auditLog = openAuditLog({ persist: false }),
+  trashSettings = { retentionDays: DEFAULT_TRASH_RETENTION_DAYS },
+  saveTrashSettings = null,
+  categories = defaultCategories(),
+  persistCategories = null,
+  generatorPresets = [],
+  saveGeneratorPresets = null,
+  settings = { ...DEFAULT_SETTINGS },
+  saveSettings = null,
+  vaults = loadVaultList(null),
+  activeVault = DEFAULT_VAULT_ID,
+  saveVaults = null,
+  loadVault = (id) => loadVaultData(id, { persistent: false }),
+  openedVaults = new Map(),
+  removeVaultFiles = null,
+  withWriteLock = (fn) => fn(),
+  vaultLock = createVaultLock({ auditLog }),
+  staticDir = null,
+  allowedOrigins = [],
+}) => {
+  const app = express();
+
+  // Shared state handed to the feature routers
+  const context = {
+    storage,
+    serviceName,
+    secretsMetadata,
+    persistMetadata,
+    kdfParams,
+    auditLog,
+    trashSettings,
+    saveTrashSettings,
+    categories,
+    persistCategories,
+    generatorPresets,
+    saveGeneratorPresets,
+    settings,
+    saveSettings,
+    vaults,
+    activeVault,
+    saveVaults,
+    loadVault,
+    openedVaults,
+    removeVaultFiles,
+    vaultLock,
+  };
+  if (!openedVaults.has(activeVault)) {
+    openedVaults.set(activeVault, { serviceName, secretsMetadata, persistMetadata, categories, persistCategories });
+  }
+
+  // Routes that parse their own (larger) request bodies
+  const largeBodyPaths = ['/api/import', '/api/import/external'];
+  const jsonParser = express.json({ limit: '1mb' }); // Set limit for large certificates and keys
+
+  // Middleware
+  app.use(cors(corsOptionsFor(allowedOrigins)));
+  app.use((req, res, next) => (largeBodyPaths.includes(req.path) ? next() : jsonParser(req, res, next)));
+  app.use('/api', requireApiToken(apiToken, { publicPaths: ['/health'] }));
+  app.use('/api', requireUnlocked(vaultLock, { publicPaths: ['/health', '/lock', '/lock/unlock'] }));
+
+  // Requests that change a vault take turns holding the write lock until their
+  // response is sent, and first see what the CLI or another server saved
+  // meanwhile. Reads, and requests that change no vault file, take no lock and
+  // only reload the files that changed, so a slow keychain prompt or a busy CLI
+  // never keeps them waiting.
+  app.use('/api', (req, res, next) => {
+    if (LOCK_FREE_METHODS.includes(req.method) || LOCK_FREE_PATHS.includes(req.path)) {
+      reloadVaults(openedVaults);
+      next();
+      return;
+    }
+    withWriteLock(() => new Promise((resolve) => {
+      res.on('finish', resolve);
+      res.on('close', resolve);
+      next();
+    })).catch((error) => {
+      if (!res.headersSent) {
+        sendError(res, error, 'Error waiting for the vault:', 'Failed to open the vault');
+      }
+    });
+  });
+
+  // GET /api/secrets - List secret metadata (without the trash). Values stay in the
+  // keychain until a client asks for one through GET /api/secrets/:id/value.
+  app.get('/api/secrets', (req, res) => {
+    res.json(context.secretsMetadata.filter(meta => !isTrashed(meta)).map(publicMetadata));
+  });
+
+  // GET /api/secrets/:id/value - Read a single secret value from the keychain.
+  // ?purpose=reveal|copy is recorded in the audit log.
+  app.get('/api/secrets/:id/value', async (req, res) => {
+    try {
+      const purpose = VALUE_READ_PURPOSES.includes(req.query.purpose) ? req.query.purpose : undefined;
+      const value = await getSecretValue(context, req.params.id, { purpose });
+      res.set('Cache-Control', 'no-store');
+      res.json({ value });
+    } catch (error) {
+      sendError(res, error, 'Error fetching secret value:', 'Failed to fetch secret value');
+    }
+  });
+
+  // GET /api/secrets/:id/totp - Current code of a TOTP secret (the seed stays here).
+  // ?purpose=copy is recorded in the audit log; plain display is not.
+  app.get('/api/secrets/:id/totp', async (req, res) => {
+    try {
+      const purpose = VALUE_READ_PURPOSES.includes(req.query.purpose) ? req.query.purpose : undefined;
+      const code = await getTotpCode(context, req.params.id, { purpose });
+      res.set('Cache-Control', 'no-store');
+      res.json(code);
+    } catch (error) {
+      sendError(res, error, 'Error computing TOTP code:', 'Failed to compute TOTP code');
+    }
+  });
+
+  // POST /api/secrets - Create a new secret
+  app.post('/api/secrets', async (req, res) => {
+    try {
+      const metadata = await createSecret(context, req.body);
+      res.status(201).json(metadata);
+    } catch (error) {
+      sendError(res, error, 'Error creating secret:', 'Failed to create secret');
+    }
+  });
+
+  // PUT /api/secrets/:id - Update a secret
+  app.put('/api/secrets/:id', async (req, res) => {
+    try {
+      const metadata = await updateSecret(context, req.params.id, req.body);
+      res.json(metadata);
+    } catch (error) {
+      sendError(res, error, 'Error updating secret:', 'Failed to update secret');
+    }
+  });
+
+  // DELETE /api/secrets/:id - Move a secret to the trash
+  app.delete('/api/secrets/:id', async (req, res) => {
+    try {
+      await deleteSecret(context, req.params.id);
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Error deleting secret:', 'Failed to delete secret');
+    }
+  });
+
+  app.use('/api', createLockRouter(context));
+  app.use('/api', createRemindersRouter(context));
+  app.use('/api', createCertificatesRouter(context));
+  app.use('/api', createTemplatesRouter(context));
+  app.use('/api', createHistoryRouter(context));
+  app.use('/api', createAuditRouter(context));
+  app.use('/api', createTrashRouter(context));
+  app.use('/api', createCategoriesRouter(context));
+  app.use('/api', createGeneratorRouter(context));
+  app.use('/api', createSettingsRouter(context));
+  app.use('/api', createVaultsRouter(context));
+  app.use('/api', createHealthRouter(context));
+  app.use('/api', createDoctorRouter(context));
+  app.use('/api', createTransferRouter(context));
+
+  // Health check endpoint - intentionally unauthenticated so launchers can probe readiness.
+  // Keep the response minimal: it must not reveal anything about the vault contents.
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', service: 'SecureVault Backend', backend: storage.name });
+  });
+
+  // The frontend, from the same origin as the API so it can find it without
+  // configuration. Never cached, so an upgrade takes effect on the next reload.
+  if (staticDir) {
+    app.use(express.static(staticDir, {
+      setHeaders: (res) => res.set('Cache-Control', 'no-cache'),
+    }));
+  }
+
+  return app;
+};
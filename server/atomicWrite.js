@@ -0,0 +1,19 @@
+import fs from 'fs';
+import path from 'path';
+
+// Write a file atomically with user-only permissions: write to a temporary file
+// in the same directory, then rename it over the target
+export const writeFileAtomic = (filePath, data) => {
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath);
+  const tempPath = path.join(dir, `${base}.tmp-${process.pid}-${Date.now()}`);
+
+  // Write to a temporary file first with restrictive permissions
+  fs.writeFileSync(tempPath, data, { encoding: 'utf8', mode: 0o600 });
+
+  // Atomically replace the target file
+  fs.renameSync(tempPath, filePath);
+
+  // Ensure the final file has restrictive permissions (in case it existed before)
+  fs.chmodSync(filePath, 0o600);
+};
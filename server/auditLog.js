@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getConfigDir } from './metadataStore.js';
+import { writeFileAtomic } from './atomicWrite.js';
+import { withFileLock } from './fileLock.js';
+
+// Append-only, hash-chained audit log of vault access and changes.
+//
+// audit.log holds one JSON entry per line. Each entry records the hash of the
+// previous one and its own SHA-256 over (previous hash + entry), so editing,
+// inserting or removing an entry breaks the chain. Removing entries from the
+// end keeps the chain intact, so the sequence number and hash of the newest
+// entry are also kept in audit.head.json and checked during verification.
+// Entries never contain secret values.
+//
+// The server and the CLI can append to the same log, so each append takes a
+// lock and continues the chain from the entry currently last in the file.
+// Appends wait for the lock without blocking the event loop, and take turns
+// in the order they were made.
+
+const AUDIT_LOG_FILE_NAME = 'audit.log';
+const AUDIT_HEAD_FILE_NAME = 'audit.head.json';
+const GENESIS_HASH = '0'.repeat(64);
+const TAIL_CHUNK_BYTES = 4096;
+
+export const AUDIT_ACTIONS = [
+  'secret.create',
+  'secret.update',
+  'secret.delete',
+  'secret.restore',
+  'secret.purge',
+  'secret.read',
+  'version.read',
+  'version.restore',
+  'vault.export',
+  'vault.import',
+  'vault.lock',
+  'vault.unlock',
+  'vault.unlock-failed',
+  'vault.password',
+  'vault.create',
+  'vault.rename',
+  'vault.delete',
+  'category.create',
+  'category.update',
+  'category.delete',
+];
+
+export const DEFAULT_AUDIT_QUERY_LIMIT = 100;
+export const MAX_AUDIT_QUERY_LIMIT = 1000;
+
+export const getAuditLogPath = (baseDirOverride = null) =>
+  path.join(getConfigDir(baseDirOverride), AUDIT_LOG_FILE_NAME);
+
+const hashEntry = (prevHash, entry) =>
+  crypto.createHash('sha256').update(prevHash).update(JSON.stringify(entry)).digest('hex');
+
+// Split an entry line into its hashed fields and its hash
+const parseLine = (line) => {
+  const { hash, ...entry } = JSON.parse(line);
+  return { entry, hash };
+};
+
+// Name of the local user running the server, recorded as the actor
+const currentUser = () => {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return 'unknown';
+  }
+};
+
+// Last line of a file, read backwards in chunks so appending stays cheap for a
+// long log; null for a missing or empty file
+const readLastLine = (filePath) => {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  try {
+    let position = fs.fstatSync(fd).size;
+    let tail = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(TAIL_CHUNK_BYTES, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, position);
+      tail = Buffer.concat([chunk, tail]);
+      const text = tail.toString('utf8').replace(/\n+$/, '');
+      const newline = text.lastIndexOf('\n');
+      if (newline !== -1) {
+        return text.slice(newline + 1);
+      }
+    }
+    return tail.toString('utf8').replace(/\n+$/, '') || null;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// Line storage: a pair of files in the config directory, or memory when
+// persistence is disabled (e.g. the in-memory backend and tests)
+const fileStore = (baseDirOverride) => {
+  const logPath = getAuditLogPath(baseDirOverride);
+  const headPath = path.join(path.dirname(logPath), AUDIT_HEAD_FILE_NAME);
+  return {
+    path: logPath,
+    withLock: (fn) => withFileLock(`${logPath}.lock`, fn),
+    readLines: () => (fs.existsSync(logPath) ? fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean) : []),
+    readLastLine: () => readLastLine(logPath),
+    appendLine: (line) => fs.appendFileSync(logPath, `${line}\n`, { encoding: 'utf8', mode: 0o600 }),
+    readHead: () => (fs.existsSync(headPath) ? JSON.parse(fs.readFileSync(headPath, 'utf8')) : null),
+    writeHead: (head) => writeFileAtomic(headPath, JSON.stringify(head)),
+  };
+};
+
+const memoryStore = () => {
+  const lines = [];
+  let head = null;
+  return {
+    path: null,
+    withLock: async (fn) => fn(),
+    readLines: () => [...lines],
+    readLastLine: () => lines.at(-1) ?? null,
+    appendLine: (line) => lines.push(line),
+    readHead: () => head,
+    writeHead: (nextHead) => {
+      head = nextHead;
+    },
+  };
+};
+
+// Open the audit log. With persist=false entries are only kept in memory.
+export const openAuditLog = ({ persist = true, baseDirOverride = null, actor = currentUser() } = {}) => {
+  const store = persist ? fileStore(baseDirOverride) : memoryStore();
+
+  // The head file as last written, or null when it is missing or unreadable
+  const readHead = () => {
+    try {
+      const head = store.readHead();
+      return head && Number.isInteger(head.seq) && typeof head.hash === 'string' ? head : null;
+    } catch {
+      return null;
+    }
+  };
+
+  // Sequence number and hash of the entry currently last in the log. Read on
+  // every append, since another process may have appended meanwhile. A log
+  // whose last line is unreadable, or which is empty although entries were
+  // recorded, continues from the head file: starting a new chain would hide the
+  // damage from verification. Without a usable head nothing is appended.
+  const readLast = () => {
+    const line = store.readLastLine();
+    if (line !== null) {
+      try {
+        const { entry, hash } = parseLine(line);
+        return { seq: entry.seq, hash };
+      } catch {
+        // Continue from the head below
+      }
+    }
+    const head = readHead();
+    if (line === null) {
+      return head ?? { seq: 0, hash: GENESIS_HASH };
+    }
+    if (!head) {
+      throw new Error('The last audit log entry and the audit head file are unreadable; repair the log before recording more');
+    }
+    console.warn('⚠️  The last audit log entry is unreadable; continuing from the audit head file. Run verification to inspect the log');
+    return head;
+  };
+
+  // Record an event: { action, secretId?, title?, details? }. Resolves to the
+  // entry once it is written.
+  const append = ({ action, secretId = null, title = null, details = null }) => store.withLock(() => {
+    const last = readLast();
+    const entry = {
+      seq: last.seq + 1,
+      timestamp: new Date().toISOString(),
+      actor,
+      action,
+      secretId,
+      title,
+      details,
+      prevHash: last.hash,
+    };
+    const hash = hashEntry(last.hash, entry);
+    store.appendLine(JSON.stringify({ ...entry, hash }));
+    store.writeHead({ seq: entry.seq, hash });
+    return { ...entry, hash };
+  });
+
+  // Read entries, newest first.
+  // Filters: secretId, actions (array), since/until (ms timestamps), limit.
+  const query = ({ secretId, actions, since, until, limit = DEFAULT_AUDIT_QUERY_LIMIT } = {}) => {
+    const matches = [];
+    for (const line of store.readLines()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      const time = Date.parse(entry.timestamp);
+      if (secretId && entry.secretId !== secretId) continue;
+      if (actions && !actions.includes(entry.action)) continue;
+      if (since !== undefined && time < since) continue;
+      if (until !== undefined && time > until) continue;
+      matches.push(entry);
+    }
+    matches.reverse();
+    return { total: matches.length, entries: matches.slice(0, limit) };
+  };
+
+  // Check the whole chain. Returns { valid, entries, problems: [{ line, message }] }.
+  const verify = () => {
+    const problems = [];
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let count = 0;
+
+    store.readLines().forEach((line, index) => {
+      const lineNumber = index + 1;
+      let parsed;
+      try {
+        parsed = parseLine(line);
+      } catch {
+        problems.push({ line: lineNumber, message: 'Entry is not valid JSON' });
+        return;
+      }
+      const { entry, hash } = parsed;
+      count += 1;
+
+      if (entry.seq !== expectedSeq) {
+        problems.push({ line: lineNumber, message: `Expected entry ${expectedSeq} but found ${entry.seq} (entries missing or reordered)` });
+      }
+      if (entry.prevHash !== prevHash) {
+        problems.push({ line: lineNumber, message: 'Entry does not follow the previous entry (chain broken)' });
+      }
+      if (hashEntry(entry.prevHash, entry) !== hash) {
+        problems.push({ line: lineNumber, message: 'Entry contents do not match its hash (entry edited)' });
+      }
+
+      prevHash = hash;
+      expectedSeq = (Number.isInteger(entry.seq) ? entry.seq : expectedSeq) + 1;
+    });
+
+    let head;
+    try {
+      head = store.readHead();
+    } catch {
+      head = undefined;
+      problems.push({ line: null, message: 'Audit head file is unreadable' });
+    }
+    if (head === null && count > 0) {
+      problems.push({ line: null, message: 'Audit head file is missing' });
+    } else if (head && (head.seq !== expectedSeq - 1 || head.hash !== prevHash)) {
+      problems.push({
+        line: null,
+        message: `Log ends at entry ${expectedSeq - 1} but the newest recorded entry is ${head.seq} (log truncated or replaced)`,
+      });
+    }
+
+    return { valid: problems.length === 0, entries: count, problems };
+  };
+
+  return { path: store.path, append, query, verify };
+};
+
+// Record an event if auditing is enabled. A failing audit log is reported but
+// does not block vault operations, so the returned promise never rejects.
+// Callers await it where they can, so a command does not exit before its
+// entries are written.
+export const recordAudit = async (auditLog, event) => {
+  if (!auditLog) {
+    return;
+  }
+  try {
+    await auditLog.append(event);
+  } catch (error) {
+    console.error('Failed to write audit log entry:', error);
+  }
+};
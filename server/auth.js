@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+
+// Header used by the frontend to present the per-launch API token
+export const AUTH_SCHEME = 'Bearer';
+
+// Generate a random per-launch API token (256 bits, URL-safe)
+export const generateApiToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Compare tokens in constant time to avoid leaking them through response timing
+const tokensMatch = (provided, expected) => {
+  const providedBuffer = Buffer.from(provided, 'utf8');
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  if (providedBuffer.length !== expectedBuffer.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+};
+
+// Extract the token from an "Authorization: Bearer <token>" header
+const readBearerToken = (req) => {
+  const header = req.get('authorization');
+  if (typeof header !== 'string') {
+    return null;
+  }
+  const [scheme, token] = header.split(' ');
+  if (scheme !== AUTH_SCHEME || !token) {
+    return null;
+  }
+  return token;
+};
+
+// Express middleware rejecting requests that do not carry the expected token.
+// Paths listed in publicPaths (relative to the mount point) are let through.
+export const requireApiToken = (expectedToken, { publicPaths = [] } = {}) => {
+  if (typeof expectedToken !== 'string' || expectedToken === '') {
+    throw new Error('An API token is required to protect the API');
+  }
+
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) {
+      return next();
+    }
+
+    const token = readBearerToken(req);
+    if (!token || !tokensMatch(token, expectedToken)) {
+      res.set('WWW-Authenticate', AUTH_SCHEME);
+      return res.status(401).json({ error: 'Missing or invalid API token' });
+    }
+
+    return next();
+  };
+};
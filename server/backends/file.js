@@ -0,0 +1,66 @@
+import { openFileVault, vaultExists } from '../fileVault.js';
+import { promptHidden } from '../prompt.js';
+
+const MAX_PASSPHRASE_ATTEMPTS = 3;
+
+// Take the passphrase from SECUREVAULT_PASSPHRASE once, and remove it from the
+// environment so it is not inherited by anything this process spawns
+let passphraseFromEnv = process.env.SECUREVAULT_PASSPHRASE;
+delete process.env.SECUREVAULT_PASSPHRASE;
+
+const takeEnvPassphrase = () => {
+  const passphrase = passphraseFromEnv;
+  passphraseFromEnv = undefined;
+  return passphrase;
+};
+
+// Prompt for the passphrase on the terminal, confirming it when creating a new vault
+const unlockInteractively = async (baseDirOverride) => {
+  const creating = !vaultExists(baseDirOverride);
+  if (creating) {
+    console.log('🔐 Creating a new encrypted vault. Choose a passphrase; it cannot be recovered if lost.');
+  }
+
+  for (let attempt = 1; attempt <= MAX_PASSPHRASE_ATTEMPTS; attempt++) {
+    const passphrase = await promptHidden(creating ? 'New vault passphrase: ' : 'Vault passphrase: ');
+    if (creating && passphrase && (await promptHidden('Confirm passphrase: ')) !== passphrase) {
+      console.error('❌ Passphrases do not match');
+      continue;
+    }
+    try {
+      return await openFileVault(passphrase, { baseDirOverride });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    }
+  }
+
+  throw new Error('Too many failed passphrase attempts');
+};
+
+// Passphrase-protected vault file (scrypt + AES-256-GCM) in the config directory.
+// The passphrase comes from options.passphrase, SECUREVAULT_PASSPHRASE, or a terminal prompt.
+export const fileBackend = {
+  name: 'file',
+  description: 'Encrypted vault file',
+  capabilities: {
+    persistent: true,
+    listable: true,
+    requiresPassphrase: true,
+  },
+
+  // Usable whenever a passphrase can be obtained
+  async isAvailable() {
+    return Boolean(passphraseFromEnv) || Boolean(process.stdin.isTTY);
+  },
+
+  async open({ passphrase, baseDirOverride = null } = {}) {
+    const providedPassphrase = passphrase || takeEnvPassphrase();
+    if (providedPassphrase) {
+      return await openFileVault(providedPassphrase, { baseDirOverride });
+    }
+    if (!process.stdin.isTTY) {
+      throw new Error('No vault passphrase available (set SECUREVAULT_PASSPHRASE or run in a terminal)');
+    }
+    return await unlockInteractively(baseDirOverride);
+  },
+};
@@ -0,0 +1,81 @@
+import { keytarBackend } from './keytar.js';
+import { fileBackend } from './file.js';
+import { memoryBackend } from './memory.js';
+
+// Storage backend interface
+// ------------------------
+// A backend definition is an object with:
+// - name: unique identifier used by --backend and config.json
+// - description: human-readable label
+// - capabilities: { persistent, listable, requiresPassphrase }
+// - isAvailable(): resolves to true when the backend can be opened on this machine
+// - open(options): resolves to an instance exposing
+//     getPassword(service, account) -> value or null
+//     setPassword(service, account, value)
+//     deletePassword(service, account) -> boolean
+//     listAccounts(service) -> names of the accounts of exactly that service (doctor.js
+//       and deleteVault rely on it, and vault service names can start with one another)
+//
+// open() results are wrapped by openBackend() so every instance also carries
+// its definition's name, description and capabilities.
+
+const registry = new Map();
+
+// Order matters: automatic selection picks the first available backend
+const AUTO_SELECTION_ORDER = ['keytar', 'file', 'memory'];
+
+export const registerBackend = (definition) => {
+  if (!definition?.name || typeof definition.open !== 'function' || typeof definition.isAvailable !== 'function') {
+    throw new Error('A storage backend needs a name, isAvailable() and open()');
+  }
+  if (registry.has(definition.name)) {
+    throw new Error(`Storage backend "${definition.name}" is already registered`);
+  }
+  registry.set(definition.name, definition);
+};
+
+export const getBackend = (name) => {
+  const definition = registry.get(name);
+  if (!definition) {
+    throw new Error(`Unknown storage backend "${name}". Available backends: ${listBackends().join(', ')}`);
+  }
+  return definition;
+};
+
+export const listBackends = () => [...registry.keys()];
+
+// Open a backend by name and attach its descriptive fields to the instance
+export const openBackend = async (name, options = {}) => {
+  const definition = getBackend(name);
+  const instance = await definition.open(options);
+  return {
+    ...instance,
+    name: definition.name,
+    description: definition.description,
+    capabilities: { ...definition.capabilities },
+  };
+};
+
+// Open the requested backend, or the first available one when none is requested.
+// An explicitly requested backend that cannot be opened is an error rather than
+// a silent fallback.
+export const selectBackend = async (requested = null, options = {}) => {
+  if (requested) {
+    const definition = getBackend(requested);
+    if (!(await definition.isAvailable())) {
+      throw new Error(`Storage backend "${requested}" is not available on this machine`);
+    }
+    return await openBackend(requested, options);
+  }
+
+  for (const name of AUTO_SELECTION_ORDER) {
+    if (registry.has(name) && await registry.get(name).isAvailable()) {
+      return await openBackend(name, options);
+    }
+  }
+  throw new Error('No storage backend is available');
+};
+
+registerBackend(keytarBackend);
+registerBackend(fileBackend);
+registerBackend(memoryBackend);
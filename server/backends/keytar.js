@@ -0,0 +1,59 @@
+const PROBE_SERVICE = 'SecureVault';
+const PROBE_ACCOUNT = '__test__';
+
+// keytar is a native module: load it lazily so the other backends keep working
+// on machines where it is not built (e.g. missing libsecret on Linux)
+const loadKeytar = async () => (await import('keytar')).default;
+
+// OS keychain backend (Keychain on macOS, Credential Vault on Windows,
+// Secret Service API on Linux)
+export const keytarBackend = {
+  name: 'keytar',
+  description: 'OS keychain',
+  capabilities: {
+    persistent: true,
+    listable: true,
+    requiresPassphrase: false,
+  },
+
+  // The keychain is usable only if a round-trip write/delete succeeds
+  async isAvailable() {
+    try {
+      const keytar = await loadKeytar();
+      await keytar.setPassword(PROBE_SERVICE, PROBE_ACCOUNT, 'test');
+      await keytar.deletePassword(PROBE_SERVICE, PROBE_ACCOUNT);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  async open() {
+    const keytar = await loadKeytar();
+
+    return {
+      async setPassword(service, account, password) {
+        return await keytar.setPassword(service, account, password);
+      },
+
+      async getPassword(service, account) {
+        return await keytar.getPassword(service, account);
+      },
+
+      async deletePassword(service, account) {
+        return await keytar.deletePassword(service, account);
+      },
+
+      // On Windows findCredentials matches every service starting with the given
+      // one, so "SecureVault" also finds the entries of "SecureVault:<id>" and
+      // "SecureVault:work" those of "SecureVault:work-2". Only accounts the exact
+      // service has a value for are kept.
+      async listAccounts(service) {
+        const credentials = await keytar.findCredentials(service);
+        const accounts = [...new Set(credentials.map(credential => credential.account))];
+        const owned = await Promise.all(accounts.map(async account => (await keytar.getPassword(service, account)) !== null));
+        return accounts.filter((_account, index) => owned[index]);
+      },
+    };
+  },
+};
@@ -0,0 +1,43 @@
+// In-memory backend: nothing is persisted, values are lost when the process exits.
+// Used as a last resort and in tests.
+export const memoryBackend = {
+  name: 'memory',
+  description: 'In-memory storage',
+  capabilities: {
+    persistent: false,
+    listable: true,
+    requiresPassphrase: false,
+  },
+
+  async isAvailable() {
+    return true;
+  },
+
+  async open() {
+    const services = new Map();
+    const entriesFor = (service) => {
+      if (!services.has(service)) {
+        services.set(service, new Map());
+      }
+      return services.get(service);
+    };
+
+    return {
+      async setPassword(service, account, password) {
+        entriesFor(service).set(account, password);
+      },
+
+      async getPassword(service, account) {
+        return entriesFor(service).get(account) ?? null;
+      },
+
+      async deletePassword(service, account) {
+        return entriesFor(service).delete(account);
+      },
+
+      async listAccounts(service) {
+        return [...entriesFor(service).keys()];
+      },
+    };
+  },
+};
@@ -0,0 +1,167 @@
+import { CATEGORY_COLORS, CATEGORY_ICONS, MAX_STALE_AFTER_DAYS, isValidStaleAfterDays } from './categoryStore.js';
+import { secretError } from './secrets.js';
+import { recordAudit } from './auditLog.js';
+
+// Category operations. The context is the one used for secrets plus
+// { categories, persistCategories }: the in-memory category list and a function
+// that saves it (null disables persistence).
+
+export const MAX_CATEGORY_LABEL_LENGTH = 40;
+
+// Validate category fields; with partial=true omitted fields are allowed.
+// staleAfterDays is always optional; null clears it (see health.js for its use).
+// Returns an error message, or null when valid.
+export const validateCategory = ({ label, color, icon, staleAfterDays }, { partial = false } = {}) => {
+  if (label !== undefined || !partial) {
+    if (typeof label !== 'string' || label.trim() === '') {
+      return 'Label must be a non-empty string';
+    }
+    if (label.trim().length > MAX_CATEGORY_LABEL_LENGTH) {
+      return `Label must be at most ${MAX_CATEGORY_LABEL_LENGTH} characters`;
+    }
+  }
+  if ((color !== undefined || !partial) && !CATEGORY_COLORS.includes(color)) {
+    return 'Invalid color. Must be one of: ' + CATEGORY_COLORS.join(', ');
+  }
+  if ((icon !== undefined || !partial) && !CATEGORY_ICONS.includes(icon)) {
+    return 'Invalid icon. Must be one of: ' + CATEGORY_ICONS.join(', ');
+  }
+  if (staleAfterDays !== undefined && staleAfterDays !== null && !isValidStaleAfterDays(staleAfterDays)) {
+    return `staleAfterDays must be an integer between 0 and ${MAX_STALE_AFTER_DAYS}`;
+  }
+  return null;
+};
+
+const findCategory = ({ categories }, id) => categories.find(c => c.id === id);
+
+const labelTaken = ({ categories }, label, exceptId = null) =>
+  categories.some(c => c.id !== exceptId && c.label.toLowerCase() === label.trim().toLowerCase());
+
+// Stable ID for a new category derived from its label, e.g. "SSH Key" -> "ssh-key"
+const categoryIdFor = ({ categories }, label) => {
+  const base = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'category';
+  let id = base;
+  for (let n = 2; categories.some(c => c.id === id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+};
+
+// Replace the category list in place and persist, putting the previous list back on failure
+const commitCategories = ({ categories, persistCategories }, nextCategories) => {
+  const previous = [...categories];
+  categories.splice(0, categories.length, ...nextCategories);
+  if (persistCategories) {
+    try {
+      persistCategories(categories);
+    } catch {
+      categories.splice(0, categories.length, ...previous);
+      throw new Error('Failed to persist categories');
+    }
+  }
+};
+
+// Number of secrets (including the trash) using a category
+export const categoryUsage = ({ secretsMetadata }, id) => secretsMetadata.filter(s => s.category === id).length;
+
+// Create a category ({ label, color, icon, staleAfterDays? }) and return it
+export const createCategory = (context, { label, color, icon, staleAfterDays } = {}) => {
+  const validationError = validateCategory({ label, color, icon, staleAfterDays });
+  if (validationError) {
+    throw secretError(400, validationError);
+  }
+  if (labelTaken(context, label)) {
+    throw secretError(409, 'A category with this label already exists');
+  }
+
+  const category = { id: categoryIdFor(context, label), label: label.trim(), color, icon };
+  if (staleAfterDays !== undefined && staleAfterDays !== null) {
+    category.staleAfterDays = staleAfterDays;
+  }
+  commitCategories(context, [...context.categories, category]);
+
+  recordAudit(context.auditLog, { action: 'category.create', title: category.label, details: { id: category.id } });
+  return category;
+};
+
+// Rename, recolor or change the icon or rotation threshold of a category.
+// Its ID stays the same.
+export const updateCategory = (context, id, { label, color, icon, staleAfterDays } = {}) => {
+  const existing = findCategory(context, id);
+  if (!existing) {
+    throw secretError(404, 'Category not found');
+  }
+  const validationError = validateCategory({ label, color, icon, staleAfterDays }, { partial: true });
+  if (validationError) {
+    throw secretError(400, validationError);
+  }
+  if (label !== undefined && labelTaken(context, label, id)) {
+    throw secretError(409, 'A category with this label already exists');
+  }
+
+  const updated = {
+    ...existing,
+    label: label !== undefined ? label.trim() : existing.label,
+    color: color ?? existing.color,
+    icon: icon ?? existing.icon,
+  };
+  if (staleAfterDays === null) {
+    delete updated.staleAfterDays;
+  } else if (staleAfterDays !== undefined) {
+    updated.staleAfterDays = staleAfterDays;
+  }
+  commitCategories(context, context.categories.map(c => (c.id === id ? updated : c)));
+
+  recordAudit(context.auditLog, { action: 'category.update', title: updated.label, details: { id } });
+  return updated;
+};
+
+// Delete a category. Secrets using it (including their history and the trash)
+// are moved to reassignTo, which is required while the category is in use.
+// Returns the number of secrets that were moved.
+export const deleteCategory = (context, id, { reassignTo } = {}) => {
+  const { secretsMetadata, persistMetadata } = context;
+  const existing = findCategory(context, id);
+  if (!existing) {
+    throw secretError(404, 'Category not found');
+  }
+  if (context.categories.length === 1) {
+    throw secretError(409, 'The last category cannot be deleted');
+  }
+
+  const usage = categoryUsage(context, id);
+  const inHistory = secretsMetadata.some(s => (s.versions ?? []).some(v => v.category === id));
+  if (reassignTo === undefined && (usage > 0 || inHistory)) {
+    throw secretError(409, `Category is used by ${usage} secret(s); choose a category to move them to`);
+  }
+  if (reassignTo !== undefined && (reassignTo === id || !findCategory(context, reassignTo))) {
+    throw secretError(400, 'Secrets must be moved to another existing category');
+  }
+
+  // Move secrets first: if deleting the category then fails, they are still
+  // in a valid category
+  if (reassignTo !== undefined && (usage > 0 || inHistory)) {
+    const snapshot = [...secretsMetadata];
+    const move = (entry) => (entry.category === id ? { ...entry, category: reassignTo } : entry);
+    secretsMetadata.forEach((meta, index) => {
+      secretsMetadata[index] = { ...move(meta), ...(meta.versions ? { versions: meta.versions.map(move) } : {}) };
+    });
+    if (persistMetadata) {
+      try {
+        persistMetadata(secretsMetadata);
+      } catch {
+        secretsMetadata.splice(0, secretsMetadata.length, ...snapshot);
+        throw new Error('Failed to persist secret metadata');
+      }
+    }
+  }
+
+  commitCategories(context, context.categories.filter(c => c.id !== id));
+
+  recordAudit(context.auditLog, {
+    action: 'category.delete',
+    title: existing.label,
+    details: { id, reassignedTo: reassignTo ?? null, reassigned: usage },
+  });
+  return usage;
+};
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { assertWritable, clearUnreadable, getConfigDir, markUnreadable, quarantineFile } from './metadataStore.js';
+import { writeFileAtomic } from './atomicWrite.js';
+
+// Secret categories: { id, label, color, icon, staleAfterDays? }. Secrets refer to
+// a category by its id, which never changes; the other fields can be edited. The
+// list is stored in categories.json next to metadata.json.
+
+// Colors and icons are names from fixed palettes the frontend knows how to draw
+export const CATEGORY_COLORS = ['blue', 'purple', 'yellow', 'orange', 'green', 'gray', 'red', 'pink', 'teal', 'cyan'];
+export const CATEGORY_ICONS = [
+  'key', 'code', 'ticket', 'certificate', 'note', 'folder',
+  'database', 'terminal', 'lock', 'globe', 'cloud', 'credit-card', 'user', 'shield',
+];
+
+// Categories of a new vault
+export const DEFAULT_CATEGORIES = [
+  { id: 'password', label: 'Password', color: 'blue', icon: 'key' },
+  { id: 'api-key', label: 'API Key', color: 'purple', icon: 'code' },
+  { id: 'token', label: 'Token', color: 'yellow', icon: 'ticket' },
+  { id: 'certificate', label: 'Certificate', color: 'orange', icon: 'certificate' },
+  { id: 'note', label: 'Note', color: 'green', icon: 'note' },
+  { id: 'other', label: 'Other', color: 'gray', icon: 'folder' },
+];
+
+// Upper bound for a category's rotation threshold (staleAfterDays), about ten years
+export const MAX_STALE_AFTER_DAYS = 3650;
+
+export const isValidStaleAfterDays = (days) =>
+  Number.isInteger(days) && days >= 0 && days <= MAX_STALE_AFTER_DAYS;
+
+export const defaultCategories = () => DEFAULT_CATEGORIES.map(category => ({ ...category }));
+
+export const getCategoriesPath = (baseDirOverride = null) =>
+  path.join(getConfigDir(baseDirOverride), 'categories.json');
+
+// Keep a hand-edited entry usable: unknown colors and icons fall back to gray and
+// folder, and an invalid rotation threshold is dropped
+const repairCategory = ({ id, label, color, icon, staleAfterDays }) => ({
+  id,
+  label: typeof label === 'string' && label.trim() !== '' ? label : id,
+  color: CATEGORY_COLORS.includes(color) ? color : 'gray',
+  icon: CATEGORY_ICONS.includes(icon) ? icon : 'folder',
+  ...(isValidStaleAfterDays(staleAfterDays) ? { staleAfterDays } : {}),
+});
+
+// Load categories, using the defaults when the file is missing. A file that
+// cannot be read is handled like an unreadable metadata.json: a copy is kept,
+// the defaults are used meanwhile and saving over the file is refused, so custom
+// categories are not lost.
+export const loadCategories = (baseDirOverride = null) => {
+  const categoriesPath = getCategoriesPath(baseDirOverride);
+  clearUnreadable(categoriesPath);
+  if (!fs.existsSync(categoriesPath)) {
+    return defaultCategories();
+  }
+
+  let data;
+  try {
+    data = fs.readFileSync(categoriesPath, 'utf8');
+  } catch (error) {
+    console.warn('⚠️  Failed to load categories from disk:', error.message);
+    markUnreadable(categoriesPath, error.message);
+    return defaultCategories();
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(data);
+  } catch {
+    parsed = null;
+  }
+  if (Array.isArray(parsed) && parsed.length > 0 && parsed.every(c => c && typeof c.id === 'string')) {
+    return parsed.map(repairCategory);
+  }
+  quarantineFile(categoriesPath, data, 'not a non-empty list of categories', 'Categories');
+  return defaultCategories();
+};
+
+// Save categories; throws so callers can roll back
+export const saveCategories = (categories, baseDirOverride = null) => {
+  try {
+    const categoriesPath = getCategoriesPath(baseDirOverride);
+    assertWritable(categoriesPath);
+    writeFileAtomic(categoriesPath, JSON.stringify(categories, null, 2));
+  } catch (error) {
+    console.error('❌ Failed to save categories:', error.message);
+    throw new Error(`Failed to persist categories: ${error.message}`);
+  }
+};
@@ -0,0 +1,37 @@
+import { findSecret, secretError } from './secrets.js';
+import { CERTIFICATE_CATEGORY, privateKeyMatches } from './x509.js';
+
+// Checks on certificate secrets that need more than their metadata. Values are
+// read from storage and compared here; neither leaves the backend.
+
+// Whether a certificate secret's leaf certificate matches the private key in
+// the secret it is paired with (metadata.privateKeyId).
+// Returns { matches, privateKeyId }.
+export const checkCertificateKey = async ({ storage, serviceName, secretsMetadata }, id) => {
+  const meta = findSecret({ secretsMetadata }, id);
+  if (!meta) {
+    throw secretError(404, 'Secret not found');
+  }
+  if (meta.category !== CERTIFICATE_CATEGORY || !meta.certificate) {
+    throw secretError(400, 'Secret is not a certificate');
+  }
+  if (!meta.privateKeyId) {
+    throw secretError(400, 'Certificate is not paired with a private key');
+  }
+  if (!findSecret({ secretsMetadata }, meta.privateKeyId)) {
+    throw secretError(404, 'Paired private key not found');
+  }
+
+  const [certificateValue, keyValue] = await Promise.all([
+    storage.getPassword(serviceName, id),
+    storage.getPassword(serviceName, meta.privateKeyId),
+  ]);
+  if (!certificateValue || !keyValue) {
+    throw secretError(404, 'Secret value not found in storage');
+  }
+  try {
+    return { matches: privateKeyMatches(certificateValue, keyValue), privateKeyId: meta.privateKeyId };
+  } catch (error) {
+    throw secretError(400, error.message);
+  }
+};
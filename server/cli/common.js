@@ -0,0 +1,98 @@
+import { findSecretByRef } from '../secrets.js';
+import { loadConfig } from '../config.js';
+import { createVaultLock } from '../lock.js';
+import { promptHidden } from '../prompt.js';
+import { openVault } from '../vault.js';
+
+// Helpers shared by the CLI commands that work with secrets
+
+const MAX_MASTER_PASSWORD_ATTEMPTS = 3;
+
+// Take the master password from SECUREVAULT_MASTER_PASSWORD once, and remove it
+// from the environment so commands started by `securevault run` do not inherit it
+let masterPasswordFromEnv = process.env.SECUREVAULT_MASTER_PASSWORD;
+delete process.env.SECUREVAULT_MASTER_PASSWORD;
+
+// Exit codes scripts can rely on
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1; // Storage or other unexpected errors
+export const EXIT_USAGE = 2; // Bad arguments or invalid input
+export const EXIT_NOT_FOUND = 3; // No secret matches
+export const EXIT_AMBIGUOUS = 4; // Several secrets have the given title
+export const EXIT_DRIFT = 5; // securevault doctor found metadata and storage out of step
+
+// Errors raised by the CLI carry the exit code to use
+export const cliError = (exitCode, message) => Object.assign(new Error(message), { exitCode });
+
+// Client errors from secrets.js (HTTP statuses) map onto exit codes
+export const exitCodeOf = (error) => {
+  if (error.exitCode !== undefined) {
+    return error.exitCode;
+  }
+  if (error.status === 404) {
+    return EXIT_NOT_FOUND;
+  }
+  if (error.status === 409) {
+    return EXIT_AMBIGUOUS;
+  }
+  return error.status >= 400 && error.status < 500 ? EXIT_USAGE : EXIT_FAILURE;
+};
+
+// Run fn under the vault's write lock (see vault.js), so a running server neither
+// loses the change nor overwrites it. Contexts built without one (tests) run fn as is.
+export const whileLocked = (context, fn) => (context.withWriteLock ? context.withWriteLock(fn) : fn());
+
+// Ask for the master password, when one is set, before a command prints or hands
+// out values or changes the vault, as the app does while it is locked. It comes from
+// SECUREVAULT_MASTER_PASSWORD or a prompt on the terminal; attempts are recorded
+// in the audit log like unlocks in the app.
+// - password: the stored { kdf, hash } record from config.json, or null
+export const requireMasterPassword = async ({ auditLog }, password, { prompt = promptHidden } = {}) => {
+  if (!password) {
+    return;
+  }
+  const vaultLock = createVaultLock({ password, auditLog });
+  const fromEnv = masterPasswordFromEnv;
+  masterPasswordFromEnv = undefined;
+  if (fromEnv !== undefined) {
+    await vaultLock.unlock(fromEnv);
+    return;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const candidate = await prompt('Master password: ');
+    if (candidate === null) {
+      throw cliError(EXIT_USAGE, 'The vault has a master password; set SECUREVAULT_MASTER_PASSWORD or run in a terminal');
+    }
+    try {
+      await vaultLock.unlock(candidate);
+      return;
+    } catch (error) {
+      if (error.status !== 403 || attempt >= MAX_MASTER_PASSWORD_ATTEMPTS) {
+        throw error;
+      }
+      console.error(`❌ ${error.message}`);
+    }
+  }
+};
+
+// Open the vault from options.backend and options.vault (see vault.js). Commands
+// that read values or change the vault pass asksPassword, so the master password
+// is asked for first.
+export const openVaultForCommand = async ({ backend, vault }, { asksPassword = false } = {}) => {
+  const config = loadConfig();
+  const context = await openVault({ backend, vault, config });
+  if (asksPassword) {
+    await requireMasterPassword(context, config.masterPassword ?? null);
+  }
+  return context;
+};
+
+// Find a secret by ID or title (see findSecretByRef); a missing secret is an error
+export const resolveSecret = (context, ref) => {
+  const meta = findSecretByRef(context, ref);
+  if (!meta) {
+    throw cliError(EXIT_NOT_FOUND, `No secret matches "${ref}"`);
+  }
+  return meta;
+};
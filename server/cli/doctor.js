@@ -0,0 +1,77 @@
+import { checkIntegrity, hasDrift, reattachOrphan, removeMissingSecret } from '../doctor.js';
+import { EXIT_DRIFT, EXIT_OK, exitCodeOf, openVaultForCommand, whileLocked } from './common.js';
+
+// securevault doctor [--reattach] [--remove-missing] [--json]: check that the
+// metadata and the values in storage match (see doctor.js). --reattach turns
+// every orphaned value into a new secret, --remove-missing deletes every secret
+// whose value is gone. Exits with EXIT_DRIFT while anything is left to repair.
+
+const describeMissing = ({ id, title, trashed }) => `   ${title} (${id}${trashed ? ', in the trash' : ''})\n`;
+
+const printReport = (report, stdout) => {
+  stdout.write(`🩺 Checked ${report.summary.secrets} secret(s)\n`);
+  if (report.missing.length > 0) {
+    stdout.write(`❌ ${report.missing.length} secret(s) have no value in storage:\n`);
+    report.missing.forEach(entry => stdout.write(describeMissing(entry)));
+  }
+  if (report.orphans.length > 0) {
+    stdout.write(`⚠️  ${report.orphans.length} value(s) in storage belong to no secret:\n`);
+    report.orphans.forEach(({ account }) => stdout.write(`   ${account}\n`));
+  }
+  if (!report.listable) {
+    stdout.write('ℹ️  This backend cannot list its entries, so orphaned values were not looked for\n');
+  }
+  if (!hasDrift(report)) {
+    stdout.write('✅ Metadata and storage match\n');
+  }
+};
+
+// Returns the process exit code. The vault is opened from options.backend and
+// options.vault unless a context is given, asking for the master password first
+// when repairs were requested; stdout is replaceable for tests.
+export const runDoctor = async (options, { context, stdout = process.stdout } = {}) => {
+  const { reattach, removeMissing, json } = options;
+
+  try {
+    const vault = context ?? await openVaultForCommand(options, { asksPassword: Boolean(reattach || removeMissing) });
+    const reattached = [];
+    const removed = [];
+    // Repairs are made under the write lock, on the metadata as currently saved
+    const check = async () => {
+      let report = await checkIntegrity(vault);
+      if (reattach) {
+        for (const { account } of report.orphans) {
+          const meta = await reattachOrphan(vault, { account });
+          reattached.push({ account, id: meta.id, title: meta.title });
+        }
+      }
+      if (removeMissing) {
+        for (const { id, title } of report.missing) {
+          await removeMissingSecret(vault, id);
+          removed.push({ id, title });
+        }
+      }
+      if (reattached.length > 0 || removed.length > 0) {
+        report = await checkIntegrity(vault);
+      }
+      return report;
+    };
+    const report = reattach || removeMissing ? await whileLocked(vault, check) : await check();
+
+    if (json) {
+      stdout.write(`${JSON.stringify({ ...report, reattached, removed }, null, 2)}\n`);
+    } else {
+      reattached.forEach(({ account, title }) => stdout.write(`🔗 Re-attached ${account} as "${title}"\n`));
+      removed.forEach(({ id, title }) => stdout.write(`🗑️  Removed "${title}" (${id})\n`));
+      printReport(report, stdout);
+      if (hasDrift(report)) {
+        stdout.write('   Repair with --reattach (orphaned values become new secrets) and --remove-missing\n');
+        stdout.write('   (secrets without a value are deleted), or from the banner in the app.\n');
+      }
+    }
+    return hasDrift(report) ? EXIT_DRIFT : EXIT_OK;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return exitCodeOf(error);
+  }
+};
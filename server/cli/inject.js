@@ -0,0 +1,59 @@
+import fs from 'fs';
+import { writeFileAtomic } from '../atomicWrite.js';
+import { renderTemplate, resolveReferences } from '../templates.js';
+import { EXIT_NOT_FOUND, EXIT_OK, EXIT_USAGE, cliError, exitCodeOf, openVaultForCommand } from './common.js';
+
+// securevault inject -i <template> [-o <output>] [--check]: render a template's
+// vault references (see templates.js) into a file with user-only permissions,
+// or to stdout without -o. --check only verifies that every reference resolves.
+
+const USAGE = 'securevault inject -i <template> [-o <output>] [--check]';
+
+const readTemplate = (path) => {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (error) {
+    throw cliError(EXIT_USAGE, `Cannot read template ${path}: ${error.message}`);
+  }
+};
+
+// Returns the process exit code. The vault is opened from options.backend and
+// options.vault unless a context is given, after asking for the master password
+// when one is set and values are rendered; stdout is replaceable for tests.
+export const runInject = async (options, { context, stdout = process.stdout } = {}) => {
+  const { input, output, check } = options;
+  if (!input || (check && output)) {
+    console.error(`Usage: ${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    const template = readTemplate(input);
+    const vault = context ?? await openVaultForCommand(options, { asksPassword: !check });
+
+    if (check) {
+      const references = resolveReferences(vault, template);
+      const problems = references.filter(reference => reference.error);
+      for (const { ref, error } of problems) {
+        console.error(`❌ "${ref}": ${error}`);
+      }
+      if (problems.length > 0) {
+        return EXIT_NOT_FOUND;
+      }
+      console.error(`✅ All ${references.length} reference(s) in ${input} resolve`);
+      return EXIT_OK;
+    }
+
+    const { rendered } = await renderTemplate(vault, template);
+    if (output) {
+      writeFileAtomic(output, rendered);
+      console.error(`✅ Wrote ${output} (readable by you only)`);
+    } else {
+      stdout.write(rendered);
+    }
+    return EXIT_OK;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return exitCodeOf(error);
+  }
+};
@@ -0,0 +1,109 @@
+import { loadMetadata } from '../metadataStore.js';
+import { loadConfig, updateConfig } from '../config.js';
+import { getBackend, openBackend } from '../backends/index.js';
+import { migrateSecrets } from '../migrate.js';
+import { storageAccounts } from '../history.js';
+import { getVaultDir, loadVaultList, serviceNameFor } from '../vaultStore.js';
+import { openAuditLog } from '../auditLog.js';
+import { exitCodeOf, requireMasterPassword } from './common.js';
+
+// securevault migrate --from <backend> --to <backend> [--keep-source]
+// Returns the process exit code.
+export const runMigrate = async ({ from, to, keepSource = false }) => {
+  if (!from || !to) {
+    console.error('Usage: securevault migrate --from <backend> --to <backend> [--keep-source]');
+    return 2;
+  }
+  if (from === to) {
+    console.error('❌ Source and target backends must differ');
+    return 2;
+  }
+
+  let sourceDefinition;
+  let targetDefinition;
+  try {
+    sourceDefinition = getBackend(from);
+    targetDefinition = getBackend(to);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  for (const definition of [sourceDefinition, targetDefinition]) {
+    if (!definition.capabilities.persistent) {
+      console.error(`❌ Cannot migrate with the "${definition.name}" backend: it does not persist secrets`);
+      return 2;
+    }
+    if (!(await definition.isAvailable())) {
+      console.error(`❌ Storage backend "${definition.name}" is not available on this machine`);
+      return 1;
+    }
+  }
+
+  // Migrating moves every value, so it needs the master password like other commands
+  let config;
+  try {
+    config = loadConfig();
+    await requireMasterPassword({ auditLog: openAuditLog() }, config.masterPassword ?? null);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return exitCodeOf(error);
+  }
+
+  console.log('ℹ️  Make sure SecureVault is not running while migrating.');
+
+  let source;
+  let target;
+  try {
+    source = await openBackend(from);
+    target = await openBackend(to);
+  } catch (error) {
+    console.error(`❌ Failed to open storage backend: ${error.message}`);
+    return 1;
+  }
+
+  // Every value a secret owns in storage, including the values of its versions,
+  // in every named vault. Source values are only removed once all vaults were
+  // copied and verified.
+  const vaults = loadVaultList(config.vaults).map(({ id }) => ({
+    serviceName: serviceNameFor(id),
+    metadata: loadMetadata(getVaultDir(id)),
+  }));
+  const secretCount = vaults.reduce((count, { metadata }) => count + metadata.length, 0);
+  console.log(`🔁 Migrating ${secretCount} secret(s) from ${source.description} to ${target.description}...`);
+
+  const report = { migrated: [], missing: [], failed: [], verified: true, sourceCleared: false };
+  for (const { serviceName, metadata } of vaults) {
+    const ids = metadata.flatMap(storageAccounts);
+    const vaultReport = await migrateSecrets({ source, target, serviceName, ids, keepSource: true });
+    report.migrated.push(...vaultReport.migrated.map(id => ({ serviceName, id })));
+    report.missing.push(...vaultReport.missing);
+    report.failed.push(...vaultReport.failed);
+    report.verified &&= vaultReport.verified;
+  }
+  if (report.verified && !keepSource) {
+    for (const { serviceName, id } of report.migrated) {
+      await source.deletePassword(serviceName, id);
+    }
+    report.sourceCleared = true;
+  }
+
+  console.log(`   Copied and verified: ${report.migrated.length} value(s)`);
+  if (report.missing.length > 0) {
+    console.warn(`⚠️  ${report.missing.length} value(s) were missing from the source backend: ${report.missing.join(', ')}`);
+  }
+  if (!report.verified) {
+    for (const { id, error } of report.failed) {
+      console.error(`❌ ${id}: ${error}`);
+    }
+    console.error('❌ Migration failed; the source backend was left untouched.');
+    return 1;
+  }
+
+  updateConfig({ backend: to });
+  if (report.sourceCleared) {
+    console.log(`🧹 Removed migrated values from ${source.description}`);
+  }
+  console.log(`✅ Migration complete. SecureVault will now use the "${to}" backend.`);
+  return 0;
+};
@@ -0,0 +1,170 @@
+import fs from 'fs';
+import os from 'os';
+import { spawn } from 'child_process';
+import { findSecretByRef, readSecret } from '../secrets.js';
+import {
+  EXIT_FAILURE, EXIT_NOT_FOUND, EXIT_USAGE, cliError, exitCodeOf, openVaultForCommand,
+} from './common.js';
+
+// securevault run --env NAME=<title|id> --env-file mapping.yml -- <command>:
+// start a command with secrets in its environment. Values only ever live in this
+// process and the child's environment; nothing is written to disk.
+
+const USAGE = 'securevault run [--env NAME=<title|id>]... [--env-file <mapping.yml>] -- <command> [args...]';
+
+// Exit code when the command cannot be started (as in shells)
+export const EXIT_COMMAND_NOT_FOUND = 127;
+
+// Signals passed on to the command while it runs
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+// Signals a terminal sends to its whole foreground process group (Ctrl-C), so a
+// command reading from that terminal already gets them
+const TERMINAL_SIGNALS = ['SIGINT'];
+
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const unquote = (text) => {
+  const quote = text[0];
+  if ((quote === '"' || quote === "'") && text.length >= 2 && text.endsWith(quote)) {
+    return text.slice(1, -1);
+  }
+  return text;
+};
+
+// --env NAME=<title|id> -> { name, ref }
+export const parseEnvAssignment = (assignment) => {
+  const separator = assignment.indexOf('=');
+  const name = separator === -1 ? assignment : assignment.slice(0, separator);
+  const ref = separator === -1 ? '' : assignment.slice(separator + 1).trim();
+  if (!ENV_NAME.test(name) || !ref) {
+    throw cliError(EXIT_USAGE, `Invalid --env "${assignment}"; expected NAME=<secret title or ID>`);
+  }
+  return { name, ref };
+};
+
+// Parse a mapping file: one "NAME: <secret title or ID>" per line, as a flat
+// YAML mapping. # comments, blank lines and quoted titles are allowed; nested
+// values and lists are not. Returns [{ name, ref }] in file order.
+export const parseEnvMapping = (text) => {
+  const mappings = [];
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trimEnd();
+    if (line.trim() === '' || line === '---') {
+      return;
+    }
+    const match = line.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*:\s*(.*)$/);
+    const ref = match ? unquote(match[2].trim()) : '';
+    if (!match || !ref) {
+      throw cliError(EXIT_USAGE, `Invalid mapping on line ${index + 1}; expected NAME: <secret title or ID>`);
+    }
+    mappings.push({ name: match[1], ref });
+  });
+  return mappings;
+};
+
+const readMappingFile = (path) => {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (error) {
+    throw cliError(EXIT_USAGE, `Cannot read mapping file ${path}: ${error.message}`);
+  }
+};
+
+// Look up every mapped secret and read its value (the current code for TOTP
+// secrets). All missing or ambiguous references are reported together, before
+// any value is read. Later mappings for the same name win.
+export const resolveEnvironment = async (context, mappings) => {
+  const problems = [];
+  const resolved = new Map();
+  for (const { name, ref } of mappings) {
+    try {
+      const meta = findSecretByRef(context, ref);
+      if (meta) {
+        resolved.set(name, meta);
+      } else {
+        problems.push({ exitCode: EXIT_NOT_FOUND, message: `${name}: no secret matches "${ref}"` });
+      }
+    } catch (error) {
+      problems.push({ exitCode: exitCodeOf(error), message: `${name}: ${error.message}` });
+    }
+  }
+  if (problems.length > 0) {
+    throw cliError(problems[0].exitCode, `Cannot resolve every secret:\n   ${problems.map(p => p.message).join('\n   ')}`);
+  }
+
+  const env = {};
+  for (const [name, meta] of resolved) {
+    env[name] = await readSecret(context, meta.id, 'run');
+  }
+  return env;
+};
+
+// Spawn a command with extra environment variables, pass signals from
+// `signals` on to it, and resolve to its exit code (128 + the signal number
+// when a signal ended it, as shells report it). When the command shares the
+// terminal (`terminal`), the terminal's own signals are only caught here, so
+// the command receives each of them once.
+export const spawnWithEnv = (command, args, env, {
+  signals = process,
+  stdio = 'inherit',
+  terminal = stdio === 'inherit' && Boolean(process.stdin.isTTY),
+} = {}) =>
+  new Promise((resolve) => {
+    const child = spawn(command, args, { stdio, env: { ...process.env, ...env } });
+
+    const forward = (signal) => {
+      if (!terminal || !TERMINAL_SIGNALS.includes(signal)) {
+        child.kill(signal);
+      }
+    };
+    for (const signal of FORWARDED_SIGNALS) {
+      signals.on(signal, forward);
+    }
+    const stopForwarding = () => {
+      for (const signal of FORWARDED_SIGNALS) {
+        signals.off(signal, forward);
+      }
+    };
+
+    child.on('error', (error) => {
+      stopForwarding();
+      console.error(`❌ Failed to start "${command}": ${error.message}`);
+      resolve(error.code === 'ENOENT' ? EXIT_COMMAND_NOT_FOUND : EXIT_FAILURE);
+    });
+    child.on('exit', (code, signal) => {
+      stopForwarding();
+      resolve(code ?? 128 + (os.constants.signals[signal] ?? 0));
+    });
+  });
+
+// securevault run. commandLine is everything after "--". Returns the exit code:
+// the command's own, or one of the CLI's when the secrets cannot be resolved.
+// The vault is opened from options.backend and options.vault unless a context is
+// given, after asking for the master password when one is set.
+export const runWithSecrets = async (options, commandLine, { context, signals = process, stdio = 'inherit' } = {}) => {
+  const [command, ...args] = commandLine;
+  if (!command) {
+    console.error(`Usage: ${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  let env;
+  try {
+    const mappings = [
+      ...(options['env-file'] ? parseEnvMapping(readMappingFile(options['env-file'])) : []),
+      ...(options.env ?? []).map(parseEnvAssignment),
+    ];
+    if (mappings.length === 0) {
+      throw cliError(EXIT_USAGE, `No secrets to inject; use --env or --env-file\nUsage: ${USAGE}`);
+    }
+    const vault = context ?? await openVaultForCommand(options, { asksPassword: true });
+    env = await resolveEnvironment(vault, mappings);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return exitCodeOf(error);
+  }
+
+  return spawnWithEnv(command, args, env, { signals, stdio });
+};
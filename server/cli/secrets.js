@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import {
+  createSecret, deleteSecret, findSecretByRef, isTrashed, purgeSecret, readSecret, updateSecret,
+} from '../secrets.js';
+import { publicMetadata } from '../history.js';
+import { defaultCategoryOf } from '../settings.js';
+import { promptHidden } from '../prompt.js';
+import { copyToClipboard } from '../clipboard.js';
+import {
+  EXIT_OK, EXIT_USAGE, cliError, exitCodeOf, openVaultForCommand, resolveSecret, whileLocked,
+} from './common.js';
+
+// securevault list | get | set | rm: read and change secrets from a terminal or
+// a script. The commands open the vault like the server does (see vault.js) and
+// go through secrets.js, so validation, history and the audit log behave as they
+// do for the API.
+
+export const SECRET_COMMANDS = ['list', 'get', 'set', 'rm'];
+
+const USAGE = {
+  list: 'securevault list [--category <id>] [--tag <tag>] [--json]',
+  get: 'securevault get <title|id> [--copy] [--json]',
+  set: 'securevault set <title|id> [--category <id>] [--notes <text>] [--tags <a,b>] [--json]',
+  rm: 'securevault rm <title|id> [--purge] [--json]',
+};
+
+// Read the value for `set`: all of stdin when it is piped (without the final
+// newline), otherwise a prompt that does not echo
+const readValue = async () => {
+  if (process.stdin.isTTY) {
+    return promptHidden('Value: ');
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+};
+
+// Where commands read and write; replaced in tests
+const processIo = {
+  stdout: process.stdout,
+  stderr: process.stderr,
+  readValue,
+  copy: copyToClipboard,
+};
+
+const writeJson = (io, data) => io.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+
+// Left-aligned columns separated by two spaces
+const formatTable = (header, rows) => {
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  return [header, ...rows]
+    .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n') + '\n';
+};
+
+// securevault list: secrets outside the trash, by title
+const list = async (context, _ref, { category, tag, json }, io) => {
+  const secrets = context.secretsMetadata
+    .filter(meta => !isTrashed(meta))
+    .filter(meta => !category || meta.category === category)
+    .filter(meta => !tag || (meta.tags ?? []).includes(tag.toLowerCase()))
+    .sort((a, b) => a.title.localeCompare(b.title))
+    .map(publicMetadata);
+
+  if (json) {
+    writeJson(io, secrets);
+  } else if (secrets.length === 0) {
+    io.stderr.write('No secrets found\n');
+  } else {
+    io.stdout.write(formatTable(
+      ['TITLE', 'CATEGORY', 'UPDATED', 'ID'],
+      secrets.map(meta => [meta.title, meta.category, new Date(meta.updatedAt).toLocaleDateString(), meta.id]),
+    ));
+  }
+  return EXIT_OK;
+};
+
+// securevault get: the value on stdout, or on the clipboard with --copy.
+// TOTP secrets give their current code rather than the seed.
+const get = async (context, ref, { copy, json }, io) => {
+  const meta = resolveSecret(context, ref);
+  const value = await readSecret(context, meta.id, copy ? 'copy' : 'print');
+
+  if (copy) {
+    await io.copy(value);
+    if (json) {
+      writeJson(io, { id: meta.id, title: meta.title, copied: true });
+    } else {
+      io.stderr.write(`✅ Copied "${meta.title}" to the clipboard\n`);
+    }
+  } else if (json) {
+    writeJson(io, { id: meta.id, title: meta.title, value });
+  } else {
+    // Exactly the value when piped; a newline keeps terminals tidy
+    io.stdout.write(io.stdout.isTTY ? `${value}\n` : value);
+  }
+  return EXIT_OK;
+};
+
+// Update the secret matching ref with value and the given fields, or create it
+const saveValue = async (context, ref, value, { category, notes, tags }) => {
+  const existing = findSecretByRef(context, ref);
+
+  const fields = {
+    ...(category !== undefined && { category }),
+    ...(notes !== undefined && { notes }),
+    ...(tags !== undefined && { tags: tags.split(',').map(tag => tag.trim()).filter(Boolean) }),
+  };
+  const now = Date.now();
+  let meta;
+  if (existing) {
+    meta = await updateSecret(context, existing.id, { ...fields, value, updatedAt: now });
+  } else {
+    // New secrets start in the default category from the settings, like in the UI
+    meta = await createSecret(context, {
+      category: defaultCategoryOf(context.settings, context.categories),
+      ...fields,
+      id: crypto.randomUUID(),
+      title: ref.trim(),
+      value,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+  return { existing, meta };
+};
+
+// securevault set: change the value of a matching secret, or create a secret
+// with the given title. Category, notes and tags are optional. The value is
+// read before the write lock is taken, so a slow prompt does not hold it.
+const set = async (context, ref, { category, notes, tags, json }, io) => {
+  // An ambiguous title fails before the value is asked for
+  findSecretByRef(context, ref);
+  const value = await io.readValue();
+  if (!value) {
+    throw cliError(EXIT_USAGE, 'No value given; pipe it on stdin or type it at the prompt');
+  }
+  const { existing, meta } = await whileLocked(context, () => saveValue(context, ref, value, { category, notes, tags }));
+
+  if (json) {
+    writeJson(io, meta);
+  } else {
+    io.stdout.write(`✅ ${existing ? 'Updated' : 'Created'} "${meta.title}" (${meta.id})\n`);
+  }
+  return EXIT_OK;
+};
+
+// securevault rm: move a secret to the trash, or delete it for good with --purge
+const rm = async (context, ref, { purge, json }, io) => {
+  const meta = await whileLocked(context, async () => {
+    const found = resolveSecret(context, ref);
+    if (purge) {
+      await purgeSecret(context, found.id);
+    } else {
+      await deleteSecret(context, found.id);
+    }
+    return found;
+  });
+
+  if (json) {
+    writeJson(io, { id: meta.id, title: meta.title, purged: Boolean(purge) });
+  } else {
+    io.stdout.write(purge
+      ? `🗑️  Deleted "${meta.title}" permanently\n`
+      : `🗑️  Moved "${meta.title}" to the trash\n`);
+  }
+  return EXIT_OK;
+};
+
+const COMMANDS = { list, get, set, rm };
+
+// Run one of SECRET_COMMANDS and return the process exit code.
+// options: the parsed command-line flags (backend, json, copy, category, ...).
+// The vault is opened from options.backend and options.vault unless a context is
+// given; every command but `list` then asks for the master password first when
+// one is set.
+export const runSecretsCommand = async (command, positionals, options = {}, { context, io = processIo } = {}) => {
+  const [ref, ...extra] = positionals;
+  if ((command !== 'list' && !ref?.trim()) || (command === 'list' && ref !== undefined) || extra.length > 0) {
+    io.stderr.write(`Usage: ${USAGE[command]}\n`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    const vault = context ?? await openVaultForCommand(options, { asksPassword: command !== 'list' });
+    return await COMMANDS[command](vault, ref, options, io);
+  } catch (error) {
+    io.stderr.write(`❌ ${error.message}\n`);
+    return exitCodeOf(error);
+  }
+};
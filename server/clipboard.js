@@ -0,0 +1,33 @@
+import { spawn } from 'child_process';
+
+// Clipboard access for the CLI through the platform's own tools, tried in order
+const CLIPBOARD_COMMANDS = {
+  darwin: [['pbcopy', []]],
+  win32: [['clip', []]],
+  linux: [['wl-copy', []], ['xclip', ['-selection', 'clipboard']], ['xsel', ['--clipboard', '--input']]],
+};
+
+// Pipe text into a command; resolves to false when the command does not exist
+const pipeTo = (command, args, text) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'] });
+  child.on('error', (error) => (error.code === 'ENOENT' ? resolve(false) : reject(error)));
+  child.on('close', (code) => {
+    if (code === 0) {
+      resolve(true);
+    } else {
+      reject(new Error(`${command} exited with code ${code}`));
+    }
+  });
+  child.stdin.on('error', () => {}); // Reported through 'error' or 'close'
+  child.stdin.end(text);
+});
+
+// Copy text to the system clipboard. Throws when no clipboard tool is available.
+export const copyToClipboard = async (text, platform = process.platform) => {
+  for (const [command, args] of CLIPBOARD_COMMANDS[platform] ?? CLIPBOARD_COMMANDS.linux) {
+    if (await pipeTo(command, args, text)) {
+      return;
+    }
+  }
+  throw new Error('No clipboard tool found (install wl-clipboard, xclip or xsel)');
+};
@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+import { assertWritable, clearUnreadable, getConfigDir, markUnreadable, quarantineFile } from './metadataStore.js';
+import { writeFileAtomic } from './atomicWrite.js';
+
+// User configuration (config.json next to metadata.json). Keys missing from the
+// file take these defaults; keys this version does not know are kept as they are.
+const DEFAULT_CONFIG = {
+  backend: null, // Storage backend name; null selects one automatically
+  trashRetentionDays: null, // Days deleted secrets stay in the trash; null uses the default
+  generatorPresets: null, // Saved password generator presets: [{ id, name, options }]
+  masterPassword: null, // scrypt hash of the master password: { kdf, hash }; null when none is set
+  autoLockMinutes: null, // Idle minutes before the vault locks; null uses the default
+  settings: null, // User preferences (see settings.js); null uses the defaults
+  vaults: null, // Named vaults: [{ id, name }] (see vaultStore.js); null has only the default vault
+  activeVault: null, // ID of the vault in use; null uses the default vault
+};
+
+export const getConfigPath = (baseDirOverride = null) =>
+  path.join(getConfigDir(baseDirOverride), 'config.json');
+
+// Load the configuration; a missing file has the defaults. A file that cannot be
+// read or is not an object is copied aside and loading fails: it may hold the
+// master password, so SecureVault must neither start unlocked nor save the
+// defaults over it.
+export const loadConfig = (baseDirOverride = null) => {
+  const configPath = getConfigPath(baseDirOverride);
+  clearUnreadable(configPath);
+  if (!fs.existsSync(configPath)) {
+    return { ...DEFAULT_CONFIG };
+  }
+
+  let data;
+  try {
+    data = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    markUnreadable(configPath, error.message);
+    assertWritable(configPath); // throws, naming the reason
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(data);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    quarantineFile(configPath, data, 'not a JSON object', 'The master password and settings');
+    assertWritable(configPath);
+  }
+  return { ...DEFAULT_CONFIG, ...parsed };
+};
+
+// Merge changes into the stored configuration and return the result
+export const updateConfig = (changes, baseDirOverride = null) => {
+  const config = { ...loadConfig(baseDirOverride), ...changes };
+  assertWritable(getConfigPath(baseDirOverride));
+  writeFileAtomic(getConfigPath(baseDirOverride), JSON.stringify(config, null, 2));
+  return config;
+};
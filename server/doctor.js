@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { createSecret, purgeSecret, secretError } from './secrets.js';
+import { storageAccounts } from './history.js';
+import { defaultCategoryOf } from './settings.js';
+
+// Integrity check of the vault in use: metadata and storage can drift apart,
+// e.g. when a value is deleted with the OS keychain manager, or an operation is
+// interrupted between writing a value and saving the metadata. Both directions
+// are reported:
+// - missing: secrets (including the trash) whose value is not in storage. They
+//   cannot be revealed or copied and are skipped by exports.
+// - orphans: storage accounts of the vault's service that no secret refers to.
+//   Only backends that can list their accounts (capabilities.listable) find them.
+// Reports name secrets and accounts, never values.
+
+const hasValue = async ({ storage, serviceName }, account) => {
+  const value = await storage.getPassword(serviceName, account);
+  return value !== null && value !== undefined;
+};
+
+// Build the report. The context is the one used for secrets.
+export const checkIntegrity = async (context, { now = Date.now() } = {}) => {
+  const { storage, serviceName, secretsMetadata } = context;
+  const missing = [];
+  for (const meta of secretsMetadata) {
+    if (!(await hasValue(context, meta.id))) {
+      missing.push({ id: meta.id, title: meta.title, category: meta.category, trashed: Boolean(meta.deletedAt) });
+    }
+  }
+
+  const listable = Boolean(storage.capabilities?.listable);
+  const referenced = new Set(secretsMetadata.flatMap(storageAccounts));
+  const orphans = listable
+    ? (await storage.listAccounts(serviceName))
+      .filter(account => !referenced.has(account))
+      .sort()
+      .map(account => ({ account }))
+    : [];
+
+  return {
+    checkedAt: now,
+    listable,
+    summary: { secrets: secretsMetadata.length, missing: missing.length, orphans: orphans.length },
+    missing,
+    orphans,
+  };
+};
+
+// Whether a report found anything to repair
+export const hasDrift = ({ summary }) => summary.missing > 0 || summary.orphans > 0;
+
+const isOrphan = async (context, account) => {
+  if (typeof account !== 'string' || account === '') {
+    throw secretError(400, 'account must be a non-empty string');
+  }
+  const referenced = context.secretsMetadata.some(meta => storageAccounts(meta).includes(account));
+  return !referenced && await hasValue(context, account);
+};
+
+// Turn an orphaned value into a new secret ({ account, title?, category? }) and
+// return its metadata. The secret gets a new ID, so the value cannot clash with
+// the version values of another secret, and the orphaned account is removed.
+export const reattachOrphan = async (context, { account, title, category } = {}) => {
+  if (!(await isOrphan(context, account))) {
+    throw secretError(404, 'No orphaned value with this account');
+  }
+
+  const { storage, serviceName } = context;
+  const value = await storage.getPassword(serviceName, account);
+  const now = Date.now();
+  const metadata = await createSecret(context, {
+    id: crypto.randomUUID(),
+    title: title ?? `Recovered ${account}`,
+    value,
+    category: category ?? defaultCategoryOf(context.settings, context.categories),
+    notes: `Recovered by the integrity check from the keychain account "${account}"`,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  // The value is safe under the new secret; a leftover copy only shows up as an orphan again
+  try {
+    await storage.deletePassword(serviceName, account);
+  } catch (error) {
+    console.error(`Failed to delete the orphaned account ${account}:`, error);
+  }
+  return metadata;
+};
+
+// Delete a secret whose value is missing from storage, with its history
+export const removeMissingSecret = async (context, id) => {
+  const meta = context.secretsMetadata.find(s => s.id === id);
+  if (!meta) {
+    throw secretError(404, 'Secret not found');
+  }
+  if (await hasValue(context, id)) {
+    throw secretError(409, 'The value of this secret is in storage; delete it from the vault instead');
+  }
+  await purgeSecret(context, id);
+};
@@ -0,0 +1,99 @@
+import fs from 'fs';
+
+// Cross-process locks for files in the config directory, which the server, the
+// CLI and a second server may all write. A lock is a file created exclusively
+// next to the guarded one, holding the owner's pid; it is removed on release.
+// A lock whose owner is gone (or that is older than any operation can take) is
+// taken over, so a crashed process cannot block the vault.
+
+export const DEFAULT_LOCK_TIMEOUT_MS = 5000;
+const RETRY_MS = 20;
+const STALE_LOCK_MS = 30000;
+
+// Reported with status 503 by sendError
+const lockTimeoutError = (lockPath) =>
+  Object.assign(new Error(`Another SecureVault process is busy (${lockPath}); try again`), { status: 503 });
+
+const isStale = (lockPath) => {
+  try {
+    if (Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS) {
+      return true;
+    }
+    const pid = Number.parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+    // An empty file is a lock whose owner is still writing its pid
+    if (!Number.isInteger(pid) || pid <= 0) {
+      return false;
+    }
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    // ESRCH: no such process. ENOENT: released meanwhile, so simply retry.
+    return error.code === 'ESRCH';
+  }
+};
+
+const tryAcquire = (lockPath) => {
+  try {
+    const fd = fs.openSync(lockPath, 'wx', 0o600);
+    try {
+      fs.writeSync(fd, String(process.pid));
+    } finally {
+      fs.closeSync(fd);
+    }
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    if (isStale(lockPath)) {
+      fs.rmSync(lockPath, { force: true });
+    }
+    return false;
+  }
+};
+
+const release = (lockPath) => {
+  fs.rmSync(lockPath, { force: true });
+};
+
+// Holders of an async lock in this process queue up here, by lock path, so they
+// take turns without polling the lock file
+const queues = new Map();
+
+// Run fn (which may be async) while holding the lock. Waits up to timeoutMs for
+// other holders, in this process or another one, to finish.
+export const withFileLock = async (lockPath, fn, { timeoutMs = DEFAULT_LOCK_TIMEOUT_MS } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  const previous = queues.get(lockPath) ?? Promise.resolve();
+  let finish;
+  const turn = previous.then(() => new Promise(resolve => { finish = resolve; }));
+  queues.set(lockPath, turn);
+
+  let timer;
+  try {
+    const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve(true), timeoutMs); });
+    if (await Promise.race([previous.then(() => false), timedOut])) {
+      throw lockTimeoutError(lockPath);
+    }
+    while (!tryAcquire(lockPath)) {
+      if (Date.now() >= deadline) {
+        throw lockTimeoutError(lockPath);
+      }
+      await new Promise(resolve => setTimeout(resolve, RETRY_MS));
+    }
+    try {
+      return await fn();
+    } finally {
+      release(lockPath);
+    }
+  } finally {
+    clearTimeout(timer);
+    // Let the next holder go once the previous one is done, even after a timeout
+    previous.then(() => finish());
+    turn.then(() => {
+      if (queues.get(lockPath) === turn) {
+        queues.delete(lockPath);
+      }
+    });
+  }
+};
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './metadataStore.js';
+import { writeFileAtomic } from './atomicWrite.js';
+import { CIPHER, DEFAULT_KDF_PARAMS, createKdfHeader, decryptJson, deriveKey, encryptJson } from './sealedBox.js';
+
+const VAULT_FILE_NAME = 'vault.enc';
+const VAULT_FORMAT_VERSION = 1;
+
+export { DEFAULT_KDF_PARAMS };
+
+// Path of the encrypted vault file, next to metadata.json
+export const getVaultPath = (baseDirOverride = null) =>
+  path.join(getConfigDir(baseDirOverride), VAULT_FILE_NAME);
+
+export const vaultExists = (baseDirOverride = null) => fs.existsSync(getVaultPath(baseDirOverride));
+
+const decryptEntries = (key, file) => {
+  try {
+    return decryptJson(key, file);
+  } catch {
+    throw new Error('Incorrect passphrase or corrupted vault file');
+  }
+};
+
+const writeVaultFile = (vaultPath, contents) => {
+  writeFileAtomic(vaultPath, JSON.stringify(contents, null, 2));
+};
+
+const readVaultFile = (vaultPath) => {
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(vaultPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read vault file: ${error.message}`);
+  }
+  if (!file || file.version !== VAULT_FORMAT_VERSION || file.cipher !== CIPHER || file.kdf?.name !== 'scrypt') {
+    throw new Error('Unsupported vault file format');
+  }
+  return file;
+};
+
+// Identifies one version of the vault file: every write replaces the file
+const fileSignature = (filePath) => {
+  const { ino, mtimeMs, size } = fs.statSync(filePath);
+  return `${ino}:${mtimeMs}:${size}`;
+};
+
+// Open (or create) the passphrase-protected vault file and return a storage
+// adapter with the same interface as the keytar-backed storage.
+// The derived key is kept in memory for the lifetime of the process; every
+// change re-encrypts the whole vault with a fresh IV. The file is read again
+// whenever another process (the CLI or a second server) has replaced it, so
+// neither reads nor writes work on stale entries.
+export const openFileVault = async (passphrase, { baseDirOverride = null, kdfParams = DEFAULT_KDF_PARAMS } = {}) => {
+  if (typeof passphrase !== 'string' || passphrase === '') {
+    throw new Error('A passphrase is required to open the vault');
+  }
+
+  const vaultPath = getVaultPath(baseDirOverride);
+  let header;
+  let key;
+  let entries;
+  let signature;
+
+  const load = async () => {
+    signature = fileSignature(vaultPath);
+    const file = readVaultFile(vaultPath);
+    if (!header || JSON.stringify(file.kdf) !== JSON.stringify(header.kdf)) {
+      key = await deriveKey(passphrase, file.kdf);
+    }
+    entries = decryptEntries(key, file);
+    header = { version: file.version, cipher: file.cipher, kdf: file.kdf };
+  };
+
+  if (fs.existsSync(vaultPath)) {
+    await load();
+  } else {
+    header = {
+      version: VAULT_FORMAT_VERSION,
+      cipher: CIPHER,
+      kdf: createKdfHeader(kdfParams),
+    };
+    key = await deriveKey(passphrase, header.kdf);
+    entries = {};
+    writeVaultFile(vaultPath, encryptJson(key, header, entries));
+    signature = fileSignature(vaultPath);
+  }
+
+  const refresh = async () => {
+    if (fileSignature(vaultPath) !== signature) {
+      await load();
+    }
+  };
+
+  const persist = (nextEntries) => {
+    writeVaultFile(vaultPath, encryptJson(key, header, nextEntries));
+    signature = fileSignature(vaultPath);
+    entries = nextEntries;
+  };
+
+  return {
+    path: vaultPath,
+
+    async setPassword(service, account, password) {
+      await refresh();
+      persist({ ...entries, [service]: { ...entries[service], [account]: password } });
+    },
+
+    async getPassword(service, account) {
+      await refresh();
+      return entries[service]?.[account] ?? null;
+    },
+
+    async deletePassword(service, account) {
+      await refresh();
+      if (!entries[service] || !(account in entries[service])) {
+        return false;
+      }
+      const serviceEntries = { ...entries[service] };
+      delete serviceEntries[account];
+      persist({ ...entries, [service]: serviceEntries });
+      return true;
+    },
+
+    async listAccounts(service) {
+      await refresh();
+      return Object.keys(entries[service] || {});
+    },
+  };
+};
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Password and passphrase generator. All randomness comes from crypto.randomInt
+// (Node's CSPRNG). Modes:
+// - random: characters drawn from the selected classes, at least one of each
+// - pronounceable: alternating consonants and vowels, optionally ending in two digits
+// - passphrase: words from the bundled word list (wordlist.txt, offline)
+
+export const GENERATOR_MODES = ['random', 'pronounceable', 'passphrase'];
+
+export const MIN_LENGTH = 4;
+export const MAX_LENGTH = 128;
+export const MIN_WORDS = 3;
+export const MAX_WORDS = 12;
+export const MAX_SEPARATOR_LENGTH = 3;
+
+export const DEFAULT_GENERATOR_OPTIONS = {
+  mode: 'random',
+  length: 20,
+  lowercase: true,
+  uppercase: true,
+  digits: true,
+  symbols: true,
+  excludeLookAlikes: false,
+  words: 6,
+  separator: '-',
+  capitalize: false,
+  includeNumber: false,
+};
+
+const CHARACTER_CLASSES = {
+  lowercase: 'abcdefghijklmnopqrstuvwxyz',
+  uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digits: '0123456789',
+  symbols: '!@#$%^&*()-_=+[]{};:,.<>/?~',
+};
+const CONSONANTS = 'bcdfghjklmnpqrstvwxz';
+const VOWELS = 'aeiou';
+// Characters that are easy to confuse with each other when read or typed
+const LOOK_ALIKES = 'Il1|O0o';
+
+export const WORD_LIST = fs.readFileSync(new URL('./wordlist.txt', import.meta.url), 'utf8')
+  .split('\n')
+  .map(word => word.trim())
+  .filter(Boolean);
+
+const BOOLEAN_OPTIONS = ['lowercase', 'uppercase', 'digits', 'symbols', 'excludeLookAlikes', 'capitalize', 'includeNumber'];
+
+// Validate generator options (omitted ones take the defaults).
+// Returns an error message, or null when valid.
+export const validateGeneratorOptions = (options) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return 'Generator options must be an object';
+  }
+  const merged = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+  const { mode, length, words, separator } = merged;
+  if (!GENERATOR_MODES.includes(mode)) {
+    return 'Invalid mode. Must be one of: ' + GENERATOR_MODES.join(', ');
+  }
+  if (!Number.isInteger(length) || length < MIN_LENGTH || length > MAX_LENGTH) {
+    return `Length must be an integer between ${MIN_LENGTH} and ${MAX_LENGTH}`;
+  }
+  if (!Number.isInteger(words) || words < MIN_WORDS || words > MAX_WORDS) {
+    return `Word count must be an integer between ${MIN_WORDS} and ${MAX_WORDS}`;
+  }
+  if (typeof separator !== 'string' || separator.length > MAX_SEPARATOR_LENGTH) {
+    return `Separator must be a string of at most ${MAX_SEPARATOR_LENGTH} characters`;
+  }
+  const invalidFlag = BOOLEAN_OPTIONS.find(name => options[name] !== undefined && typeof options[name] !== 'boolean');
+  if (invalidFlag) {
+    return `${invalidFlag} must be true or false`;
+  }
+  if (mode === 'random' && !Object.keys(CHARACTER_CLASSES).some(name => merged[name])) {
+    return 'Select at least one character class';
+  }
+  return null;
+};
+
+// Options with defaults filled in and unknown keys dropped
+export const normalizeGeneratorOptions = (options = {}) =>
+  Object.fromEntries(Object.keys(DEFAULT_GENERATOR_OPTIONS).map(name => [name, options[name] ?? DEFAULT_GENERATOR_OPTIONS[name]]));
+
+const withoutLookAlikes = (chars, exclude) => (exclude ? [...chars].filter(c => !LOOK_ALIKES.includes(c)).join('') : chars);
+
+const pick = (chars) => chars[crypto.randomInt(chars.length)];
+
+// Fisher-Yates shuffle with the CSPRNG
+const shuffle = (items) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+const randomPassword = ({ length, excludeLookAlikes, ...classes }) => {
+  const pools = Object.keys(CHARACTER_CLASSES)
+    .filter(name => classes[name])
+    .map(name => withoutLookAlikes(CHARACTER_CLASSES[name], excludeLookAlikes));
+  const all = pools.join('');
+
+  // One character from each selected class, the rest from all of them
+  const chars = pools.map(pick);
+  while (chars.length < length) {
+    chars.push(pick(all));
+  }
+  return {
+    value: shuffle(chars).join(''),
+    // Approximation: the at-least-one-of-each rule removes only a little entropy
+    entropyBits: length * Math.log2(all.length),
+  };
+};
+
+const pronounceablePassword = ({ length, uppercase, digits, excludeLookAlikes }) => {
+  const consonants = withoutLookAlikes(CONSONANTS, excludeLookAlikes);
+  const vowels = withoutLookAlikes(VOWELS, excludeLookAlikes);
+  const digitPool = withoutLookAlikes(CHARACTER_CLASSES.digits, excludeLookAlikes);
+  const letterCount = digits ? length - 2 : length;
+
+  let value = '';
+  let entropyBits = 0;
+  for (let i = 0; i < letterCount; i++) {
+    const pool = i % 2 === 0 ? consonants : vowels;
+    const letter = pick(pool);
+    // With uppercase, each letter is capitalized at random (one extra bit)
+    value += uppercase && crypto.randomInt(2) === 1 ? letter.toUpperCase() : letter;
+    entropyBits += Math.log2(pool.length) + (uppercase ? 1 : 0);
+  }
+  if (digits) {
+    value += pick(digitPool) + pick(digitPool);
+    entropyBits += 2 * Math.log2(digitPool.length);
+  }
+  return { value, entropyBits };
+};
+
+const passphrase = ({ words, separator, capitalize, includeNumber }) => {
+  const chosen = Array.from({ length: words }, () => pick(WORD_LIST))
+    .map(word => (capitalize ? word[0].toUpperCase() + word.slice(1) : word));
+  let entropyBits = words * Math.log2(WORD_LIST.length);
+
+  // A digit appended to one of the words
+  if (includeNumber) {
+    const index = crypto.randomInt(words);
+    chosen[index] += pick(CHARACTER_CLASSES.digits);
+    entropyBits += Math.log2(10 * words);
+  }
+  return { value: chosen.join(separator), entropyBits };
+};
+
+const GENERATORS = { random: randomPassword, pronounceable: pronounceablePassword, passphrase };
+
+// Generate a value. Options must have passed validateGeneratorOptions.
+// Returns { value, entropyBits }, with the entropy rounded to one decimal.
+export const generateSecret = (options = {}) => {
+  const normalized = normalizeGeneratorOptions(options);
+  const { value, entropyBits } = GENERATORS[normalized.mode](normalized);
+  return { value, entropyBits: Math.round(entropyBits * 10) / 10 };
+};
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import { secretError } from '../secrets.js';
+import { normalizeGeneratorOptions, validateGeneratorOptions } from './index.js';
+
+// Saved generator settings, e.g. "Legacy DB: 32 chars, no symbols".
+// context: { generatorPresets: [{ id, name, options }], saveGeneratorPresets }
+// saveGeneratorPresets persists the list (null keeps presets in memory only).
+
+export const MAX_PRESETS = 50;
+export const MAX_PRESET_NAME_LENGTH = 60;
+
+// Replace the list in place and persist, putting the previous list back on failure
+const commitPresets = ({ generatorPresets, saveGeneratorPresets }, nextPresets) => {
+  const previous = [...generatorPresets];
+  generatorPresets.splice(0, generatorPresets.length, ...nextPresets);
+  if (saveGeneratorPresets) {
+    try {
+      saveGeneratorPresets(generatorPresets);
+    } catch {
+      generatorPresets.splice(0, generatorPresets.length, ...previous);
+      throw new Error('Failed to persist generator presets');
+    }
+  }
+};
+
+// Save a preset ({ name, options }) and return it
+export const createPreset = (context, { name, options } = {}) => {
+  if (typeof name !== 'string' || name.trim() === '' || name.trim().length > MAX_PRESET_NAME_LENGTH) {
+    throw secretError(400, `Preset name must be between 1 and ${MAX_PRESET_NAME_LENGTH} characters`);
+  }
+  const optionsError = validateGeneratorOptions(options);
+  if (optionsError) {
+    throw secretError(400, optionsError);
+  }
+  const { generatorPresets } = context;
+  if (generatorPresets.some(p => p.name.toLowerCase() === name.trim().toLowerCase())) {
+    throw secretError(409, 'A preset with this name already exists');
+  }
+  if (generatorPresets.length >= MAX_PRESETS) {
+    throw secretError(409, `At most ${MAX_PRESETS} presets can be saved`);
+  }
+
+  const preset = { id: crypto.randomUUID(), name: name.trim(), options: normalizeGeneratorOptions(options) };
+  commitPresets(context, [...generatorPresets, preset]);
+  return preset;
+};
+
+export const deletePreset = (context, id) => {
+  if (!context.generatorPresets.some(p => p.id === id)) {
+    throw secretError(404, 'Preset not found');
+  }
+  commitPresets(context, context.generatorPresets.filter(p => p.id !== id));
+};
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import { isTrashed } from './secrets.js';
+import { DEFAULT_CATEGORIES } from './categoryStore.js';
+
+// Vault health report: weak, reused and stale secrets. Everything is computed
+// locally from the stored values; the report only names secrets, it never
+// contains values or anything derived from them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+// Values scoring this or lower are reported as weak
+export const WEAK_SCORE = 1;
+
+// Rotation thresholds of the built-in categories, used unless a category sets
+// staleAfterDays itself. 0 means secrets in the category never go stale.
+export const DEFAULT_STALE_AFTER_DAYS = {
+  password: 180,
+  'api-key': 365,
+  token: 90,
+  certificate: 365,
+  note: 0,
+  other: 365,
+};
+// Threshold for categories without one of their own
+export const FALLBACK_STALE_AFTER_DAYS = 365;
+
+// Frequently used passwords, compared case-insensitively and without trailing
+// digits and symbols ("Password123!" matches "password")
+const COMMON_PASSWORDS = new Set([
+  '123456', '12345678', '123456789', '1234567890', '111111', '000000', '123123', '654321',
+  'password', 'passw0rd', 'p@ssw0rd', 'qwerty', 'qwertyuiop', 'asdfgh', 'zxcvbn', 'abc', 'abcdef',
+  'letmein', 'welcome', 'admin', 'administrator', 'root', 'toor', 'login', 'master', 'secret',
+  'changeme', 'default', 'guest', 'test', 'iloveyou', 'monkey', 'dragon', 'football', 'baseball',
+  'sunshine', 'princess', 'shadow', 'superman', 'trustno', 'whatever', 'hello', 'freedom',
+  'starwars', 'computer', 'internet', 'access', 'ninja', 'mustang', 'michael', 'summer', 'winter',
+]);
+
+// Size of the character pool a value draws from, judged by the classes it uses
+const poolSize = (value) => {
+  let size = 0;
+  if (/[a-z]/.test(value)) size += 26;
+  if (/[A-Z]/.test(value)) size += 26;
+  if (/[0-9]/.test(value)) size += 10;
+  if (/[\x20-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]/.test(value)) size += 33;
+  if (/[^\x20-\x7e]/.test(value)) size += 100;
+  return size;
+};
+
+// Length not counting characters that continue a run of repeats or steps
+// ("aaaa", "abcd", "4321" each count as two characters)
+const effectiveLength = (value) => {
+  const codes = [...value].map(char => char.codePointAt(0));
+  let length = Math.min(codes.length, 2);
+  for (let i = 2; i < codes.length; i++) {
+    const step = codes[i] - codes[i - 1];
+    const continuesRun = Math.abs(step) <= 1 && step === codes[i - 1] - codes[i - 2];
+    if (!continuesRun) {
+      length++;
+    }
+  }
+  return length;
+};
+
+const isCommonPassword = (value) => {
+  const lower = value.toLowerCase();
+  return COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(lower.replace(/[^a-z]+$/, ''));
+};
+
+// Offline strength estimate of a value: { score (0-4), label }
+export const scoreStrength = (value) => {
+  const bits = isCommonPassword(value) ? 0 : effectiveLength(value) * Math.log2(poolSize(value) || 1);
+  let score;
+  if (bits < 28) score = 0;
+  else if (bits < 40) score = 1;
+  else if (bits < 60) score = 2;
+  else if (bits < 80) score = 3;
+  else score = 4;
+  return { score, label: STRENGTH_LABELS[score] };
+};
+
+// Rotation threshold in days for secrets in a category (0 = never stale)
+export const staleAfterDaysOf = (categories, categoryId) => {
+  const category = categories.find(c => c.id === categoryId);
+  return category?.staleAfterDays ?? DEFAULT_STALE_AFTER_DAYS[categoryId] ?? FALLBACK_STALE_AFTER_DAYS;
+};
+
+// When a secret's value was last set
+export const lastRotation = (meta) => meta.rotatedAt ?? meta.createdAt;
+
+// Values are compared by HMAC under a key that only exists in this process, so
+// the hashes are useless for guessing values even if they were leaked
+const REUSE_KEY = crypto.randomBytes(32);
+const keyedHash = (value) => crypto.createHmac('sha256', REUSE_KEY).update(value).digest('hex');
+
+// Build the report for the secrets outside the trash:
+// - weak: single-line values scoring WEAK_SCORE or lower (multi-line values such
+//   as keys and certificates are not scored)
+// - reused: groups of secrets sharing the same value
+// - stale: secrets whose value is older than their category's threshold
+// Secrets whose value is missing from storage are only counted.
+export const buildHealthReport = async (context, { now = Date.now() } = {}) => {
+  const { storage, serviceName, secretsMetadata, categories = DEFAULT_CATEGORIES } = context;
+  const secrets = secretsMetadata.filter(meta => !isTrashed(meta));
+
+  const weak = [];
+  const stale = [];
+  const byValue = new Map();
+  let missing = 0;
+
+  for (const meta of secrets) {
+    const entry = { id: meta.id, title: meta.title, category: meta.category };
+
+    const value = await storage.getPassword(serviceName, meta.id);
+    if (value) {
+      if (!value.includes('\n')) {
+        const { score, label } = scoreStrength(value);
+        if (score <= WEAK_SCORE) {
+          weak.push({ ...entry, score, label });
+        }
+      }
+      const hash = keyedHash(value);
+      byValue.set(hash, [...(byValue.get(hash) ?? []), entry]);
+    } else {
+      missing++;
+    }
+
+    const staleAfterDays = staleAfterDaysOf(categories, meta.category);
+    const rotatedAt = lastRotation(meta);
+    const ageDays = Math.floor((now - rotatedAt) / DAY_MS);
+    if (staleAfterDays > 0 && ageDays >= staleAfterDays) {
+      stale.push({ ...entry, rotatedAt, ageDays, staleAfterDays });
+    }
+  }
+
+  const reused = [...byValue.values()].filter(group => group.length > 1).map(group => ({ secrets: group }));
+  weak.sort((a, b) => a.score - b.score);
+  stale.sort((a, b) => b.ageDays - a.ageDays);
+
+  return {
+    generatedAt: now,
+    summary: {
+      total: secrets.length,
+      weak: weak.length,
+      reused: reused.reduce((count, group) => count + group.secrets.length, 0),
+      reuseGroups: reused.length,
+      stale: stale.length,
+      missing,
+    },
+    weak,
+    reused,
+    stale,
+  };
+};
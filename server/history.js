@@ -0,0 +1,55 @@
+import { normalizeTags } from './tags.js';
+
+// Version history of secrets. Before an update changes a secret, its previous
+// state is kept as a version: the metadata in the secret's `versions` list
+// (newest first) and the value in storage under a separate account, so old
+// values stay as protected as current ones.
+
+export const DEFAULT_HISTORY_LIMIT = 10;
+export const MAX_HISTORY_LIMIT = 100;
+
+// Fields whose changes are recorded as versions
+export const VERSIONED_FIELDS = ['value', 'title', 'category', 'notes', 'tags'];
+
+// Storage account holding the value of one version
+export const versionAccount = (id, version) => `${id}#v${version}`;
+
+// Every storage account belonging to a secret: its value and its version values
+export const storageAccounts = (meta) => [
+  meta.id,
+  ...(meta.versions ?? []).map(v => versionAccount(meta.id, v.version)),
+];
+
+// Metadata as returned by the list, create and update endpoints (without history)
+export const publicMetadata = ({ versions: _versions, ...meta }) => meta;
+
+export const historyLimitOf = (meta) => meta.historyLimit ?? DEFAULT_HISTORY_LIMIT;
+
+// Comparable form of a field; missing tags equal an empty list
+const fieldKey = (field, fieldValue) =>
+  field === 'tags' ? (fieldValue ?? []).join(',') : (fieldValue ?? '');
+
+// Names of the versioned fields an update would change
+export const changedFields = (existingMeta, previousValue, { title, value, category, notes, tags }) => {
+  const next = {
+    value: value !== undefined ? value : previousValue,
+    title: title !== undefined ? title.trim() : existingMeta.title,
+    category: category !== undefined ? category : existingMeta.category,
+    notes: notes !== undefined ? notes : existingMeta.notes,
+    tags: tags !== undefined ? normalizeTags(tags) : existingMeta.tags,
+  };
+  const previous = { ...existingMeta, value: previousValue };
+  return VERSIONED_FIELDS.filter(field => fieldKey(field, next[field]) !== fieldKey(field, previous[field]));
+};
+
+// Version entry describing a secret's state before an update
+export const createVersion = (existingMeta, changed, savedAt) => ({
+  version: (existingMeta.versions?.[0]?.version ?? 0) + 1,
+  title: existingMeta.title,
+  category: existingMeta.category,
+  notes: existingMeta.notes,
+  tags: existingMeta.tags ?? [],
+  updatedAt: existingMeta.updatedAt,
+  savedAt,
+  changed,
+});
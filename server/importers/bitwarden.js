@@ -0,0 +1,72 @@
+import { parseCsvRecords, pick } from './csv.js';
+import { candidate, composeNotes } from './common.js';
+
+// Bitwarden item types in JSON exports
+const BITWARDEN_LOGIN = 1;
+const BITWARDEN_SECURE_NOTE = 2;
+
+const login = ({ name, username, password, url, notes }) =>
+  candidate({ title: name, value: password, category: 'password', notes: composeNotes({ username, url, notes }) });
+
+const secureNote = ({ name, notes }) =>
+  candidate({ title: name, value: notes, category: 'note' });
+
+// Items are objects with a name in every Bitwarden export; anything else means
+// the file is damaged, and the first such item is reported
+const checkItem = (item, index) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    throw new Error(`Invalid Bitwarden JSON export: item ${index + 1} is not an object`);
+  }
+  if (typeof item.name !== 'string') {
+    throw new Error(`Invalid Bitwarden JSON export: item ${index + 1} has no name`);
+  }
+};
+
+// Bitwarden unencrypted JSON export ({ items: [...] })
+export const parseBitwardenJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid Bitwarden JSON export');
+  }
+  if (data?.encrypted) {
+    throw new Error('Encrypted Bitwarden exports are not supported; export as unencrypted JSON');
+  }
+  if (!Array.isArray(data?.items)) {
+    throw new Error('Invalid Bitwarden JSON export: missing items');
+  }
+
+  data.items.forEach(checkItem);
+  return data.items.map((item) => {
+    if (item.type === BITWARDEN_LOGIN) {
+      return login({
+        name: item.name,
+        username: item.login?.username,
+        password: item.login?.password,
+        url: item.login?.uris?.[0]?.uri,
+        notes: item.notes,
+      });
+    }
+    if (item.type === BITWARDEN_SECURE_NOTE) {
+      return secureNote(item);
+    }
+    // Cards and identities have no single secret value
+    return { ...candidate({ title: item.name, value: '', category: 'other' }), error: 'Unsupported Bitwarden item type' };
+  });
+};
+
+// Bitwarden CSV export (folder,favorite,type,name,notes,fields,reprompt,login_uri,login_username,login_password,login_totp)
+export const parseBitwardenCsv = (text) =>
+  parseCsvRecords(text).map((record) => {
+    if (record.type === 'note') {
+      return secureNote({ name: record.name, notes: record.notes });
+    }
+    return login({
+      name: record.name,
+      username: record.login_username,
+      password: record.login_password,
+      url: pick(record, 'login_uri'),
+      notes: record.notes,
+    });
+  });
@@ -0,0 +1,15 @@
+// Build the notes of an imported login from the fields SecureVault has no slot for
+export const composeNotes = ({ username, url, notes }) =>
+  [
+    username ? `Username: ${username}` : '',
+    url ? `URL: ${url}` : '',
+    notes || '',
+  ].filter(Boolean).join('\n');
+
+// Normalized import candidate: { title, value, category, notes }
+export const candidate = ({ title, value, category, notes = '' }) => ({
+  title: (title || '').trim(),
+  value: value || '',
+  category,
+  notes,
+});
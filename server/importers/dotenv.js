@@ -0,0 +1,59 @@
+import { candidate } from './common.js';
+
+// Guess a category from a variable name such as STRIPE_API_KEY or DB_PASSWORD
+const categoryForName = (name) => {
+  const upper = name.toUpperCase();
+  if (/API_?KEY|ACCESS_?KEY/.test(upper)) return 'api-key';
+  if (/PASS(WORD|WD)?($|_)/.test(upper)) return 'password';
+  if (/TOKEN|SECRET/.test(upper)) return 'token';
+  if (/CERT|PEM/.test(upper)) return 'certificate';
+  return 'other';
+};
+
+const unescapeDoubleQuoted = (value) =>
+  value.replace(/\\([nrt"\\])/g, (_match, char) => ({ n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' })[char]);
+
+// Parse a dotenv file: KEY=value lines, optional "export" prefix, # comments,
+// single-quoted (literal) and double-quoted (escapes, multi-line) values
+export const parseDotenv = (text) => {
+  const candidates = [];
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === '' || line.startsWith('#')) {
+      continue;
+    }
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+    if (!match) {
+      throw new Error(`Invalid dotenv line ${i + 1}`);
+    }
+    const [, name] = match;
+    let rawValue = match[2];
+    let value;
+
+    const quote = rawValue[0];
+    if (quote === '"' || quote === "'") {
+      // Quoted values may span several lines until the closing quote
+      let body = rawValue.slice(1);
+      while (!new RegExp(`(^|[^\\\\])${quote}\\s*(#.*)?$`).test(body) && i + 1 < lines.length) {
+        i++;
+        body += `\n${lines[i]}`;
+      }
+      const end = body.lastIndexOf(quote);
+      if (end === -1) {
+        throw new Error(`Unterminated quoted value for ${name}`);
+      }
+      body = body.slice(0, end);
+      value = quote === '"' ? unescapeDoubleQuoted(body) : body;
+    } else {
+      // Unquoted values end at an inline comment
+      value = rawValue.replace(/\s+#.*$/, '').trim();
+    }
+
+    candidates.push(candidate({ title: name, value, category: categoryForName(name) }));
+  }
+
+  return candidates;
+};
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { createSecret, isTrashed, purgeSecret } from '../secrets.js';
+import { validateNewSecret } from '../validation.js';
+import { DEFAULT_CATEGORIES } from '../categoryStore.js';
+import { CERTIFICATE_CATEGORY, parseCertificates } from '../x509.js';
+import { parseBitwardenCsv, parseBitwardenJson } from './bitwarden.js';
+import { parseOnePasswordCsv } from './onepassword.js';
+import { parseKeePassCsv } from './keepass.js';
+import { parseDotenv } from './dotenv.js';
+
+// Parsers for exports of other password managers and secret files.
+// Each returns import candidates: { title, value, category, notes, error? }
+const PARSERS = {
+  'bitwarden-json': parseBitwardenJson,
+  'bitwarden-csv': parseBitwardenCsv,
+  '1password-csv': parseOnePasswordCsv,
+  'keepass-csv': parseKeePassCsv,
+  dotenv: parseDotenv,
+};
+
+export const EXTERNAL_IMPORT_FORMATS = Object.keys(PARSERS);
+
+// Parse file contents in the given format
+export const parseExternal = (format, content) => {
+  const parse = PARSERS[format];
+  if (!parse) {
+    throw new Error('Invalid import format. Must be one of: ' + EXTERNAL_IMPORT_FORMATS.join(', '));
+  }
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new Error('Import file is empty');
+  }
+  return parse(content);
+};
+
+const normalizeTitle = (title) => title.trim().toLowerCase();
+
+// Parsers pick one of the default categories. When the vault no longer has it,
+// entries go to "other", or to the first category if that is gone too.
+const resolveCategory = (category, ids) => {
+  if (ids.includes(category)) {
+    return category;
+  }
+  return ids.includes('other') ? 'other' : ids[0];
+};
+
+// Parsers guess "certificate" from names alone; values that are not
+// certificates would be rejected there, so they are imported as "other"
+const isCertificate = (value) => {
+  try {
+    parseCertificates(value ?? '');
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const guessCategory = ({ category, value }, ids) =>
+  resolveCategory(category === CERTIFICATE_CATEGORY && !isCertificate(value) ? 'other' : category, ids);
+
+// Review every candidate without changing anything. Duplicates are matched by
+// title (case-insensitive) against existing secrets and earlier rows of the file.
+export const planExternalImport = (candidates, secretsMetadata, categories = DEFAULT_CATEGORIES) => {
+  const seenTitles = new Set();
+  const activeSecrets = secretsMetadata.filter(s => !isTrashed(s));
+  const categoryIds = categories.map(c => c.id);
+
+  return candidates.map((rawItem, index) => {
+    const item = { ...rawItem, category: guessCategory(rawItem, categoryIds) };
+    const existing = activeSecrets.find(s => normalizeTitle(s.title) === normalizeTitle(item.title));
+    const duplicateInFile = seenTitles.has(normalizeTitle(item.title));
+    seenTitles.add(normalizeTitle(item.title));
+
+    const error = item.error
+      ?? (!item.title ? 'Entry has no title' : null)
+      ?? (!item.value ? 'Entry has no secret value' : null)
+      ?? validateNewSecret({ id: 'import', ...item }, categoryIds);
+
+    return {
+      index,
+      title: item.title,
+      category: item.category,
+      notes: item.notes,
+      duplicate: Boolean(existing) || duplicateInFile,
+      duplicateOf: existing?.id ?? null,
+      error: error ?? null,
+      value: item.value,
+    };
+  });
+};
+
+// Strip values from a plan so it can be returned to the client for review
+export const summarizeExternalPlan = (plan) => plan.map(({ value: _value, ...item }) => item);
+
+// Create the selected rows through the regular create path. If any of them
+// fails, the secrets created so far in this batch are deleted again.
+export const applyExternalImport = async (plan, selected, context) => {
+  const rows = plan.filter(item => selected.includes(item.index));
+  const invalid = rows.find(item => item.error);
+  if (invalid) {
+    throw Object.assign(new Error(`Row ${invalid.index + 1} cannot be imported: ${invalid.error}`), { status: 400 });
+  }
+
+  const created = [];
+  try {
+    for (const item of rows) {
+      const now = Date.now();
+      created.push(await createSecret(context, {
+        id: crypto.randomUUID(),
+        title: item.title,
+        value: item.value,
+        category: item.category,
+        notes: item.notes,
+        createdAt: now,
+        updatedAt: now,
+      }));
+    }
+  } catch (error) {
+    for (const { id } of created.reverse()) {
+      try {
+        await purgeSecret(context, id);
+      } catch (rollbackError) {
+        console.error(`Failed to roll back imported secret ${id}:`, rollbackError);
+      }
+    }
+    throw new Error(`Import failed and was rolled back: ${error.message}`);
+  }
+  return created;
+};
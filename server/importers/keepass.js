@@ -0,0 +1,16 @@
+import { parseCsvRecords, pick } from './csv.js';
+import { candidate, composeNotes } from './common.js';
+
+// KeePass CSV exports: KeePass 2 ("Account","Login Name","Password","Web Site","Comments")
+// and KeePassXC ("Group","Title","Username","Password","URL","Notes",...)
+export const parseKeePassCsv = (text) =>
+  parseCsvRecords(text).map((record) => candidate({
+    title: pick(record, 'title', 'account'),
+    value: pick(record, 'password'),
+    category: 'password',
+    notes: composeNotes({
+      username: pick(record, 'username', 'login name', 'user name'),
+      url: pick(record, 'url', 'web site'),
+      notes: pick(record, 'notes', 'comments'),
+    }),
+  }));
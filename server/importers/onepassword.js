@@ -0,0 +1,27 @@
+import { parseCsvRecords, pick } from './csv.js';
+import { candidate, composeNotes } from './common.js';
+
+// 1Password CSV export. Column names differ between versions
+// (e.g. "Title,Website,Username,Password,Notes" or "Title,Url,Username,Password,OTPAuth,...,Notes"),
+// so columns are matched by name rather than position.
+export const parseOnePasswordCsv = (text) =>
+  parseCsvRecords(text).map((record) => {
+    const title = pick(record, 'title', 'name');
+    const password = pick(record, 'password');
+    const notes = pick(record, 'notes', 'notesplain');
+
+    // Entries without a password (secure notes) keep their text as the value
+    if (!password && notes) {
+      return candidate({ title, value: notes, category: 'note' });
+    }
+    return candidate({
+      title,
+      value: password,
+      category: 'password',
+      notes: composeNotes({
+        username: pick(record, 'username'),
+        url: pick(record, 'url', 'website', 'urls'),
+        notes,
+      }),
+    });
+  });
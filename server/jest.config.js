@@ -5,5 +5,5 @@ export default {
     '^(\\.{1,2}/.*)\\.js$': '$1',
   },
   testMatch: ['**/__tests__/**/*.test.js', '**/?(*.)+(spec|test).js'],
-  collectCoverageFrom: ['index.js', '!**/node_modules/**'],
+  collectCoverageFrom: ['*.js', '!jest.config.js', '!**/node_modules/**'],
 }
@@ -0,0 +1,70 @@
+import http from 'http';
+
+// Starting the HTTP server: choosing a port, binding to it and waiting until the
+// API answers
+
+// Port used when neither --port nor SECUREVAULT_PORT is given
+export const DEFAULT_PORT = 3001;
+
+// Only local connections are accepted
+export const HOST = '127.0.0.1';
+
+// Origins a browser reaches the server on; localhost is an alias for the loopback address
+export const originsFor = (host, port) =>
+  host === HOST ? [`http://${host}:${port}`, `http://localhost:${port}`] : [`http://${host}:${port}`];
+
+// --port / SECUREVAULT_PORT value -> port number; throws with a user-facing message
+export const parsePort = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_PORT;
+  }
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port "${value}"; expected a number from 1 to 65535`);
+  }
+  return port;
+};
+
+const listen = (server, port, host) => new Promise((resolve, reject) => {
+  const onError = (error) => reject(error);
+  server.once('error', onError);
+  server.listen(port, host, () => {
+    server.off('error', onError);
+    resolve(server);
+  });
+});
+
+// Serve an Express app on the port, or on a free port chosen by the OS when the
+// port is taken. Resolves to { server, host, port } once it is listening.
+export const listenWithFallback = async (app, { port = DEFAULT_PORT, host = HOST } = {}) => {
+  const server = http.createServer(app);
+  try {
+    await listen(server, port, host);
+  } catch (error) {
+    if (error.code !== 'EADDRINUSE') {
+      throw error;
+    }
+    console.warn(`⚠️  Port ${port} is already in use; using a free port instead`);
+    await listen(server, 0, host);
+  }
+  const { address, port: boundPort } = server.address();
+  return { server, host: address, port: boundPort };
+};
+
+// Poll GET /api/health until SecureVault answers, for at most timeoutMs.
+// Resolves to true when it did, false when it timed out.
+export const waitForHealth = async (baseUrl, { timeoutMs = 10_000, intervalMs = 100 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${baseUrl}/api/health`);
+      if (response.ok && (await response.json()).status === 'ok') {
+        return true;
+      }
+    } catch {
+      // Not accepting connections yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+  return false;
+};
@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import { DEFAULT_KDF_PARAMS, createKdfHeader, deriveKey } from './sealedBox.js';
+import { recordAudit } from './auditLog.js';
+import { secretError } from './secrets.js';
+
+// Optional master password. While a password is set the vault starts locked, and
+// the API refuses everything but the health probe and the lock endpoints until it
+// is unlocked (see requireUnlocked). It locks again on request or after
+// autoLockMinutes without activity. Only a scrypt hash of the password is kept.
+
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+export const MAX_AUTO_LOCK_MINUTES = 24 * 60;
+export const MIN_MASTER_PASSWORD_LENGTH = 8;
+
+// Failed unlock attempts allowed before further attempts have to wait; the wait
+// starts at BACKOFF_BASE_MS and doubles with every failure up to MAX_BACKOFF_MS
+const FREE_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 5 * 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Requests carrying this header (e.g. the TOTP code refresh) don't count as activity
+export const BACKGROUND_HEADER = 'X-SecureVault-Background';
+
+// Returns an error message, or null when the value is valid
+export const validateAutoLockMinutes = (value) =>
+  Number.isInteger(value) && value >= 1 && value <= MAX_AUTO_LOCK_MINUTES
+    ? null
+    : `autoLockMinutes must be a whole number from 1 to ${MAX_AUTO_LOCK_MINUTES}`;
+
+// Hash a master password: { kdf, hash } as stored in config.json
+export const hashMasterPassword = async (password, kdfParams = DEFAULT_KDF_PARAMS) => {
+  const kdf = createKdfHeader(kdfParams);
+  return { kdf, hash: (await deriveKey(password, kdf)).toString('base64') };
+};
+
+const isPasswordRecord = (record) =>
+  Boolean(record) &&
+  typeof record.hash === 'string' &&
+  record.kdf?.name === 'scrypt' &&
+  typeof record.kdf.salt === 'string';
+
+const passwordMatches = async (password, record) => {
+  const expected = Buffer.from(record.hash, 'base64');
+  const actual = await deriveKey(password, record.kdf);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Create the lock state for one server.
+// - password: stored { kdf, hash } record, or null when no master password is set
+// - autoLockMinutes: idle time before the vault locks itself
+// - savePassword / saveAutoLockMinutes: persist changes; null keeps them for this session
+// - auditLog: lock, unlock and failed attempts are recorded here
+// - kdfParams: scrypt parameters for new passwords (tests use cheaper ones)
+// - now: clock, replaced in tests
+export const createVaultLock = ({
+  password = null,
+  autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES,
+  savePassword = null,
+  saveAutoLockMinutes = null,
+  auditLog = null,
+  kdfParams = DEFAULT_KDF_PARAMS,
+  now = Date.now,
+} = {}) => {
+  if (password !== null && !isPasswordRecord(password)) {
+    throw new Error('The stored master password is malformed; remove "masterPassword" from config.json to reset it');
+  }
+
+  let record = password;
+  let locked = Boolean(record);
+  let lastActivity = now();
+  let failures = 0;
+  let retryAt = 0;
+  let attemptInProgress = false;
+
+  const retryAfterMs = () => Math.max(0, retryAt - now());
+
+  const lock = (reason = 'manual') => {
+    if (!record || locked) {
+      return;
+    }
+    locked = true;
+    recordAudit(auditLog, { action: 'vault.lock', details: { reason } });
+  };
+
+  // Lock when the vault has been idle for too long
+  const checkIdle = () => {
+    if (record && !locked && now() - lastActivity >= autoLockMinutes * 60 * 1000) {
+      lock('idle');
+    }
+  };
+
+  const isLocked = () => {
+    checkIdle();
+    return locked;
+  };
+
+  // Check a password, counting failures towards the backoff. Throws 429 while
+  // an attempt has to wait and 403 when the password is wrong.
+  const verify = async (candidate) => {
+    if (attemptInProgress || retryAfterMs() > 0) {
+      const error = secretError(429, 'Too many failed attempts; wait before trying again');
+      error.retryAfterMs = Math.max(retryAfterMs(), 1000);
+      throw error;
+    }
+    attemptInProgress = true;
+    try {
+      if (typeof candidate === 'string' && await passwordMatches(candidate, record)) {
+        failures = 0;
+        retryAt = 0;
+        return;
+      }
+      failures += 1;
+      if (failures >= FREE_ATTEMPTS) {
+        retryAt = now() + Math.min(BACKOFF_BASE_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_BACKOFF_MS);
+      }
+      await recordAudit(auditLog, { action: 'vault.unlock-failed', details: { failures } });
+      throw secretError(403, 'Incorrect master password');
+    } finally {
+      attemptInProgress = false;
+    }
+  };
+
+  const unlock = async (candidate) => {
+    if (!isLocked()) {
+      return;
+    }
+    await verify(candidate);
+    locked = false;
+    lastActivity = now();
+    await recordAudit(auditLog, { action: 'vault.unlock' });
+  };
+
+  // Set, change (newPassword) or remove (newPassword: null) the master password.
+  // The current password is required whenever one is set.
+  const setPassword = async ({ currentPassword, newPassword }) => {
+    if (newPassword !== null && (typeof newPassword !== 'string' || newPassword.length < MIN_MASTER_PASSWORD_LENGTH)) {
+      throw secretError(400, `The master password must be at least ${MIN_MASTER_PASSWORD_LENGTH} characters long`);
+    }
+    if (newPassword === null && !record) {
+      throw secretError(400, 'No master password is set');
+    }
+    if (record) {
+      await verify(currentPassword);
+    }
+
+    const next = newPassword === null ? null : await hashMasterPassword(newPassword, kdfParams);
+    savePassword?.(next);
+    const change = next === null ? 'removed' : record ? 'changed' : 'set';
+    record = next;
+    locked = false;
+    lastActivity = now();
+    await recordAudit(auditLog, { action: 'vault.password', details: { change } });
+  };
+
+  const setAutoLockMinutes = (minutes) => {
+    const validationError = validateAutoLockMinutes(minutes);
+    if (validationError) {
+      throw secretError(400, validationError);
+    }
+    saveAutoLockMinutes?.(minutes);
+    autoLockMinutes = minutes;
+  };
+
+  // An API request from the user: postpones the idle lock
+  const touch = () => {
+    lastActivity = now();
+  };
+
+  const status = () => ({
+    enabled: Boolean(record),
+    locked: isLocked(),
+    autoLockMinutes,
+    retryAfterMs: retryAfterMs(),
+  });
+
+  return { isLocked, checkIdle, lock, unlock, setPassword, setAutoLockMinutes, touch, status };
+};
+
+// Express middleware answering 423 while the vault is locked. Paths listed in
+// publicPaths (relative to the mount point) are let through; every other request
+// counts as activity unless it carries BACKGROUND_HEADER.
+export const requireUnlocked = (vaultLock, { publicPaths = [] } = {}) => (req, res, next) => {
+  if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) {
+    return next();
+  }
+  if (vaultLock.isLocked()) {
+    return res.status(423).json({ error: 'The vault is locked' });
+  }
+  if (!req.get(BACKGROUND_HEADER)) {
+    vaultLock.touch();
+  }
+  return next();
+};
@@ -1,9 +1,10 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { writeFileAtomic } from './atomicWrite.js';
 
-// Compute metadata path without side effects (doesn't create directory)
-const computeMetadataPath = (baseDirOverride = null) => {
+// Compute the per-user config directory without side effects (doesn't create it)
+const computeConfigDir = (baseDirOverride = null) => {
   const homeDir = os.homedir();
   
   let configDir;
@@ -22,40 +23,156 @@ const computeMetadataPath = (baseDirOverride = null) => {
     configDir = path.join(xdgConfigHome, 'securevault');
   }
   
-  return path.join(configDir, 'metadata.json');
+  return configDir;
 };
 
-// Get metadata path and ensure directory exists (for write operations)
-export const getMetadataPath = (baseDirOverride = null) => {
-  const metadataPath = computeMetadataPath(baseDirOverride);
-  const configDir = path.dirname(metadataPath);
+// Compute metadata path without side effects (doesn't create directory)
+const computeMetadataPath = (baseDirOverride = null) =>
+  path.join(computeConfigDir(baseDirOverride), 'metadata.json');
+
+// Get the config directory and ensure it exists (for write operations).
+// Other on-disk stores (e.g. the encrypted file vault) live next to metadata.json.
+export const getConfigDir = (baseDirOverride = null) => {
+  const configDir = computeConfigDir(baseDirOverride);
   
   // Ensure directory exists
   if (!fs.existsSync(configDir)) {
     fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
   }
   
-  return metadataPath;
+  return configDir;
+};
+
+// Get metadata path and ensure directory exists (for write operations)
+export const getMetadataPath = (baseDirOverride = null) =>
+  path.join(getConfigDir(baseDirOverride), 'metadata.json');
+
+// metadata.json holds { schemaVersion, secrets }. Files from before the envelope
+// existed are a bare array of secrets (schema version 0).
+//
+// Older files are upgraded when loaded: a timestamped copy of the file is kept
+// next to it, each step from MIGRATIONS runs in turn and the result is saved.
+// A file that cannot be read (invalid JSON, an unknown shape, or a schema version
+// from a newer SecureVault) is never overwritten: a copy is set aside as
+// metadata.json.unreadable-<timestamp>, the vault starts empty and saving is
+// refused until the file has been repaired or removed.
+
+// Upgrade steps, indexed by the schema version they upgrade from. Each takes the
+// secrets array and returns it in the next version's shape. Version 0 only
+// lacked the envelope, so its secrets need no changes.
+const MIGRATIONS = [
+  (secrets) => secrets,
+];
+
+export const METADATA_SCHEMA_VERSION = MIGRATIONS.length;
+
+// Files that could not be read, by path; saving over them is refused. Also used
+// for categories.json (see categoryStore.js).
+const unreadableFiles = new Map();
+
+const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+// Schema version and secrets of a parsed file, or null for an unknown shape
+const unwrap = (parsed) => {
+  if (Array.isArray(parsed)) {
+    return { schemaVersion: 0, secrets: parsed };
+  }
+  if (parsed && Number.isInteger(parsed.schemaVersion) && parsed.schemaVersion > 0 && Array.isArray(parsed.secrets)) {
+    return { schemaVersion: parsed.schemaVersion, secrets: parsed.secrets };
+  }
+  return null;
+};
+
+const isSecretEntry = (entry) => entry && typeof entry === 'object' && typeof entry.id === 'string';
+
+// Keep a copy of an unreadable file (once per distinct content) and refuse to
+// save over it. `consequence` tells what cannot be changed meanwhile. Returns
+// the path of the copy.
+export const quarantineFile = (filePath, data, reason, consequence) => {
+  const dir = path.dirname(filePath);
+  const prefix = `${path.basename(filePath)}.unreadable-`;
+  let copyPath = fs.readdirSync(dir)
+    .filter(name => name.startsWith(prefix))
+    .map(name => path.join(dir, name))
+    .find(existing => fs.readFileSync(existing, 'utf8') === data);
+  if (!copyPath) {
+    copyPath = path.join(dir, `${prefix}${timestamp()}`);
+    fs.writeFileSync(copyPath, data, { encoding: 'utf8', mode: 0o600 });
+  }
+  unreadableFiles.set(filePath, { reason, copyPath });
+  console.error(`❌ ${filePath} could not be read (${reason}).`);
+  console.error(`   A copy was kept as ${copyPath}. ${consequence} cannot be changed until the file is repaired or`);
+  console.error('   removed and SecureVault is restarted.');
+  return copyPath;
 };
 
-// Load metadata from disk with validation (doesn't create directory)
+// Flag a file that could not be read at all; there is nothing to copy
+export const markUnreadable = (filePath, reason) => {
+  unreadableFiles.set(filePath, { reason, copyPath: null });
+};
+
+// Forget an earlier failure before loading a file again
+export const clearUnreadable = (filePath) => {
+  unreadableFiles.delete(filePath);
+};
+
+// Throw when a file was flagged as unreadable, before anything is saved over it
+export const assertWritable = (filePath) => {
+  const unreadable = unreadableFiles.get(filePath);
+  if (unreadable) {
+    throw new Error(`${filePath} could not be read (${unreadable.reason}); repair or remove it first`);
+  }
+};
+
+// Load metadata from disk, upgrading older schema versions (doesn't create directory)
 export const loadMetadata = (baseDirOverride = null) => {
+  const metadataPath = computeMetadataPath(baseDirOverride);
+  clearUnreadable(metadataPath);
+  if (!fs.existsSync(metadataPath)) {
+    return [];
+  }
+
+  let data;
   try {
-    const metadataPath = computeMetadataPath(baseDirOverride);
-    if (fs.existsSync(metadataPath)) {
-      const data = fs.readFileSync(metadataPath, 'utf8');
-      const parsed = JSON.parse(data);
-      
-      // Validate that loaded data is an array
-      if (Array.isArray(parsed)) {
-        return parsed;
-      }
-      console.warn('⚠️  Metadata file has invalid format; expected an array. Falling back to empty list.');
-    }
+    data = fs.readFileSync(metadataPath, 'utf8');
   } catch (error) {
     console.warn('⚠️  Failed to load metadata from disk:', error.message);
+    markUnreadable(metadataPath, error.message);
+    return [];
+  }
+
+  let file;
+  try {
+    file = unwrap(JSON.parse(data));
+  } catch {
+    file = null;
+  }
+  if (!file || !file.secrets.every(isSecretEntry)) {
+    quarantineFile(metadataPath, data, 'not a list of secrets', 'Secrets');
+    return [];
+  }
+  if (file.schemaVersion > METADATA_SCHEMA_VERSION) {
+    quarantineFile(metadataPath, data, `schema version ${file.schemaVersion} is newer than this SecureVault supports`, 'Secrets');
+    return [];
+  }
+
+  if (file.schemaVersion < METADATA_SCHEMA_VERSION) {
+    const backupPath = `${metadataPath}.v${file.schemaVersion}-backup-${timestamp()}`;
+    fs.copyFileSync(metadataPath, backupPath);
+    fs.chmodSync(backupPath, 0o600);
+    let secrets = file.secrets;
+    for (let version = file.schemaVersion; version < METADATA_SCHEMA_VERSION; version++) {
+      secrets = MIGRATIONS[version](secrets);
+    }
+    try {
+      saveMetadata(secrets, baseDirOverride);
+      console.log(`📦 Upgraded ${metadataPath} to schema version ${METADATA_SCHEMA_VERSION} (backup: ${backupPath})`);
+    } catch {
+      // The upgrade is retried on the next load; the secrets are usable meanwhile
+    }
+    return secrets;
   }
-  return [];
+  return file.secrets;
 };
 
 // Save metadata to disk with atomic write protection
@@ -64,19 +181,8 @@ export const saveMetadata = (metadata, baseDirOverride = null) => {
   let metadataPath;
   try {
     metadataPath = getMetadataPath(baseDirOverride);
-    const dir = path.dirname(metadataPath);
-    const base = path.basename(metadataPath);
-    const tempPath = path.join(dir, `${base}.tmp-${process.pid}-${Date.now()}`);
-    const data = JSON.stringify(metadata, null, 2);
-
-    // Write to a temporary file first with restrictive permissions
-    fs.writeFileSync(tempPath, data, { encoding: 'utf8', mode: 0o600 });
-    
-    // Atomically replace the target file
-    fs.renameSync(tempPath, metadataPath);
-    
-    // Ensure the final file has restrictive permissions (in case it existed before)
-    fs.chmodSync(metadataPath, 0o600);
+    assertWritable(metadataPath);
+    writeFileAtomic(metadataPath, JSON.stringify({ schemaVersion: METADATA_SCHEMA_VERSION, secrets: metadata }, null, 2));
   } catch (error) {
     const targetPath = metadataPath || '[metadata path unavailable]';
     console.error(`❌ Failed to save metadata to ${targetPath}:`, error.message);
@@ -0,0 +1,38 @@
+// Copy every secret value from one opened storage backend to another, verifying
+// each copy by reading it back. Source entries are deleted only when every value
+// was copied and verified, so a failed migration leaves the source untouched.
+export const migrateSecrets = async ({ source, target, serviceName, ids, keepSource = false }) => {
+  const migrated = [];
+  const missing = [];
+  const failed = [];
+
+  for (const id of ids) {
+    const value = await source.getPassword(serviceName, id);
+    if (value === null || value === undefined) {
+      missing.push(id);
+      continue;
+    }
+
+    try {
+      await target.setPassword(serviceName, id, value);
+      const copied = await target.getPassword(serviceName, id);
+      if (copied !== value) {
+        throw new Error('value read back from the target backend does not match');
+      }
+      migrated.push(id);
+    } catch (error) {
+      failed.push({ id, error: error.message });
+    }
+  }
+
+  const verified = failed.length === 0;
+  let sourceCleared = false;
+  if (verified && !keepSource) {
+    for (const id of migrated) {
+      await source.deletePassword(serviceName, id);
+    }
+    sourceCleared = true;
+  }
+
+  return { migrated, missing, failed, verified, sourceCleared };
+};
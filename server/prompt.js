@@ -0,0 +1,32 @@
+import readline from 'readline';
+
+// Ask a question on the terminal without echoing the answer (for passphrases).
+// Resolves to null when stdin is not an interactive terminal.
+export const promptHidden = (question) => {
+  if (!process.stdin.isTTY) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true,
+    });
+
+    // Suppress echo of typed characters; only the question itself is written
+    let questionWritten = false;
+    rl._writeToOutput = (text) => {
+      if (!questionWritten) {
+        questionWritten = true;
+        rl.output.write(text);
+      }
+    };
+
+    rl.question(question, (answer) => {
+      rl.output.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+  });
+};
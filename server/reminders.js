@@ -0,0 +1,53 @@
+import { isTrashed } from './secrets.js';
+import { lastRotation } from './health.js';
+
+// Expiration dates and rotation reminders. A secret may have:
+// - expiresAt: when the secret stops working (ms since the epoch)
+// - rotateEveryDays: how often its value should be changed, counted from the
+//   last change (rotatedAt, or createdAt until the value first changes)
+// Both are optional and stored only when set (see validation.js and secrets.js).
+// Certificates also expire when their leaf certificate does (certificate.validTo).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_DUE_WITHIN_DAYS = 14;
+export const MAX_DUE_WITHIN_DAYS = 365;
+
+// When a secret is next due for rotation, or null without a rotation period
+export const rotationDueAt = (meta) =>
+  meta.rotateEveryDays ? lastRotation(meta) + meta.rotateEveryDays * DAY_MS : null;
+
+// When a secret expires: the earlier of its expiresAt and its certificate's end
+// of validity, or null when neither is known
+export const expiryOf = (meta) => {
+  const dates = [meta.expiresAt, meta.certificate?.validTo].filter(Number.isFinite);
+  return dates.length > 0 ? Math.min(...dates) : null;
+};
+
+// Reminders for one secret, soonest first: { reason: 'expires' | 'rotate', dueAt }
+const remindersOf = (meta) => [
+  ...(expiryOf(meta) ? [{ reason: 'expires', dueAt: expiryOf(meta) }] : []),
+  ...(meta.rotateEveryDays ? [{ reason: 'rotate', dueAt: rotationDueAt(meta) }] : []),
+].sort((a, b) => a.dueAt - b.dueAt);
+
+// Secrets outside the trash that expire or are due for rotation within the
+// given number of days (overdue ones included), soonest first. Each entry:
+// { id, title, category, reason, dueAt, daysLeft, overdue }. A secret with both
+// an expiry and a rotation period due appears once per reason.
+export const listDueSecrets = ({ secretsMetadata }, { withinDays = DEFAULT_DUE_WITHIN_DAYS, now = Date.now() } = {}) =>
+  secretsMetadata
+    .filter(meta => !isTrashed(meta))
+    .flatMap(meta => remindersOf(meta).map(reminder => ({
+      id: meta.id,
+      title: meta.title,
+      category: meta.category,
+      ...reminder,
+      daysLeft: Math.ceil((reminder.dueAt - now) / DAY_MS),
+      overdue: reminder.dueAt <= now,
+    })))
+    .filter(entry => entry.dueAt <= now + withinDays * DAY_MS)
+    .sort((a, b) => a.dueAt - b.dueAt);
+
+// Secrets that have expired or are overdue for rotation
+export const listOverdueSecrets = (context, { now = Date.now() } = {}) =>
+  listDueSecrets(context, { withinDays: 0, now });
@@ -0,0 +1,64 @@
+import express from 'express';
+import { AUDIT_ACTIONS, DEFAULT_AUDIT_QUERY_LIMIT, MAX_AUDIT_QUERY_LIMIT } from '../auditLog.js';
+
+// Parse a time filter given as milliseconds or an ISO 8601 date
+const parseTime = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+// Routes for reading and verifying the audit log.
+// context: { auditLog }
+export const createAuditRouter = ({ auditLog }) => {
+  const router = express.Router();
+
+  // GET /api/audit - Audit entries, newest first.
+  // Query: secretId, action (comma-separated), since, until (ms or ISO date), limit
+  router.get('/audit', (req, res) => {
+    try {
+      const { secretId, action, since, until, limit } = req.query;
+
+      const actions = typeof action === 'string' && action !== '' ? action.split(',') : undefined;
+      if (actions && !actions.every(a => AUDIT_ACTIONS.includes(a))) {
+        return res.status(400).json({ error: 'Invalid action. Must be one of: ' + AUDIT_ACTIONS.join(', ') });
+      }
+
+      const sinceTime = parseTime(since);
+      const untilTime = parseTime(until);
+      if (sinceTime === null || untilTime === null) {
+        return res.status(400).json({ error: 'since and until must be timestamps or ISO dates' });
+      }
+
+      const maxEntries = limit === undefined ? DEFAULT_AUDIT_QUERY_LIMIT : Number(limit);
+      if (!Number.isInteger(maxEntries) || maxEntries < 1 || maxEntries > MAX_AUDIT_QUERY_LIMIT) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_AUDIT_QUERY_LIMIT}` });
+      }
+
+      res.json(auditLog.query({
+        secretId: typeof secretId === 'string' && secretId !== '' ? secretId : undefined,
+        actions,
+        since: sinceTime,
+        until: untilTime,
+        limit: maxEntries,
+      }));
+    } catch (error) {
+      console.error('Error reading audit log:', error);
+      res.status(500).json({ error: 'Failed to read audit log' });
+    }
+  });
+
+  // GET /api/audit/verify - Check the hash chain for edits, insertions and truncation
+  router.get('/audit/verify', (req, res) => {
+    try {
+      res.json(auditLog.verify());
+    } catch (error) {
+      console.error('Error verifying audit log:', error);
+      res.status(500).json({ error: 'Failed to verify audit log' });
+    }
+  });
+
+  return router;
+};
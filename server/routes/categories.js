@@ -0,0 +1,48 @@
+import express from 'express';
+import { createCategory, deleteCategory, updateCategory } from '../categories.js';
+import { CATEGORY_COLORS, CATEGORY_ICONS } from '../categoryStore.js';
+import { sendError } from '../secrets.js';
+
+// Routes for secret categories.
+// context: { secretsMetadata, persistMetadata, auditLog, categories, persistCategories }
+export const createCategoriesRouter = (context) => {
+  const router = express.Router();
+
+  // GET /api/categories - Categories in display order, with the colors and icons to choose from
+  router.get('/categories', (req, res) => {
+    res.json({ categories: context.categories, colors: CATEGORY_COLORS, icons: CATEGORY_ICONS });
+  });
+
+  // POST /api/categories - Create a category ({ label, color, icon, staleAfterDays? })
+  router.post('/categories', (req, res) => {
+    try {
+      res.status(201).json(createCategory(context, req.body ?? {}));
+    } catch (error) {
+      sendError(res, error, 'Error creating category:', 'Failed to create category');
+    }
+  });
+
+  // PUT /api/categories/:id - Change a category's label, color, icon or staleAfterDays (null clears it)
+  router.put('/categories/:id', (req, res) => {
+    try {
+      res.json(updateCategory(context, req.params.id, req.body ?? {}));
+    } catch (error) {
+      sendError(res, error, 'Error updating category:', 'Failed to update category');
+    }
+  });
+
+  // DELETE /api/categories/:id?reassignTo=<id> - Delete a category, moving its secrets
+  router.delete('/categories/:id', (req, res) => {
+    try {
+      const { reassignTo } = req.query;
+      const reassigned = deleteCategory(context, req.params.id, {
+        reassignTo: typeof reassignTo === 'string' && reassignTo !== '' ? reassignTo : undefined,
+      });
+      res.json({ reassigned });
+    } catch (error) {
+      sendError(res, error, 'Error deleting category:', 'Failed to delete category');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,22 @@
+import express from 'express';
+import { checkCertificateKey } from '../certificates.js';
+import { sendError } from '../secrets.js';
+
+// Routes for certificate secrets. Their details (subject, issuer, validity...)
+// are part of the secret metadata; these routes cover checks that need values.
+// context: { storage, serviceName, secretsMetadata }
+export const createCertificatesRouter = (context) => {
+  const router = express.Router();
+
+  // GET /api/secrets/:id/certificate/check - Whether the certificate matches the
+  // private key it is paired with: { matches, privateKeyId }
+  router.get('/secrets/:id/certificate/check', async (req, res) => {
+    try {
+      res.json(await checkCertificateKey(context, req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Error checking certificate key:', 'Failed to check certificate key');
+    }
+  });
+
+  return router;
+};
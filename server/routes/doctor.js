@@ -0,0 +1,42 @@
+import express from 'express';
+import { checkIntegrity, reattachOrphan, removeMissingSecret } from '../doctor.js';
+import { sendError } from '../secrets.js';
+
+// Routes for the integrity check of the vault in use (see doctor.js).
+// context: { storage, serviceName, secretsMetadata, persistMetadata, auditLog,
+//            categories, settings }
+export const createDoctorRouter = (context) => {
+  const router = express.Router();
+
+  // GET /api/doctor - Secrets whose value is missing and values no secret refers to
+  router.get('/doctor', async (req, res) => {
+    try {
+      res.set('Cache-Control', 'no-store');
+      res.json(await checkIntegrity(context));
+    } catch (error) {
+      sendError(res, error, 'Error checking vault integrity:', 'Failed to check vault integrity');
+    }
+  });
+
+  // POST /api/doctor/orphans/reattach - Turn an orphaned value into a new secret
+  // ({ account, title?, category? })
+  router.post('/doctor/orphans/reattach', async (req, res) => {
+    try {
+      res.status(201).json(await reattachOrphan(context, req.body ?? {}));
+    } catch (error) {
+      sendError(res, error, 'Error re-attaching orphaned value:', 'Failed to re-attach orphaned value');
+    }
+  });
+
+  // DELETE /api/doctor/missing/:id - Remove a secret whose value is missing
+  router.delete('/doctor/missing/:id', async (req, res) => {
+    try {
+      await removeMissingSecret(context, req.params.id);
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Error removing secret without value:', 'Failed to remove secret');
+    }
+  });
+
+  return router;
+};
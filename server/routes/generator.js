@@ -0,0 +1,48 @@
+import express from 'express';
+import { generateSecret, validateGeneratorOptions } from '../generator/index.js';
+import { createPreset, deletePreset } from '../generator/presets.js';
+import { sendError } from '../secrets.js';
+
+// Routes for the password and passphrase generator and its saved presets.
+// context: { generatorPresets, saveGeneratorPresets }
+export const createGeneratorRouter = (context) => {
+  const router = express.Router();
+
+  // POST /api/generator - Generate a value from the given options.
+  // Returns { value, entropyBits }; nothing is stored.
+  router.post('/generator', (req, res) => {
+    const options = req.body ?? {};
+    const validationError = validateGeneratorOptions(options);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.json(generateSecret(options));
+  });
+
+  // GET /api/generator/presets - Saved presets
+  router.get('/generator/presets', (req, res) => {
+    res.json(context.generatorPresets);
+  });
+
+  // POST /api/generator/presets - Save a preset ({ name, options })
+  router.post('/generator/presets', (req, res) => {
+    try {
+      res.status(201).json(createPreset(context, req.body ?? {}));
+    } catch (error) {
+      sendError(res, error, 'Error saving generator preset:', 'Failed to save preset');
+    }
+  });
+
+  // DELETE /api/generator/presets/:id - Delete a preset
+  router.delete('/generator/presets/:id', (req, res) => {
+    try {
+      deletePreset(context, req.params.id);
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Error deleting generator preset:', 'Failed to delete preset');
+    }
+  });
+
+  return router;
+};
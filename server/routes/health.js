@@ -0,0 +1,23 @@
+import express from 'express';
+import { buildHealthReport } from '../health.js';
+
+// Routes for the vault health report. Unlike the /api/health readiness probe,
+// these require the API token.
+// context: { storage, serviceName, secretsMetadata, categories }
+export const createHealthRouter = (context) => {
+  const router = express.Router();
+
+  // GET /api/health/report - Weak, reused and stale secrets (names only, never values)
+  router.get('/health/report', async (req, res) => {
+    try {
+      const report = await buildHealthReport(context);
+      res.set('Cache-Control', 'no-store');
+      res.json(report);
+    } catch (error) {
+      console.error('Error building health report:', error);
+      res.status(500).json({ error: 'Failed to build health report' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,48 @@
+import express from 'express';
+import { getVersion, getVersionValue, listVersions, restoreVersion, sendError } from '../secrets.js';
+
+// Routes for the version history of a secret.
+// context: { storage, serviceName, secretsMetadata, persistMetadata }
+export const createHistoryRouter = (context) => {
+  const router = express.Router();
+
+  // GET /api/secrets/:id/versions - List previous versions, newest first (no values)
+  router.get('/secrets/:id/versions', (req, res) => {
+    try {
+      res.json(listVersions(context, req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Error listing versions:', 'Failed to list versions');
+    }
+  });
+
+  // GET /api/secrets/:id/versions/:version - Metadata of one version
+  router.get('/secrets/:id/versions/:version', (req, res) => {
+    try {
+      res.json(getVersion(context, req.params.id, req.params.version));
+    } catch (error) {
+      sendError(res, error, 'Error fetching version:', 'Failed to fetch version');
+    }
+  });
+
+  // GET /api/secrets/:id/versions/:version/value - Value of one version
+  router.get('/secrets/:id/versions/:version/value', async (req, res) => {
+    try {
+      const value = await getVersionValue(context, req.params.id, req.params.version);
+      res.set('Cache-Control', 'no-store');
+      res.json({ value });
+    } catch (error) {
+      sendError(res, error, 'Error fetching version value:', 'Failed to fetch version value');
+    }
+  });
+
+  // POST /api/secrets/:id/versions/:version/restore - Make a version current again
+  router.post('/secrets/:id/versions/:version/restore', async (req, res) => {
+    try {
+      res.json(await restoreVersion(context, req.params.id, req.params.version));
+    } catch (error) {
+      sendError(res, error, 'Error restoring version:', 'Failed to restore version');
+    }
+  });
+
+  return router;
+};
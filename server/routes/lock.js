@@ -0,0 +1,71 @@
+import express from 'express';
+import { sendError } from '../secrets.js';
+
+// Routes for the master password lock. GET /lock, POST /lock and POST /lock/unlock
+// stay reachable while the vault is locked; the others need it unlocked.
+// context: { vaultLock }
+export const createLockRouter = (context) => {
+  const router = express.Router();
+  const { vaultLock } = context;
+
+  // Client errors also carry the lock status, and how long to wait when unlock
+  // attempts are throttled
+  const sendLockError = (res, error, logMessage, clientMessage) => {
+    if (error.retryAfterMs) {
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    return sendError(res, error, logMessage, clientMessage, vaultLock.status());
+  };
+
+  // GET /api/lock - { enabled, locked, autoLockMinutes, retryAfterMs }
+  router.get('/lock', (req, res) => {
+    res.json(vaultLock.status());
+  });
+
+  // POST /api/lock - Lock the vault now
+  router.post('/lock', (req, res) => {
+    if (!vaultLock.status().enabled) {
+      return res.status(400).json({ error: 'Set a master password before locking the vault' });
+    }
+    vaultLock.lock();
+    res.json(vaultLock.status());
+  });
+
+  // POST /api/lock/unlock - Unlock with the master password ({ password })
+  router.post('/lock/unlock', async (req, res) => {
+    try {
+      await vaultLock.unlock(req.body?.password);
+      res.json(vaultLock.status());
+    } catch (error) {
+      sendLockError(res, error, 'Error unlocking the vault:', 'Failed to unlock the vault');
+    }
+  });
+
+  // PUT /api/lock/password - Set, change or remove the master password
+  // ({ currentPassword, newPassword }; newPassword: null removes it)
+  router.put('/lock/password', async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body ?? {};
+      // Only an explicit null removes the password, so a body without newPassword cannot
+      if (newPassword !== null && typeof newPassword !== 'string') {
+        return res.status(400).json({ error: 'newPassword must be a string, or null to remove the master password', ...vaultLock.status() });
+      }
+      await vaultLock.setPassword({ currentPassword, newPassword });
+      res.json(vaultLock.status());
+    } catch (error) {
+      sendLockError(res, error, 'Error changing the master password:', 'Failed to change the master password');
+    }
+  });
+
+  // PUT /api/lock/settings - Change the idle time before the vault locks ({ autoLockMinutes })
+  router.put('/lock/settings', (req, res) => {
+    try {
+      vaultLock.setAutoLockMinutes(req.body?.autoLockMinutes);
+      res.json(vaultLock.status());
+    } catch (error) {
+      sendLockError(res, error, 'Error updating lock settings:', 'Failed to update lock settings');
+    }
+  });
+
+  return router;
+};
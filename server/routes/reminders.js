@@ -0,0 +1,21 @@
+import express from 'express';
+import { DEFAULT_DUE_WITHIN_DAYS, MAX_DUE_WITHIN_DAYS, listDueSecrets } from '../reminders.js';
+
+// Routes for expiration and rotation reminders.
+// context: { secretsMetadata }
+export const createRemindersRouter = (context) => {
+  const router = express.Router();
+
+  // GET /api/secrets/due?withinDays=14 - Secrets that expire or are due for
+  // rotation within the given number of days, overdue ones included
+  router.get('/secrets/due', (req, res) => {
+    const { withinDays } = req.query;
+    const days = withinDays === undefined ? DEFAULT_DUE_WITHIN_DAYS : Number(withinDays);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_DUE_WITHIN_DAYS) {
+      return res.status(400).json({ error: `withinDays must be an integer between 0 and ${MAX_DUE_WITHIN_DAYS}` });
+    }
+    res.json(listDueSecrets(context, { withinDays: days }));
+  });
+
+  return router;
+};
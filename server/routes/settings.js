@@ -0,0 +1,27 @@
+import express from 'express';
+import { publicSettings, updateSettings } from '../settings.js';
+import { sendError } from '../secrets.js';
+
+// Routes for user settings.
+// context: { settings, saveSettings, categories }
+export const createSettingsRouter = (context) => {
+  const router = express.Router();
+
+  // GET /api/settings - Current settings
+  router.get('/settings', (req, res) => {
+    res.json(publicSettings(context));
+  });
+
+  // PUT /api/settings - Change some settings ({ revealTimeoutSeconds, clipboardClearSeconds,
+  // defaultCategory, confirmDelete }; omitted ones are kept)
+  router.put('/settings', (req, res) => {
+    try {
+      updateSettings(context, req.body);
+      res.json(publicSettings(context));
+    } catch (error) {
+      sendError(res, error, 'Error updating settings:', 'Failed to update settings');
+    }
+  });
+
+  return router;
+};
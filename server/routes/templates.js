@@ -0,0 +1,20 @@
+import express from 'express';
+import { MAX_TEMPLATE_LENGTH, previewTemplate } from '../templates.js';
+
+// Routes for templates with vault references (rendered by `securevault inject`).
+// context: { secretsMetadata }
+export const createTemplatesRouter = (context) => {
+  const router = express.Router();
+
+  // POST /api/templates/preview - Render { template } with every value masked:
+  // { rendered, references: [{ ref, id, title } | { ref, error }] }. No values are read.
+  router.post('/templates/preview', (req, res) => {
+    const { template } = req.body ?? {};
+    if (typeof template !== 'string' || template.length > MAX_TEMPLATE_LENGTH) {
+      return res.status(400).json({ error: `template must be a string of at most ${MAX_TEMPLATE_LENGTH} characters` });
+    }
+    res.json(previewTemplate(context, template));
+  });
+
+  return router;
+};
@@ -0,0 +1,140 @@
+import express from 'express';
+import {
+  IMPORT_MODES,
+  MIN_EXPORT_PASSPHRASE_LENGTH,
+  applyImport,
+  createExport,
+  missingCategories,
+  planImport,
+  readExport,
+  summarizePlan,
+} from '../transfer.js';
+import {
+  EXTERNAL_IMPORT_FORMATS,
+  applyExternalImport,
+  parseExternal,
+  planExternalImport,
+  summarizeExternalPlan,
+} from '../importers/index.js';
+import { recordAudit } from '../auditLog.js';
+
+// Export files hold every value, so they may be much larger than a single secret
+export const IMPORT_BODY_LIMIT = '25mb';
+
+// Routes for passphrase-encrypted full vault export and import, and for
+// importing exports of other password managers.
+// context: { storage, serviceName, secretsMetadata, persistMetadata, kdfParams, auditLog,
+//            categories, persistCategories }
+export const createTransferRouter = (context) => {
+  const router = express.Router();
+
+  // GET /api/export - Download every secret as one encrypted file.
+  // The passphrase travels in a header so it never ends up in URLs or logs.
+  router.get('/export', async (req, res) => {
+    try {
+      const passphrase = req.get('x-export-passphrase');
+      if (typeof passphrase !== 'string' || passphrase.length < MIN_EXPORT_PASSPHRASE_LENGTH) {
+        return res.status(400).json({
+          error: `Export passphrase must be at least ${MIN_EXPORT_PASSPHRASE_LENGTH} characters`
+        });
+      }
+
+      const { envelope, exported, missing } = await createExport({ ...context, passphrase });
+      if (missing.length > 0) {
+        console.warn(`⚠️  Export skipped ${missing.length} secret(s) without a stored value`);
+      }
+
+      await recordAudit(context.auditLog, { action: 'vault.export', details: { exported } });
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.set('Cache-Control', 'no-store');
+      res.attachment(`securevault-export-${date}.json`);
+      res.json(envelope);
+    } catch (error) {
+      console.error('Error exporting vault:', error);
+      res.status(500).json({ error: 'Failed to export vault' });
+    }
+  });
+
+  // POST /api/import - Import an export file.
+  // Body: { file, passphrase, mode: 'merge' | 'overwrite' | 'skip', dryRun }
+  // With dryRun the planned changes are returned without touching the vault.
+  router.post('/import', express.json({ limit: IMPORT_BODY_LIMIT }), async (req, res) => {
+    try {
+      const { file, passphrase, mode = 'merge', dryRun = false } = req.body ?? {};
+
+      if (!IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({ error: 'Invalid import mode. Must be one of: ' + IMPORT_MODES.join(', ') });
+      }
+      if (typeof passphrase !== 'string' || passphrase === '') {
+        return res.status(400).json({ error: 'Import passphrase is required' });
+      }
+
+      let imported;
+      try {
+        imported = await readExport(file, passphrase);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const plan = planImport(imported.secrets, context.secretsMetadata, mode, context.categories, imported.categories);
+      const newCategories = missingCategories(plan, context.categories, imported.categories);
+      const preview = { mode, ...summarizePlan(plan) };
+
+      if (dryRun) {
+        return res.json({ ...preview, applied: false });
+      }
+
+      await applyImport(plan, context, newCategories);
+      await recordAudit(context.auditLog, {
+        action: 'vault.import',
+        details: { mode, created: preview.summary.create, updated: preview.summary.update },
+      });
+      res.json({ ...preview, applied: true });
+    } catch (error) {
+      console.error('Error importing vault:', error);
+      res.status(500).json({ error: 'Failed to import vault' });
+    }
+  });
+
+  // POST /api/import/external - Import a Bitwarden, 1Password, KeePass or dotenv export.
+  // Body: { format, content, dryRun, selected: [row indexes] }
+  // With dryRun the parsed rows are returned for review (without values); otherwise
+  // the selected rows are created as new secrets.
+  router.post('/import/external', express.json({ limit: IMPORT_BODY_LIMIT }), async (req, res) => {
+    try {
+      const { format, content, dryRun = false, selected } = req.body ?? {};
+
+      if (!EXTERNAL_IMPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'Invalid import format. Must be one of: ' + EXTERNAL_IMPORT_FORMATS.join(', ') });
+      }
+
+      let candidates;
+      try {
+        candidates = parseExternal(format, content);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const plan = planExternalImport(candidates, context.secretsMetadata, context.categories);
+      if (dryRun) {
+        return res.json({ format, items: summarizeExternalPlan(plan), imported: [] });
+      }
+
+      if (!Array.isArray(selected) || !selected.every(Number.isInteger)) {
+        return res.status(400).json({ error: 'Selected rows must be an array of row indexes' });
+      }
+
+      const imported = await applyExternalImport(plan, selected, context);
+      res.json({ format, items: summarizeExternalPlan(plan), imported });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error importing external file:', error);
+      res.status(500).json({ error: 'Failed to import file' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,73 @@
+import express from 'express';
+import { isTrashed, listTrash, purgeFromTrash, purgeSecret, restoreFromTrash, sendError } from '../secrets.js';
+import { purgeExpiredTrash, purgeTime, validateRetentionDays } from '../trash.js';
+
+// Routes for the trash.
+// context: { storage, serviceName, secretsMetadata, persistMetadata, auditLog,
+//            trashSettings: { retentionDays }, saveTrashSettings }
+export const createTrashRouter = (context) => {
+  const router = express.Router();
+  const { trashSettings } = context;
+
+  // GET /api/trash - Secrets in the trash with the date each will be purged
+  router.get('/trash', (req, res) => {
+    res.json({
+      retentionDays: trashSettings.retentionDays,
+      items: listTrash(context).map(meta => ({ ...meta, purgeAt: purgeTime(meta, trashSettings.retentionDays) })),
+    });
+  });
+
+  // PUT /api/trash/settings - Change the retention period ({ retentionDays })
+  router.put('/trash/settings', async (req, res) => {
+    try {
+      const { retentionDays } = req.body ?? {};
+      const validationError = validateRetentionDays(retentionDays);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      context.saveTrashSettings?.({ retentionDays });
+      trashSettings.retentionDays = retentionDays;
+
+      // A shorter period may already have expired some secrets
+      await purgeExpiredTrash(context, retentionDays);
+      res.json({ retentionDays });
+    } catch (error) {
+      sendError(res, error, 'Error updating trash settings:', 'Failed to update trash settings');
+    }
+  });
+
+  // POST /api/trash/:id/restore - Move a secret back out of the trash
+  router.post('/trash/:id/restore', async (req, res) => {
+    try {
+      res.json(await restoreFromTrash(context, req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Error restoring secret:', 'Failed to restore secret');
+    }
+  });
+
+  // DELETE /api/trash/:id - Permanently delete one secret in the trash
+  router.delete('/trash/:id', async (req, res) => {
+    try {
+      await purgeFromTrash(context, req.params.id);
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Error deleting secret permanently:', 'Failed to delete secret');
+    }
+  });
+
+  // DELETE /api/trash - Empty the trash
+  router.delete('/trash', async (req, res) => {
+    try {
+      const ids = context.secretsMetadata.filter(isTrashed).map(meta => meta.id);
+      for (const id of ids) {
+        await purgeSecret(context, id);
+      }
+      res.json({ purged: ids.length });
+    } catch (error) {
+      sendError(res, error, 'Error emptying trash:', 'Failed to empty trash');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,55 @@
+import express from 'express';
+import { createVault, deleteVault, publicVaults, renameVault, switchVault } from '../vaults.js';
+import { sendError } from '../secrets.js';
+
+// Routes for named vaults.
+// context: { storage, auditLog, vaults, activeVault, saveVaults, loadVault, openedVaults,
+// removeVaultFiles } and the vault fields switching replaces (see vaults.js)
+export const createVaultsRouter = (context) => {
+  const router = express.Router();
+
+  // GET /api/vaults - Vaults and the ID of the one in use
+  router.get('/vaults', (req, res) => {
+    res.json(publicVaults(context));
+  });
+
+  // POST /api/vaults - Create an empty vault ({ name })
+  router.post('/vaults', (req, res) => {
+    try {
+      res.status(201).json(createVault(context, req.body ?? {}));
+    } catch (error) {
+      sendError(res, error, 'Error creating vault:', 'Failed to create vault');
+    }
+  });
+
+  // PUT /api/vaults/:id - Rename a vault ({ name })
+  router.put('/vaults/:id', (req, res) => {
+    try {
+      res.json(renameVault(context, req.params.id, req.body ?? {}));
+    } catch (error) {
+      sendError(res, error, 'Error renaming vault:', 'Failed to rename vault');
+    }
+  });
+
+  // POST /api/vaults/:id/activate - Switch to a vault
+  router.post('/vaults/:id/activate', (req, res) => {
+    try {
+      switchVault(context, req.params.id);
+      res.json(publicVaults(context));
+    } catch (error) {
+      sendError(res, error, 'Error switching vault:', 'Failed to switch vault');
+    }
+  });
+
+  // DELETE /api/vaults/:id - Delete a vault and its values in storage
+  router.delete('/vaults/:id', async (req, res) => {
+    try {
+      const deletedValues = await deleteVault(context, req.params.id);
+      res.json({ deletedValues });
+    } catch (error) {
+      sendError(res, error, 'Error deleting vault:', 'Failed to delete vault');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Passphrase-based authenticated encryption shared by the file vault and vault exports.
+// Keys are derived with scrypt and payloads encrypted with AES-256-GCM; the
+// envelope header is authenticated as AAD.
+export const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+
+// scrypt cost parameters (N=2^17, r=8, p=1 uses ~128 MiB per derivation).
+// Stored in each envelope header so they can be raised later without breaking old files.
+export const DEFAULT_KDF_PARAMS = { N: 2 ** 17, r: 8, p: 1 };
+
+// Build the KDF description for a new envelope, with a fresh random salt
+export const createKdfHeader = (kdfParams = DEFAULT_KDF_PARAMS) => ({
+  name: 'scrypt',
+  ...kdfParams,
+  salt: crypto.randomBytes(SALT_LENGTH).toString('base64'),
+});
+
+// Envelopes may come from uploaded files, so their parameters are bounded before
+// any work is done: N a power of two no larger than the default, r <= 16, p <= 4
+const MAX_KDF_R = 16;
+const MAX_KDF_P = 4;
+
+export const isSupportedKdf = (kdf) => {
+  const { N, r, p } = kdf ?? {};
+  return Number.isInteger(N) && N > 1 && N <= DEFAULT_KDF_PARAMS.N && (N & (N - 1)) === 0
+    && Number.isInteger(r) && r >= 1 && r <= MAX_KDF_R
+    && Number.isInteger(p) && p >= 1 && p <= MAX_KDF_P
+    && typeof kdf.salt === 'string';
+};
+
+export const deriveKey = async (passphrase, kdf) => {
+  if (!isSupportedKdf(kdf)) {
+    throw new Error('Unsupported key derivation parameters');
+  }
+  const { N, r, p } = kdf;
+  return scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, { N, r, p, maxmem: 256 * N * r });
+};
+
+// The header is authenticated as AAD so tampering with the KDF parameters,
+// version or format is detected just like tampering with the ciphertext
+const headerAad = (header) => Buffer.from(JSON.stringify({
+  format: header.format,
+  version: header.version,
+  cipher: header.cipher,
+  kdf: header.kdf,
+}), 'utf8');
+
+// Encrypt a JSON-serializable payload into an envelope: header fields + iv/tag/data
+export const encryptJson = (key, header, payload) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(headerAad(header));
+  const plaintext = Buffer.from(JSON.stringify(payload), 'utf8');
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    ...header,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+};
+
+export const decryptJson = (key, envelope) => {
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(headerAad(envelope));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final(),
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    throw new Error('Incorrect passphrase or corrupted file');
+  }
+};
+
+// Check the envelope shape before spending a key derivation on it
+export const isEnvelope = (value, { format, version }) =>
+  Boolean(value) &&
+  typeof value === 'object' &&
+  value.format === format &&
+  value.version === version &&
+  value.cipher === CIPHER &&
+  value.kdf?.name === 'scrypt' &&
+  [value.iv, value.tag, value.data, value.kdf.salt].every(field => typeof field === 'string');
@@ -0,0 +1,541 @@
+import { validateNewSecret, validateSecretUpdate } from './validation.js';
+import {
+  changedFields,
+  createVersion,
+  historyLimitOf,
+  publicMetadata,
+  versionAccount,
+} from './history.js';
+import { recordAudit } from './auditLog.js';
+import { normalizeTags } from './tags.js';
+import { DEFAULT_CATEGORIES } from './categoryStore.js';
+import { base32Decode, mergeTotpSettings, prepareTotp, totpCode } from './totp.js';
+import { CERTIFICATE_CATEGORY, certificateMetadata } from './x509.js';
+
+// Secret operations shared by the HTTP routes and other entry points (importers, CLI).
+// Every operation takes a context: { storage, serviceName, secretsMetadata, persistMetadata, auditLog,
+// categories }. Without categories, secrets are checked against the default ones.
+// Values live in storage; metadata lives in the secretsMetadata array and is persisted
+// with persistMetadata (null disables persistence). A failed persist rolls back both.
+
+// Errors carrying an HTTP status that routes can pass straight to the client
+export const secretError = (status, message) => Object.assign(new Error(message), { status });
+
+// Send an error from a route handler: errors from secretError keep their status
+// and message (with any extra body fields), anything else is logged and reported
+// with a generic message
+export const sendError = (res, error, logMessage, clientMessage, extraBody = {}) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, ...extraBody });
+  }
+  console.error(logMessage, error);
+  return res.status(500).json({ error: clientMessage });
+};
+
+// IDs of the categories secrets may use
+export const categoryIds = ({ categories = DEFAULT_CATEGORIES }) => categories.map(c => c.id);
+
+// Secrets in the trash keep their metadata (with deletedAt) and values until purged
+export const isTrashed = (meta) => Boolean(meta.deletedAt);
+
+// Look up a secret that is not in the trash
+export const findSecret = ({ secretsMetadata }, id) => secretsMetadata.find(s => s.id === id && !isTrashed(s));
+
+const normalizeTitle = (title) => title.trim().toLowerCase();
+
+// Find a secret outside the trash by ID, or else by title (case-insensitive), as
+// references from the CLI and templates name them. Returns null when nothing
+// matches; several secrets sharing the title is a conflict.
+export const findSecretByRef = ({ secretsMetadata }, ref) => {
+  const byId = findSecret({ secretsMetadata }, ref);
+  if (byId) {
+    return byId;
+  }
+
+  const byTitle = secretsMetadata.filter(s => !isTrashed(s) && normalizeTitle(s.title) === normalizeTitle(ref));
+  if (byTitle.length > 1) {
+    throw secretError(409, `Several secrets are titled "${ref}"; use one of their IDs: ${byTitle.map(s => s.id).join(', ')}`);
+  }
+  return byTitle[0] ?? null;
+};
+
+// Replace one metadata entry and persist, putting the previous entry back on failure
+const commitMetadata = ({ secretsMetadata, persistMetadata }, index, nextMeta) => {
+  const previousMeta = secretsMetadata[index];
+  secretsMetadata[index] = nextMeta;
+  if (persistMetadata) {
+    try {
+      persistMetadata(secretsMetadata);
+    } catch {
+      secretsMetadata[index] = previousMeta;
+      throw new Error('Failed to persist secret metadata');
+    }
+  }
+};
+
+// Set the optional expiresAt and rotateEveryDays fields: omitted ones stay as
+// they are, null removes them
+const applyReminders = (meta, reminders) => {
+  for (const [field, fieldValue] of Object.entries(reminders)) {
+    if (fieldValue === null) {
+      delete meta[field];
+    } else if (fieldValue !== undefined) {
+      meta[field] = fieldValue;
+    }
+  }
+};
+
+// Seed and settings of a TOTP secret from the value given by the client
+// (base32 seed or otpauth:// URI); invalid input is a client error
+const parseTotpValue = (value, settings, base) => {
+  try {
+    const { seed, settings: totpSettings } = prepareTotp(value, settings, base);
+    return { storedValue: seed, totpSettings };
+  } catch (error) {
+    throw secretError(400, error.message);
+  }
+};
+
+// Secrets are generic unless created with another type
+export const secretType = (meta) => meta.type ?? 'generic';
+
+// Details of the certificates in a value; malformed certificates are a client error
+const parseCertificateValue = (value) => {
+  try {
+    return certificateMetadata(value);
+  } catch (error) {
+    throw secretError(400, error.message);
+  }
+};
+
+// privateKeyId pairs a certificate with the secret holding its private key (null unpairs)
+const checkPrivateKeyId = (context, id, privateKeyId, category) => {
+  if (privateKeyId === undefined || privateKeyId === null) {
+    return;
+  }
+  if (category !== CERTIFICATE_CATEGORY) {
+    throw secretError(400, 'Only certificates can be paired with a private key');
+  }
+  if (typeof privateKeyId !== 'string' || privateKeyId === id || !findSecret(context, privateKeyId)) {
+    throw secretError(400, 'privateKeyId must be the ID of another secret');
+  }
+};
+
+// The seed of a TOTP secret never leaves the server; clients get codes from getTotpCode
+const refuseTotpSeed = (meta) => {
+  if (secretType(meta) === 'totp') {
+    throw secretError(400, 'The seed of a TOTP secret is not handed out; ask for its current code instead');
+  }
+};
+
+// Read a single secret value. purpose ('reveal', 'copy', ...) is recorded in the audit log.
+export const getSecretValue = async ({ storage, serviceName, secretsMetadata, auditLog }, id, { purpose } = {}) => {
+  const meta = findSecret({ secretsMetadata }, id);
+  if (!meta) {
+    throw secretError(404, 'Secret not found');
+  }
+  refuseTotpSeed(meta);
+
+  const value = await storage.getPassword(serviceName, id);
+  if (!value) {
+    throw secretError(404, 'Secret value not found in storage');
+  }
+  await recordAudit(auditLog, { action: 'secret.read', secretId: id, title: meta.title, details: purpose ? { purpose } : null });
+  return value;
+};
+
+// Compute the current code of a TOTP secret: { code, digits, period, validUntil }.
+// Showing codes is not audited; purpose ('copy', ...) records the read like a value read.
+export const getTotpCode = async ({ storage, serviceName, secretsMetadata, auditLog }, id, { purpose, now = Date.now() } = {}) => {
+  const meta = findSecret({ secretsMetadata }, id);
+  if (!meta) {
+    throw secretError(404, 'Secret not found');
+  }
+  if (secretType(meta) !== 'totp') {
+    throw secretError(400, 'Secret is not a TOTP secret');
+  }
+
+  const seed = await storage.getPassword(serviceName, id);
+  if (!seed) {
+    throw secretError(404, 'Secret value not found in storage');
+  }
+  const { code, validUntil } = totpCode(base32Decode(seed), meta.totp, now);
+  if (purpose) {
+    await recordAudit(auditLog, { action: 'secret.read', secretId: id, title: meta.title, details: { purpose, totp: true } });
+  }
+  return { code, digits: meta.totp.digits, period: meta.totp.period, validUntil };
+};
+
+// What a secret hands out when it is used rather than viewed (CLI, templates):
+// its value, or the current code of a TOTP secret so the seed stays here.
+// The read is audited with the purpose.
+export const readSecret = async (context, id, purpose) => {
+  const meta = findSecret(context, id);
+  return meta && secretType(meta) === 'totp'
+    ? (await getTotpCode(context, id, { purpose })).code
+    : await getSecretValue(context, id, { purpose });
+};
+
+// Create a secret and return its metadata
+export const createSecret = async (context, input) => {
+  const { storage, serviceName, secretsMetadata, persistMetadata, auditLog } = context;
+  const {
+    id, title, value, category, notes, tags, historyLimit, expiresAt, rotateEveryDays, type, totp, privateKeyId,
+    createdAt, updatedAt,
+  } = input;
+
+  const validationError = validateNewSecret(input, categoryIds(context));
+  if (validationError) {
+    throw secretError(400, validationError);
+  }
+
+  // Check for duplicate ID (including secrets in the trash)
+  if (secretsMetadata.some(s => s.id === id)) {
+    throw secretError(409, 'Secret with this ID already exists');
+  }
+
+  checkPrivateKeyId(context, id, privateKeyId, category);
+
+  // TOTP secrets store the normalized seed; their settings go into metadata
+  const { storedValue, totpSettings } = type === 'totp' ? parseTotpValue(value, totp) : { storedValue: value };
+  // Values in the certificate category must be certificates
+  const certificate = category === CERTIFICATE_CATEGORY && type !== 'totp' ? parseCertificateValue(value) : null;
+
+  // Store the secret value in keychain
+  await storage.setPassword(serviceName, id, storedValue);
+
+  // Store metadata with trimmed title
+  const metadata = { id, title: title.trim(), category, notes, createdAt, updatedAt };
+  if (type === 'totp') {
+    metadata.type = type;
+    metadata.totp = totpSettings;
+  }
+  if (certificate) {
+    metadata.certificate = certificate;
+  }
+  if (privateKeyId) {
+    metadata.privateKeyId = privateKeyId;
+  }
+  if (tags !== undefined) {
+    metadata.tags = normalizeTags(tags);
+  }
+  if (historyLimit !== undefined) {
+    metadata.historyLimit = historyLimit;
+  }
+  applyReminders(metadata, { expiresAt, rotateEveryDays });
+  secretsMetadata.push(metadata);
+
+  // Persist metadata to disk with rollback on failure (only if persistence is enabled)
+  if (persistMetadata) {
+    try {
+      persistMetadata(secretsMetadata);
+    } catch {
+      // Roll back: remove metadata from memory and delete from keychain
+      secretsMetadata.splice(secretsMetadata.indexOf(metadata), 1);
+      try {
+        await storage.deletePassword(serviceName, id);
+      } catch (rollbackError) {
+        console.error('Failed to rollback keychain entry:', rollbackError);
+      }
+      throw new Error('Failed to persist secret metadata');
+    }
+  }
+
+  await recordAudit(auditLog, { action: 'secret.create', secretId: id, title: metadata.title });
+  return metadata;
+};
+
+// Update a secret, preserving fields that are omitted, and return its metadata.
+// The previous state is kept as a version when a versioned field changes.
+export const updateSecret = async (context, id, changes) => {
+  const { storage, serviceName, secretsMetadata, persistMetadata, auditLog } = context;
+  const { title, value, category, notes, tags, historyLimit, expiresAt, rotateEveryDays, totp, privateKeyId, updatedAt } = changes;
+
+  const metaIndex = secretsMetadata.findIndex(s => s.id === id && !isTrashed(s));
+  if (metaIndex === -1) {
+    throw secretError(404, 'Secret not found');
+  }
+
+  // Validate provided fields
+  const validationError = validateSecretUpdate(changes, categoryIds(context));
+  if (validationError) {
+    throw secretError(400, validationError);
+  }
+
+  const existingMeta = secretsMetadata[metaIndex];
+  if (changes.type !== undefined && changes.type !== secretType(existingMeta)) {
+    throw secretError(400, 'The type of a secret cannot be changed');
+  }
+  if (totp !== undefined && secretType(existingMeta) !== 'totp') {
+    throw secretError(400, 'TOTP settings are only allowed for TOTP secrets');
+  }
+
+  // A new TOTP seed may come as an otpauth:// URI carrying its own settings
+  let newValue = value;
+  let totpSettings = existingMeta.totp;
+  if (secretType(existingMeta) === 'totp') {
+    if (value !== undefined) {
+      ({ storedValue: newValue, totpSettings } = parseTotpValue(value, totp, existingMeta.totp));
+    } else if (totp !== undefined) {
+      try {
+        totpSettings = mergeTotpSettings(existingMeta.totp, totp);
+      } catch (error) {
+        throw secretError(400, error.message);
+      }
+    }
+  }
+
+  const nextCategory = category ?? existingMeta.category;
+  checkPrivateKeyId(context, id, privateKeyId, nextCategory);
+
+  const previousValue = await storage.getPassword(serviceName, id); // For history and rollback
+
+  // Certificates are parsed again when their value changes or a secret moves
+  // into the certificate category
+  let certificate = nextCategory === CERTIFICATE_CATEGORY && secretType(existingMeta) === 'generic'
+    ? existingMeta.certificate
+    : undefined;
+  if (nextCategory === CERTIFICATE_CATEGORY && secretType(existingMeta) === 'generic'
+    && (newValue !== undefined || existingMeta.category !== CERTIFICATE_CATEGORY)) {
+    const certificateValue = newValue ?? previousValue;
+    certificate = certificateValue ? parseCertificateValue(certificateValue) : undefined;
+  }
+
+  // Keep the previous state as a version, then apply the retention limit
+  const limit = historyLimit !== undefined ? historyLimit : historyLimitOf(existingMeta);
+  const changed = changedFields(existingMeta, previousValue, { ...changes, value: newValue });
+  let versions = existingMeta.versions ?? [];
+  let newVersion = null;
+  if (changed.length > 0 && limit > 0 && previousValue !== null && previousValue !== undefined) {
+    newVersion = createVersion(existingMeta, changed, Date.now());
+    await storage.setPassword(serviceName, versionAccount(id, newVersion.version), previousValue);
+    versions = [newVersion, ...versions];
+  }
+  const prunedVersions = versions.slice(limit);
+  versions = versions.slice(0, limit);
+
+  // Update the secret value in keychain only if a new value is provided
+  if (newValue !== undefined) {
+    await storage.setPassword(serviceName, id, newValue);
+  }
+
+  // Update metadata, preserving existing fields when omitted
+  const updatedMeta = {
+    ...existingMeta,
+    title: title !== undefined ? title.trim() : existingMeta.title,
+    category: category !== undefined ? category : existingMeta.category,
+    notes: notes !== undefined ? notes : existingMeta.notes,
+    tags: tags !== undefined ? normalizeTags(tags) : existingMeta.tags,
+    updatedAt: updatedAt !== undefined ? updatedAt : existingMeta.updatedAt,
+    versions,
+  };
+  // When the value last changed, for finding secrets that are overdue for rotation
+  if (changed.includes('value')) {
+    updatedMeta.rotatedAt = Date.now();
+  }
+  if (historyLimit !== undefined) {
+    updatedMeta.historyLimit = historyLimit;
+  }
+  applyReminders(updatedMeta, { expiresAt, rotateEveryDays });
+  if (totpSettings) {
+    updatedMeta.totp = totpSettings;
+  }
+  if (certificate) {
+    updatedMeta.certificate = certificate;
+  } else {
+    delete updatedMeta.certificate;
+  }
+  if (nextCategory !== CERTIFICATE_CATEGORY || privateKeyId === null) {
+    delete updatedMeta.privateKeyId;
+  } else if (privateKeyId !== undefined) {
+    updatedMeta.privateKeyId = privateKeyId;
+  }
+  secretsMetadata[metaIndex] = updatedMeta;
+
+  // Persist metadata to disk with rollback on failure (only if persistence is enabled)
+  if (persistMetadata) {
+    try {
+      persistMetadata(secretsMetadata);
+    } catch {
+      // Roll back: restore previous metadata and keychain value, drop the new version
+      secretsMetadata[metaIndex] = existingMeta;
+      try {
+        if (value !== undefined && previousValue !== undefined && previousValue !== null) {
+          await storage.setPassword(serviceName, id, previousValue);
+        }
+        if (newVersion) {
+          await storage.deletePassword(serviceName, versionAccount(id, newVersion.version));
+        }
+      } catch (rollbackError) {
+        console.error('Failed to rollback keychain value:', rollbackError);
+      }
+      throw new Error('Failed to persist secret metadata');
+    }
+  }
+
+  await deleteVersionValues({ storage, serviceName }, id, prunedVersions);
+
+  await recordAudit(auditLog, { action: 'secret.update', secretId: id, title: updatedMeta.title, details: { changed } });
+  return publicMetadata(updatedMeta);
+};
+
+// Remove the stored values of versions that are no longer referenced.
+// Failures only leave unused entries behind, so they are logged and ignored.
+export const deleteVersionValues = async ({ storage, serviceName }, id, versions) => {
+  for (const { version } of versions) {
+    try {
+      await storage.deletePassword(serviceName, versionAccount(id, version));
+    } catch (error) {
+      console.error(`Failed to delete version ${version} of secret ${id}:`, error);
+    }
+  }
+};
+
+// List the versions of a secret, newest first (metadata only)
+export const listVersions = ({ secretsMetadata }, id) => {
+  const meta = findSecret({ secretsMetadata }, id);
+  if (!meta) {
+    throw secretError(404, 'Secret not found');
+  }
+  return meta.versions ?? [];
+};
+
+// Look up one version of a secret
+export const getVersion = (context, id, version) => {
+  const entry = listVersions(context, id).find(v => v.version === Number(version));
+  if (!entry) {
+    throw secretError(404, 'Version not found');
+  }
+  return entry;
+};
+
+const readVersionValue = async ({ storage, serviceName }, id, entry) => {
+  const value = await storage.getPassword(serviceName, versionAccount(id, entry.version));
+  if (!value) {
+    throw secretError(404, 'Version value not found in storage');
+  }
+  return value;
+};
+
+// Read the value a secret had in one version
+export const getVersionValue = async (context, id, version) => {
+  const entry = getVersion(context, id, version);
+  refuseTotpSeed(findSecret(context, id));
+  const value = await readVersionValue(context, id, entry);
+  await recordAudit(context.auditLog, {
+    action: 'version.read',
+    secretId: id,
+    title: findSecret(context, id).title,
+    details: { version: entry.version },
+  });
+  return value;
+};
+
+// Restore a version. This is a regular update, so the current state is kept
+// as a new version and the restore itself can be undone.
+export const restoreVersion = async (context, id, version) => {
+  const entry = getVersion(context, id, version);
+  const value = await readVersionValue(context, id, entry);
+  const restored = await updateSecret(context, id, {
+    title: entry.title,
+    category: entry.category,
+    notes: entry.notes,
+    tags: entry.tags,
+    value,
+    updatedAt: Date.now(),
+  });
+  await recordAudit(context.auditLog, {
+    action: 'version.restore',
+    secretId: id,
+    title: restored.title,
+    details: { version: entry.version },
+  });
+  return restored;
+};
+
+// Move a secret to the trash. Its value and history stay in storage until it
+// is purged, so it can be restored.
+export const deleteSecret = async ({ secretsMetadata, persistMetadata, auditLog }, id, { now = Date.now() } = {}) => {
+  const metaIndex = secretsMetadata.findIndex(s => s.id === id && !isTrashed(s));
+  if (metaIndex === -1) {
+    throw secretError(404, 'Secret not found');
+  }
+
+  const meta = secretsMetadata[metaIndex];
+  commitMetadata({ secretsMetadata, persistMetadata }, metaIndex, { ...meta, deletedAt: now });
+
+  await recordAudit(auditLog, { action: 'secret.delete', secretId: id, title: meta.title });
+};
+
+// Secrets in the trash, most recently deleted first
+export const listTrash = ({ secretsMetadata }) =>
+  secretsMetadata
+    .filter(isTrashed)
+    .sort((a, b) => b.deletedAt - a.deletedAt)
+    .map(publicMetadata);
+
+const findTrashedIndex = ({ secretsMetadata }, id) => {
+  const metaIndex = secretsMetadata.findIndex(s => s.id === id && isTrashed(s));
+  if (metaIndex === -1) {
+    throw secretError(404, 'Secret not found in trash');
+  }
+  return metaIndex;
+};
+
+// Take a secret out of the trash and return its metadata
+export const restoreFromTrash = async ({ secretsMetadata, persistMetadata, auditLog }, id) => {
+  const metaIndex = findTrashedIndex({ secretsMetadata }, id);
+
+  const restored = { ...secretsMetadata[metaIndex] };
+  delete restored.deletedAt;
+  commitMetadata({ secretsMetadata, persistMetadata }, metaIndex, restored);
+
+  await recordAudit(auditLog, { action: 'secret.restore', secretId: id, title: restored.title });
+  return publicMetadata(restored);
+};
+
+// Permanently delete a secret in the trash
+export const purgeFromTrash = async (context, id) => {
+  findTrashedIndex(context, id);
+  await purgeSecret(context, id);
+};
+
+// Permanently delete a secret, its value and its history, whether or not it is in the trash
+export const purgeSecret = async ({ storage, serviceName, secretsMetadata, persistMetadata, auditLog }, id) => {
+  const metaIndex = secretsMetadata.findIndex(s => s.id === id);
+  if (metaIndex === -1) {
+    throw secretError(404, 'Secret not found');
+  }
+
+  // Save metadata and value before deletion for potential rollback
+  const deletedMetadata = secretsMetadata[metaIndex];
+  const deletedValue = await storage.getPassword(serviceName, id);
+
+  // Delete from keychain
+  await storage.deletePassword(serviceName, id);
+
+  // Delete metadata from memory
+  secretsMetadata.splice(metaIndex, 1);
+
+  // Persist metadata to disk with rollback on failure (only if persistence is enabled)
+  if (persistMetadata) {
+    try {
+      persistMetadata(secretsMetadata);
+    } catch {
+      // Roll back: restore metadata to memory and keychain
+      secretsMetadata.splice(metaIndex, 0, deletedMetadata);
+      if (deletedValue !== null && deletedValue !== undefined) {
+        try {
+          await storage.setPassword(serviceName, id, deletedValue);
+        } catch (rollbackError) {
+          console.error('Failed to restore secret to keychain during rollback:', rollbackError);
+        }
+      }
+      throw new Error('Failed to persist metadata deletion');
+    }
+  }
+
+  await deleteVersionValues({ storage, serviceName }, id, deletedMetadata.versions ?? []);
+
+  await recordAudit(auditLog, { action: 'secret.purge', secretId: id, title: deletedMetadata.title });
+};
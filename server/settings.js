@@ -0,0 +1,86 @@
+import { secretError } from './secrets.js';
+
+// User preferences shared by the app and the CLI, kept under "settings" in
+// config.json next to metadata.json:
+// - revealTimeoutSeconds: hide a revealed value again after this long (0: never)
+// - clipboardClearSeconds: clear a copied value from the clipboard after this
+//   long, if it is still there (0: never)
+// - defaultCategory: category new secrets start in
+// - confirmDelete: ask before moving a secret to the trash
+
+export const DEFAULT_SETTINGS = {
+  revealTimeoutSeconds: 30,
+  clipboardClearSeconds: 30,
+  defaultCategory: 'password',
+  confirmDelete: true,
+};
+
+export const MAX_DELAY_SECONDS = 3600;
+
+const isDelay = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_DELAY_SECONDS;
+
+// Checks per setting; each returns an error message or null
+const VALIDATORS = {
+  revealTimeoutSeconds: (value) =>
+    isDelay(value) ? null : `revealTimeoutSeconds must be a whole number from 0 to ${MAX_DELAY_SECONDS}`,
+  clipboardClearSeconds: (value) =>
+    isDelay(value) ? null : `clipboardClearSeconds must be a whole number from 0 to ${MAX_DELAY_SECONDS}`,
+  defaultCategory: (value, categories) =>
+    categories.some(category => category.id === value) ? null : `Unknown category: ${value}`,
+  confirmDelete: (value) => (typeof value === 'boolean' ? null : 'confirmDelete must be true or false'),
+};
+
+// Settings from config.json over the defaults; invalid or unknown stored values
+// are ignored. The default category is checked when it is used (see defaultCategoryOf),
+// since categories can be deleted afterwards.
+export const loadSettings = (stored) => {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    return settings;
+  }
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    const valid = key === 'defaultCategory' ? typeof stored[key] === 'string' : VALIDATORS[key](stored[key]) === null;
+    if (stored[key] !== undefined && valid) {
+      settings[key] = stored[key];
+    }
+  }
+  return settings;
+};
+
+// The category new secrets start in: the configured one while it exists, then
+// "password", then the first category
+export const defaultCategoryOf = (settings, categories) => {
+  const ids = categories.map(category => category.id);
+  if (ids.includes(settings?.defaultCategory)) {
+    return settings.defaultCategory;
+  }
+  return ids.includes('password') ? 'password' : ids[0];
+};
+
+// Settings as clients see them, with the default category resolved
+export const publicSettings = ({ settings, categories }) => ({
+  ...settings,
+  defaultCategory: defaultCategoryOf(settings, categories),
+});
+
+// Apply a partial update to context.settings and persist it.
+// Throws a 400 error naming the first invalid or unknown setting.
+export const updateSettings = ({ settings, saveSettings, categories }, changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw secretError(400, 'Settings must be an object');
+  }
+  for (const [key, value] of Object.entries(changes)) {
+    if (!VALIDATORS[key]) {
+      throw secretError(400, `Unknown setting: ${key}`);
+    }
+    const validationError = VALIDATORS[key](value, categories);
+    if (validationError) {
+      throw secretError(400, validationError);
+    }
+  }
+
+  const updated = { ...settings, ...changes };
+  saveSettings?.(updated);
+  Object.assign(settings, updated);
+  return settings;
+};
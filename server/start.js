@@ -0,0 +1,135 @@
+import { loadConfig, updateConfig } from './config.js';
+import { createApp } from './app.js';
+import { openVault } from './vault.js';
+import { listenWithFallback, originsFor } from './listen.js';
+import { DEFAULT_TRASH_RETENTION_DAYS, purgeExpiredTrash, validateRetentionDays } from './trash.js';
+import { listOverdueSecrets } from './reminders.js';
+import { DEFAULT_AUTO_LOCK_MINUTES, createVaultLock, validateAutoLockMinutes } from './lock.js';
+
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const IDLE_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Open the vault and serve the API, and the built frontend from staticDir when
+// given, on one port. Used by `securevault` and by `npm run server` (index.js).
+// - backend: storage backend name; overrides the one in config.json
+// - vault: name or ID of the vault to open; defaults to the one in use last
+// - port: preferred port; a free one is used when it is taken
+// - apiToken: per-launch token every /api route except /api/health requires
+// Resolves to { server, host, port, url, storage }; rejects when the backend cannot be opened
+// or the stored master password is malformed.
+export const startServer = async ({ backend, vault: vaultRef = null, port, apiToken, staticDir = null }) => {
+  // Select the storage backend (--backend flag, then config.json, then the first
+  // available of keychain, encrypted file vault and in-memory storage) and load
+  // the vault's metadata and categories, and the audit log. Metadata is persisted
+  // whenever the backend persists values.
+  const config = loadConfig();
+  const vault = await openVault({ backend, vault: vaultRef, config });
+  const {
+    storage, serviceName, secretsMetadata, persistMetadata, categories, persistCategories, auditLog, settings, saveSettings,
+    vaults, activeVault, saveVaults, loadVault, openedVaults, removeVaultFiles, withWriteLock,
+  } = vault;
+  const persistenceEnabled = vault.persistent;
+
+  if (storage.name === 'keytar') {
+    console.log('✅ OS keychain is available and will be used for secure storage');
+  } else if (storage.name === 'file') {
+    console.log(`✅ Encrypted vault unlocked (${storage.path})`);
+  } else if (!storage.capabilities.persistent) {
+    console.warn(`⚠️  Using ${storage.description}.`);
+    console.warn('   Note: Secrets will be lost when the server restarts.');
+  }
+
+  if (persistenceEnabled) {
+    const vaultName = vaults.find(v => v.id === activeVault).name;
+    console.log(`📂 Loaded ${secretsMetadata.length} secret(s) from the "${vaultName}" vault`);
+  } else {
+    console.log('📂 Backend is not persistent; metadata persistence disabled, starting with empty in-memory storage');
+  }
+
+  // Warn about secrets that have expired or are overdue for rotation
+  const overdue = listOverdueSecrets({ secretsMetadata });
+  if (overdue.length > 0) {
+    console.warn(`⚠️  ${overdue.length} secret reminder(s) overdue:`);
+    for (const { title, reason, daysLeft } of overdue) {
+      const since = -daysLeft === 0 ? 'today' : `${-daysLeft} day(s) ago`;
+      console.warn(`   - ${title}: ${reason === 'expires' ? 'expired' : 'rotation was due'} ${since}`);
+    }
+  }
+
+  const auditCheck = auditLog.verify();
+  if (!auditCheck.valid) {
+    console.warn(`⚠️  Audit log verification failed: ${auditCheck.problems[0].message}`);
+  }
+
+  // Secrets in the trash are purged once their retention period has passed, in
+  // every vault opened since the start
+  const trashSettings = {
+    retentionDays: validateRetentionDays(config.trashRetentionDays) === null
+      ? config.trashRetentionDays
+      : DEFAULT_TRASH_RETENTION_DAYS,
+  };
+  const purgeTrash = () => withWriteLock(async () => {
+    for (const vaultData of openedVaults.values()) {
+      const purged = await purgeExpiredTrash({ storage, auditLog, ...vaultData }, trashSettings.retentionDays);
+      if (purged.length > 0) {
+        console.log(`🗑️  Purged ${purged.length} secret(s) from the trash`);
+      }
+    }
+  });
+  await purgeTrash();
+  setInterval(() => purgeTrash().catch((error) => {
+    console.error('Failed to purge the trash:', error.message);
+  }), TRASH_PURGE_INTERVAL_MS).unref();
+
+  // With a master password the vault starts locked. The timer locks an idle
+  // vault even when no request comes in.
+  const vaultLock = createVaultLock({
+    password: config.masterPassword ?? null,
+    autoLockMinutes: validateAutoLockMinutes(config.autoLockMinutes) === null
+      ? config.autoLockMinutes
+      : DEFAULT_AUTO_LOCK_MINUTES,
+    savePassword: persistenceEnabled ? (password) => updateConfig({ masterPassword: password }) : null,
+    saveAutoLockMinutes: persistenceEnabled ? (minutes) => updateConfig({ autoLockMinutes: minutes }) : null,
+    auditLog,
+  });
+  setInterval(vaultLock.checkIdle, IDLE_CHECK_INTERVAL_MS).unref();
+  if (vaultLock.isLocked()) {
+    console.log('🔐 The vault is locked; unlock it in the browser with your master password');
+  }
+
+  const allowedOrigins = [];
+  const app = createApp({
+    storage,
+    serviceName,
+    secretsMetadata,
+    persistMetadata,
+    apiToken,
+    auditLog,
+    trashSettings,
+    saveTrashSettings: persistenceEnabled ? (settings) => updateConfig({ trashRetentionDays: settings.retentionDays }) : null,
+    categories,
+    persistCategories,
+    generatorPresets: Array.isArray(config.generatorPresets) ? config.generatorPresets : [],
+    saveGeneratorPresets: persistenceEnabled ? (presets) => updateConfig({ generatorPresets: presets }) : null,
+    settings,
+    saveSettings,
+    vaults,
+    activeVault,
+    saveVaults,
+    loadVault,
+    openedVaults,
+    removeVaultFiles,
+    withWriteLock,
+    vaultLock,
+    staticDir,
+    allowedOrigins,
+  });
+
+  // Bind to localhost only for security
+  const listening = await listenWithFallback(app, { port });
+  allowedOrigins.push(...originsFor(listening.host, listening.port));
+  const url = `http://${listening.host}:${listening.port}`;
+  console.log(`🔒 SecureVault server running on ${url}`);
+  console.log(`📦 Storage backend: ${storage.name} (${storage.description})`);
+  return { ...listening, url, storage };
+};
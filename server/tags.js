@@ -0,0 +1,33 @@
+// Free-form tags on secrets. Tags are stored normalized so filtering and
+// autocomplete treat `Prod` and `prod` as the same tag.
+
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 40;
+
+// Normalize a list of tags: trimmed, lowercased and without duplicates,
+// in the order given
+export const normalizeTags = (tags) => [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+
+// Tags of a secret (optional): short words without spaces or commas, so they
+// can be searched as `tag:name`
+export const validateTags = (tags) => {
+  if (tags === undefined) {
+    return null;
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return 'Tags must be an array of strings';
+  }
+  const normalized = normalizeTags(tags);
+  if (normalized.length > MAX_TAGS) {
+    return `A secret can have at most ${MAX_TAGS} tags`;
+  }
+  for (const tag of normalized) {
+    if (tag === '' || tag.length > MAX_TAG_LENGTH) {
+      return `Tags must be between 1 and ${MAX_TAG_LENGTH} characters`;
+    }
+    if (/[\s,]/.test(tag)) {
+      return 'Tags cannot contain spaces or commas';
+    }
+  }
+  return null;
+};
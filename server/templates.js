@@ -0,0 +1,68 @@
+import { findSecretByRef, readSecret, secretError } from './secrets.js';
+
+// Templates with vault references, rendered by `securevault inject` and
+// previewed (masked) through the API. A reference names a secret by title or ID:
+//   {{ vault "Prod DB" }}   {{ vault 'Prod DB' }}   ${vault:Prod DB}
+// and is replaced by the secret's value (the current code for TOTP secrets),
+// inserted as is.
+
+const REFERENCE = /\{\{\s*vault\s+(?:"((?:[^"\\]|\\.)*)"|'([^']*)')\s*\}\}|\$\{vault:([^}]+)\}/g;
+
+// Stands in for values in previews; always the same length so nothing leaks
+export const MASK = '••••••••';
+
+// Largest template the API accepts, in characters
+export const MAX_TEMPLATE_LENGTH = 100_000;
+
+const referenceOf = (doubleQuoted, singleQuoted, plain) =>
+  (doubleQuoted !== undefined ? doubleQuoted.replace(/\\(.)/g, '$1') : singleQuoted ?? plain).trim();
+
+// Every distinct reference in a template, in order of first use, with the secret
+// it resolves to: [{ ref, id, title }] or [{ ref, error }]. Nothing is read from storage.
+export const resolveReferences = (context, template) => {
+  const refs = [...new Set([...template.matchAll(REFERENCE)].map(([, ...groups]) => referenceOf(...groups)))];
+  return refs.map(ref => {
+    try {
+      const meta = ref ? findSecretByRef(context, ref) : null;
+      return meta ? { ref, id: meta.id, title: meta.title } : { ref, error: 'No secret matches this reference' };
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      return { ref, error: error.message };
+    }
+  });
+};
+
+// Replace each reference using a ref -> text map; references without a
+// replacement are left as written
+const substitute = (template, replacements) =>
+  template.replace(REFERENCE, (match, ...groups) => replacements.get(referenceOf(...groups.slice(0, 3))) ?? match);
+
+// A description of every unresolved reference, one per line
+const describeProblems = (problems) => problems.map(({ ref, error }) => `"${ref}": ${error}`).join('\n');
+
+// Render a template with secret values. Every reference must resolve; otherwise
+// nothing is read and the error lists them all. Each value read is audited
+// with the purpose.
+export const renderTemplate = async (context, template, { purpose = 'inject' } = {}) => {
+  const references = resolveReferences(context, template);
+  const problems = references.filter(reference => reference.error);
+  if (problems.length > 0) {
+    throw secretError(404, `Unresolved vault references:\n${describeProblems(problems)}`);
+  }
+
+  const values = new Map();
+  for (const { ref, id } of references) {
+    values.set(ref, await readSecret(context, id, purpose));
+  }
+  return { rendered: substitute(template, values), references };
+};
+
+// Render a template with every value masked; unresolved references are left as
+// written. No values are read. Returns { rendered, references }.
+export const previewTemplate = (context, template) => {
+  const references = resolveReferences(context, template);
+  const masks = new Map(references.filter(reference => !reference.error).map(({ ref }) => [ref, MASK]));
+  return { rendered: substitute(template, masks), references };
+};
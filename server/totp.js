@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+
+// Time-based one-time passwords (RFC 6238, built on HOTP from RFC 4226).
+// A TOTP secret stores its seed as the value (normalized base32) and its
+// parameters in metadata: { digits, period, algorithm, issuer?, account? }.
+// Codes are computed here so the seed never has to leave the backend.
+
+export const TOTP_ALGORITHMS = ['SHA1', 'SHA256', 'SHA512'];
+export const TOTP_DIGITS = [6, 7, 8];
+export const MIN_TOTP_PERIOD = 1;
+export const MAX_TOTP_PERIOD = 300;
+export const DEFAULT_TOTP_SETTINGS = { digits: 6, period: 30, algorithm: 'SHA1' };
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Seeds as people paste them: any case, with spaces, dashes or padding
+export const normalizeBase32 = (seed) => seed.toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+
+// Decode a normalized base32 string; returns null when it is not valid base32
+export const base32Decode = (encoded) => {
+  let bits = 0;
+  let buffer = 0;
+  const bytes = [];
+  for (const char of encoded) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      return null;
+    }
+    buffer = (buffer << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Validate TOTP settings; omitted ones are allowed (they take the defaults).
+// Returns an error message, or null when valid.
+export const validateTotpSettings = (settings) => {
+  if (settings === undefined) {
+    return null;
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'totp must be an object';
+  }
+  const { digits, period, algorithm } = settings;
+  if (digits !== undefined && !TOTP_DIGITS.includes(digits)) {
+    return 'TOTP digits must be one of: ' + TOTP_DIGITS.join(', ');
+  }
+  if (period !== undefined && (!Number.isInteger(period) || period < MIN_TOTP_PERIOD || period > MAX_TOTP_PERIOD)) {
+    return `TOTP period must be an integer between ${MIN_TOTP_PERIOD} and ${MAX_TOTP_PERIOD} seconds`;
+  }
+  if (algorithm !== undefined && !TOTP_ALGORITHMS.includes(algorithm)) {
+    return 'TOTP algorithm must be one of: ' + TOTP_ALGORITHMS.join(', ');
+  }
+  return null;
+};
+
+// Parse an otpauth://totp/Issuer:account?secret=...&digits=...&period=...&algorithm=...
+// URI into { seed, settings }. Throws on anything else.
+const parseOtpauthUri = (uri) => {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    throw new Error('Invalid otpauth:// URI');
+  }
+  if (url.protocol !== 'otpauth:' || url.hostname.toLowerCase() !== 'totp') {
+    throw new Error('Only otpauth://totp/ URIs are supported');
+  }
+
+  const params = url.searchParams;
+  const seed = params.get('secret');
+  if (!seed) {
+    throw new Error('The otpauth:// URI has no secret');
+  }
+  const label = decodeURIComponent(url.pathname.replace(/^\//, ''));
+  const [labelIssuer, account] = label.includes(':') ? label.split(/:(.*)/s) : [null, label];
+  const number = (name) => (params.has(name) ? Number(params.get(name)) : undefined);
+
+  const settings = {
+    digits: number('digits'),
+    period: number('period'),
+    algorithm: params.get('algorithm')?.toUpperCase() ?? undefined,
+  };
+  const issuer = params.get('issuer') ?? labelIssuer;
+  if (issuer) settings.issuer = issuer.trim();
+  if (account?.trim()) settings.account = account.trim();
+  return { seed, settings };
+};
+
+const defined = (object) => Object.fromEntries(Object.entries(object).filter(([, v]) => v !== undefined));
+
+// Complete settings: base settings overridden by the given digits, period and
+// algorithm. Throws with a client-facing message when the result is invalid.
+export const mergeTotpSettings = (base, { digits, period, algorithm } = {}) => {
+  const merged = { ...base, ...defined({ digits, period, algorithm }) };
+  const validationError = validateTotpSettings(merged);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+  return merged;
+};
+
+// Turn the value given for a TOTP secret (a base32 seed or an otpauth:// URI)
+// into the normalized seed to store and the settings for its metadata: base
+// settings, overridden by the URI's, overridden by explicit settings.
+// Throws with a client-facing message when the input is invalid.
+export const prepareTotp = (value, settings = {}, base = DEFAULT_TOTP_SETTINGS) => {
+  const fromUri = value.trim().toLowerCase().startsWith('otpauth://')
+    ? parseOtpauthUri(value.trim())
+    : { seed: value, settings: {} };
+
+  const seed = normalizeBase32(fromUri.seed);
+  const key = base32Decode(seed);
+  if (!key || key.length === 0) {
+    throw new Error('TOTP seed must be base32 (A-Z, 2-7)');
+  }
+
+  const { issuer, account } = fromUri.settings;
+  return {
+    seed,
+    settings: {
+      ...mergeTotpSettings(mergeTotpSettings(base, fromUri.settings), settings),
+      ...defined({ issuer, account }),
+    },
+  };
+};
+
+// HOTP value (RFC 4226) for a key and counter
+const hotp = (key, counter, { digits, algorithm }) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(algorithm.toLowerCase(), key).update(message).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(binary).padStart(digits, '0');
+};
+
+// TOTP code for a key (Buffer) at a time (ms). Returns { code, validUntil },
+// where validUntil is when the next code starts (ms).
+export const totpCode = (key, { digits, period, algorithm } = DEFAULT_TOTP_SETTINGS, time = Date.now()) => {
+  const counter = Math.floor(time / 1000 / period);
+  return {
+    code: hotp(key, counter, { digits, algorithm }),
+    validUntil: (counter + 1) * period * 1000,
+  };
+};
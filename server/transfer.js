@@ -0,0 +1,268 @@
+import { DEFAULT_KDF_PARAMS, createKdfHeader, decryptJson, deriveKey, encryptJson, isEnvelope, isSupportedKdf, CIPHER } from './sealedBox.js';
+import { validateNewSecret } from './validation.js';
+import { changedFields, createVersion, historyLimitOf, publicMetadata, versionAccount } from './history.js';
+import { deleteVersionValues, isTrashed, secretType } from './secrets.js';
+import { prepareTotp } from './totp.js';
+import { CERTIFICATE_CATEGORY, certificateMetadata } from './x509.js';
+import { DEFAULT_CATEGORIES } from './categoryStore.js';
+import { recordAudit } from './auditLog.js';
+import { validateCategory } from './categories.js';
+
+// Passphrase-encrypted vault export: one file holding metadata and values together
+export const EXPORT_FORMAT = 'securevault-export';
+const EXPORT_FORMAT_VERSION = 1;
+export const MIN_EXPORT_PASSPHRASE_LENGTH = 8;
+
+export const IMPORT_MODES = ['merge', 'overwrite', 'skip'];
+
+// Build an encrypted export of every secret that still has a value in storage,
+// together with the vault's categories. Only current values are exported;
+// version history and the trash stay in this vault.
+export const createExport = async ({
+  secretsMetadata,
+  storage,
+  serviceName,
+  passphrase,
+  kdfParams = DEFAULT_KDF_PARAMS,
+  categories = DEFAULT_CATEGORIES,
+}) => {
+  const secrets = [];
+  const missing = [];
+  for (const meta of secretsMetadata.filter(m => !isTrashed(m))) {
+    const value = await storage.getPassword(serviceName, meta.id);
+    if (value === null || value === undefined) {
+      missing.push(meta.id);
+      continue;
+    }
+    secrets.push({ ...publicMetadata(meta), value });
+  }
+
+  const header = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    cipher: CIPHER,
+    kdf: createKdfHeader(kdfParams),
+  };
+  const key = await deriveKey(passphrase, header.kdf);
+  const envelope = encryptJson(key, header, { exportedAt: Date.now(), categories, secrets });
+
+  return { envelope, exported: secrets.length, missing };
+};
+
+// Decrypt an export file and return { secrets, categories }.
+// Files from before categories were exported have none.
+export const readExport = async (envelope, passphrase) => {
+  if (!isEnvelope(envelope, { format: EXPORT_FORMAT, version: EXPORT_FORMAT_VERSION })) {
+    throw new Error('Not a SecureVault export file');
+  }
+  if (!isSupportedKdf(envelope.kdf)) {
+    throw new Error('Invalid export file: unsupported key derivation parameters');
+  }
+  const key = await deriveKey(passphrase, envelope.kdf);
+  const payload = decryptJson(key, envelope);
+  if (!payload || !Array.isArray(payload.secrets)) {
+    throw new Error('Export file has no secrets list');
+  }
+  const categories = (Array.isArray(payload.categories) ? payload.categories : [])
+    .filter(c => c && typeof c.id === 'string' && /^[a-z0-9-]+$/.test(c.id) && validateCategory(c) === null);
+  return { secrets: payload.secrets, categories };
+};
+
+// Check the type-specific parts of an imported secret against its value, as
+// creating it would: a TOTP seed is normalized and its settings checked, and a
+// certificate's details are parsed from the value again rather than trusted.
+// A private key pairing is kept only when the key is in the vault or the file.
+// Returns { secret, value }; throws with a client-facing message when invalid.
+const checkImportedSecret = (incoming, value, knownIds) => {
+  const secret = { ...incoming };
+  let storedValue = value;
+  if (secretType(secret) === 'totp') {
+    const { seed, settings } = prepareTotp(value, secret.totp);
+    storedValue = seed;
+    secret.totp = settings;
+  } else {
+    delete secret.totp;
+  }
+
+  if (secret.category === CERTIFICATE_CATEGORY && secretType(secret) === 'generic') {
+    secret.certificate = certificateMetadata(value);
+  } else {
+    delete secret.certificate;
+  }
+  const pairable = secret.category === CERTIFICATE_CATEGORY && secret.privateKeyId !== secret.id;
+  if (!pairable || !knownIds.has(secret.privateKeyId)) {
+    delete secret.privateKeyId;
+  }
+  return { secret, value: storedValue };
+};
+
+// Decide what importing each secret would do, without changing anything.
+// Duplicates are matched by secret ID (secrets in the trash count, and are
+// restored when the imported copy replaces them):
+// - merge: existing secrets are replaced only when the imported copy is newer
+// - overwrite: existing secrets are always replaced by the imported copy
+// - skip: existing secrets are left alone
+// Secrets may use the vault's categories or ones defined in the export file
+// (importedCategories); the latter are added when the import is applied.
+export const planImport = (importedSecrets, secretsMetadata, mode, categories = DEFAULT_CATEGORIES, importedCategories = []) => {
+  const seen = new Set();
+  const categoryIds = [...categories, ...importedCategories].map(c => c?.id);
+  const knownIds = new Set([...secretsMetadata, ...importedSecrets].map(s => s?.id));
+
+  return importedSecrets.map((secret) => {
+    const { value, ...fields } = secret ?? {};
+    const meta = publicMetadata(fields);
+    const change = { id: meta.id, title: meta.title, category: meta.category };
+
+    const validationError = validateNewSecret(secret ?? {}, categoryIds);
+    if (validationError) {
+      return { ...change, action: 'invalid', reason: validationError };
+    }
+    if (seen.has(meta.id)) {
+      return { ...change, action: 'invalid', reason: 'Duplicate ID in import file' };
+    }
+    seen.add(meta.id);
+
+    let checked;
+    try {
+      checked = checkImportedSecret({ ...meta, title: meta.title.trim() }, value, knownIds);
+    } catch (error) {
+      return { ...change, action: 'invalid', reason: error.message };
+    }
+    const { secret: incoming, value: storedValue } = checked;
+    const existing = secretsMetadata.find(s => s.id === meta.id);
+    if (!existing) {
+      return { ...change, action: 'create', secret: incoming, value: storedValue };
+    }
+    if (mode === 'skip') {
+      return { ...change, action: 'skip', reason: 'Already exists' };
+    }
+    if (mode === 'merge' && !((incoming.updatedAt ?? 0) > (existing.updatedAt ?? 0))) {
+      return { ...change, action: 'skip', reason: 'Existing secret is the same age or newer' };
+    }
+    return { ...change, action: 'update', secret: incoming, value: storedValue };
+  });
+};
+
+// Categories from the export file that the secrets being imported need and
+// this vault does not have yet
+export const missingCategories = (plan, categories, importedCategories) => {
+  const needed = new Set(plan
+    .filter(change => change.action === 'create' || change.action === 'update')
+    .map(change => change.secret.category));
+  return importedCategories.filter(c => needed.has(c.id) && !categories.some(existing => existing.id === c.id));
+};
+
+// Strip values from a plan so it can be returned to the client as a preview
+export const summarizePlan = (plan) => {
+  const summary = { create: 0, update: 0, skip: 0, invalid: 0 };
+  const changes = plan.map(({ secret: _secret, value: _value, ...change }) => {
+    summary[change.action] += 1;
+    return change;
+  });
+  return { summary, changes };
+};
+
+// Apply a plan produced by planImport, adding newCategories (see missingCategories).
+// A secret that is replaced keeps its previous state as a version, as with any
+// update. All values are written first, then categories and metadata are
+// persisted; on any failure every storage write and the in-memory state are
+// rolled back. Each created or replaced secret is then recorded in the audit log
+// as createSecret and updateSecret record them.
+export const applyImport = async (plan, context, newCategories = []) => {
+  const { storage, serviceName, secretsMetadata, persistMetadata, categories, persistCategories, auditLog } = context;
+  const snapshot = [...secretsMetadata];
+  const categoriesSnapshot = categories ? [...categories] : null;
+  const written = [];
+  // Version values written for replaced secrets, and versions past the retention limit
+  const newVersionAccounts = [];
+  const prunedVersions = [];
+  const auditEvents = [];
+
+  try {
+    for (const change of plan) {
+      if (change.action !== 'create' && change.action !== 'update') {
+        continue;
+      }
+      const previousValue = change.action === 'update'
+        ? await storage.getPassword(serviceName, change.id)
+        : null;
+      await storage.setPassword(serviceName, change.id, change.value);
+      written.push({ id: change.id, previousValue });
+
+      const index = secretsMetadata.findIndex(s => s.id === change.id);
+      if (index === -1) {
+        secretsMetadata.push(change.secret);
+        auditEvents.push({ action: 'secret.create', secretId: change.id, title: change.secret.title, details: { source: 'import' } });
+        continue;
+      }
+
+      // Keep the history of the secret being replaced, and its state before the import as a version
+      const existing = secretsMetadata[index];
+      let versions = existing.versions ?? [];
+      const limit = historyLimitOf(change.secret);
+      const changed = changedFields(existing, previousValue, { ...change.secret, value: change.value });
+      if (changed.length > 0 && limit > 0 && previousValue !== null && previousValue !== undefined) {
+        const version = createVersion(existing, changed, Date.now());
+        const account = versionAccount(change.id, version.version);
+        await storage.setPassword(serviceName, account, previousValue);
+        newVersionAccounts.push(account);
+        versions = [version, ...versions];
+      }
+      prunedVersions.push({ id: change.id, versions: versions.slice(limit) });
+      secretsMetadata[index] = { ...change.secret, versions: versions.slice(0, limit) };
+      auditEvents.push({
+        action: 'secret.update',
+        secretId: change.id,
+        title: change.secret.title,
+        details: { changed, source: 'import' },
+      });
+    }
+
+    // Categories first, so saved metadata never refers to an unknown category
+    if (categories && newCategories.length > 0) {
+      categories.push(...newCategories.map(({ id, label, color, icon }) => ({ id, label, color, icon })));
+      persistCategories?.(categories);
+    }
+    if (persistMetadata && written.length > 0) {
+      persistMetadata(secretsMetadata);
+    }
+  } catch (error) {
+    for (const account of newVersionAccounts) {
+      try {
+        await storage.deletePassword(serviceName, account);
+      } catch (rollbackError) {
+        console.error(`Failed to roll back version value ${account}:`, rollbackError);
+      }
+    }
+    // Roll back: restore the metadata array in place and undo storage writes
+    secretsMetadata.splice(0, secretsMetadata.length, ...snapshot);
+    if (categoriesSnapshot && categories.length !== categoriesSnapshot.length) {
+      categories.splice(0, categories.length, ...categoriesSnapshot);
+      try {
+        persistCategories?.(categories);
+      } catch (rollbackError) {
+        console.error('Failed to roll back imported categories:', rollbackError);
+      }
+    }
+    for (const { id, previousValue } of written.reverse()) {
+      try {
+        if (previousValue === null || previousValue === undefined) {
+          await storage.deletePassword(serviceName, id);
+        } else {
+          await storage.setPassword(serviceName, id, previousValue);
+        }
+      } catch (rollbackError) {
+        console.error(`Failed to roll back imported secret ${id}:`, rollbackError);
+      }
+    }
+    throw new Error(`Import failed and was rolled back: ${error.message}`);
+  }
+
+  for (const event of auditEvents) {
+    await recordAudit(auditLog, event);
+  }
+  for (const { id, versions } of prunedVersions) {
+    await deleteVersionValues({ storage, serviceName }, id, versions);
+  }
+};
@@ -0,0 +1,37 @@
+import { isTrashed, purgeSecret } from './secrets.js';
+
+// Deleted secrets stay in the trash (metadata with deletedAt, value still in
+// storage) until they are restored, purged by hand, or expire after the
+// retention period.
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const MAX_TRASH_RETENTION_DAYS = 3650;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validate a retention period; returns an error message or null
+export const validateRetentionDays = (days) => {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_TRASH_RETENTION_DAYS) {
+    return `Retention must be an integer between 1 and ${MAX_TRASH_RETENTION_DAYS} days`;
+  }
+  return null;
+};
+
+// When a secret in the trash will be purged
+export const purgeTime = (meta, retentionDays) => meta.deletedAt + retentionDays * DAY_MS;
+
+// Permanently delete every secret whose retention period has passed.
+// Returns the IDs that were purged; failures are logged and retried next time.
+export const purgeExpiredTrash = async (context, retentionDays, now = Date.now()) => {
+  const expired = context.secretsMetadata.filter(meta => isTrashed(meta) && purgeTime(meta, retentionDays) <= now);
+  const purged = [];
+  for (const { id } of expired) {
+    try {
+      await purgeSecret(context, id);
+      purged.push(id);
+    } catch (error) {
+      console.error(`Failed to purge secret ${id} from the trash:`, error);
+    }
+  }
+  return purged;
+};
@@ -0,0 +1,129 @@
+import { MAX_HISTORY_LIMIT } from './history.js';
+import { validateTags } from './tags.js';
+import { DEFAULT_CATEGORIES } from './categoryStore.js';
+import { validateTotpSettings } from './totp.js';
+
+const DEFAULT_CATEGORY_IDS = DEFAULT_CATEGORIES.map(c => c.id);
+
+// Number of versions kept for a secret (optional)
+const validateHistoryLimit = (historyLimit) => {
+  if (historyLimit !== undefined
+    && (!Number.isInteger(historyLimit) || historyLimit < 0 || historyLimit > MAX_HISTORY_LIMIT)) {
+    return `History limit must be an integer between 0 and ${MAX_HISTORY_LIMIT}`;
+  }
+  return null;
+};
+
+// Kinds of secrets. Generic secrets store any value; TOTP secrets store a seed
+// from which the backend computes one-time codes (see totp.js).
+export const SECRET_TYPES = ['generic', 'totp'];
+
+// Secret type and its settings (optional; secrets are generic by default)
+const validateType = (type, totp) => {
+  if (type !== undefined && !SECRET_TYPES.includes(type)) {
+    return 'Invalid type. Must be one of: ' + SECRET_TYPES.join(', ');
+  }
+  if (totp !== undefined && type !== 'totp') {
+    return 'TOTP settings are only allowed for TOTP secrets';
+  }
+  return validateTotpSettings(totp);
+};
+
+export const MAX_ROTATE_EVERY_DAYS = 3650;
+
+// Expiry date and rotation period (optional; null clears them on update)
+const validateReminders = (expiresAt, rotateEveryDays) => {
+  if (expiresAt !== undefined && expiresAt !== null && (!Number.isInteger(expiresAt) || expiresAt <= 0)) {
+    return 'expiresAt must be a timestamp in milliseconds';
+  }
+  if (rotateEveryDays !== undefined && rotateEveryDays !== null
+    && (!Number.isInteger(rotateEveryDays) || rotateEveryDays < 1 || rotateEveryDays > MAX_ROTATE_EVERY_DAYS)) {
+    return `rotateEveryDays must be an integer between 1 and ${MAX_ROTATE_EVERY_DAYS}`;
+  }
+  return null;
+};
+
+// Secret IDs name storage accounts, and versions are stored under `${id}#v${n}`
+// (see history.js), so IDs are limited to characters that cannot collide with them
+export const MAX_SECRET_ID_LENGTH = 128;
+const SECRET_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const validateSecretId = (id) => {
+  if (typeof id !== 'string' || id.length > MAX_SECRET_ID_LENGTH || !SECRET_ID_PATTERN.test(id)) {
+    return `ID must be a string of up to ${MAX_SECRET_ID_LENGTH} letters, digits, hyphens or underscores`;
+  }
+  return null;
+};
+
+// Validate the fields of a new secret against the IDs of the vault's categories.
+// Returns an error message, or null when valid.
+export const validateNewSecret = (
+  { id, title, value, category, notes, tags, historyLimit, expiresAt, rotateEveryDays, type, totp },
+  categoryIds = DEFAULT_CATEGORY_IDS,
+) => {
+  if (!id || !title || !value || !category) {
+    return 'Missing required fields';
+  }
+
+  // Validate ID
+  const idError = validateSecretId(id);
+  if (idError) {
+    return idError;
+  }
+
+  // Validate title
+  if (typeof title !== 'string' || title.trim() === '') {
+    return 'Title must be a non-empty string';
+  }
+
+  // Validate category
+  if (!categoryIds.includes(category)) {
+    return 'Invalid category. Must be one of: ' + categoryIds.join(', ');
+  }
+
+  // Validate value
+  if (typeof value !== 'string' || value === '') {
+    return 'Secret value must be a non-empty string';
+  }
+
+  // Validate notes (optional, but must be a string if provided)
+  if (notes !== undefined && typeof notes !== 'string') {
+    return 'Notes must be a string';
+  }
+
+  return validateTags(tags) ?? validateHistoryLimit(historyLimit) ?? validateReminders(expiresAt, rotateEveryDays)
+    ?? validateType(type, totp);
+};
+
+// Validate the fields of a partial update; omitted fields are left unchanged.
+// Returns an error message, or null when valid.
+// The type of a secret cannot change, so updates only carry TOTP settings, which
+// are checked against the secret's type in updateSecret.
+export const validateSecretUpdate = (
+  { title, value, category, notes, tags, historyLimit, expiresAt, rotateEveryDays, totp },
+  categoryIds = DEFAULT_CATEGORY_IDS,
+) => {
+  if (title !== undefined && (typeof title !== 'string' || title.trim() === '')) {
+    return 'Title must be a non-empty string';
+  }
+
+  if (category !== undefined && !categoryIds.includes(category)) {
+    return 'Invalid category. Must be one of: ' + categoryIds.join(', ');
+  }
+
+  if (notes !== undefined && typeof notes !== 'string') {
+    return 'Notes must be a string';
+  }
+
+  if (value !== undefined) {
+    if (value === null || value === '') {
+      return 'Secret value cannot be empty';
+    }
+    if (typeof value !== 'string') {
+      return 'Secret value must be a string';
+    }
+  }
+
+  return validateTags(tags) ?? validateHistoryLimit(historyLimit) ?? validateReminders(expiresAt, rotateEveryDays)
+    ?? validateTotpSettings(totp);
+};
@@ -0,0 +1,49 @@
+import { loadConfig, updateConfig } from './config.js';
+import { selectBackend } from './backends/index.js';
+import { openAuditLog } from './auditLog.js';
+import { loadSettings } from './settings.js';
+import { secretError } from './secrets.js';
+import { findVault } from './vaults.js';
+import { DEFAULT_VAULT_ID, createWriteLock, loadVaultData, loadVaultList, removeVaultFiles } from './vaultStore.js';
+
+// Open the vault the same way for the server and the CLI: select the storage
+// backend (the given name, then config.json, then the first available one) and
+// load the named vault (the given name or ID, then the one in use last), with
+// its secret metadata and categories, plus the settings and the audit log.
+// Everything is persisted next to metadata.json only when the backend persists
+// values; otherwise the vault starts empty and stays in memory.
+// Returns the context the functions in secrets.js and vaults.js take, plus `persistent`
+// and withWriteLock(fn), which runs fn on data reloaded from disk while no other
+// process changes a vault (see createWriteLock).
+// Throws when the backend cannot be opened or the requested vault does not exist.
+export const openVault = async ({ backend = null, vault = null, config = loadConfig() } = {}) => {
+  const vaults = loadVaultList(config.vaults);
+  const active = vault
+    ? findVault(vaults, vault)
+    : findVault(vaults, config.activeVault ?? DEFAULT_VAULT_ID) ?? vaults[0];
+  if (!active) {
+    throw secretError(400, `No vault matches "${vault}". Vaults: ${vaults.map(v => v.name).join(', ')}`);
+  }
+
+  const storage = await selectBackend(backend || config.backend);
+  const persistent = storage.capabilities.persistent;
+  const loadVault = (id) => loadVaultData(id, { persistent });
+  const vaultData = loadVault(active.id);
+  const openedVaults = new Map([[active.id, vaultData]]);
+
+  return {
+    storage,
+    persistent,
+    ...vaultData,
+    vaults,
+    activeVault: active.id,
+    saveVaults: persistent ? (state) => updateConfig({ vaults: state.vaults, activeVault: state.activeVault }) : null,
+    loadVault,
+    openedVaults,
+    withWriteLock: persistent ? createWriteLock(openedVaults) : (fn) => fn(),
+    removeVaultFiles: persistent ? (id) => removeVaultFiles(id) : null,
+    auditLog: openAuditLog({ persist: persistent }),
+    settings: loadSettings(config.settings),
+    saveSettings: persistent ? (settings) => updateConfig({ settings }) : null,
+  };
+};
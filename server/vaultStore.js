@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir, loadMetadata, saveMetadata } from './metadataStore.js';
+import { defaultCategories, getCategoriesPath, loadCategories, saveCategories } from './categoryStore.js';
+import { withFileLock } from './fileLock.js';
+
+// Named vaults: { id, name }. Each vault keeps its values under its own keychain
+// service and has its own metadata.json and categories.json; settings, the master
+// password and the audit log are shared. The list is stored under "vaults" in
+// config.json, with the ID of the vault in use under "activeVault".
+//
+// The default vault uses the original locations (the "SecureVault" service and
+// the files in the config directory), so a vault from before named vaults existed
+// becomes the default vault as it is. Other vaults live in vaults/<id>/.
+//
+// The server and the CLI can have the same vault open. Whoever changes a vault
+// holds the write lock (see createWriteLock) and first reloads what the other
+// saved meanwhile, so neither overwrites the other's changes.
+
+export const SERVICE_NAME = 'SecureVault';
+export const DEFAULT_VAULT_ID = 'default';
+const DEFAULT_VAULT_NAME = 'Default';
+
+const VAULT_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Keychain service a vault's values are stored under
+export const serviceNameFor = (id) => (id === DEFAULT_VAULT_ID ? SERVICE_NAME : `${SERVICE_NAME}:${id}`);
+
+// Directory holding a vault's metadata.json and categories.json
+export const getVaultDir = (id, baseDirOverride = null) =>
+  id === DEFAULT_VAULT_ID
+    ? getConfigDir(baseDirOverride)
+    : path.join(getConfigDir(baseDirOverride), 'vaults', id);
+
+// The vault list from config.json, with the default vault first. Invalid and
+// duplicate entries are ignored; the default vault is always there.
+export const loadVaultList = (stored) => {
+  const vaults = [{ id: DEFAULT_VAULT_ID, name: DEFAULT_VAULT_NAME }];
+  if (!Array.isArray(stored)) {
+    return vaults;
+  }
+  for (const entry of stored) {
+    const valid = typeof entry?.id === 'string' && VAULT_ID_PATTERN.test(entry.id)
+      && typeof entry.name === 'string' && entry.name.trim() !== '';
+    if (!valid) {
+      continue;
+    }
+    if (entry.id === DEFAULT_VAULT_ID) {
+      vaults[0].name = entry.name;
+    } else if (!vaults.some(vault => vault.id === entry.id)) {
+      vaults.push({ id: entry.id, name: entry.name });
+    }
+  }
+  return vaults;
+};
+
+// Identifies one version of a file (every save replaces it); null when missing
+const fileSignature = (filePath) => {
+  try {
+    const { ino, mtimeMs, size } = fs.statSync(filePath);
+    return `${ino}:${mtimeMs}:${size}`;
+  } catch {
+    return null;
+  }
+};
+
+// The parts of the secret context that belong to one vault: its service name,
+// metadata and categories with the functions that save them, plus reload(),
+// which brings the arrays up to date in place when another process saved either
+// file. Nothing is read or written unless persistent is set.
+export const loadVaultData = (id, { persistent, baseDirOverride = null }) => {
+  if (!persistent) {
+    return {
+      serviceName: serviceNameFor(id),
+      secretsMetadata: [],
+      persistMetadata: null,
+      categories: defaultCategories(),
+      persistCategories: null,
+      reload: () => {},
+    };
+  }
+
+  const vaultDir = getVaultDir(id, baseDirOverride);
+  const metadataPath = path.join(vaultDir, 'metadata.json');
+  const categoriesPath = getCategoriesPath(vaultDir);
+  // Signatures of the files as last loaded or saved here
+  const seen = { metadata: fileSignature(metadataPath), categories: fileSignature(categoriesPath) };
+  const data = {
+    serviceName: serviceNameFor(id),
+    secretsMetadata: loadMetadata(vaultDir),
+    persistMetadata: (metadata) => {
+      saveMetadata(metadata, vaultDir);
+      seen.metadata = fileSignature(metadataPath);
+    },
+    categories: loadCategories(vaultDir),
+    persistCategories: (list) => {
+      saveCategories(list, vaultDir);
+      seen.categories = fileSignature(categoriesPath);
+    },
+    reload: () => {
+      const metadataSignature = fileSignature(metadataPath);
+      if (metadataSignature !== seen.metadata) {
+        seen.metadata = metadataSignature;
+        data.secretsMetadata.splice(0, data.secretsMetadata.length, ...loadMetadata(vaultDir));
+      }
+      const categoriesSignature = fileSignature(categoriesPath);
+      if (categoriesSignature !== seen.categories) {
+        seen.categories = categoriesSignature;
+        data.categories.splice(0, data.categories.length, ...loadCategories(vaultDir));
+      }
+    },
+  };
+  return data;
+};
+
+export const getWriteLockPath = (baseDirOverride = null) =>
+  path.join(getConfigDir(baseDirOverride), 'write.lock');
+
+// Bring every vault in openedVaults (a Map of vault data from loadVaultData) up
+// to date with what other processes saved. Files are replaced atomically, so
+// reading them needs no lock.
+export const reloadVaults = (openedVaults) => {
+  for (const data of openedVaults.values()) {
+    data.reload?.();
+  }
+};
+
+// Returns withWriteLock(fn): runs fn while no other process changes a vault,
+// after reloading every vault in openedVaults. Throws with status 503 when the
+// lock stays taken.
+export const createWriteLock = (openedVaults, baseDirOverride = null) => (fn) =>
+  withFileLock(getWriteLockPath(baseDirOverride), async () => {
+    reloadVaults(openedVaults);
+    return fn();
+  });
+
+// Delete a vault's directory. The default vault's files share the config
+// directory with everything else and are never removed.
+export const removeVaultFiles = (id, baseDirOverride = null) => {
+  if (id === DEFAULT_VAULT_ID) {
+    throw new Error('The default vault cannot be removed');
+  }
+  fs.rmSync(getVaultDir(id, baseDirOverride), { recursive: true, force: true });
+};
@@ -0,0 +1,176 @@
+import { secretError } from './secrets.js';
+import { recordAudit } from './auditLog.js';
+import { storageAccounts } from './history.js';
+import { DEFAULT_VAULT_ID } from './vaultStore.js';
+
+// Vault operations (see vaultStore.js for what a vault is). The context is the
+// one used for secrets, whose vault fields (VAULT_FIELDS) belong to the vault in
+// use, plus:
+// - vaults: the vault list; activeVault: the ID of the vault in use
+// - saveVaults({ vaults, activeVault }): persists both (null disables persistence)
+// - loadVault(id): the vault fields of a vault (see loadVaultData)
+// - openedVaults: Map of vault ID to the vault fields of every vault opened so far,
+//   so each is loaded once and the server keeps working on the same arrays
+// - removeVaultFiles(id): deletes a vault's files (null when nothing is persisted)
+
+export const VAULT_FIELDS = ['serviceName', 'secretsMetadata', 'persistMetadata', 'categories', 'persistCategories'];
+
+export const MAX_VAULT_NAME_LENGTH = 40;
+
+// Returns an error message, or null when the name is valid
+export const validateVaultName = (name) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Name must be a non-empty string';
+  }
+  if (name.trim().length > MAX_VAULT_NAME_LENGTH) {
+    return `Name must be at most ${MAX_VAULT_NAME_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Find a vault by ID, or by name ignoring case
+export const findVault = (vaults, ref) =>
+  vaults.find(vault => vault.id === ref)
+  ?? vaults.find(vault => vault.name.toLowerCase() === String(ref).trim().toLowerCase());
+
+const requireVault = ({ vaults }, ref) => {
+  const vault = findVault(vaults, ref);
+  if (!vault) {
+    throw secretError(404, 'Vault not found');
+  }
+  return vault;
+};
+
+const nameTaken = ({ vaults }, name, exceptId = null) =>
+  vaults.some(vault => vault.id !== exceptId && vault.name.toLowerCase() === name.trim().toLowerCase());
+
+// Stable ID for a new vault derived from its name, e.g. "Side Project" -> "side-project".
+// It names the vault's keychain service and directory, so it never changes.
+const vaultIdFor = ({ vaults }, name) => {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'vault';
+  let id = base;
+  for (let n = 2; vaults.some(vault => vault.id === id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+};
+
+// Replace the vault list in place and persist it with the active vault, putting
+// the previous list back on failure
+const commitVaults = ({ vaults, saveVaults }, nextVaults, activeVault) => {
+  const previous = [...vaults];
+  vaults.splice(0, vaults.length, ...nextVaults);
+  if (saveVaults) {
+    try {
+      saveVaults({ vaults, activeVault });
+    } catch {
+      vaults.splice(0, vaults.length, ...previous);
+      throw new Error('Failed to persist vaults');
+    }
+  }
+};
+
+// The vault fields of a vault, loaded on first use
+const vaultData = (context, id) => {
+  if (!context.openedVaults.has(id)) {
+    context.openedVaults.set(id, context.loadVault(id));
+  }
+  return context.openedVaults.get(id);
+};
+
+// Vaults as clients see them
+export const publicVaults = ({ vaults, activeVault }) => ({
+  activeVault,
+  vaults: vaults.map(vault => ({ ...vault })),
+});
+
+// Create an empty vault ({ name }) and return it. The vault in use does not change.
+export const createVault = (context, { name } = {}) => {
+  const validationError = validateVaultName(name);
+  if (validationError) {
+    throw secretError(400, validationError);
+  }
+  if (nameTaken(context, name)) {
+    throw secretError(409, 'A vault with this name already exists');
+  }
+
+  const vault = { id: vaultIdFor(context, name), name: name.trim() };
+  commitVaults(context, [...context.vaults, vault], context.activeVault);
+
+  recordAudit(context.auditLog, { action: 'vault.create', title: vault.name, details: { id: vault.id } });
+  return vault;
+};
+
+// Rename a vault; its ID, and so where its secrets are stored, stays the same
+export const renameVault = (context, ref, { name } = {}) => {
+  const existing = requireVault(context, ref);
+  const validationError = validateVaultName(name);
+  if (validationError) {
+    throw secretError(400, validationError);
+  }
+  if (nameTaken(context, name, existing.id)) {
+    throw secretError(409, 'A vault with this name already exists');
+  }
+
+  const renamed = { ...existing, name: name.trim() };
+  commitVaults(context, context.vaults.map(vault => (vault.id === existing.id ? renamed : vault)), context.activeVault);
+
+  recordAudit(context.auditLog, {
+    action: 'vault.rename',
+    title: renamed.name,
+    details: { id: renamed.id, previousName: existing.name },
+  });
+  return renamed;
+};
+
+// Make the secret operations work on another vault and remember it for the next start.
+// Operations already under way finish on the vault they started on.
+export const switchVault = (context, ref) => {
+  const vault = requireVault(context, ref);
+  const data = vaultData(context, vault.id);
+  commitVaults(context, context.vaults, vault.id);
+
+  for (const field of VAULT_FIELDS) {
+    context[field] = data[field];
+  }
+  context.activeVault = vault.id;
+  return vault;
+};
+
+// Delete a vault with every value it has in storage, including those of its
+// history and trash. The default vault and the vault in use cannot be deleted.
+// Returns the number of values deleted.
+export const deleteVault = async (context, ref) => {
+  const vault = requireVault(context, ref);
+  if (vault.id === DEFAULT_VAULT_ID) {
+    throw secretError(400, 'The default vault cannot be deleted');
+  }
+  if (vault.id === context.activeVault) {
+    throw secretError(409, 'Switch to another vault before deleting this one');
+  }
+
+  // Values the metadata refers to, plus any the backend lists for the vault's
+  // service (e.g. left behind by an interrupted operation)
+  const { storage } = context;
+  const { serviceName, secretsMetadata } = vaultData(context, vault.id);
+  const accounts = new Set(secretsMetadata.flatMap(storageAccounts));
+  if (storage.capabilities?.listable) {
+    for (const account of await storage.listAccounts(serviceName)) {
+      accounts.add(account);
+    }
+  }
+  for (const account of accounts) {
+    await storage.deletePassword(serviceName, account);
+  }
+
+  context.removeVaultFiles?.(vault.id);
+  context.openedVaults.delete(vault.id);
+  commitVaults(context, context.vaults.filter(other => other.id !== vault.id), context.activeVault);
+
+  await recordAudit(context.auditLog, {
+    action: 'vault.delete',
+    title: vault.name,
+    details: { id: vault.id, deletedValues: accounts.size },
+  });
+  return accounts.size;
+};
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+
+// Parsing of certificates stored as secret values, with Node's X509Certificate.
+// A value may be one or more PEM blocks (a chain, leaf first; other blocks such
+// as a private key are ignored) or a single base64-encoded DER certificate.
+
+// Secrets in this category have their value parsed as certificates
+export const CERTIFICATE_CATEGORY = 'certificate';
+
+const PEM_BLOCK = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/g;
+const CERTIFICATE_LABELS = ['CERTIFICATE', 'X509 CERTIFICATE', 'TRUSTED CERTIFICATE'];
+
+// DER encodings of the certificates in a value; throws with a client-facing message
+const certificateDers = (value) => {
+  const blocks = [...value.matchAll(PEM_BLOCK)];
+  if (blocks.length > 0) {
+    const certificates = blocks.filter(([, label]) => CERTIFICATE_LABELS.includes(label));
+    if (certificates.length === 0) {
+      throw new Error('No CERTIFICATE block found in the PEM data');
+    }
+    return certificates.map(([, , body]) => Buffer.from(body.replace(/\s+/g, ''), 'base64'));
+  }
+
+  const compact = value.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(compact)) {
+    throw new Error('Certificate must be PEM or base64-encoded DER');
+  }
+  return [Buffer.from(compact, 'base64')];
+};
+
+// Parse every certificate in a value, leaf first.
+// Throws with a client-facing message when any of them is malformed.
+export const parseCertificates = (value) =>
+  certificateDers(value).map((der, index) => {
+    try {
+      return new crypto.X509Certificate(der);
+    } catch {
+      throw new Error(`Certificate ${index + 1} is malformed and could not be parsed`);
+    }
+  });
+
+// "CN=example.com\nO=Example" -> "CN=example.com, O=Example"
+const formatName = (name) => name.split('\n').filter(Boolean).join(', ');
+
+// "DNS:example.com, IP Address:127.0.0.1" -> ['DNS:example.com', 'IP Address:127.0.0.1']
+const subjectAltNames = (certificate) =>
+  certificate.subjectAltName ? certificate.subjectAltName.split(', ') : [];
+
+const summarize = (certificate) => ({
+  subject: formatName(certificate.subject),
+  issuer: formatName(certificate.issuer),
+  validTo: Date.parse(certificate.validTo),
+  fingerprint256: certificate.fingerprint256,
+});
+
+// Metadata stored for a certificate secret: details of the leaf certificate and
+// a summary of the rest of the chain
+export const certificateMetadata = (value) => {
+  const [leaf, ...chain] = parseCertificates(value);
+  return {
+    ...summarize(leaf),
+    subjectAltNames: subjectAltNames(leaf),
+    validFrom: Date.parse(leaf.validFrom),
+    serialNumber: leaf.serialNumber,
+    chain: chain.map(summarize),
+  };
+};
+
+// Whether a private key (PEM or base64 DER in a secret value) belongs to the
+// leaf certificate in a value. Throws with a client-facing message when the key
+// cannot be read (encrypted keys are not supported).
+export const privateKeyMatches = (certificateValue, keyValue) => {
+  const [leaf] = parseCertificates(certificateValue);
+  let key;
+  try {
+    key = keyValue.includes('-----BEGIN')
+      ? crypto.createPrivateKey(keyValue)
+      : crypto.createPrivateKey({ key: Buffer.from(keyValue.replace(/\s+/g, ''), 'base64'), format: 'der', type: 'pkcs8' });
+  } catch {
+    throw new Error('The paired secret is not an unencrypted private key');
+  }
+  return leaf.checkPrivateKey(key);
+};
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react'
-import { Secret, SecretCategory, SecretFormData } from '@/lib/types'
-import { ApiClient } from '@/lib/api'
-import { Plus } from '@phosphor-icons/react'
+import { CategoryListing, IntegrityReport, LockStatus, Secret, SecretCategory, SecretFormData, Settings, VaultListing } from '@/lib/types'
+import { ApiClient, VAULT_LOCKED_EVENT } from '@/lib/api'
+import { Plus, DownloadSimple, UploadSimple, Pulse, Trash, Heartbeat, BracketsCurly, Lock, Gear, Warning, X } from '@phosphor-icons/react'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { motion, AnimatePresence } from 'framer-motion'
@@ -9,26 +9,108 @@ import { SecretCard } from '@/components/SecretCard'
 import { SecretDialog } from '@/components/SecretDialog'
 import { EmptyState } from '@/components/EmptyState'
 import { CategoryFilter } from '@/components/CategoryFilter'
+import { ExportDialog } from '@/components/ExportDialog'
+import { ImportDialog } from '@/components/ImportDialog'
+import { ExternalImportDialog } from '@/components/ExternalImportDialog'
+import { ActivityPanel } from '@/components/ActivityPanel'
+import { HealthPanel } from '@/components/HealthPanel'
+import { TrashDialog } from '@/components/TrashDialog'
+import { TagFilter } from '@/components/TagFilter'
+import { CategoriesDialog } from '@/components/CategoriesDialog'
+import { TemplatePreviewDialog } from '@/components/TemplatePreviewDialog'
+import { LockScreen } from '@/components/LockScreen'
+import { MasterPasswordDialog } from '@/components/MasterPasswordDialog'
+import { SettingsDialog } from '@/components/SettingsDialog'
+import { VaultSwitcher } from '@/components/VaultSwitcher'
+import { VaultsDialog } from '@/components/VaultsDialog'
+import { DoctorDialog } from '@/components/DoctorDialog'
+import { DEFAULT_SETTINGS } from '@/lib/settings'
+import { collectTags, matchesSearch, parseSearchQuery } from '@/lib/search'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu'
 import { Toaster } from '@/components/ui/sonner'
 import { toast } from 'sonner'
 
+// How often an unlocked vault checks whether the backend locked it for inactivity
+const LOCK_POLL_INTERVAL_MS = 15_000
+
 function App() {
   const [secrets, setSecrets] = useState<Secret[]>([])
+  const [categoryListing, setCategoryListing] = useState<CategoryListing>({ categories: [], colors: [], icons: [] })
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedCategory, setSelectedCategory] = useState<SecretCategory | 'all'>('all')
+  const [selectedTags, setSelectedTags] = useState<string[]>([])
   const [isDialogOpen, setIsDialogOpen] = useState(false)
   const [editingSecret, setEditingSecret] = useState<Secret | null>(null)
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
+  const [isExportOpen, setIsExportOpen] = useState(false)
+  const [isImportOpen, setIsImportOpen] = useState(false)
+  const [isExternalImportOpen, setIsExternalImportOpen] = useState(false)
+  const [isActivityOpen, setIsActivityOpen] = useState(false)
+  const [isHealthOpen, setIsHealthOpen] = useState(false)
+  const [isTrashOpen, setIsTrashOpen] = useState(false)
+  const [isTemplatesOpen, setIsTemplatesOpen] = useState(false)
+  const [isCategoriesOpen, setIsCategoriesOpen] = useState(false)
+  const [isMasterPasswordOpen, setIsMasterPasswordOpen] = useState(false)
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false)
+  const [settings, setSettings] = useState<Settings>(DEFAULT_SETTINGS)
+  const [vaultListing, setVaultListing] = useState<VaultListing | null>(null)
+  const [isVaultsOpen, setIsVaultsOpen] = useState(false)
+  const [integrityReport, setIntegrityReport] = useState<IntegrityReport | null>(null)
+  const [isDoctorOpen, setIsDoctorOpen] = useState(false)
+  const [isDriftDismissed, setIsDriftDismissed] = useState(false)
+  const [lockStatus, setLockStatus] = useState<LockStatus | null>(null)
+  const [unlockCount, setUnlockCount] = useState(0)
 
-  // Load secrets from backend on mount
+  // Point out expired secrets and overdue rotations once per launch
+  const warnAboutOverdueSecrets = async () => {
+    try {
+      const overdue = (await ApiClient.getDueSecrets(0)).filter((due) => due.overdue)
+      if (overdue.length > 0) {
+        toast.warning(`${overdue.length} secret(s) expired or overdue for rotation`, {
+          description: [...new Set(overdue.map((due) => due.title))].join(', '),
+        })
+      }
+    } catch {
+      // Reminders are a convenience; the cards still show their badges
+    }
+  }
+
+  // Look for drift between metadata and keychain values; the banner shows when there is any
+  const checkIntegrity = async () => {
+    try {
+      setIntegrityReport(await ApiClient.getIntegrityReport())
+    } catch {
+      // The check is advisory; secrets work without it
+    }
+  }
+
+  // Load secrets from backend on mount and after each unlock, unless the vault is locked
   useEffect(() => {
     const loadSecrets = async () => {
       try {
         setIsLoading(true)
         setError(null)
-        const data = await ApiClient.getSecrets()
+        const status = await ApiClient.getLockStatus()
+        setLockStatus(status)
+        if (status.locked) return
+        const [data, listing, loadedSettings, vaults] = await Promise.all([
+          ApiClient.getSecrets(),
+          ApiClient.getCategories(),
+          ApiClient.getSettings(),
+          ApiClient.getVaults(),
+        ])
         setSecrets(data)
+        setCategoryListing(listing)
+        setSettings(loadedSettings)
+        setVaultListing(vaults)
+        warnAboutOverdueSecrets()
+        checkIntegrity()
       } catch (err) {
         setError(err instanceof Error ? err.message : 'Failed to load secrets')
         toast.error('Failed to connect to backend. Please make sure the server is running.')
@@ -38,8 +120,86 @@ function App() {
     }
 
     loadSecrets()
+  }, [unlockCount])
+
+  // Switch to the lock screen as soon as the backend reports the vault locked,
+  // dropping everything loaded from it
+  useEffect(() => {
+    const handleLocked = () => {
+      setLockStatus((current) => (current ? { ...current, locked: true } : current))
+      setSecrets([])
+      setIsDialogOpen(false)
+      setEditingSecret(null)
+    }
+    window.addEventListener(VAULT_LOCKED_EVENT, handleLocked)
+    return () => window.removeEventListener(VAULT_LOCKED_EVENT, handleLocked)
   }, [])
 
+  // Notice an idle lock even when the page makes no requests
+  useEffect(() => {
+    if (!lockStatus?.enabled || lockStatus.locked) return
+    const timer = setInterval(async () => {
+      const status = await ApiClient.getLockStatus().catch(() => null)
+      if (status?.locked) window.dispatchEvent(new Event(VAULT_LOCKED_EVENT))
+    }, LOCK_POLL_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [lockStatus?.enabled, lockStatus?.locked])
+
+  const handleLock = async () => {
+    if (!lockStatus?.enabled) {
+      setIsMasterPasswordOpen(true)
+      return
+    }
+    try {
+      await ApiClient.lock()
+      window.dispatchEvent(new Event(VAULT_LOCKED_EVENT))
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to lock the vault')
+    }
+  }
+
+  // Stop filtering by a category once it has been deleted
+  useEffect(() => {
+    if (selectedCategory !== 'all' && !categoryListing.categories.some((c) => c.id === selectedCategory)) {
+      setSelectedCategory('all')
+    }
+  }, [categoryListing, selectedCategory])
+
+  // Reload secrets and categories after bulk changes such as an import
+  const refreshSecrets = async () => {
+    try {
+      const [data, listing] = await Promise.all([ApiClient.getSecrets(), ApiClient.getCategories()])
+      setSecrets(data)
+      setCategoryListing(listing)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to reload secrets')
+    }
+  }
+
+  // Show another vault's secrets; filters from the previous vault no longer apply
+  const handleSwitchVault = async (id: string) => {
+    try {
+      setVaultListing(await ApiClient.switchVault(id))
+      setSearchQuery('')
+      setSelectedCategory('all')
+      setSelectedTags([])
+      setIntegrityReport(null)
+      setIsDriftDismissed(false)
+      await refreshSecrets()
+      checkIntegrity()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to switch vault')
+    }
+  }
+
+  const refreshVaults = async () => {
+    try {
+      setVaultListing(await ApiClient.getVaults())
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to reload vaults')
+    }
+  }
+
   const handleAddSecret = async (data: SecretFormData) => {
     try {
       const newSecret = await ApiClient.createSecret({
@@ -59,9 +219,13 @@ function App() {
   const handleEditSecret = async (data: SecretFormData) => {
     if (!editingSecret) return
     
+    // A blank value means "keep the stored value"
+    const { value, ...metadata } = data
+    
     try {
       const updated = await ApiClient.updateSecret(editingSecret.id, {
-        ...data,
+        ...metadata,
+        ...(value ? { value } : {}),
         updatedAt: Date.now(),
       })
       setSecrets((current) =>
@@ -77,11 +241,30 @@ function App() {
     }
   }
 
+  // Replace a secret in the list after it changed elsewhere (e.g. restored from history)
+  const handleSecretChanged = (updated: Secret) => {
+    setSecrets((current) =>
+      current.map((secret) => (secret.id === updated.id ? updated : secret))
+    )
+  }
+
+  const handleRestoreSecret = async (id: string) => {
+    try {
+      const restored = await ApiClient.restoreFromTrash(id)
+      setSecrets((current) => [...current.filter((secret) => secret.id !== id), restored])
+      toast.success('Secret restored')
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to restore secret')
+    }
+  }
+
   const handleDeleteSecret = async (id: string) => {
     try {
       await ApiClient.deleteSecret(id)
       setSecrets((current) => current.filter((secret) => secret.id !== id))
-      toast.success('Secret deleted successfully')
+      toast.success('Secret moved to trash', {
+        action: { label: 'Undo', onClick: () => handleRestoreSecret(id) },
+      })
     } catch (err) {
       toast.error(err instanceof Error ? err.message : 'Failed to delete secret')
     }
@@ -92,19 +275,46 @@ function App() {
     setIsDialogOpen(true)
   }
 
+  // Jump from the health report straight to the secret's edit dialog
+  const handleOpenFromHealth = (id: string) => {
+    const secret = secrets.find((s) => s.id === id)
+    if (!secret) return
+    setIsHealthOpen(false)
+    handleOpenEdit(secret)
+  }
+
   const handleCloseDialog = () => {
     setIsDialogOpen(false)
     setEditingSecret(null)
   }
 
+  // Repairs add or remove secrets, so both are reloaded
+  const handleRepaired = () => {
+    refreshSecrets()
+    checkIntegrity()
+  }
+
+  const { categories } = categoryListing
+  const driftCount = integrityReport ? integrityReport.summary.missing + integrityReport.summary.orphans : 0
+
+  // Secrets per category, shown when a category is deleted
+  const categoryUsage = secrets.reduce<Record<string, number>>((usage, secret) => {
+    usage[secret.category] = (usage[secret.category] ?? 0) + 1
+    return usage
+  }, {})
+
+  const allTags = collectTags(secrets)
+  // Selected tags stay visible even when no secret uses them anymore
+  const filterTags = [...new Set([...allTags, ...selectedTags])].sort()
+
+  // `tag:name` terms in the search box combine with the selected tag chips
+  const query = parseSearchQuery(searchQuery)
+  const search = { ...query, tags: [...query.tags, ...selectedTags] }
+
   const filteredSecrets = secrets.filter((secret) => {
-    const matchesSearch = 
-      secret.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      secret.notes?.toLowerCase().includes(searchQuery.toLowerCase())
-    
     const matchesCategory = selectedCategory === 'all' || secret.category === selectedCategory
 
-    return matchesSearch && matchesCategory
+    return matchesSearch(secret, search) && matchesCategory
   })
 
   if (isLoading) {
@@ -121,6 +331,10 @@ function App() {
     )
   }
 
+  if (lockStatus?.locked && !error) {
+    return <LockScreen status={lockStatus} onUnlocked={() => setUnlockCount((count) => count + 1)} />
+  }
+
   if (error) {
     return (
       <div className="min-h-screen bg-background text-foreground flex items-center justify-center">
@@ -157,38 +371,161 @@ function App() {
           <div className="max-w-6xl mx-auto px-6 py-4">
             <div className="flex items-center justify-between">
               <div>
-                <h1 className="text-3xl font-bold tracking-tight">SecureVault</h1>
+                <div className="flex items-center gap-3">
+                  <h1 className="text-3xl font-bold tracking-tight">SecureVault</h1>
+                  {vaultListing && (
+                    <VaultSwitcher
+                      listing={vaultListing}
+                      onSwitch={handleSwitchVault}
+                      onManage={() => setIsVaultsOpen(true)}
+                    />
+                  )}
+                </div>
                 <p className="text-sm text-muted-foreground mt-1">
                   Manage your secrets securely
                 </p>
               </div>
-              <Button
-                onClick={() => setIsDialogOpen(true)}
-                className="bg-accent text-accent-foreground hover:bg-accent/90 shadow-lg shadow-accent/20"
-              >
-                <Plus className="mr-2" weight="bold" />
-                Add Secret
-              </Button>
+              <div className="flex items-center gap-2">
+                <Button
+                  variant="outline"
+                  onClick={() => setIsActivityOpen(true)}
+                  className="hover:bg-accent/10 hover:border-accent/30"
+                >
+                  <Pulse className="mr-2" weight="bold" />
+                  Activity
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={() => setIsHealthOpen(true)}
+                  className="hover:bg-accent/10 hover:border-accent/30"
+                >
+                  <Heartbeat className="mr-2" weight="bold" />
+                  Health
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={() => setIsTemplatesOpen(true)}
+                  className="hover:bg-accent/10 hover:border-accent/30"
+                >
+                  <BracketsCurly className="mr-2" weight="bold" />
+                  Templates
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={() => setIsTrashOpen(true)}
+                  className="hover:bg-accent/10 hover:border-accent/30"
+                >
+                  <Trash className="mr-2" weight="bold" />
+                  Trash
+                </Button>
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild>
+                    <Button
+                      variant="outline"
+                      className="hover:bg-accent/10 hover:border-accent/30"
+                    >
+                      <UploadSimple className="mr-2" weight="bold" />
+                      Import
+                    </Button>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent align="end" className="bg-card border-border">
+                    <DropdownMenuItem onSelect={() => setIsImportOpen(true)}>
+                      SecureVault export
+                    </DropdownMenuItem>
+                    <DropdownMenuItem onSelect={() => setIsExternalImportOpen(true)}>
+                      Bitwarden, 1Password, KeePass or .env
+                    </DropdownMenuItem>
+                  </DropdownMenuContent>
+                </DropdownMenu>
+                <Button
+                  variant="outline"
+                  onClick={() => setIsExportOpen(true)}
+                  className="hover:bg-accent/10 hover:border-accent/30"
+                >
+                  <DownloadSimple className="mr-2" weight="bold" />
+                  Export
+                </Button>
+                <Button
+                  variant="outline"
+                  size="icon"
+                  onClick={() => setIsSettingsOpen(true)}
+                  className="hover:bg-accent/10 hover:border-accent/30"
+                  aria-label="Settings"
+                  title="Settings"
+                >
+                  <Gear weight="bold" />
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={handleLock}
+                  className="hover:bg-accent/10 hover:border-accent/30"
+                  title={lockStatus?.enabled ? 'Lock the vault now' : 'Set a master password to lock the vault'}
+                >
+                  <Lock className="mr-2" weight="bold" />
+                  Lock
+                </Button>
+                <Button
+                  onClick={() => setIsDialogOpen(true)}
+                  className="bg-accent text-accent-foreground hover:bg-accent/90 shadow-lg shadow-accent/20"
+                >
+                  <Plus className="mr-2" weight="bold" />
+                  Add Secret
+                </Button>
+              </div>
             </div>
           </div>
         </header>
 
         <main className="max-w-6xl mx-auto px-6 py-8">
+          {integrityReport && driftCount > 0 && !isDriftDismissed && (
+            <div
+              role="alert"
+              className="mb-6 flex items-center gap-3 rounded-lg border border-destructive/40 bg-destructive/10 px-4 py-3 text-sm"
+            >
+              <Warning className="shrink-0 text-destructive" weight="bold" />
+              <p className="flex-1">
+                {integrityReport.summary.missing > 0 &&
+                  `${integrityReport.summary.missing} secret(s) have no value in the keychain. `}
+                {integrityReport.summary.orphans > 0 &&
+                  `${integrityReport.summary.orphans} keychain value(s) belong to no secret.`}
+              </p>
+              <Button size="sm" variant="outline" onClick={() => setIsDoctorOpen(true)}>
+                Review
+              </Button>
+              <Button
+                size="icon"
+                variant="ghost"
+                onClick={() => setIsDriftDismissed(true)}
+                aria-label="Dismiss"
+                className="h-8 w-8 shrink-0"
+              >
+                <X weight="bold" />
+              </Button>
+            </div>
+          )}
+
           <div className="flex flex-col md:flex-row gap-4 mb-8">
             <div className="flex-1">
               <Input
                 type="text"
-                placeholder="Search secrets..."
+                placeholder="Search secrets... (tag:prod)"
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
                 className="bg-card/50 border-border/50 focus:border-accent/50 transition-colors"
               />
             </div>
             <CategoryFilter
+              categories={categories}
               selected={selectedCategory}
               onSelect={setSelectedCategory}
+              onManage={() => setIsCategoriesOpen(true)}
             />
           </div>
+          {filterTags.length > 0 && (
+            <div className="-mt-4 mb-8">
+              <TagFilter tags={filterTags} selected={selectedTags} onChange={setSelectedTags} />
+            </div>
+          )}
 
           {filteredSecrets.length === 0 ? (
             <EmptyState 
@@ -212,8 +549,12 @@ function App() {
                   >
                     <SecretCard
                       secret={secret}
+                      categories={categories}
+                      settings={settings}
+                      privateKeyTitle={secret.privateKeyId ? secrets.find(s => s.id === secret.privateKeyId)?.title : undefined}
                       onEdit={handleOpenEdit}
                       onDelete={handleDeleteSecret}
+                      onRestored={handleSecretChanged}
                     />
                   </motion.div>
                 ))}
@@ -229,6 +570,98 @@ function App() {
         onSubmit={editingSecret ? handleEditSecret : handleAddSecret}
         initialData={editingSecret || undefined}
         mode={editingSecret ? 'edit' : 'add'}
+        categories={categories}
+        defaultCategory={settings.defaultCategory}
+        existingTags={allTags}
+        secrets={secrets}
+      />
+
+      <ExportDialog open={isExportOpen} onOpenChange={setIsExportOpen} />
+
+      <ImportDialog
+        open={isImportOpen}
+        onOpenChange={setIsImportOpen}
+        onImported={refreshSecrets}
+      />
+
+      <ExternalImportDialog
+        open={isExternalImportOpen}
+        onOpenChange={setIsExternalImportOpen}
+        onImported={refreshSecrets}
+        categories={categories}
+      />
+
+      <TemplatePreviewDialog open={isTemplatesOpen} onOpenChange={setIsTemplatesOpen} />
+
+      {vaultListing && (
+        <VaultsDialog
+          open={isVaultsOpen}
+          onOpenChange={setIsVaultsOpen}
+          listing={vaultListing}
+          onChanged={refreshVaults}
+        />
+      )}
+
+      {integrityReport && (
+        <DoctorDialog
+          open={isDoctorOpen}
+          onOpenChange={setIsDoctorOpen}
+          report={integrityReport}
+          onRepaired={handleRepaired}
+        />
+      )}
+
+      <SettingsDialog
+        open={isSettingsOpen}
+        onOpenChange={setIsSettingsOpen}
+        settings={settings}
+        categories={categories}
+        lockStatus={lockStatus}
+        onSaved={setSettings}
+        onOpenMasterPassword={() => {
+          setIsSettingsOpen(false)
+          setIsMasterPasswordOpen(true)
+        }}
+      />
+
+      {lockStatus && (
+        <MasterPasswordDialog
+          open={isMasterPasswordOpen}
+          onOpenChange={setIsMasterPasswordOpen}
+          status={lockStatus}
+          onChanged={setLockStatus}
+        />
+      )}
+
+      <TrashDialog
+        open={isTrashOpen}
+        onOpenChange={setIsTrashOpen}
+        onRestored={(restored) =>
+          setSecrets((current) => [...current.filter((secret) => secret.id !== restored.id), restored])
+        }
+      />
+
+      <CategoriesDialog
+        open={isCategoriesOpen}
+        onOpenChange={setIsCategoriesOpen}
+        categories={categories}
+        colors={categoryListing.colors}
+        icons={categoryListing.icons}
+        usage={categoryUsage}
+        onChanged={refreshSecrets}
+      />
+
+      <ActivityPanel
+        open={isActivityOpen}
+        onOpenChange={setIsActivityOpen}
+        secrets={secrets}
+      />
+
+      <HealthPanel
+        open={isHealthOpen}
+        onOpenChange={setIsHealthOpen}
+        categories={categories}
+        onOpenSecret={handleOpenFromHealth}
       />
 
       <Toaster position="top-right" />
@@ -0,0 +1,197 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { AuditAction, AuditEntry, AuditVerification, Secret } from '@/lib/types'
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from '@/components/ui/sheet'
+import { Badge } from '@/components/ui/badge'
+import { Label } from '@/components/ui/label'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { ShieldCheck, ShieldWarning } from '@phosphor-icons/react'
+import { toast } from 'sonner'
+import { cn } from '@/lib/utils'
+
+interface ActivityPanelProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  secrets: Secret[]
+}
+
+const actionLabels: Record<AuditAction, string> = {
+  'secret.create': 'Created',
+  'secret.update': 'Updated',
+  'secret.delete': 'Moved to trash',
+  'secret.restore': 'Restored from trash',
+  'secret.purge': 'Deleted permanently',
+  'secret.read': 'Value read',
+  'version.read': 'Old version read',
+  'version.restore': 'Version restored',
+  'vault.export': 'Vault exported',
+  'vault.import': 'Vault imported',
+  'vault.lock': 'Vault locked',
+  'vault.unlock': 'Vault unlocked',
+  'vault.unlock-failed': 'Unlock failed',
+  'vault.password': 'Master password changed',
+  'vault.create': 'Vault created',
+  'vault.rename': 'Vault renamed',
+  'vault.delete': 'Vault deleted',
+  'category.create': 'Category created',
+  'category.update': 'Category edited',
+  'category.delete': 'Category deleted',
+}
+
+const ALL = 'all'
+
+// Short human-readable description of an entry's details
+const describeDetails = (entry: AuditEntry): string => {
+  const details = entry.details ?? {}
+  if (entry.action === 'secret.read' && details.purpose) return `for ${details.purpose}`
+  if (entry.action === 'secret.update' && Array.isArray(details.changed)) {
+    return details.changed.length > 0 ? `changed ${details.changed.join(', ')}` : 'no changes'
+  }
+  if ('version' in details) return `version ${details.version}`
+  if (entry.action === 'vault.export') return `${details.exported} secret(s)`
+  if (entry.action === 'vault.import') return `${details.created} new, ${details.updated} replaced`
+  if (entry.action === 'vault.lock' && details.reason === 'idle') return 'after inactivity'
+  if (entry.action === 'vault.password') return `${details.change}`
+  if (entry.action === 'vault.rename') return `was ${details.previousName}`
+  if (entry.action === 'vault.delete') return `${details.deletedValues} value(s) deleted`
+  if (entry.action === 'category.delete' && details.reassigned) return `${details.reassigned} secret(s) moved`
+  return ''
+}
+
+export function ActivityPanel({ open, onOpenChange, secrets }: ActivityPanelProps) {
+  const [secretId, setSecretId] = useState<string>(ALL)
+  const [action, setAction] = useState<AuditAction | typeof ALL>(ALL)
+  const [entries, setEntries] = useState<AuditEntry[]>([])
+  const [total, setTotal] = useState(0)
+  const [verification, setVerification] = useState<AuditVerification | null>(null)
+
+  useEffect(() => {
+    if (!open) return
+
+    ApiClient.verifyAuditLog()
+      .then(setVerification)
+      .catch(() => setVerification(null))
+  }, [open])
+
+  useEffect(() => {
+    if (!open) return
+
+    ApiClient.getAuditLog({
+      secretId: secretId === ALL ? undefined : secretId,
+      actions: action === ALL ? undefined : [action],
+    })
+      .then((result) => {
+        setEntries(result.entries)
+        setTotal(result.total)
+      })
+      .catch((err) => toast.error(err instanceof Error ? err.message : 'Failed to load activity'))
+  }, [open, secretId, action])
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="bg-card border-border w-full sm:max-w-lg">
+        <SheetHeader>
+          <SheetTitle className="text-2xl">Activity</SheetTitle>
+          <SheetDescription>
+            Every change to your secrets and every time a value was read.
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="px-4 space-y-4 flex-1 min-h-0 flex flex-col">
+          {verification && (
+            <div
+              className={cn(
+                'flex items-start gap-2 rounded border px-3 py-2 text-sm',
+                verification.valid
+                  ? 'border-green-500/20 bg-green-500/10 text-green-400'
+                  : 'border-red-500/20 bg-red-500/10 text-red-400'
+              )}
+            >
+              {verification.valid ? (
+                <ShieldCheck className="mt-0.5 shrink-0" weight="bold" />
+              ) : (
+                <ShieldWarning className="mt-0.5 shrink-0" weight="bold" />
+              )}
+              <span>
+                {verification.valid
+                  ? `Log intact (${verification.entries} entries verified)`
+                  : `Log tampering detected: ${verification.problems[0]?.message}`}
+              </span>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1">
+              <Label htmlFor="activity-secret">Secret</Label>
+              <Select value={secretId} onValueChange={setSecretId}>
+                <SelectTrigger id="activity-secret" className="bg-muted/30 border-border/50">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-card border-border">
+                  <SelectItem value={ALL}>All secrets</SelectItem>
+                  {secrets.map((secret) => (
+                    <SelectItem key={secret.id} value={secret.id}>
+                      {secret.title}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="activity-action">Action</Label>
+              <Select value={action} onValueChange={(value: AuditAction | typeof ALL) => setAction(value)}>
+                <SelectTrigger id="activity-action" className="bg-muted/30 border-border/50">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-card border-border">
+                  <SelectItem value={ALL}>All actions</SelectItem>
+                  {(Object.keys(actionLabels) as AuditAction[]).map((a) => (
+                    <SelectItem key={a} value={a}>
+                      {actionLabels[a]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <p className="text-xs text-muted-foreground">
+            Showing {entries.length} of {total} entries
+          </p>
+
+          <ScrollArea className="flex-1 min-h-0 pb-4">
+            <ol className="space-y-2">
+              {entries.map((entry) => (
+                <li key={entry.seq} className="rounded border border-border/50 px-3 py-2">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-medium truncate">{entry.title ?? 'Vault'}</span>
+                    <Badge variant="outline" className="text-xs shrink-0">
+                      {actionLabels[entry.action] ?? entry.action}
+                    </Badge>
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    {new Date(entry.timestamp).toLocaleString()} · {entry.actor}
+                    {describeDetails(entry) && ` · ${describeDetails(entry)}`}
+                  </p>
+                </li>
+              ))}
+            </ol>
+          </ScrollArea>
+        </div>
+      </SheetContent>
+    </Sheet>
+  )
+}
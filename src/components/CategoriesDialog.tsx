@@ -0,0 +1,311 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { Category, CategoryColor, CategoryFormData, CategoryIcon } from '@/lib/types'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { Check, Plus, Trash } from '@phosphor-icons/react'
+import { toast } from 'sonner'
+import { cn } from '@/lib/utils'
+import { categoryColorClasses, categoryIcons } from '@/lib/categories'
+
+interface CategoriesDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  categories: Category[]
+  colors: CategoryColor[]
+  icons: CategoryIcon[]
+  // Number of secrets in each category, for the delete confirmation
+  usage: Record<string, number>
+  // Called after any change so the categories (and reassigned secrets) are reloaded
+  onChanged: () => void
+}
+
+const NEW_CATEGORY: CategoryFormData = { label: '', color: 'blue', icon: 'folder', staleAfterDays: null }
+
+interface CategoryFieldsProps {
+  value: CategoryFormData
+  onChange: (value: CategoryFormData) => void
+  colors: CategoryColor[]
+  icons: CategoryIcon[]
+  labelId: string
+}
+
+// Label input, color and icon pickers and rotation period, shared by the edit rows
+// and the new-category row
+function CategoryFields({ value, onChange, colors, icons, labelId }: CategoryFieldsProps) {
+  return (
+    <div className="flex flex-1 min-w-0 items-center gap-2">
+      <Input
+        id={labelId}
+        value={value.label}
+        onChange={(e) => onChange({ ...value, label: e.target.value })}
+        placeholder="Category name"
+        className="bg-muted/30 border-border/50 h-8"
+      />
+      <Select value={value.color} onValueChange={(color: CategoryColor) => onChange({ ...value, color })}>
+        <SelectTrigger className="bg-muted/30 border-border/50 w-28 h-8" aria-label="Color">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent className="bg-card border-border">
+          {colors.map((color) => (
+            <SelectItem key={color} value={color}>
+              <span className={cn('inline-block h-3 w-3 rounded-full border', categoryColorClasses[color])} />
+              {color}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Select value={value.icon} onValueChange={(icon: CategoryIcon) => onChange({ ...value, icon })}>
+        <SelectTrigger className="bg-muted/30 border-border/50 w-20 h-8" aria-label="Icon">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent className="bg-card border-border">
+          {icons.map((icon) => {
+            const IconComponent = categoryIcons[icon]
+            return (
+              <SelectItem key={icon} value={icon} aria-label={icon}>
+                <IconComponent weight="bold" />
+              </SelectItem>
+            )
+          })}
+        </SelectContent>
+      </Select>
+      <Input
+        type="number"
+        min={0}
+        value={value.staleAfterDays ?? ''}
+        onChange={(e) =>
+          onChange({ ...value, staleAfterDays: e.target.value === '' ? null : Number(e.target.value) })
+        }
+        placeholder="Days"
+        aria-label="Rotate after (days)"
+        title="Rotate after (days)"
+        className="bg-muted/30 border-border/50 w-20 h-8 shrink-0"
+      />
+    </div>
+  )
+}
+
+export function CategoriesDialog({
+  open,
+  onOpenChange,
+  categories,
+  colors,
+  icons,
+  usage,
+  onChanged,
+}: CategoriesDialogProps) {
+  // Unsaved edits by category ID
+  const [drafts, setDrafts] = useState<Record<string, CategoryFormData>>({})
+  const [newCategory, setNewCategory] = useState<CategoryFormData>(NEW_CATEGORY)
+  const [pendingDelete, setPendingDelete] = useState<Category | null>(null)
+  const [reassignTo, setReassignTo] = useState('')
+  const [isWorking, setIsWorking] = useState(false)
+
+  useEffect(() => {
+    if (open) {
+      setDrafts({})
+      setNewCategory(NEW_CATEGORY)
+    }
+  }, [open])
+
+  const draftOf = (category: Category): CategoryFormData =>
+    drafts[category.id] ?? {
+      label: category.label,
+      color: category.color,
+      icon: category.icon,
+      staleAfterDays: category.staleAfterDays ?? null,
+    }
+
+  const isDirty = (category: Category) => {
+    const draft = draftOf(category)
+    return (
+      draft.label !== category.label ||
+      draft.color !== category.color ||
+      draft.icon !== category.icon ||
+      (draft.staleAfterDays ?? null) !== (category.staleAfterDays ?? null)
+    )
+  }
+
+  // Run a change, report failures and reload the categories afterwards
+  const run = async (action: () => Promise<void>, failure: string) => {
+    try {
+      setIsWorking(true)
+      await action()
+      onChanged()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : failure)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const handleSave = (category: Category) =>
+    run(async () => {
+      await ApiClient.updateCategory(category.id, draftOf(category))
+      setDrafts(({ [category.id]: _saved, ...rest }) => rest)
+      toast.success('Category updated')
+    }, 'Failed to update category')
+
+  const handleCreate = () =>
+    run(async () => {
+      const created = await ApiClient.createCategory(newCategory)
+      setNewCategory(NEW_CATEGORY)
+      toast.success(`Category "${created.label}" created`)
+    }, 'Failed to create category')
+
+  const handleRequestDelete = (category: Category) => {
+    setReassignTo(categories.find((c) => c.id !== category.id)?.id ?? '')
+    setPendingDelete(category)
+  }
+
+  const handleConfirmDelete = () => {
+    const category = pendingDelete
+    if (!category) return
+    setPendingDelete(null)
+    run(async () => {
+      const { reassigned } = await ApiClient.deleteCategory(category.id, reassignTo)
+      toast.success(
+        reassigned > 0 ? `Category deleted; ${reassigned} secret(s) moved` : 'Category deleted'
+      )
+    }, 'Failed to delete category')
+  }
+
+  return (
+    <>
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="bg-card border-border sm:max-w-[640px]">
+          <DialogHeader>
+            <DialogTitle className="text-2xl">Categories</DialogTitle>
+            <DialogDescription>
+              Rename, recolor or remove categories, or add your own. Renaming a category
+              keeps its secrets in it. The number of days is how long a value may go unchanged
+              before the health report lists it as stale (empty uses the default, 0 never).
+            </DialogDescription>
+          </DialogHeader>
+
+          <ScrollArea className="max-h-[50vh] pr-3">
+            <ul className="space-y-2 py-2">
+              {categories.map((category) => (
+                <li key={category.id} className="flex items-center gap-2">
+                  <CategoryFields
+                    labelId={`category-${category.id}`}
+                    value={draftOf(category)}
+                    onChange={(draft) => setDrafts((current) => ({ ...current, [category.id]: draft }))}
+                    colors={colors}
+                    icons={icons}
+                  />
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    onClick={() => handleSave(category)}
+                    disabled={isWorking || !isDirty(category) || !draftOf(category).label.trim()}
+                    aria-label={`Save ${category.label}`}
+                    className="h-8 w-8 shrink-0 hover:bg-accent/10 hover:text-accent"
+                  >
+                    <Check weight="bold" />
+                  </Button>
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    onClick={() => handleRequestDelete(category)}
+                    disabled={isWorking || categories.length === 1}
+                    aria-label={`Delete ${category.label}`}
+                    className="h-8 w-8 shrink-0 hover:bg-destructive/10 hover:text-destructive"
+                  >
+                    <Trash weight="bold" />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          </ScrollArea>
+
+          <div className="space-y-2 border-t border-border/50 pt-4">
+            <Label htmlFor="new-category">New category</Label>
+            <div className="flex items-center gap-2">
+              <CategoryFields
+                labelId="new-category"
+                value={newCategory}
+                onChange={setNewCategory}
+                colors={colors}
+                icons={icons}
+              />
+              <Button
+                onClick={handleCreate}
+                disabled={isWorking || !newCategory.label.trim()}
+                className="shrink-0 bg-accent text-accent-foreground hover:bg-accent/90"
+              >
+                <Plus className="mr-2" weight="bold" />
+                Add
+              </Button>
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <AlertDialog open={pendingDelete !== null} onOpenChange={(isOpen) => !isOpen && setPendingDelete(null)}>
+        <AlertDialogContent className="bg-card border-border">
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete Category</AlertDialogTitle>
+            <AlertDialogDescription>
+              {pendingDelete && (usage[pendingDelete.id] ?? 0) > 0
+                ? `"${pendingDelete.label}" has ${usage[pendingDelete.id]} secret(s).`
+                : `Delete "${pendingDelete?.label}"?`}{' '}
+              Any secrets in it, including ones in the trash and in their history, are moved to:
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <Select value={reassignTo} onValueChange={setReassignTo}>
+            <SelectTrigger className="bg-muted/30 border-border/50" aria-label="Move secrets to">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bg-card border-border">
+              {categories
+                .filter((category) => category.id !== pendingDelete?.id)
+                .map((category) => (
+                  <SelectItem key={category.id} value={category.id}>
+                    {category.label}
+                  </SelectItem>
+                ))}
+            </SelectContent>
+          </Select>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={handleConfirmDelete}
+              disabled={!reassignTo}
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  )
+}
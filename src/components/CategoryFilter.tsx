@@ -1,43 +1,54 @@
-import { SecretCategory } from '@/lib/types'
+import { Category, SecretCategory } from '@/lib/types'
 import { Button } from '@/components/ui/button'
-import { Folders } from '@phosphor-icons/react'
+import { Folders, GearSix } from '@phosphor-icons/react'
 import { cn } from '@/lib/utils'
+import { categoryIcons } from '@/lib/categories'
 
 interface CategoryFilterProps {
+  categories: Category[]
   selected: SecretCategory | 'all'
   onSelect: (category: SecretCategory | 'all') => void
+  onManage: () => void
 }
 
-const categories: { value: SecretCategory | 'all'; label: string }[] = [
-  { value: 'all', label: 'All' },
-  { value: 'password', label: 'Passwords' },
-  { value: 'api-key', label: 'API Keys' },
-  { value: 'token', label: 'Tokens' },
-  { value: 'certificate', label: 'Certificates' },
-  { value: 'note', label: 'Notes' },
-  { value: 'other', label: 'Other' },
-]
+export function CategoryFilter({ categories, selected, onSelect, onManage }: CategoryFilterProps) {
+  const options: { value: SecretCategory | 'all'; label: string; icon?: Category['icon'] }[] = [
+    { value: 'all', label: 'All' },
+    ...categories.map((category) => ({ value: category.id, label: category.label, icon: category.icon })),
+  ]
 
-export function CategoryFilter({ selected, onSelect }: CategoryFilterProps) {
   return (
     <div className="flex items-center gap-2 flex-wrap">
       <Folders className="text-muted-foreground hidden md:block" weight="duotone" />
-      {categories.map((category) => (
-        <Button
-          key={category.value}
-          variant="outline"
-          size="sm"
-          onClick={() => onSelect(category.value)}
-          className={cn(
-            'transition-all',
-            selected === category.value
-              ? 'bg-accent text-accent-foreground border-accent hover:bg-accent/90'
-              : 'hover:bg-accent/10 hover:border-accent/30'
-          )}
-        >
-          {category.label}
-        </Button>
-      ))}
+      {options.map((option) => {
+        const OptionIcon = option.icon ? categoryIcons[option.icon] : null
+        return (
+          <Button
+            key={option.value}
+            variant="outline"
+            size="sm"
+            onClick={() => onSelect(option.value)}
+            className={cn(
+              'transition-all',
+              selected === option.value
+                ? 'bg-accent text-accent-foreground border-accent hover:bg-accent/90'
+                : 'hover:bg-accent/10 hover:border-accent/30'
+            )}
+          >
+            {OptionIcon && <OptionIcon weight="bold" />}
+            {option.label}
+          </Button>
+        )
+      })}
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={onManage}
+        aria-label="Manage categories"
+        className="h-8 w-8 hover:bg-accent/10 hover:text-accent"
+      >
+        <GearSix weight="bold" />
+      </Button>
     </div>
   )
 }
@@ -0,0 +1,74 @@
+import { useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { Secret } from '@/lib/types'
+import { Button } from '@/components/ui/button'
+import { Key } from '@phosphor-icons/react'
+import { toast } from 'sonner'
+
+interface CertificateDetailsProps {
+  secret: Secret
+  // Title of the paired private key secret, when it is still in the vault
+  privateKeyTitle?: string
+}
+
+// Subject, issuer, SANs, validity and fingerprint of a certificate secret, with
+// a check that its paired private key matches. Both values stay on the backend.
+export function CertificateDetails({ secret, privateKeyTitle }: CertificateDetailsProps) {
+  const [isChecking, setIsChecking] = useState(false)
+  const certificate = secret.certificate
+  if (!certificate) return null
+
+  const handleCheckKey = async () => {
+    try {
+      setIsChecking(true)
+      const { matches } = await ApiClient.checkCertificateKey(secret.id)
+      if (matches) {
+        toast.success(`"${privateKeyTitle}" is the private key of this certificate`)
+      } else {
+        toast.error(`"${privateKeyTitle}" does not match this certificate`)
+      }
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to check the private key')
+    } finally {
+      setIsChecking(false)
+    }
+  }
+
+  const rows: [string, string][] = [
+    ['Subject', certificate.subject],
+    ['Issuer', certificate.issuer],
+    ...(certificate.subjectAltNames.length > 0
+      ? [['Names', certificate.subjectAltNames.join(', ')] as [string, string]]
+      : []),
+    ['Valid', `${new Date(certificate.validFrom).toLocaleDateString()} – ${new Date(certificate.validTo).toLocaleDateString()}`],
+    ['SHA-256', certificate.fingerprint256],
+    ...(certificate.chain.length > 0
+      ? [['Chain', certificate.chain.map(c => c.subject).join(' → ')] as [string, string]]
+      : []),
+  ]
+
+  return (
+    <div className="space-y-2">
+      <dl className="grid grid-cols-[auto_1fr] gap-x-2 gap-y-0.5 text-xs">
+        {rows.map(([label, value]) => (
+          <div key={label} className="contents">
+            <dt className="text-muted-foreground">{label}</dt>
+            <dd className="break-all font-mono">{value}</dd>
+          </div>
+        ))}
+      </dl>
+      {secret.privateKeyId && privateKeyTitle && (
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={handleCheckKey}
+          disabled={isChecking}
+          className="h-7 gap-1 text-xs"
+        >
+          <Key weight="bold" />
+          Check key ({privateKeyTitle})
+        </Button>
+      )}
+    </div>
+  )
+}
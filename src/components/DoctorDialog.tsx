@@ -0,0 +1,191 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { IntegrityReport, MissingSecret } from '@/lib/types'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { LinkSimple, Trash } from '@phosphor-icons/react'
+import { toast } from 'sonner'
+
+interface DoctorDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  report: IntegrityReport
+  // Called after each repair so the report and the secrets are reloaded
+  onRepaired: () => void
+}
+
+// Repairs for drift between metadata and storage found by the integrity check
+export function DoctorDialog({ open, onOpenChange, report, onRepaired }: DoctorDialogProps) {
+  // Titles for re-attached values by account
+  const [titles, setTitles] = useState<Record<string, string>>({})
+  const [pendingRemoval, setPendingRemoval] = useState<MissingSecret | null>(null)
+  const [isWorking, setIsWorking] = useState(false)
+
+  useEffect(() => {
+    if (open) setTitles({})
+  }, [open])
+
+  const titleOf = (account: string) => titles[account] ?? `Recovered ${account}`
+
+  // Run a repair, report failures and reload afterwards
+  const run = async (action: () => Promise<void>, failure: string) => {
+    try {
+      setIsWorking(true)
+      await action()
+      onRepaired()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : failure)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const handleReattach = (account: string) =>
+    run(async () => {
+      const secret = await ApiClient.reattachOrphan(account, { title: titleOf(account) })
+      toast.success(`Re-attached as "${secret.title}"`)
+    }, 'Failed to re-attach value')
+
+  const handleConfirmRemoval = () => {
+    const secret = pendingRemoval
+    if (!secret) return
+    setPendingRemoval(null)
+    run(async () => {
+      await ApiClient.removeMissingSecret(secret.id)
+      toast.success(`Removed "${secret.title}"`)
+    }, 'Failed to remove secret')
+  }
+
+  const isClean = report.missing.length === 0 && report.orphans.length === 0
+
+  return (
+    <>
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="bg-card border-border sm:max-w-[600px]">
+          <DialogHeader>
+            <DialogTitle className="text-2xl">Vault Integrity</DialogTitle>
+            <DialogDescription>
+              Secrets and the values stored in the keychain should match. Values can go missing
+              when they are deleted outside SecureVault, and values can be left behind when an
+              operation is interrupted.
+            </DialogDescription>
+          </DialogHeader>
+
+          <ScrollArea className="max-h-[60vh] pr-3">
+            {isClean && (
+              <p className="py-4 text-sm text-muted-foreground">Every secret has its value and every value belongs to a secret.</p>
+            )}
+
+            {report.missing.length > 0 && (
+              <section className="space-y-2 py-2">
+                <h3 className="font-semibold">Secrets without a value ({report.missing.length})</h3>
+                <p className="text-xs text-muted-foreground">
+                  These cannot be revealed, copied or exported. Restore their values from a backup
+                  by editing them, or remove them.
+                </p>
+                <ul className="space-y-2">
+                  {report.missing.map((secret) => (
+                    <li key={secret.id} className="flex items-center justify-between gap-2">
+                      <span className="truncate">
+                        {secret.title}
+                        {secret.trashed && <span className="ml-2 text-xs text-muted-foreground">in the trash</span>}
+                      </span>
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => setPendingRemoval(secret)}
+                        disabled={isWorking}
+                        className="shrink-0 hover:bg-destructive/10 hover:text-destructive"
+                      >
+                        <Trash className="mr-2" weight="bold" />
+                        Remove
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {report.orphans.length > 0 && (
+              <section className="space-y-2 py-2">
+                <h3 className="font-semibold">Values without a secret ({report.orphans.length})</h3>
+                <p className="text-xs text-muted-foreground">
+                  Re-attach a value to get it back as a new secret in the default category.
+                </p>
+                <ul className="space-y-2">
+                  {report.orphans.map(({ account }) => (
+                    <li key={account} className="flex items-center gap-2">
+                      <code className="shrink-0 max-w-[40%] truncate text-xs text-muted-foreground" title={account}>
+                        {account}
+                      </code>
+                      <Input
+                        value={titleOf(account)}
+                        onChange={(e) => setTitles((current) => ({ ...current, [account]: e.target.value }))}
+                        aria-label={`Title for ${account}`}
+                        className="bg-muted/30 border-border/50 h-8"
+                      />
+                      <Button
+                        size="sm"
+                        onClick={() => handleReattach(account)}
+                        disabled={isWorking || !titleOf(account).trim()}
+                        className="shrink-0 bg-accent text-accent-foreground hover:bg-accent/90"
+                      >
+                        <LinkSimple className="mr-2" weight="bold" />
+                        Re-attach
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {!report.listable && (
+              <p className="py-2 text-xs text-muted-foreground">
+                The storage backend cannot list its entries, so values without a secret were not looked for.
+              </p>
+            )}
+          </ScrollArea>
+        </DialogContent>
+      </Dialog>
+
+      <AlertDialog open={pendingRemoval !== null} onOpenChange={(isOpen) => !isOpen && setPendingRemoval(null)}>
+        <AlertDialogContent className="bg-card border-border">
+          <AlertDialogHeader>
+            <AlertDialogTitle>Remove Secret</AlertDialogTitle>
+            <AlertDialogDescription>
+              Remove "{pendingRemoval?.title}" and its history? Its value is already gone from the
+              keychain. This cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={handleConfirmRemoval}
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+            >
+              Remove
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  )
+}
@@ -0,0 +1,126 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { toast } from 'sonner'
+
+const MIN_PASSPHRASE_LENGTH = 8
+
+interface ExportDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+}
+
+// Save a JSON document through a temporary download link
+function downloadJson(data: unknown, fileName: string) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+export function ExportDialog({ open, onOpenChange }: ExportDialogProps) {
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [isExporting, setIsExporting] = useState(false)
+
+  useEffect(() => {
+    setPassphrase('')
+    setConfirmation('')
+  }, [open])
+
+  const passphraseError =
+    passphrase.length > 0 && passphrase.length < MIN_PASSPHRASE_LENGTH
+      ? `Use at least ${MIN_PASSPHRASE_LENGTH} characters`
+      : confirmation.length > 0 && confirmation !== passphrase
+        ? 'Passphrases do not match'
+        : null
+
+  const canExport =
+    passphrase.length >= MIN_PASSPHRASE_LENGTH && confirmation === passphrase && !isExporting
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!canExport) return
+
+    try {
+      setIsExporting(true)
+      const file = await ApiClient.exportVault(passphrase)
+      const date = new Date().toISOString().slice(0, 10)
+      downloadJson(file, `securevault-export-${date}.json`)
+      toast.success('Vault exported')
+      onOpenChange(false)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to export vault')
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-card border-border sm:max-w-[500px]">
+        <DialogHeader>
+          <DialogTitle className="text-2xl">Export Vault</DialogTitle>
+          <DialogDescription>
+            Download every secret and its metadata as one encrypted file. You will need
+            this passphrase to import it again; it cannot be recovered.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit}>
+          <div className="space-y-4 py-4">
+            <div className="space-y-2">
+              <Label htmlFor="export-passphrase">Passphrase</Label>
+              <Input
+                id="export-passphrase"
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                autoComplete="new-password"
+                className="bg-muted/30 border-border/50 font-mono"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="export-passphrase-confirm">Confirm Passphrase</Label>
+              <Input
+                id="export-passphrase-confirm"
+                type="password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                autoComplete="new-password"
+                className="bg-muted/30 border-border/50 font-mono"
+              />
+            </div>
+            {passphraseError && (
+              <p className="text-sm text-destructive">{passphraseError}</p>
+            )}
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={!canExport}
+              className="bg-accent text-accent-foreground hover:bg-accent/90"
+            >
+              {isExporting ? 'Exporting...' : 'Export'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,264 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { Category, ExternalImportFormat, ExternalImportItem } from '@/lib/types'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Checkbox } from '@/components/ui/checkbox'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { toast } from 'sonner'
+import { findCategory } from '@/lib/categories'
+
+interface ExternalImportDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  onImported: () => void
+  categories: Category[]
+}
+
+const formats: { value: ExternalImportFormat; label: string; accept: string }[] = [
+  { value: 'bitwarden-json', label: 'Bitwarden (JSON)', accept: '.json' },
+  { value: 'bitwarden-csv', label: 'Bitwarden (CSV)', accept: '.csv' },
+  { value: '1password-csv', label: '1Password (CSV)', accept: '.csv' },
+  { value: 'keepass-csv', label: 'KeePass / KeePassXC (CSV)', accept: '.csv' },
+  { value: 'dotenv', label: '.env file', accept: '.env,.txt' },
+]
+
+// Best guess of the format from the file name and header line
+const guessFormat = (fileName: string, content: string): ExternalImportFormat | null => {
+  const name = fileName.toLowerCase()
+  const header = content.split(/\r?\n/, 1)[0].toLowerCase()
+
+  if (name.endsWith('.json')) return 'bitwarden-json'
+  if (name.endsWith('.env') || name.startsWith('.env')) return 'dotenv'
+  if (header.includes('login_password')) return 'bitwarden-csv'
+  if (header.includes('login name') || header.includes('"group"')) return 'keepass-csv'
+  if (header.includes('title') && header.includes('password')) return '1password-csv'
+  return null
+}
+
+export function ExternalImportDialog({ open, onOpenChange, onImported, categories }: ExternalImportDialogProps) {
+  const [format, setFormat] = useState<ExternalImportFormat>('bitwarden-json')
+  const [content, setContent] = useState('')
+  const [fileName, setFileName] = useState('')
+  const [items, setItems] = useState<ExternalImportItem[] | null>(null)
+  const [selected, setSelected] = useState<Set<number>>(new Set())
+  const [isWorking, setIsWorking] = useState(false)
+
+  useEffect(() => {
+    setContent('')
+    setFileName('')
+    setItems(null)
+    setSelected(new Set())
+  }, [open])
+
+  // A different file or format needs a fresh review
+  useEffect(() => {
+    setItems(null)
+    setSelected(new Set())
+  }, [content, format])
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    const text = await file.text()
+    setContent(text)
+    setFileName(file.name)
+    const guessed = guessFormat(file.name, text)
+    if (guessed) setFormat(guessed)
+  }
+
+  const handlePreview = async () => {
+    try {
+      setIsWorking(true)
+      const result = await ApiClient.importExternal({ format, content, dryRun: true })
+      setItems(result.items)
+      // Duplicates and rows that cannot be imported start unchecked
+      setSelected(new Set(result.items.filter((item) => !item.duplicate && !item.error).map((item) => item.index)))
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to read file')
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const handleImport = async () => {
+    try {
+      setIsWorking(true)
+      const result = await ApiClient.importExternal({ format, content, dryRun: false, selected: [...selected] })
+      toast.success(`Imported ${result.imported.length} secret(s)`)
+      onImported()
+      onOpenChange(false)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to import file')
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (items === null) {
+      handlePreview()
+    } else {
+      handleImport()
+    }
+  }
+
+  const toggle = (index: number, checked: boolean) => {
+    setSelected((current) => {
+      const next = new Set(current)
+      if (checked) {
+        next.add(index)
+      } else {
+        next.delete(index)
+      }
+      return next
+    })
+  }
+
+  const selectable = items?.filter((item) => !item.error) ?? []
+  const allSelected = selectable.length > 0 && selectable.every((item) => selected.has(item.index))
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-card border-border sm:max-w-[720px]">
+        <DialogHeader>
+          <DialogTitle className="text-2xl">Import from Another Tool</DialogTitle>
+          <DialogDescription>
+            Bring in secrets from Bitwarden, 1Password, KeePass or a .env file. Review
+            the entries before they are added.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit}>
+          <div className="space-y-4 py-4">
+            <div className="space-y-2">
+              <Label htmlFor="external-import-file">File</Label>
+              <Input
+                id="external-import-file"
+                type="file"
+                accept={formats.map((f) => f.accept).join(',')}
+                onChange={handleFileChange}
+                className="bg-muted/30 border-border/50"
+              />
+              {fileName && <p className="text-xs text-muted-foreground">{fileName}</p>}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="external-import-format">Format</Label>
+              <Select value={format} onValueChange={(value: ExternalImportFormat) => setFormat(value)}>
+                <SelectTrigger id="external-import-format" className="bg-muted/30 border-border/50">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-card border-border">
+                  {formats.map((f) => (
+                    <SelectItem key={f.value} value={f.value}>
+                      {f.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {items && (
+              <div className="space-y-2">
+                <p className="text-sm text-muted-foreground">
+                  {items.length} entries, {items.filter((item) => item.duplicate).length} possible
+                  duplicate(s), {selected.size} selected
+                </p>
+                <ScrollArea className="h-64 rounded border border-border/50">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead className="w-8">
+                          <Checkbox
+                            checked={allSelected}
+                            onCheckedChange={(checked) =>
+                              setSelected(checked === true ? new Set(selectable.map((item) => item.index)) : new Set())
+                            }
+                            aria-label="Select all"
+                          />
+                        </TableHead>
+                        <TableHead>Title</TableHead>
+                        <TableHead>Category</TableHead>
+                        <TableHead>Details</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {items.map((item) => (
+                        <TableRow key={item.index}>
+                          <TableCell>
+                            <Checkbox
+                              checked={selected.has(item.index)}
+                              disabled={item.error !== null}
+                              onCheckedChange={(checked) => toggle(item.index, checked === true)}
+                              aria-label={`Import ${item.title || 'untitled entry'}`}
+                            />
+                          </TableCell>
+                          <TableCell className="font-medium">{item.title || '(untitled)'}</TableCell>
+                          <TableCell>
+                            <Badge variant="outline" className="text-xs">
+                              {findCategory(categories, item.category).label}
+                            </Badge>
+                          </TableCell>
+                          <TableCell className="text-xs text-muted-foreground">
+                            {item.error ??
+                              (item.duplicateOf
+                                ? 'A secret with this title already exists'
+                                : item.duplicate
+                                  ? 'Same title as an earlier entry in this file'
+                                  : '')}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </ScrollArea>
+              </div>
+            )}
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={!content || isWorking || (items !== null && selected.size === 0)}
+              className="bg-accent text-accent-foreground hover:bg-accent/90"
+            >
+              {isWorking
+                ? 'Working...'
+                : items
+                  ? `Import ${selected.size} secret(s)`
+                  : 'Review Entries'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
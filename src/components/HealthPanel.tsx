@@ -0,0 +1,190 @@
+import { ReactNode, useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { Category, HealthReport, HealthReportSecret } from '@/lib/types'
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from '@/components/ui/sheet'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { ArrowsClockwise, CheckCircle } from '@phosphor-icons/react'
+import { toast } from 'sonner'
+import { cn } from '@/lib/utils'
+import { findCategory } from '@/lib/categories'
+
+interface HealthPanelProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  categories: Category[]
+  // Jump to a secret named in the report
+  onOpenSecret: (id: string) => void
+}
+
+interface SectionProps {
+  title: string
+  description: string
+  count: number
+  children: ReactNode
+}
+
+function Section({ title, description, count, children }: SectionProps) {
+  return (
+    <section className="space-y-2">
+      <div>
+        <h3 className="font-semibold">
+          {title} <span className="text-muted-foreground font-normal">({count})</span>
+        </h3>
+        <p className="text-xs text-muted-foreground">{description}</p>
+      </div>
+      {count === 0 ? (
+        <p className="flex items-center gap-2 text-sm text-green-400">
+          <CheckCircle weight="bold" />
+          Nothing to fix
+        </p>
+      ) : (
+        <ul className="space-y-1">{children}</ul>
+      )}
+    </section>
+  )
+}
+
+export function HealthPanel({ open, onOpenChange, categories, onOpenSecret }: HealthPanelProps) {
+  const [report, setReport] = useState<HealthReport | null>(null)
+  const [isLoading, setIsLoading] = useState(false)
+
+  const loadReport = async () => {
+    try {
+      setIsLoading(true)
+      setReport(await ApiClient.getHealthReport())
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to load health report')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (open) loadReport()
+  }, [open])
+
+  // One clickable row per secret: title, category and a short note
+  const secretRow = (secret: HealthReportSecret, note: string, key: string = secret.id) => (
+    <li key={key}>
+      <button
+        type="button"
+        onClick={() => onOpenSecret(secret.id)}
+        className="flex w-full items-center justify-between gap-2 rounded border border-border/50 px-3 py-2 text-left hover:border-accent/30 hover:bg-accent/10"
+      >
+        <span className="min-w-0">
+          <span className="block truncate font-medium">{secret.title}</span>
+          <span className="block text-xs text-muted-foreground">
+            {findCategory(categories, secret.category).label}
+          </span>
+        </span>
+        <span className="shrink-0 text-xs text-muted-foreground">{note}</span>
+      </button>
+    </li>
+  )
+
+  const summary = report?.summary
+  const tiles = summary
+    ? [
+        { label: 'Secrets', value: summary.total, warn: false },
+        { label: 'Weak', value: summary.weak, warn: summary.weak > 0 },
+        { label: 'Reused', value: summary.reused, warn: summary.reused > 0 },
+        { label: 'Stale', value: summary.stale, warn: summary.stale > 0 },
+      ]
+    : []
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="bg-card border-border w-full sm:max-w-lg">
+        <SheetHeader>
+          <SheetTitle className="text-2xl">Vault Health</SheetTitle>
+          <SheetDescription>
+            Weak, reused and stale secrets. Checked on this machine; values never leave the backend.
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="px-4 space-y-4 flex-1 min-h-0 flex flex-col">
+          <div className="grid grid-cols-4 gap-2">
+            {tiles.map((tile) => (
+              <div
+                key={tile.label}
+                className={cn(
+                  'rounded border px-3 py-2 text-center',
+                  tile.warn ? 'border-yellow-500/20 bg-yellow-500/10' : 'border-border/50'
+                )}
+              >
+                <div className={cn('text-2xl font-bold', tile.warn && 'text-yellow-400')}>{tile.value}</div>
+                <div className="text-xs text-muted-foreground">{tile.label}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-center justify-between gap-2">
+            <p className="text-xs text-muted-foreground">
+              {report ? `Checked ${new Date(report.generatedAt).toLocaleString()}` : 'Checking...'}
+              {summary && summary.missing > 0 && ` · ${summary.missing} value(s) missing from storage`}
+            </p>
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={loadReport}
+              disabled={isLoading}
+              className="hover:bg-accent/10 hover:border-accent/30"
+            >
+              <ArrowsClockwise className="mr-2" weight="bold" />
+              Re-check
+            </Button>
+          </div>
+
+          {report && (
+            <ScrollArea className="flex-1 min-h-0 pb-4">
+              <div className="space-y-6">
+                <Section
+                  title="Weak"
+                  description="Short, common or repetitive values that are easy to guess."
+                  count={report.weak.length}
+                >
+                  {report.weak.map((secret) => secretRow(secret, secret.label))}
+                </Section>
+
+                <Section
+                  title="Reused"
+                  description="Secrets sharing the same value. One leak exposes all of them."
+                  count={report.reused.length}
+                >
+                  {report.reused.map((group, index) => (
+                    <li key={index} className="space-y-1">
+                      <Badge variant="outline" className="text-xs">
+                        Same value · {group.secrets.length} secrets
+                      </Badge>
+                      <ul className="space-y-1">
+                        {group.secrets.map((secret) => secretRow(secret, '', `${index}-${secret.id}`))}
+                      </ul>
+                    </li>
+                  ))}
+                </Section>
+
+                <Section
+                  title="Stale"
+                  description="Values not changed within their category's rotation period."
+                  count={report.stale.length}
+                >
+                  {report.stale.map((secret) =>
+                    secretRow(secret, `${secret.ageDays} days old (limit ${secret.staleAfterDays})`)
+                  )}
+                </Section>
+              </div>
+            </ScrollArea>
+          )}
+        </div>
+      </SheetContent>
+    </Sheet>
+  )
+}
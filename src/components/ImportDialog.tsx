@@ -0,0 +1,230 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { ImportAction, ImportMode, ImportPreview } from '@/lib/types'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { toast } from 'sonner'
+import { cn } from '@/lib/utils'
+
+interface ImportDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  onImported: () => void
+}
+
+const modes: { value: ImportMode; label: string; description: string }[] = [
+  { value: 'merge', label: 'Merge', description: 'Add new secrets and keep the newer copy of existing ones' },
+  { value: 'overwrite', label: 'Overwrite', description: 'Add new secrets and replace existing ones' },
+  { value: 'skip', label: 'Skip duplicates', description: 'Only add secrets that do not exist yet' },
+]
+
+const actionStyles: Record<ImportAction, string> = {
+  create: 'bg-green-500/10 text-green-400 border-green-500/20',
+  update: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/20',
+  skip: 'bg-gray-500/10 text-gray-400 border-gray-500/20',
+  invalid: 'bg-red-500/10 text-red-400 border-red-500/20',
+}
+
+const actionLabels: Record<ImportAction, string> = {
+  create: 'New',
+  update: 'Replace',
+  skip: 'Skip',
+  invalid: 'Invalid',
+}
+
+export function ImportDialog({ open, onOpenChange, onImported }: ImportDialogProps) {
+  const [file, setFile] = useState<unknown>(null)
+  const [fileName, setFileName] = useState('')
+  const [passphrase, setPassphrase] = useState('')
+  const [mode, setMode] = useState<ImportMode>('merge')
+  const [preview, setPreview] = useState<ImportPreview | null>(null)
+  const [isWorking, setIsWorking] = useState(false)
+
+  useEffect(() => {
+    setFile(null)
+    setFileName('')
+    setPassphrase('')
+    setMode('merge')
+    setPreview(null)
+  }, [open])
+
+  // Any change to the inputs invalidates the preview
+  useEffect(() => {
+    setPreview(null)
+  }, [file, passphrase, mode])
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const selected = e.target.files?.[0]
+    if (!selected) return
+
+    try {
+      setFile(JSON.parse(await selected.text()))
+      setFileName(selected.name)
+    } catch {
+      setFile(null)
+      setFileName('')
+      toast.error('The selected file is not a SecureVault export')
+    }
+  }
+
+  const runImport = async (dryRun: boolean) => {
+    if (!file || !passphrase) return
+
+    try {
+      setIsWorking(true)
+      const result = await ApiClient.importVault({ file, passphrase, mode, dryRun })
+      if (dryRun) {
+        setPreview(result)
+        return
+      }
+      const { create, update } = result.summary
+      toast.success(`Imported ${create} new and ${update} replaced secret(s)`)
+      onImported()
+      onOpenChange(false)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to import vault')
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault()
+    runImport(preview === null)
+  }
+
+  const pendingChanges = preview ? preview.summary.create + preview.summary.update : 0
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-card border-border sm:max-w-[640px]">
+        <DialogHeader>
+          <DialogTitle className="text-2xl">Import Vault</DialogTitle>
+          <DialogDescription>
+            Restore secrets from an encrypted SecureVault export. Review the changes
+            before they are applied.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit}>
+          <div className="space-y-4 py-4">
+            <div className="space-y-2">
+              <Label htmlFor="import-file">Export File</Label>
+              <Input
+                id="import-file"
+                type="file"
+                accept="application/json,.json"
+                onChange={handleFileChange}
+                className="bg-muted/30 border-border/50"
+              />
+              {fileName && <p className="text-xs text-muted-foreground">{fileName}</p>}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="import-passphrase">Passphrase</Label>
+              <Input
+                id="import-passphrase"
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                autoComplete="off"
+                className="bg-muted/30 border-border/50 font-mono"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="import-mode">Existing Secrets</Label>
+              <Select value={mode} onValueChange={(value: ImportMode) => setMode(value)}>
+                <SelectTrigger id="import-mode" className="bg-muted/30 border-border/50">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-card border-border">
+                  {modes.map((m) => (
+                    <SelectItem key={m.value} value={m.value}>
+                      {m.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">
+                {modes.find((m) => m.value === mode)?.description}
+              </p>
+            </div>
+
+            {preview && (
+              <div className="space-y-2">
+                <p className="text-sm text-muted-foreground">
+                  {preview.summary.create} new, {preview.summary.update} replaced,{' '}
+                  {preview.summary.skip} skipped, {preview.summary.invalid} invalid
+                </p>
+                <ScrollArea className="h-56 rounded border border-border/50">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Title</TableHead>
+                        <TableHead>Change</TableHead>
+                        <TableHead>Details</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {preview.changes.map((change, index) => (
+                        <TableRow key={change.id ?? index}>
+                          <TableCell className="font-medium">{change.title || '(untitled)'}</TableCell>
+                          <TableCell>
+                            <Badge variant="outline" className={cn('text-xs border', actionStyles[change.action])}>
+                              {actionLabels[change.action]}
+                            </Badge>
+                          </TableCell>
+                          <TableCell className="text-xs text-muted-foreground">{change.reason}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </ScrollArea>
+              </div>
+            )}
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={!file || !passphrase || isWorking || (preview !== null && pendingChanges === 0)}
+              className="bg-accent text-accent-foreground hover:bg-accent/90"
+            >
+              {isWorking
+                ? 'Working...'
+                : preview
+                  ? `Import ${pendingChanges} change(s)`
+                  : 'Preview Import'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { TotpCode } from '@/lib/types'
+import { cn } from '@/lib/utils'
+
+interface LiveTotpCodeProps {
+  secretId: string
+}
+
+const RING_RADIUS = 9
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS
+
+// Split a code in the middle for readability: "123 456", "1234 5678"
+const formatCode = (code: string) => {
+  const half = Math.ceil(code.length / 2)
+  return `${code.slice(0, half)} ${code.slice(half)}`
+}
+
+// Current code of a TOTP secret with a ring counting down to the next one.
+// A new code is fetched from the backend whenever the current one runs out.
+export function LiveTotpCode({ secretId }: LiveTotpCodeProps) {
+  const [current, setCurrent] = useState<TotpCode | null>(null)
+  const [failed, setFailed] = useState(false)
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 250)
+    return () => clearInterval(timer)
+  }, [])
+
+  const expired = current === null || now >= current.validUntil
+
+  // Also re-run when a fetched code is already over (e.g. fetched right at the boundary)
+  useEffect(() => {
+    if (!expired || failed) return
+    let cancelled = false
+    ApiClient.getTotpCode(secretId)
+      .then((code) => {
+        if (!cancelled) setCurrent(code)
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [secretId, expired, failed, current?.validUntil])
+
+  if (failed) {
+    return <span className="text-muted-foreground">Code unavailable</span>
+  }
+  if (!current) {
+    return <span className="text-muted-foreground">••• •••</span>
+  }
+
+  const secondsLeft = Math.max(0, Math.ceil((current.validUntil - now) / 1000))
+  const fraction = Math.max(0, Math.min(1, (current.validUntil - now) / (current.period * 1000)))
+  const endingSoon = secondsLeft <= 5
+
+  return (
+    <span className="flex items-center justify-between gap-2">
+      <span className={cn('tracking-widest', endingSoon && 'text-yellow-400')}>{formatCode(current.code)}</span>
+      <span
+        className="relative inline-flex h-6 w-6 shrink-0 items-center justify-center"
+        role="timer"
+        aria-label={`${secondsLeft} seconds until the next code`}
+      >
+        <svg viewBox="0 0 24 24" className="absolute inset-0 -rotate-90">
+          <circle cx="12" cy="12" r={RING_RADIUS} fill="none" strokeWidth="2" className="stroke-muted" />
+          <circle
+            cx="12"
+            cy="12"
+            r={RING_RADIUS}
+            fill="none"
+            strokeWidth="2"
+            strokeLinecap="round"
+            strokeDasharray={RING_CIRCUMFERENCE}
+            strokeDashoffset={RING_CIRCUMFERENCE * (1 - fraction)}
+            className={cn('transition-[stroke-dashoffset] duration-200', endingSoon ? 'stroke-yellow-400' : 'stroke-accent')}
+          />
+        </svg>
+        <span className="relative text-[9px] text-muted-foreground">{secondsLeft}</span>
+      </span>
+    </span>
+  )
+}
@@ -0,0 +1,93 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { LockStatus } from '@/lib/types'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { LockKey } from '@phosphor-icons/react'
+
+interface LockScreenProps {
+  status: LockStatus
+  onUnlocked: (status: LockStatus) => void
+}
+
+// Shown instead of the vault while it is locked. The backend checks the password
+// and enforces the wait after repeated failures; this only counts it down.
+export function LockScreen({ status, onUnlocked }: LockScreenProps) {
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState<string | null>(null)
+  const [isUnlocking, setIsUnlocking] = useState(false)
+  const [retryAt, setRetryAt] = useState(() => Date.now() + status.retryAfterMs)
+  const [now, setNow] = useState(() => Date.now())
+
+  const waitSeconds = Math.ceil(Math.max(0, retryAt - now) / 1000)
+
+  useEffect(() => {
+    if (waitSeconds === 0) return
+    const timer = setInterval(() => setNow(Date.now()), 250)
+    return () => clearInterval(timer)
+  }, [waitSeconds])
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!password || waitSeconds > 0) return
+
+    try {
+      setIsUnlocking(true)
+      setError(null)
+      const unlocked = await ApiClient.unlock(password)
+      setPassword('')
+      onUnlocked(unlocked)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to unlock the vault')
+      setPassword('')
+      // Pick up the wait the backend imposes after repeated failures
+      const current = await ApiClient.getLockStatus().catch(() => null)
+      if (current) {
+        setRetryAt(Date.now() + current.retryAfterMs)
+        setNow(Date.now())
+      }
+    } finally {
+      setIsUnlocking(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-background text-foreground flex items-center justify-center">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm space-y-6 px-6">
+        <div className="text-center space-y-2">
+          <LockKey className="mx-auto text-accent" size={48} weight="duotone" aria-hidden="true" />
+          <h1 className="text-2xl font-bold tracking-tight">SecureVault is locked</h1>
+          <p className="text-sm text-muted-foreground">Enter your master password to unlock it.</p>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="master-password">Master Password</Label>
+          <Input
+            id="master-password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            autoFocus
+            disabled={waitSeconds > 0}
+            className="bg-muted/30 border-border/50 font-mono"
+          />
+          {waitSeconds > 0 ? (
+            <p className="text-sm text-destructive" role="alert">
+              Too many failed attempts. Try again in {waitSeconds}s.
+            </p>
+          ) : (
+            error && <p className="text-sm text-destructive" role="alert">{error}</p>
+          )}
+        </div>
+        <Button
+          type="submit"
+          disabled={!password || isUnlocking || waitSeconds > 0}
+          className="w-full bg-accent text-accent-foreground hover:bg-accent/90"
+        >
+          {isUnlocking ? 'Unlocking...' : 'Unlock'}
+        </Button>
+      </form>
+    </div>
+  )
+}
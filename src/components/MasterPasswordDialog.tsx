@@ -0,0 +1,193 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { LockStatus } from '@/lib/types'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { toast } from 'sonner'
+
+const MIN_PASSWORD_LENGTH = 8
+const MAX_AUTO_LOCK_MINUTES = 24 * 60
+
+interface MasterPasswordDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  status: LockStatus
+  onChanged: (status: LockStatus) => void
+}
+
+// Set, change or remove the master password and choose how long the vault may
+// stay idle before it locks itself
+export function MasterPasswordDialog({ open, onOpenChange, status, onChanged }: MasterPasswordDialogProps) {
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [autoLockMinutes, setAutoLockMinutes] = useState(String(status.autoLockMinutes))
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    setCurrentPassword('')
+    setNewPassword('')
+    setConfirmation('')
+    setAutoLockMinutes(String(status.autoLockMinutes))
+  }, [open, status.autoLockMinutes])
+
+  const minutes = Number(autoLockMinutes)
+  const minutesChanged = minutes !== status.autoLockMinutes
+  const minutesError =
+    !Number.isInteger(minutes) || minutes < 1 || minutes > MAX_AUTO_LOCK_MINUTES
+      ? `Enter a whole number of minutes from 1 to ${MAX_AUTO_LOCK_MINUTES}`
+      : null
+
+  const passwordError =
+    newPassword.length > 0 && newPassword.length < MIN_PASSWORD_LENGTH
+      ? `Use at least ${MIN_PASSWORD_LENGTH} characters`
+      : confirmation.length > 0 && confirmation !== newPassword
+        ? 'Passwords do not match'
+        : null
+
+  const changesPassword = newPassword.length > 0
+  const canSave =
+    !isSaving &&
+    !minutesError &&
+    (changesPassword
+      ? newPassword.length >= MIN_PASSWORD_LENGTH &&
+        confirmation === newPassword &&
+        (!status.enabled || currentPassword.length > 0)
+      : minutesChanged)
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!canSave) return
+
+    try {
+      setIsSaving(true)
+      let updated = status
+      if (changesPassword) {
+        updated = await ApiClient.setMasterPassword(status.enabled ? currentPassword : undefined, newPassword)
+      }
+      if (minutesChanged) {
+        updated = await ApiClient.updateLockSettings(minutes)
+      }
+      onChanged(updated)
+      toast.success(changesPassword ? 'Master password saved' : 'Lock settings saved')
+      onOpenChange(false)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to save the master password')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleRemove = async () => {
+    try {
+      setIsSaving(true)
+      onChanged(await ApiClient.setMasterPassword(currentPassword, null))
+      toast.success('Master password removed')
+      onOpenChange(false)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to remove the master password')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-card border-border sm:max-w-[500px]">
+        <DialogHeader>
+          <DialogTitle className="text-2xl">Master Password</DialogTitle>
+          <DialogDescription>
+            {status.enabled
+              ? 'SecureVault asks for this password when it starts and after it locks.'
+              : 'With a master password, SecureVault starts locked and locks itself when idle. It cannot be recovered if you forget it.'}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit}>
+          <div className="space-y-4 py-4">
+            {status.enabled && (
+              <div className="space-y-2">
+                <Label htmlFor="current-master-password">Current Password</Label>
+                <Input
+                  id="current-master-password"
+                  type="password"
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                  autoComplete="current-password"
+                  className="bg-muted/30 border-border/50 font-mono"
+                />
+              </div>
+            )}
+            <div className="space-y-2">
+              <Label htmlFor="new-master-password">{status.enabled ? 'New Password' : 'Password'}</Label>
+              <Input
+                id="new-master-password"
+                type="password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                autoComplete="new-password"
+                className="bg-muted/30 border-border/50 font-mono"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="confirm-master-password">Confirm Password</Label>
+              <Input
+                id="confirm-master-password"
+                type="password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                autoComplete="new-password"
+                className="bg-muted/30 border-border/50 font-mono"
+              />
+            </div>
+            {passwordError && <p className="text-sm text-destructive">{passwordError}</p>}
+            <div className="space-y-2">
+              <Label htmlFor="auto-lock-minutes">Lock after inactivity (minutes)</Label>
+              <Input
+                id="auto-lock-minutes"
+                type="number"
+                min={1}
+                max={MAX_AUTO_LOCK_MINUTES}
+                value={autoLockMinutes}
+                onChange={(e) => setAutoLockMinutes(e.target.value)}
+                className="bg-muted/30 border-border/50 w-32"
+              />
+              {minutesError && <p className="text-sm text-destructive">{minutesError}</p>}
+            </div>
+          </div>
+          <DialogFooter className="gap-2">
+            {status.enabled && (
+              <Button
+                type="button"
+                variant="outline"
+                onClick={handleRemove}
+                disabled={isSaving || currentPassword.length === 0}
+                className="sm:mr-auto text-destructive hover:text-destructive"
+              >
+                Remove Password
+              </Button>
+            )}
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={!canSave}
+              className="bg-accent text-accent-foreground hover:bg-accent/90"
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,270 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { GeneratedSecret, GeneratorMode, GeneratorOptions, GeneratorPreset } from '@/lib/types'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Checkbox } from '@/components/ui/checkbox'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { ArrowsClockwise, FloppyDisk, Trash } from '@phosphor-icons/react'
+import { toast } from 'sonner'
+import { cn } from '@/lib/utils'
+
+interface PasswordGeneratorProps {
+  // Called with each generated value so the dialog can use it
+  onGenerated: (value: string) => void
+}
+
+// Matches the server defaults
+const DEFAULT_OPTIONS: GeneratorOptions = {
+  mode: 'random',
+  length: 20,
+  lowercase: true,
+  uppercase: true,
+  digits: true,
+  symbols: true,
+  excludeLookAlikes: false,
+  words: 6,
+  separator: '-',
+  capitalize: false,
+  includeNumber: false,
+}
+
+const modes: { value: GeneratorMode; label: string }[] = [
+  { value: 'random', label: 'Random characters' },
+  { value: 'pronounceable', label: 'Pronounceable' },
+  { value: 'passphrase', label: 'Passphrase' },
+]
+
+const characterOptions: { key: keyof GeneratorOptions; label: string; modes: GeneratorMode[] }[] = [
+  { key: 'lowercase', label: 'a-z', modes: ['random'] },
+  { key: 'uppercase', label: 'A-Z', modes: ['random', 'pronounceable'] },
+  { key: 'digits', label: '0-9', modes: ['random', 'pronounceable'] },
+  { key: 'symbols', label: '!@#', modes: ['random'] },
+  { key: 'excludeLookAlikes', label: 'No look-alikes (Il1O0)', modes: ['random', 'pronounceable'] },
+  { key: 'capitalize', label: 'Capitalize', modes: ['passphrase'] },
+  { key: 'includeNumber', label: 'Add a number', modes: ['passphrase'] },
+]
+
+// Rough rating of an entropy estimate in bits
+const strengthOf = (bits: number): { label: string; className: string } => {
+  if (bits < 50) return { label: 'Weak', className: 'text-red-400' }
+  if (bits < 80) return { label: 'Fair', className: 'text-yellow-400' }
+  if (bits < 110) return { label: 'Strong', className: 'text-green-400' }
+  return { label: 'Very strong', className: 'text-green-400' }
+}
+
+export function PasswordGenerator({ onGenerated }: PasswordGeneratorProps) {
+  const [options, setOptions] = useState<GeneratorOptions>(DEFAULT_OPTIONS)
+  const [result, setResult] = useState<GeneratedSecret | null>(null)
+  const [presets, setPresets] = useState<GeneratorPreset[]>([])
+  const [presetName, setPresetName] = useState('')
+  const [isGenerating, setIsGenerating] = useState(false)
+
+  useEffect(() => {
+    ApiClient.getGeneratorPresets()
+      .then(setPresets)
+      .catch(() => setPresets([]))
+  }, [])
+
+  const generate = async (next: GeneratorOptions = options) => {
+    try {
+      setIsGenerating(true)
+      const generated = await ApiClient.generateSecret(next)
+      setResult(generated)
+      onGenerated(generated.value)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to generate a value')
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  const applyPreset = (id: string) => {
+    const preset = presets.find((p) => p.id === id)
+    if (!preset) return
+    setOptions(preset.options)
+    generate(preset.options)
+  }
+
+  const handleSavePreset = async () => {
+    try {
+      const preset = await ApiClient.createGeneratorPreset({ name: presetName.trim(), options })
+      setPresets((current) => [...current, preset])
+      setPresetName('')
+      toast.success(`Preset "${preset.name}" saved`)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to save preset')
+    }
+  }
+
+  const handleDeletePreset = async (preset: GeneratorPreset) => {
+    try {
+      await ApiClient.deleteGeneratorPreset(preset.id)
+      setPresets((current) => current.filter((p) => p.id !== preset.id))
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to delete preset')
+    }
+  }
+
+  const isPassphrase = options.mode === 'passphrase'
+  const strength = result ? strengthOf(result.entropyBits) : null
+
+  return (
+    <div className="space-y-3 rounded border border-border/50 bg-muted/10 p-3">
+      {presets.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="text-xs text-muted-foreground mr-1">Presets:</span>
+          {presets.map((preset) => (
+            <span key={preset.id} className="inline-flex items-center">
+              <Button
+                type="button"
+                size="sm"
+                variant="outline"
+                onClick={() => applyPreset(preset.id)}
+                className="h-7 rounded-r-none text-xs hover:bg-accent/10 hover:border-accent/30"
+              >
+                {preset.name}
+              </Button>
+              <Button
+                type="button"
+                size="icon"
+                variant="outline"
+                onClick={() => handleDeletePreset(preset)}
+                aria-label={`Delete preset ${preset.name}`}
+                className="h-7 w-7 rounded-l-none border-l-0 hover:bg-destructive/10 hover:text-destructive"
+              >
+                <Trash weight="bold" />
+              </Button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <div className="space-y-1">
+          <Label htmlFor="generator-mode">Type</Label>
+          <Select
+            value={options.mode}
+            onValueChange={(mode: GeneratorMode) => setOptions({ ...options, mode })}
+          >
+            <SelectTrigger id="generator-mode" className="bg-muted/30 border-border/50 h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bg-card border-border">
+              {modes.map((mode) => (
+                <SelectItem key={mode.value} value={mode.value}>
+                  {mode.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        {isPassphrase ? (
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1">
+              <Label htmlFor="generator-words">Words</Label>
+              <Input
+                id="generator-words"
+                type="number"
+                min={3}
+                max={12}
+                value={options.words}
+                onChange={(e) => setOptions({ ...options, words: Number(e.target.value) })}
+                className="bg-muted/30 border-border/50 h-8"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="generator-separator">Separator</Label>
+              <Input
+                id="generator-separator"
+                value={options.separator}
+                maxLength={3}
+                onChange={(e) => setOptions({ ...options, separator: e.target.value })}
+                className="bg-muted/30 border-border/50 h-8 font-mono"
+              />
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-1">
+            <Label htmlFor="generator-length">Length</Label>
+            <Input
+              id="generator-length"
+              type="number"
+              min={4}
+              max={128}
+              value={options.length}
+              onChange={(e) => setOptions({ ...options, length: Number(e.target.value) })}
+              className="bg-muted/30 border-border/50 h-8"
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-x-4 gap-y-2">
+        {characterOptions
+          .filter((option) => option.modes.includes(options.mode))
+          .map((option) => (
+            <label key={option.key} className="flex items-center gap-2 text-sm">
+              <Checkbox
+                checked={options[option.key] as boolean}
+                onCheckedChange={(checked) => setOptions({ ...options, [option.key]: checked === true })}
+              />
+              {option.label}
+            </label>
+          ))}
+      </div>
+
+      <div className="flex items-center justify-between gap-2">
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => generate()}
+          disabled={isGenerating}
+          className="hover:bg-accent/10 hover:border-accent/30"
+        >
+          <ArrowsClockwise className="mr-2" weight="bold" />
+          Generate
+        </Button>
+        {result && strength && (
+          <span className="text-xs text-muted-foreground">
+            ≈ {Math.round(result.entropyBits)} bits of entropy ·{' '}
+            <span className={cn('font-medium', strength.className)}>{strength.label}</span>
+          </span>
+        )}
+      </div>
+
+      {result && (
+        <p className="rounded bg-muted/30 px-3 py-2 font-mono text-sm break-all">{result.value}</p>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Input
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Preset name, e.g. Legacy DB"
+          aria-label="Preset name"
+          className="bg-muted/30 border-border/50 h-8"
+        />
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={handleSavePreset}
+          disabled={!presetName.trim()}
+          className="shrink-0 hover:bg-accent/10 hover:border-accent/30"
+        >
+          <FloppyDisk className="mr-2" weight="bold" />
+          Save preset
+        </Button>
+      </div>
+    </div>
+  )
+}
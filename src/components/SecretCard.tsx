@@ -1,5 +1,7 @@
-import { useState } from 'react'
-import { Secret } from '@/lib/types'
+import { useEffect, useState } from 'react'
+import { Category, Secret, Settings } from '@/lib/types'
+import { ApiClient } from '@/lib/api'
+import { copyWithAutoClear } from '@/lib/clipboard'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
@@ -13,51 +15,102 @@ import {
   AlertDialogHeader,
   AlertDialogTitle,
 } from '@/components/ui/alert-dialog'
-import { Eye, EyeSlash, Copy, PencilSimple, Trash, Check } from '@phosphor-icons/react'
+import { Eye, EyeSlash, Copy, PencilSimple, Trash, Check, ClockCounterClockwise } from '@phosphor-icons/react'
 import { toast } from 'sonner'
 import { motion } from 'framer-motion'
 import { cn } from '@/lib/utils'
+import { SecretHistoryDialog } from '@/components/SecretHistoryDialog'
+import { LiveTotpCode } from '@/components/LiveTotpCode'
+import { CertificateDetails } from '@/components/CertificateDetails'
+import { categoryColorClasses, categoryIcons, findCategory } from '@/lib/categories'
+import { describeReminder, nextReminder } from '@/lib/reminders'
 
 interface SecretCardProps {
   secret: Secret
+  categories: Category[]
+  // Title of the secret holding a certificate's private key
+  privateKeyTitle?: string
+  // Reveal auto-hide, clipboard clearing and delete confirmation
+  settings: Settings
   onEdit: (secret: Secret) => void
   onDelete: (id: string) => void
+  onRestored: (secret: Secret) => void
 }
 
-const categoryColors: Record<string, string> = {
-  password: 'bg-blue-500/10 text-blue-400 border-blue-500/20',
-  'api-key': 'bg-purple-500/10 text-purple-400 border-purple-500/20',
-  token: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/20',
-  certificate: 'bg-orange-500/10 text-orange-400 border-orange-500/20',
-  note: 'bg-green-500/10 text-green-400 border-green-500/20',
-  other: 'bg-gray-500/10 text-gray-400 border-gray-500/20',
-}
-
-const categoryLabels: Record<string, string> = {
-  password: 'Password',
-  'api-key': 'API Key',
-  token: 'Token',
-  certificate: 'Certificate',
-  note: 'Note',
-  other: 'Other',
-}
-
-export function SecretCard({ secret, onEdit, onDelete }: SecretCardProps) {
-  const [isRevealed, setIsRevealed] = useState(false)
+export function SecretCard({ secret, categories, privateKeyTitle, settings, onEdit, onDelete, onRestored }: SecretCardProps) {
+  const category = findCategory(categories, secret.category)
+  const CategoryIcon = categoryIcons[category.icon]
+  const reminder = nextReminder(secret)
+  // The value is only fetched while revealed and dropped again when hidden
+  const [revealedValue, setRevealedValue] = useState<string | null>(null)
+  const [isFetchingValue, setIsFetchingValue] = useState(false)
   const [isCopied, setIsCopied] = useState(false)
   const [showDeleteDialog, setShowDeleteDialog] = useState(false)
+  const [showHistory, setShowHistory] = useState(false)
+
+  const isRevealed = revealedValue !== null
+  // TOTP cards show the current code; the seed stays on the backend
+  const isTotp = secret.type === 'totp'
+
+  // Hide a revealed value again after the configured delay
+  useEffect(() => {
+    if (!isRevealed || settings.revealTimeoutSeconds === 0) return
+    const timer = setTimeout(() => setRevealedValue(null), settings.revealTimeoutSeconds * 1000)
+    return () => clearTimeout(timer)
+  }, [isRevealed, settings.revealTimeoutSeconds])
+
+  const handleToggleReveal = async () => {
+    if (isRevealed) {
+      setRevealedValue(null)
+      return
+    }
+
+    try {
+      setIsFetchingValue(true)
+      setRevealedValue(await ApiClient.getSecretValue(secret.id, 'reveal'))
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load secret value')
+    } finally {
+      setIsFetchingValue(false)
+    }
+  }
 
   const handleCopy = async () => {
+    let value: string
+    try {
+      setIsFetchingValue(true)
+      value = isTotp
+        ? (await ApiClient.getTotpCode(secret.id, 'copy')).code
+        : revealedValue ?? await ApiClient.getSecretValue(secret.id, 'copy')
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load secret value')
+      return
+    } finally {
+      setIsFetchingValue(false)
+    }
+
     try {
-      await navigator.clipboard.writeText(secret.value)
+      const willClear = await copyWithAutoClear(value, settings.clipboardClearSeconds)
       setIsCopied(true)
-      toast.success('Copied to clipboard')
+      toast.success('Copied to clipboard', {
+        description: settings.clipboardClearSeconds <= 0
+          ? undefined
+          : willClear
+            ? `It will be cleared in ${settings.clipboardClearSeconds}s`
+            : 'This browser does not let SecureVault clear it; clear it yourself when done',
+      })
       setTimeout(() => setIsCopied(false), 2000)
     } catch (error) {
       toast.error('Failed to copy to clipboard')
     }
   }
 
+  const handleRestored = (restored: Secret) => {
+    // The revealed value may be stale now
+    setRevealedValue(null)
+    onRestored(restored)
+  }
+
   const handleDelete = () => {
     onDelete(secret.id)
     setShowDeleteDialog(false)
@@ -73,9 +126,10 @@ export function SecretCard({ secret, onEdit, onDelete }: SecretCardProps) {
             </CardTitle>
             <Badge
               variant="outline"
-              className={cn('text-xs border', categoryColors[secret.category])}
+              className={cn('text-xs border', categoryColorClasses[category.color])}
             >
-              {categoryLabels[secret.category]}
+              <CategoryIcon weight="bold" />
+              {category.label}
             </Badge>
           </div>
         </CardHeader>
@@ -83,25 +137,33 @@ export function SecretCard({ secret, onEdit, onDelete }: SecretCardProps) {
           <div className="space-y-2">
             <div className="flex items-center gap-2">
               <div className="flex-1 bg-muted/30 rounded px-3 py-2 font-mono text-sm overflow-hidden">
-                {isRevealed ? (
-                  <span className="break-all">{secret.value}</span>
+                {isTotp ? (
+                  <LiveTotpCode secretId={secret.id} />
+                ) : isRevealed ? (
+                  <span className="break-all">{revealedValue}</span>
                 ) : (
                   <span className="text-muted-foreground">••••••••••••</span>
                 )}
               </div>
-              <Button
-                size="icon"
-                variant="ghost"
-                onClick={() => setIsRevealed(!isRevealed)}
-                className="shrink-0 hover:bg-accent/10 hover:text-accent"
-              >
-                {isRevealed ? <EyeSlash weight="bold" /> : <Eye weight="bold" />}
-              </Button>
+              {!isTotp && (
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  onClick={handleToggleReveal}
+                  disabled={isFetchingValue}
+                  aria-label={isRevealed ? 'Hide value' : 'Reveal value'}
+                  className="shrink-0 hover:bg-accent/10 hover:text-accent"
+                >
+                  {isRevealed ? <EyeSlash weight="bold" /> : <Eye weight="bold" />}
+                </Button>
+              )}
               <motion.div whileTap={{ scale: 0.95 }}>
                 <Button
                   size="icon"
                   variant="ghost"
                   onClick={handleCopy}
+                  disabled={isFetchingValue}
+                  aria-label={isTotp ? 'Copy code' : 'Copy value'}
                   className="shrink-0 hover:bg-accent/10 hover:text-accent"
                 >
                   {isCopied ? (
@@ -113,18 +175,56 @@ export function SecretCard({ secret, onEdit, onDelete }: SecretCardProps) {
               </motion.div>
             </div>
             
+            {isTotp && (secret.totp?.issuer || secret.totp?.account) && (
+              <p className="text-xs text-muted-foreground">
+                {[secret.totp.issuer, secret.totp.account].filter(Boolean).join(' · ')}
+              </p>
+            )}
+
+            {secret.certificate && (
+              <CertificateDetails secret={secret} privateKeyTitle={privateKeyTitle} />
+            )}
+
             {secret.notes && (
               <p className="text-xs text-muted-foreground line-clamp-2">
                 {secret.notes}
               </p>
             )}
+
+            {secret.tags && secret.tags.length > 0 && (
+              <div className="flex flex-wrap gap-1">
+                {secret.tags.map((tag) => (
+                  <Badge key={tag} variant="outline" className="text-xs text-muted-foreground">
+                    #{tag}
+                  </Badge>
+                ))}
+              </div>
+            )}
           </div>
 
           <div className="flex items-center justify-between pt-2 border-t border-border/30">
-            <span className="text-xs text-muted-foreground">
+            <span className="flex items-center gap-2 text-xs text-muted-foreground">
               {new Date(secret.updatedAt).toLocaleDateString()}
+              {reminder && (
+                <Badge
+                  variant="outline"
+                  title={new Date(reminder.dueAt).toLocaleDateString()}
+                  className={cn('text-xs border', categoryColorClasses[reminder.overdue ? 'red' : 'yellow'])}
+                >
+                  {describeReminder(reminder)}
+                </Badge>
+              )}
             </span>
             <div className="flex gap-1">
+              <Button
+                size="icon"
+                variant="ghost"
+                onClick={() => setShowHistory(true)}
+                aria-label="Show history"
+                className="h-8 w-8 hover:bg-accent/10 hover:text-accent"
+              >
+                <ClockCounterClockwise weight="bold" />
+              </Button>
               <Button
                 size="icon"
                 variant="ghost"
@@ -136,7 +236,7 @@ export function SecretCard({ secret, onEdit, onDelete }: SecretCardProps) {
               <Button
                 size="icon"
                 variant="ghost"
-                onClick={() => setShowDeleteDialog(true)}
+                onClick={() => (settings.confirmDelete ? setShowDeleteDialog(true) : onDelete(secret.id))}
                 className="h-8 w-8 hover:bg-destructive/10 hover:text-destructive"
               >
                 <Trash weight="bold" />
@@ -146,13 +246,21 @@ export function SecretCard({ secret, onEdit, onDelete }: SecretCardProps) {
         </CardContent>
       </Card>
 
+      <SecretHistoryDialog
+        secret={secret}
+        categories={categories}
+        open={showHistory}
+        onOpenChange={setShowHistory}
+        onRestored={handleRestored}
+      />
+
       <AlertDialog open={showDeleteDialog} onOpenChange={setShowDeleteDialog}>
         <AlertDialogContent className="bg-card border-border">
           <AlertDialogHeader>
-            <AlertDialogTitle>Delete Secret</AlertDialogTitle>
+            <AlertDialogTitle>Move to Trash</AlertDialogTitle>
             <AlertDialogDescription>
-              Are you sure you want to delete "{secret.title}"? This action cannot be
-              undone.
+              Move "{secret.title}" to the trash? You can restore it from the trash until
+              it is deleted permanently.
             </AlertDialogDescription>
           </AlertDialogHeader>
           <AlertDialogFooter>
@@ -161,7 +269,7 @@ export function SecretCard({ secret, onEdit, onDelete }: SecretCardProps) {
               onClick={handleDelete}
               className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
             >
-              Delete
+              Move to Trash
             </AlertDialogAction>
           </AlertDialogFooter>
         </AlertDialogContent>
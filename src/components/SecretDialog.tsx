@@ -1,5 +1,5 @@
 import { useEffect, useState } from 'react'
-import { Secret, SecretCategory, SecretFormData } from '@/lib/types'
+import { Category, Secret, SecretCategory, SecretFormData, SecretType, TotpAlgorithm } from '@/lib/types'
 import {
   Dialog,
   DialogContent,
@@ -19,6 +19,11 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select'
+import { TagInput } from '@/components/TagInput'
+import { PasswordGenerator } from '@/components/PasswordGenerator'
+import { MagicWand } from '@phosphor-icons/react'
+import { categoryIcons } from '@/lib/categories'
+import { fromDateInputValue, toDateInputValue } from '@/lib/reminders'
 
 interface SecretDialogProps {
   open: boolean
@@ -26,16 +31,29 @@ interface SecretDialogProps {
   onSubmit: (data: SecretFormData) => void
   initialData?: Secret
   mode: 'add' | 'edit'
+  categories: Category[]
+  // Tags used across the vault, offered as suggestions
+  existingTags: string[]
+  // Secrets a certificate can be paired with as its private key
+  secrets: Secret[]
+  // Category new secrets start in (from the settings)
+  defaultCategory: string
 }
 
-const categories: { value: SecretCategory; label: string }[] = [
-  { value: 'password', label: 'Password' },
-  { value: 'api-key', label: 'API Key' },
-  { value: 'token', label: 'Token' },
-  { value: 'certificate', label: 'Certificate' },
-  { value: 'note', label: 'Note' },
-  { value: 'other', label: 'Other' },
-]
+// Matches the server default for secrets without their own limit
+const DEFAULT_HISTORY_LIMIT = 10
+const MAX_HISTORY_LIMIT = 100
+const MAX_ROTATE_EVERY_DAYS = 3650
+// Matches the server defaults for TOTP secrets
+const DEFAULT_TOTP = { digits: 6, period: 30, algorithm: 'SHA1' as TotpAlgorithm }
+const TOTP_ALGORITHMS: TotpAlgorithm[] = ['SHA1', 'SHA256', 'SHA512']
+
+const isOtpauthUri = (value: string) => value.trim().toLowerCase().startsWith('otpauth://')
+
+// Values in this category are parsed as certificates by the backend
+const CERTIFICATE_CATEGORY = 'certificate'
+// Select items cannot have an empty value
+const NO_PRIVATE_KEY = 'none'
 
 export function SecretDialog({
   open,
@@ -43,41 +61,88 @@ export function SecretDialog({
   onSubmit,
   initialData,
   mode,
+  categories,
+  existingTags,
+  secrets,
+  defaultCategory: preferredCategory,
 }: SecretDialogProps) {
+  // New secrets start in the default category while it exists, then as passwords
+  const defaultCategory = categories.some((c) => c.id === preferredCategory)
+    ? preferredCategory
+    : categories.some((c) => c.id === 'password') ? 'password' : categories[0]?.id ?? ''
+
   const [formData, setFormData] = useState<SecretFormData>({
     title: '',
     value: '',
-    category: 'password',
+    category: defaultCategory,
     notes: '',
+    tags: [],
+    historyLimit: DEFAULT_HISTORY_LIMIT,
+    expiresAt: null,
+    rotateEveryDays: null,
+    type: 'generic',
+    totp: DEFAULT_TOTP,
+    privateKeyId: null,
   })
+  const [showGenerator, setShowGenerator] = useState(false)
 
   useEffect(() => {
+    setShowGenerator(false)
     if (initialData) {
       setFormData({
         title: initialData.title,
-        value: initialData.value,
+        // The stored value is not loaded into the form; leaving it blank keeps it
+        value: '',
         category: initialData.category,
         notes: initialData.notes || '',
+        tags: initialData.tags ?? [],
+        historyLimit: initialData.historyLimit ?? DEFAULT_HISTORY_LIMIT,
+        expiresAt: initialData.expiresAt ?? null,
+        rotateEveryDays: initialData.rotateEveryDays ?? null,
+        type: initialData.type ?? 'generic',
+        totp: initialData.totp
+          ? { digits: initialData.totp.digits, period: initialData.totp.period, algorithm: initialData.totp.algorithm }
+          : DEFAULT_TOTP,
+        privateKeyId: initialData.privateKeyId ?? null,
       })
     } else {
       setFormData({
         title: '',
         value: '',
-        category: 'password',
+        category: defaultCategory,
         notes: '',
+        tags: [],
+        historyLimit: DEFAULT_HISTORY_LIMIT,
+        expiresAt: null,
+        rotateEveryDays: null,
+        type: 'generic',
+        totp: DEFAULT_TOTP,
+        privateKeyId: null,
       })
     }
-  }, [initialData, open])
+  }, [initialData, open, defaultCategory])
+
+  const isTotp = formData.type === 'totp'
+  const totp = formData.totp ?? DEFAULT_TOTP
+  const isCertificate = formData.category === CERTIFICATE_CATEGORY && !isTotp
+  const privateKeyCandidates = secrets.filter(
+    (s) => s.id !== initialData?.id && s.category !== CERTIFICATE_CATEGORY && s.type !== 'totp'
+  )
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault()
-    if (!formData.title.trim() || !formData.value.trim()) return
-    onSubmit(formData)
+    if (!formData.title.trim()) return
+    if (mode === 'add' && !formData.value.trim()) return
+    if (!Number.isInteger(formData.historyLimit)) return
+    // TOTP settings only apply to TOTP secrets, and an otpauth:// URI brings its own
+    const data = isTotp && !isOtpauthUri(formData.value) ? formData : { ...formData, totp: undefined }
+    // Only certificates are paired with a private key
+    onSubmit(isCertificate ? data : { ...data, privateKeyId: undefined })
   }
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent className="bg-card border-border sm:max-w-[500px]">
+      <DialogContent className="bg-card border-border sm:max-w-[500px] max-h-[90vh] overflow-y-auto">
         <DialogHeader>
           <DialogTitle className="text-2xl">
             {mode === 'add' ? 'Add New Secret' : 'Edit Secret'}
@@ -103,6 +168,26 @@ export function SecretDialog({
                 className="bg-muted/30 border-border/50"
               />
             </div>
+            {mode === 'add' && (
+              <div className="space-y-2">
+                <Label htmlFor="type">Type</Label>
+                <Select
+                  value={formData.type}
+                  onValueChange={(type: SecretType) => {
+                    setShowGenerator(false)
+                    setFormData({ ...formData, type })
+                  }}
+                >
+                  <SelectTrigger id="type" className="bg-muted/30 border-border/50">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-card border-border">
+                    <SelectItem value="generic">Secret value</SelectItem>
+                    <SelectItem value="totp">Two-factor code (TOTP)</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
             <div className="space-y-2">
               <Label htmlFor="category">Category</Label>
               <Select
@@ -115,16 +200,40 @@ export function SecretDialog({
                   <SelectValue placeholder="Select a category" />
                 </SelectTrigger>
                 <SelectContent className="bg-card border-border">
-                  {categories.map((cat) => (
-                    <SelectItem key={cat.value} value={cat.value}>
-                      {cat.label}
-                    </SelectItem>
-                  ))}
+                  {categories.map((cat) => {
+                    const CategoryIcon = categoryIcons[cat.icon]
+                    return (
+                      <SelectItem key={cat.id} value={cat.id}>
+                        <CategoryIcon weight="bold" />
+                        {cat.label}
+                      </SelectItem>
+                    )
+                  })}
                 </SelectContent>
               </Select>
             </div>
             <div className="space-y-2">
-              <Label htmlFor="value">Secret Value</Label>
+              <div className="flex items-center justify-between">
+                <Label htmlFor="value">{isTotp ? 'Seed or otpauth:// URI' : 'Secret Value'}</Label>
+                {!isTotp && (
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setShowGenerator((shown) => !shown)}
+                    aria-expanded={showGenerator}
+                    className="h-7 text-xs hover:bg-accent/10 hover:text-accent"
+                  >
+                    <MagicWand className="mr-1" weight="bold" />
+                    Generate
+                  </Button>
+                )}
+              </div>
+              {showGenerator && (
+                <PasswordGenerator
+                  onGenerated={(value) => setFormData((current) => ({ ...current, value }))}
+                />
+              )}
               <Input
                 id="value"
                 type="password"
@@ -132,11 +241,110 @@ export function SecretDialog({
                 onChange={(e) =>
                   setFormData({ ...formData, value: e.target.value })
                 }
-                placeholder="Enter your secret"
-                required
+                placeholder={
+                  mode === 'edit'
+                    ? 'Leave blank to keep the current value'
+                    : isTotp
+                      ? 'JBSWY3DPEHPK3PXP or otpauth://totp/...'
+                      : 'Enter your secret'
+                }
+                required={mode === 'add'}
                 className="bg-muted/30 border-border/50 font-mono"
               />
+              {isCertificate && (
+                <p className="text-xs text-muted-foreground">
+                  PEM certificate or chain (leaf first), or base64-encoded DER.
+                </p>
+              )}
             </div>
+            {isCertificate && (
+              <div className="space-y-2">
+                <Label htmlFor="privateKeyId">Private Key (Optional)</Label>
+                <Select
+                  value={formData.privateKeyId ?? NO_PRIVATE_KEY}
+                  onValueChange={(value) =>
+                    setFormData({ ...formData, privateKeyId: value === NO_PRIVATE_KEY ? null : value })
+                  }
+                >
+                  <SelectTrigger id="privateKeyId" className="bg-muted/30 border-border/50">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-card border-border">
+                    <SelectItem value={NO_PRIVATE_KEY}>Not paired</SelectItem>
+                    {privateKeyCandidates.map((candidate) => (
+                      <SelectItem key={candidate.id} value={candidate.id}>
+                        {candidate.title}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-muted-foreground">
+                  The secret holding this certificate's private key, so the two can be checked against each other.
+                </p>
+              </div>
+            )}
+            {isTotp && (
+              <div className="space-y-2">
+                <div className="grid grid-cols-3 gap-2">
+                  <div className="space-y-1">
+                    <Label htmlFor="totp-digits">Digits</Label>
+                    <Select
+                      value={String(totp.digits)}
+                      onValueChange={(digits) => setFormData({ ...formData, totp: { ...totp, digits: Number(digits) } })}
+                      disabled={isOtpauthUri(formData.value)}
+                    >
+                      <SelectTrigger id="totp-digits" className="bg-muted/30 border-border/50">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-card border-border">
+                        {[6, 7, 8].map((digits) => (
+                          <SelectItem key={digits} value={String(digits)}>
+                            {digits}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="totp-period">Period (s)</Label>
+                    <Input
+                      id="totp-period"
+                      type="number"
+                      min={1}
+                      max={300}
+                      value={totp.period}
+                      onChange={(e) => setFormData({ ...formData, totp: { ...totp, period: Number(e.target.value) } })}
+                      disabled={isOtpauthUri(formData.value)}
+                      className="bg-muted/30 border-border/50"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="totp-algorithm">Algorithm</Label>
+                    <Select
+                      value={totp.algorithm}
+                      onValueChange={(algorithm: TotpAlgorithm) => setFormData({ ...formData, totp: { ...totp, algorithm } })}
+                      disabled={isOtpauthUri(formData.value)}
+                    >
+                      <SelectTrigger id="totp-algorithm" className="bg-muted/30 border-border/50">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-card border-border">
+                        {TOTP_ALGORITHMS.map((algorithm) => (
+                          <SelectItem key={algorithm} value={algorithm}>
+                            {algorithm}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  {isOtpauthUri(formData.value)
+                    ? 'Digits, period and algorithm are taken from the URI.'
+                    : 'Most services use 6 digits, 30 seconds and SHA1.'}
+                </p>
+              </div>
+            )}
             <div className="space-y-2">
               <Label htmlFor="notes">Notes (Optional)</Label>
               <Textarea
@@ -150,6 +358,70 @@ export function SecretDialog({
                 rows={3}
               />
             </div>
+            <div className="space-y-2">
+              <Label htmlFor="tags">Tags (Optional)</Label>
+              <TagInput
+                id="tags"
+                tags={formData.tags ?? []}
+                onChange={(tags) => setFormData((current) => ({ ...current, tags }))}
+                suggestions={existingTags}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="expiresAt">Expires On (Optional)</Label>
+                <Input
+                  id="expiresAt"
+                  type="date"
+                  value={formData.expiresAt ? toDateInputValue(formData.expiresAt) : ''}
+                  onChange={(e) =>
+                    setFormData({ ...formData, expiresAt: fromDateInputValue(e.target.value) })
+                  }
+                  className="bg-muted/30 border-border/50"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="rotateEveryDays">Rotate Every (Days)</Label>
+                <Input
+                  id="rotateEveryDays"
+                  type="number"
+                  min={1}
+                  max={MAX_ROTATE_EVERY_DAYS}
+                  step={1}
+                  value={formData.rotateEveryDays ?? ''}
+                  onChange={(e) =>
+                    setFormData({
+                      ...formData,
+                      rotateEveryDays: e.target.value === '' ? null : Number(e.target.value),
+                    })
+                  }
+                  placeholder="Never"
+                  className="bg-muted/30 border-border/50"
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="historyLimit">Versions to Keep</Label>
+              <Input
+                id="historyLimit"
+                type="number"
+                min={0}
+                max={MAX_HISTORY_LIMIT}
+                step={1}
+                value={formData.historyLimit ?? ''}
+                onChange={(e) =>
+                  setFormData({
+                    ...formData,
+                    historyLimit: e.target.value === '' ? undefined : Number(e.target.value),
+                  })
+                }
+                required
+                className="bg-muted/30 border-border/50 w-28"
+              />
+              <p className="text-xs text-muted-foreground">
+                Previous values and details kept in the secret's history. 0 turns history off.
+              </p>
+            </div>
           </div>
           <DialogFooter>
             <Button
@@ -0,0 +1,164 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { Category, Secret, SecretVersion } from '@/lib/types'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { Eye, EyeSlash, ArrowCounterClockwise } from '@phosphor-icons/react'
+import { toast } from 'sonner'
+import { findCategory } from '@/lib/categories'
+
+interface SecretHistoryDialogProps {
+  secret: Secret
+  categories: Category[]
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  onRestored: (secret: Secret) => void
+}
+
+const fieldLabels: Record<SecretVersion['changed'][number], string> = {
+  value: 'Value',
+  title: 'Title',
+  category: 'Category',
+  notes: 'Notes',
+  tags: 'Tags',
+}
+
+export function SecretHistoryDialog({ secret, categories, open, onOpenChange, onRestored }: SecretHistoryDialogProps) {
+  const [versions, setVersions] = useState<SecretVersion[] | null>(null)
+  // Values of revealed versions; dropped when hidden or when the dialog closes
+  const [revealed, setRevealed] = useState<Record<number, string>>({})
+  const [busyVersion, setBusyVersion] = useState<number | null>(null)
+
+  useEffect(() => {
+    setRevealed({})
+    if (!open) {
+      setVersions(null)
+      return
+    }
+
+    ApiClient.getSecretVersions(secret.id)
+      .then(setVersions)
+      .catch((err) => {
+        toast.error(err instanceof Error ? err.message : 'Failed to load history')
+        setVersions([])
+      })
+  }, [open, secret.id, secret.updatedAt])
+
+  const handleToggleReveal = async (version: number) => {
+    if (version in revealed) {
+      setRevealed(({ [version]: _hidden, ...rest }) => rest)
+      return
+    }
+
+    try {
+      setBusyVersion(version)
+      const value = await ApiClient.getSecretVersionValue(secret.id, version)
+      setRevealed((current) => ({ ...current, [version]: value }))
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to load version value')
+    } finally {
+      setBusyVersion(null)
+    }
+  }
+
+  const handleRestore = async (version: number) => {
+    try {
+      setBusyVersion(version)
+      const restored = await ApiClient.restoreSecretVersion(secret.id, version)
+      toast.success(`Restored version ${version}`)
+      onRestored(restored)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to restore version')
+    } finally {
+      setBusyVersion(null)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-card border-border sm:max-w-[600px]">
+        <DialogHeader>
+          <DialogTitle className="text-2xl">History</DialogTitle>
+          <DialogDescription>
+            Previous versions of "{secret.title}", newest first. Restoring a version keeps
+            the current one in the history.
+          </DialogDescription>
+        </DialogHeader>
+
+        {versions === null ? (
+          <p className="py-6 text-sm text-muted-foreground">Loading history...</p>
+        ) : versions.length === 0 ? (
+          <p className="py-6 text-sm text-muted-foreground">No previous versions yet.</p>
+        ) : (
+          <ScrollArea className="max-h-[60vh] pr-3">
+            <ol className="space-y-3 py-2">
+              {versions.map((version) => (
+                <li key={version.version} className="rounded border border-border/50 p-3 space-y-2">
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <p className="font-medium">{version.title}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {findCategory(categories, version.category).label}
+                        {version.tags && version.tags.length > 0 && ` · ${version.tags.join(', ')}`} · replaced {new Date(version.savedAt).toLocaleString()}
+                      </p>
+                    </div>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleRestore(version.version)}
+                      disabled={busyVersion !== null}
+                      className="hover:bg-accent/10 hover:border-accent/30"
+                    >
+                      <ArrowCounterClockwise className="mr-2" weight="bold" />
+                      Restore
+                    </Button>
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {version.changed.map((field) => (
+                      <Badge key={field} variant="outline" className="text-xs">
+                        {fieldLabels[field]} changed
+                      </Badge>
+                    ))}
+                  </div>
+                  {/* The server keeps TOTP seeds to itself, current and previous alike */}
+                  {secret.type !== 'totp' && (
+                    <div className="flex items-center gap-2">
+                      <div className="flex-1 bg-muted/30 rounded px-3 py-2 font-mono text-sm overflow-hidden">
+                        {version.version in revealed ? (
+                          <span className="break-all">{revealed[version.version]}</span>
+                        ) : (
+                          <span className="text-muted-foreground">••••••••••••</span>
+                        )}
+                      </div>
+                      <Button
+                        size="icon"
+                        variant="ghost"
+                        onClick={() => handleToggleReveal(version.version)}
+                        disabled={busyVersion !== null}
+                        aria-label={version.version in revealed ? 'Hide value' : 'Reveal value'}
+                        className="shrink-0 hover:bg-accent/10 hover:text-accent"
+                      >
+                        {version.version in revealed ? <EyeSlash weight="bold" /> : <Eye weight="bold" />}
+                      </Button>
+                    </div>
+                  )}
+                  {version.notes && (
+                    <p className="text-xs text-muted-foreground whitespace-pre-wrap">{version.notes}</p>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </ScrollArea>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,189 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { categoryIcons } from '@/lib/categories'
+import { MAX_DELAY_SECONDS } from '@/lib/settings'
+import { Category, LockStatus, Settings } from '@/lib/types'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Key } from '@phosphor-icons/react'
+import { toast } from 'sonner'
+
+interface SettingsDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  settings: Settings
+  categories: Category[]
+  lockStatus: LockStatus | null
+  onSaved: (settings: Settings) => void
+  onOpenMasterPassword: () => void
+}
+
+const delayError = (value: string) => {
+  const seconds = Number(value)
+  return value.trim() === '' || !Number.isInteger(seconds) || seconds < 0 || seconds > MAX_DELAY_SECONDS
+    ? `Enter a whole number of seconds from 0 to ${MAX_DELAY_SECONDS}`
+    : null
+}
+
+export function SettingsDialog({
+  open,
+  onOpenChange,
+  settings,
+  categories,
+  lockStatus,
+  onSaved,
+  onOpenMasterPassword,
+}: SettingsDialogProps) {
+  const [revealTimeout, setRevealTimeout] = useState(String(settings.revealTimeoutSeconds))
+  const [clipboardClear, setClipboardClear] = useState(String(settings.clipboardClearSeconds))
+  const [defaultCategory, setDefaultCategory] = useState(settings.defaultCategory)
+  const [confirmDelete, setConfirmDelete] = useState(settings.confirmDelete)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (!open) return
+    setRevealTimeout(String(settings.revealTimeoutSeconds))
+    setClipboardClear(String(settings.clipboardClearSeconds))
+    setDefaultCategory(settings.defaultCategory)
+    setConfirmDelete(settings.confirmDelete)
+  }, [open, settings])
+
+  const revealError = delayError(revealTimeout)
+  const clipboardError = delayError(clipboardClear)
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (revealError || clipboardError) return
+
+    try {
+      setIsSaving(true)
+      const saved = await ApiClient.updateSettings({
+        revealTimeoutSeconds: Number(revealTimeout),
+        clipboardClearSeconds: Number(clipboardClear),
+        defaultCategory,
+        confirmDelete,
+      })
+      onSaved(saved)
+      toast.success('Settings saved')
+      onOpenChange(false)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to save settings')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-card border-border sm:max-w-[500px]">
+        <DialogHeader>
+          <DialogTitle className="text-2xl">Settings</DialogTitle>
+          <DialogDescription>Saved with the vault, so the CLI uses them too.</DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit}>
+          <div className="space-y-4 py-4">
+            <div className="space-y-2">
+              <Label htmlFor="reveal-timeout">Hide revealed values after (seconds)</Label>
+              <Input
+                id="reveal-timeout"
+                type="number"
+                min={0}
+                max={MAX_DELAY_SECONDS}
+                value={revealTimeout}
+                onChange={(e) => setRevealTimeout(e.target.value)}
+                className="bg-muted/30 border-border/50 w-32"
+              />
+              <p className="text-xs text-muted-foreground">0 keeps them visible until you hide them.</p>
+              {revealError && <p className="text-sm text-destructive">{revealError}</p>}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="clipboard-clear">Clear copied values after (seconds)</Label>
+              <Input
+                id="clipboard-clear"
+                type="number"
+                min={0}
+                max={MAX_DELAY_SECONDS}
+                value={clipboardClear}
+                onChange={(e) => setClipboardClear(e.target.value)}
+                className="bg-muted/30 border-border/50 w-32"
+              />
+              <p className="text-xs text-muted-foreground">
+                Only cleared if the clipboard still holds the copied value, and only in browsers that let
+                SecureVault read the clipboard. 0 never clears it.
+              </p>
+              {clipboardError && <p className="text-sm text-destructive">{clipboardError}</p>}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="default-category">Default category for new secrets</Label>
+              <Select value={defaultCategory} onValueChange={setDefaultCategory}>
+                <SelectTrigger id="default-category" className="bg-muted/30 border-border/50">
+                  <SelectValue placeholder="Select a category" />
+                </SelectTrigger>
+                <SelectContent className="bg-card border-border">
+                  {categories.map((cat) => {
+                    const CategoryIcon = categoryIcons[cat.icon]
+                    return (
+                      <SelectItem key={cat.id} value={cat.id}>
+                        <CategoryIcon weight="bold" />
+                        {cat.label}
+                      </SelectItem>
+                    )
+                  })}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <Label htmlFor="confirm-delete">Ask before moving a secret to the trash</Label>
+              <Switch id="confirm-delete" checked={confirmDelete} onCheckedChange={setConfirmDelete} />
+            </div>
+            {lockStatus && (
+              <div className="flex items-center justify-between gap-4 border-t border-border/50 pt-4">
+                <div>
+                  <p className="text-sm font-medium">Master password</p>
+                  <p className="text-xs text-muted-foreground">
+                    {lockStatus.enabled
+                      ? `Set; locks after ${lockStatus.autoLockMinutes} min of inactivity`
+                      : 'Not set'}
+                  </p>
+                </div>
+                <Button type="button" variant="outline" size="sm" onClick={onOpenMasterPassword}>
+                  <Key weight="bold" />
+                  {lockStatus.enabled ? 'Change' : 'Set Password'}
+                </Button>
+              </div>
+            )}
+          </div>
+          <DialogFooter className="gap-2">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={isSaving || !!revealError || !!clipboardError}
+              className="bg-accent text-accent-foreground hover:bg-accent/90"
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
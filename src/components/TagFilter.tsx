@@ -0,0 +1,45 @@
+import { Button } from '@/components/ui/button'
+import { Tag } from '@phosphor-icons/react'
+import { cn } from '@/lib/utils'
+
+interface TagFilterProps {
+  tags: string[]
+  selected: string[]
+  onChange: (selected: string[]) => void
+}
+
+// Tag chips; a secret must have every selected tag to be shown
+export function TagFilter({ tags, selected, onChange }: TagFilterProps) {
+  if (tags.length === 0) return null
+
+  const toggle = (tag: string) =>
+    onChange(selected.includes(tag) ? selected.filter((t) => t !== tag) : [...selected, tag])
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap">
+      <Tag className="text-muted-foreground hidden md:block" weight="duotone" />
+      {tags.map((tag) => (
+        <Button
+          key={tag}
+          variant="outline"
+          size="sm"
+          onClick={() => toggle(tag)}
+          aria-pressed={selected.includes(tag)}
+          className={cn(
+            'h-7 rounded-full px-3 text-xs transition-all',
+            selected.includes(tag)
+              ? 'bg-accent text-accent-foreground border-accent hover:bg-accent/90'
+              : 'hover:bg-accent/10 hover:border-accent/30'
+          )}
+        >
+          {tag}
+        </Button>
+      ))}
+      {selected.length > 0 && (
+        <Button variant="ghost" size="sm" onClick={() => onChange([])} className="h-7 text-xs">
+          Clear
+        </Button>
+      )}
+    </div>
+  )
+}
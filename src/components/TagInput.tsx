@@ -0,0 +1,92 @@
+import { useState } from 'react'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { X } from '@phosphor-icons/react'
+import { normalizeTag } from '@/lib/search'
+
+interface TagInputProps {
+  id?: string
+  tags: string[]
+  onChange: (tags: string[]) => void
+  // Tags already used by other secrets, offered as suggestions
+  suggestions: string[]
+}
+
+const MAX_SUGGESTIONS = 6
+
+export function TagInput({ id, tags, onChange, suggestions }: TagInputProps) {
+  const [draft, setDraft] = useState('')
+
+  const addTag = (tag: string) => {
+    const normalized = normalizeTag(tag)
+    if (normalized && !tags.includes(normalized)) {
+      onChange([...tags, normalized])
+    }
+    setDraft('')
+  }
+
+  const removeTag = (tag: string) => onChange(tags.filter((t) => t !== tag))
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter' || e.key === ',' || e.key === ' ') {
+      // Enter would otherwise submit the surrounding form
+      e.preventDefault()
+      addTag(draft)
+    } else if (e.key === 'Backspace' && draft === '' && tags.length > 0) {
+      removeTag(tags[tags.length - 1])
+    }
+  }
+
+  const query = normalizeTag(draft)
+  const matches = query
+    ? suggestions.filter((tag) => tag.includes(query) && !tags.includes(tag)).slice(0, MAX_SUGGESTIONS)
+    : []
+
+  return (
+    <div className="space-y-2">
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {tags.map((tag) => (
+            <Badge key={tag} variant="outline" className="text-xs gap-1">
+              {tag}
+              <button
+                type="button"
+                onClick={() => removeTag(tag)}
+                aria-label={`Remove tag ${tag}`}
+                className="hover:text-destructive"
+              >
+                <X weight="bold" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      )}
+      <Input
+        id={id}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => draft && addTag(draft)}
+        placeholder="Add a tag and press Enter"
+        autoComplete="off"
+        className="bg-muted/30 border-border/50"
+      />
+      {matches.length > 0 && (
+        <div className="flex flex-wrap gap-1" aria-label="Suggested tags">
+          {matches.map((tag) => (
+            <button
+              key={tag}
+              type="button"
+              // Keep focus in the input so onBlur does not add the partial draft
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => addTag(tag)}
+              className="rounded-md border border-border/50 px-2 py-0.5 text-xs text-muted-foreground hover:border-accent/30 hover:text-accent"
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,124 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { TemplatePreview } from '@/lib/types'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import { CheckCircle, WarningCircle } from '@phosphor-icons/react'
+import { toast } from 'sonner'
+
+interface TemplatePreviewDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+}
+
+const EXAMPLE = `DATABASE_URL=postgres://app:{{ vault "Prod DB" }}@db:5432/app
+STRIPE_KEY=\${vault:stripe-live}`
+
+// Check a template for `securevault inject`: every reference is resolved by the
+// backend and shown masked, so no value reaches the browser
+export function TemplatePreviewDialog({ open, onOpenChange }: TemplatePreviewDialogProps) {
+  const [template, setTemplate] = useState('')
+  const [preview, setPreview] = useState<TemplatePreview | null>(null)
+  const [isLoading, setIsLoading] = useState(false)
+
+  useEffect(() => {
+    setTemplate('')
+    setPreview(null)
+  }, [open])
+
+  const handlePreview = async (e: React.FormEvent) => {
+    e.preventDefault()
+    try {
+      setIsLoading(true)
+      setPreview(await ApiClient.previewTemplate(template))
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to preview template')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const unresolved = preview?.references.filter((reference) => reference.error) ?? []
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-card border-border sm:max-w-[640px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="text-2xl">Template Preview</DialogTitle>
+          <DialogDescription>
+            Check a template before rendering it with{' '}
+            <code className="bg-muted/50 px-1 rounded">securevault inject -i app.tpl -o app.conf</code>.
+            Secrets are referenced by title or ID and shown masked here.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handlePreview}>
+          <div className="space-y-4 py-4">
+            <div className="space-y-2">
+              <Label htmlFor="template">Template</Label>
+              <Textarea
+                id="template"
+                value={template}
+                onChange={(e) => {
+                  setTemplate(e.target.value)
+                  setPreview(null)
+                }}
+                placeholder={EXAMPLE}
+                rows={8}
+                spellCheck={false}
+                className="bg-muted/30 border-border/50 font-mono text-sm"
+              />
+            </div>
+            {preview && (
+              <div className="space-y-2">
+                <Label>Rendered (values masked)</Label>
+                <pre className="bg-muted/30 rounded p-3 text-sm font-mono whitespace-pre-wrap break-all max-h-64 overflow-auto">
+                  {preview.rendered}
+                </pre>
+                {preview.references.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">The template has no vault references.</p>
+                ) : unresolved.length === 0 ? (
+                  <p className="flex items-center gap-2 text-sm text-accent">
+                    <CheckCircle weight="bold" />
+                    All {preview.references.length} reference(s) resolve.
+                  </p>
+                ) : (
+                  <ul className="space-y-1 text-sm text-destructive">
+                    {unresolved.map(({ ref, error }) => (
+                      <li key={ref} className="flex items-start gap-2">
+                        <WarningCircle weight="bold" className="mt-0.5 shrink-0" />
+                        <span>
+                          <span className="font-mono">{ref}</span>: {error}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Close
+            </Button>
+            <Button
+              type="submit"
+              disabled={isLoading || template.length === 0}
+              className="bg-accent text-accent-foreground hover:bg-accent/90"
+            >
+              {isLoading ? 'Checking...' : 'Preview'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
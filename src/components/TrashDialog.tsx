@@ -0,0 +1,230 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { Secret, TrashItem } from '@/lib/types'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { ArrowCounterClockwise, Trash } from '@phosphor-icons/react'
+import { toast } from 'sonner'
+
+interface TrashDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  onRestored: (secret: Secret) => void
+}
+
+// What the confirmation dialog is about to delete: one item or everything
+type PendingDeletion = { kind: 'one'; item: TrashItem } | { kind: 'all' }
+
+export function TrashDialog({ open, onOpenChange, onRestored }: TrashDialogProps) {
+  const [items, setItems] = useState<TrashItem[]>([])
+  const [retentionDays, setRetentionDays] = useState<number | ''>('')
+  const [savedRetentionDays, setSavedRetentionDays] = useState<number | null>(null)
+  const [pendingDeletion, setPendingDeletion] = useState<PendingDeletion | null>(null)
+  const [isWorking, setIsWorking] = useState(false)
+
+  const loadTrash = async () => {
+    try {
+      const listing = await ApiClient.getTrash()
+      setItems(listing.items)
+      setRetentionDays(listing.retentionDays)
+      setSavedRetentionDays(listing.retentionDays)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to load trash')
+    }
+  }
+
+  useEffect(() => {
+    if (open) loadTrash()
+  }, [open])
+
+  const handleRestore = async (item: TrashItem) => {
+    try {
+      setIsWorking(true)
+      const restored = await ApiClient.restoreFromTrash(item.id)
+      setItems((current) => current.filter((i) => i.id !== item.id))
+      onRestored(restored)
+      toast.success(`Restored "${item.title}"`)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to restore secret')
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const handleConfirmDeletion = async () => {
+    if (!pendingDeletion) return
+
+    try {
+      setIsWorking(true)
+      if (pendingDeletion.kind === 'one') {
+        await ApiClient.deleteFromTrash(pendingDeletion.item.id)
+        setItems((current) => current.filter((i) => i.id !== pendingDeletion.item.id))
+        toast.success('Secret deleted permanently')
+      } else {
+        const { purged } = await ApiClient.emptyTrash()
+        setItems([])
+        toast.success(`Deleted ${purged} secret(s) permanently`)
+      }
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to delete secret')
+    } finally {
+      setIsWorking(false)
+      setPendingDeletion(null)
+    }
+  }
+
+  const handleSaveRetention = async () => {
+    if (retentionDays === '') return
+
+    try {
+      setIsWorking(true)
+      const settings = await ApiClient.updateTrashSettings({ retentionDays })
+      toast.success(`Deleted secrets are now kept for ${settings.retentionDays} day(s)`)
+      // A shorter period may have purged some items
+      await loadTrash()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to update retention')
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  return (
+    <>
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="bg-card border-border sm:max-w-[600px]">
+          <DialogHeader>
+            <DialogTitle className="text-2xl">Trash</DialogTitle>
+            <DialogDescription>
+              Deleted secrets stay here, still in your keychain, until they are deleted
+              permanently or their retention period ends.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4 py-2">
+            <div className="flex items-end gap-2">
+              <div className="space-y-2">
+                <Label htmlFor="trash-retention">Keep deleted secrets for (days)</Label>
+                <Input
+                  id="trash-retention"
+                  type="number"
+                  min={1}
+                  step={1}
+                  value={retentionDays}
+                  onChange={(e) => setRetentionDays(e.target.value === '' ? '' : Number(e.target.value))}
+                  className="bg-muted/30 border-border/50 w-28"
+                />
+              </div>
+              <Button
+                variant="outline"
+                onClick={handleSaveRetention}
+                disabled={isWorking || retentionDays === '' || retentionDays === savedRetentionDays}
+              >
+                Save
+              </Button>
+            </div>
+
+            {items.length === 0 ? (
+              <p className="py-6 text-sm text-muted-foreground">The trash is empty.</p>
+            ) : (
+              <ScrollArea className="max-h-[50vh] pr-3">
+                <ul className="space-y-2">
+                  {items.map((item) => (
+                    <li
+                      key={item.id}
+                      className="flex items-center justify-between gap-2 rounded border border-border/50 px-3 py-2"
+                    >
+                      <div className="min-w-0">
+                        <p className="font-medium truncate">{item.title}</p>
+                        <p className="text-xs text-muted-foreground">
+                          Deleted {new Date(item.deletedAt).toLocaleDateString()} · removed for good on{' '}
+                          {new Date(item.purgeAt).toLocaleDateString()}
+                        </p>
+                      </div>
+                      <div className="flex gap-1 shrink-0">
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          onClick={() => handleRestore(item)}
+                          disabled={isWorking}
+                          aria-label={`Restore ${item.title}`}
+                          className="h-8 w-8 hover:bg-accent/10 hover:text-accent"
+                        >
+                          <ArrowCounterClockwise weight="bold" />
+                        </Button>
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          onClick={() => setPendingDeletion({ kind: 'one', item })}
+                          disabled={isWorking}
+                          aria-label={`Delete ${item.title} permanently`}
+                          className="h-8 w-8 hover:bg-destructive/10 hover:text-destructive"
+                        >
+                          <Trash weight="bold" />
+                        </Button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </ScrollArea>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button
+              variant="outline"
+              onClick={() => setPendingDeletion({ kind: 'all' })}
+              disabled={isWorking || items.length === 0}
+              className="hover:bg-destructive/10 hover:text-destructive"
+            >
+              Empty Trash
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <AlertDialog open={pendingDeletion !== null} onOpenChange={(isOpen) => !isOpen && setPendingDeletion(null)}>
+        <AlertDialogContent className="bg-card border-border">
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete Permanently</AlertDialogTitle>
+            <AlertDialogDescription>
+              {pendingDeletion?.kind === 'one'
+                ? `"${pendingDeletion.item.title}" and its history will be removed from your keychain.`
+                : `All ${items.length} secret(s) in the trash and their history will be removed from your keychain.`}{' '}
+              This action cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={handleConfirmDeletion}
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+            >
+              Delete Permanently
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  )
+}
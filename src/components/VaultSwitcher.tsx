@@ -0,0 +1,56 @@
+import { VaultListing } from '@/lib/types'
+import { Button } from '@/components/ui/button'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu'
+import { CaretDown, Vault } from '@phosphor-icons/react'
+
+interface VaultSwitcherProps {
+  listing: VaultListing
+  onSwitch: (id: string) => void
+  onManage: () => void
+}
+
+// Header menu showing the vault in use, to switch to another or manage them
+export function VaultSwitcher({ listing, onSwitch, onManage }: VaultSwitcherProps) {
+  const active = listing.vaults.find((vault) => vault.id === listing.activeVault)
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button
+          variant="outline"
+          size="sm"
+          className="hover:bg-accent/10 hover:border-accent/30"
+          aria-label="Switch vault"
+        >
+          <Vault className="mr-1" weight="bold" />
+          {active?.name ?? listing.activeVault}
+          <CaretDown className="ml-1" weight="bold" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="start" className="bg-card border-border">
+        <DropdownMenuLabel>Vaults</DropdownMenuLabel>
+        <DropdownMenuRadioGroup
+          value={listing.activeVault}
+          onValueChange={(id) => id !== listing.activeVault && onSwitch(id)}
+        >
+          {listing.vaults.map((vault) => (
+            <DropdownMenuRadioItem key={vault.id} value={vault.id}>
+              {vault.name}
+            </DropdownMenuRadioItem>
+          ))}
+        </DropdownMenuRadioGroup>
+        <DropdownMenuSeparator />
+        <DropdownMenuItem onSelect={onManage}>Manage vaults...</DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
@@ -0,0 +1,198 @@
+import { useEffect, useState } from 'react'
+import { ApiClient } from '@/lib/api'
+import { Vault, VaultListing } from '@/lib/types'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { Check, Plus, Trash } from '@phosphor-icons/react'
+import { toast } from 'sonner'
+
+// Matches the server (server/vaultStore.js); the default vault cannot be deleted
+const DEFAULT_VAULT_ID = 'default'
+
+interface VaultsDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  listing: VaultListing
+  // Called after any change so the vault list is reloaded
+  onChanged: () => void
+}
+
+export function VaultsDialog({ open, onOpenChange, listing, onChanged }: VaultsDialogProps) {
+  // Unsaved names by vault ID
+  const [drafts, setDrafts] = useState<Record<string, string>>({})
+  const [newName, setNewName] = useState('')
+  const [pendingDelete, setPendingDelete] = useState<Vault | null>(null)
+  const [isWorking, setIsWorking] = useState(false)
+
+  useEffect(() => {
+    if (open) {
+      setDrafts({})
+      setNewName('')
+    }
+  }, [open])
+
+  const draftOf = (vault: Vault) => drafts[vault.id] ?? vault.name
+
+  // Run a change, report failures and reload the vaults afterwards
+  const run = async (action: () => Promise<void>, failure: string) => {
+    try {
+      setIsWorking(true)
+      await action()
+      onChanged()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : failure)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const handleRename = (vault: Vault) =>
+    run(async () => {
+      await ApiClient.renameVault(vault.id, draftOf(vault))
+      setDrafts(({ [vault.id]: _saved, ...rest }) => rest)
+      toast.success('Vault renamed')
+    }, 'Failed to rename vault')
+
+  const handleCreate = () =>
+    run(async () => {
+      const created = await ApiClient.createVault(newName)
+      setNewName('')
+      toast.success(`Vault "${created.name}" created`)
+    }, 'Failed to create vault')
+
+  const handleConfirmDelete = () => {
+    const vault = pendingDelete
+    if (!vault) return
+    setPendingDelete(null)
+    run(async () => {
+      const { deletedValues } = await ApiClient.deleteVault(vault.id)
+      toast.success(`Vault "${vault.name}" deleted`, {
+        description: `${deletedValues} value(s) removed from the keychain`,
+      })
+    }, 'Failed to delete vault')
+  }
+
+  return (
+    <>
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="bg-card border-border sm:max-w-[500px]">
+          <DialogHeader>
+            <DialogTitle className="text-2xl">Vaults</DialogTitle>
+            <DialogDescription>
+              Each vault has its own secrets and categories, for example to keep work and
+              personal secrets apart. Switch between them from the header.
+            </DialogDescription>
+          </DialogHeader>
+
+          <ScrollArea className="max-h-[50vh] pr-3">
+            <ul className="space-y-2 py-2">
+              {listing.vaults.map((vault) => {
+                const isActive = vault.id === listing.activeVault
+                return (
+                  <li key={vault.id} className="flex items-center gap-2">
+                    <Input
+                      id={`vault-${vault.id}`}
+                      value={draftOf(vault)}
+                      onChange={(e) => setDrafts((current) => ({ ...current, [vault.id]: e.target.value }))}
+                      aria-label={`Name of ${vault.name}`}
+                      className="bg-muted/30 border-border/50 h-8"
+                    />
+                    {isActive && <span className="shrink-0 text-xs text-muted-foreground">In use</span>}
+                    <Button
+                      size="icon"
+                      variant="ghost"
+                      onClick={() => handleRename(vault)}
+                      disabled={isWorking || draftOf(vault) === vault.name || !draftOf(vault).trim()}
+                      aria-label={`Save ${vault.name}`}
+                      className="h-8 w-8 shrink-0 hover:bg-accent/10 hover:text-accent"
+                    >
+                      <Check weight="bold" />
+                    </Button>
+                    <Button
+                      size="icon"
+                      variant="ghost"
+                      onClick={() => setPendingDelete(vault)}
+                      disabled={isWorking || isActive || vault.id === DEFAULT_VAULT_ID}
+                      aria-label={`Delete ${vault.name}`}
+                      title={
+                        vault.id === DEFAULT_VAULT_ID
+                          ? 'The default vault cannot be deleted'
+                          : isActive
+                            ? 'Switch to another vault to delete this one'
+                            : undefined
+                      }
+                      className="h-8 w-8 shrink-0 hover:bg-destructive/10 hover:text-destructive"
+                    >
+                      <Trash weight="bold" />
+                    </Button>
+                  </li>
+                )
+              })}
+            </ul>
+          </ScrollArea>
+
+          <div className="space-y-2 border-t border-border/50 pt-4">
+            <Label htmlFor="new-vault">New vault</Label>
+            <div className="flex items-center gap-2">
+              <Input
+                id="new-vault"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="Vault name"
+                className="bg-muted/30 border-border/50 h-8"
+              />
+              <Button
+                onClick={handleCreate}
+                disabled={isWorking || !newName.trim()}
+                className="shrink-0 bg-accent text-accent-foreground hover:bg-accent/90"
+              >
+                <Plus className="mr-2" weight="bold" />
+                Add
+              </Button>
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <AlertDialog open={pendingDelete !== null} onOpenChange={(isOpen) => !isOpen && setPendingDelete(null)}>
+        <AlertDialogContent className="bg-card border-border">
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete Vault</AlertDialogTitle>
+            <AlertDialogDescription>
+              Delete "{pendingDelete?.name}" and every secret in it, including its trash and history?
+              Their values are removed from the keychain. This cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={handleConfirmDelete}
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  )
+}
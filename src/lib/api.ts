@@ -1,6 +1,48 @@
-import { Secret, SecretFormData } from './types'
+import {
+  AuditEntry,
+  AuditQuery,
+  AuditVerification,
+  Category,
+  CategoryFormData,
+  CategoryListing,
+  CertificateKeyCheck,
+  DueSecret,
+  ExternalImportFormat,
+  ExternalImportResult,
+  GeneratedSecret,
+  GeneratorOptions,
+  GeneratorPreset,
+  HealthReport,
+  ImportMode,
+  ImportPreview,
+  IntegrityReport,
+  LockStatus,
+  Secret,
+  SecretCategory,
+  SecretFormData,
+  SecretVersion,
+  Settings,
+  TemplatePreview,
+  TotpCode,
+  TrashListing,
+  Vault,
+  VaultListing,
+} from './types'
+import { getApiToken } from './auth'
 
-const API_BASE_URL = 'http://localhost:3001/api'
+// Dispatched on window when the backend answers that the vault is locked
+export const VAULT_LOCKED_EVENT = 'securevault:locked'
+
+// Marks requests the user did not make (e.g. refreshing a TOTP code), so they
+// don't keep the vault from locking when idle
+const BACKGROUND_HEADERS = { 'X-SecureVault-Background': '1' }
+
+// The backend serves this app and the API from one origin, on whichever port it
+// could bind, so the API is found from the page's own address. `npm run dev`
+// proxies /api to the backend (see vite.config.ts).
+function apiBaseUrl(): string {
+  return `${window.location.origin}/api`
+}
 
 export class ApiClient {
   private static async request<T>(
@@ -17,11 +59,22 @@ export class ApiClient {
       headers.set('Content-Type', 'application/json')
     }
 
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    // Every endpoint except the health probe requires the per-launch API token
+    const token = getApiToken()
+    if (token && !headers.has('authorization')) {
+      headers.set('Authorization', `Bearer ${token}`)
+    }
+
+    const response = await fetch(`${apiBaseUrl()}${endpoint}`, {
       ...options,
       headers,
     })
 
+    // 423 Locked: the vault locked itself or was locked elsewhere
+    if (response.status === 423) {
+      window.dispatchEvent(new Event(VAULT_LOCKED_EVENT))
+    }
+
     if (!response.ok) {
       const error = await response.json().catch(() => ({ error: 'Unknown error' }))
       throw new Error(error.error || `HTTP ${response.status}`)
@@ -38,6 +91,32 @@ export class ApiClient {
     return this.request<Secret[]>('/secrets')
   }
 
+  // The purpose is recorded in the audit log
+  static async getSecretValue(id: string, purpose?: 'reveal' | 'copy'): Promise<string> {
+    const query = purpose ? `?purpose=${purpose}` : ''
+    const { value } = await this.request<{ value: string }>(`/secrets/${encodeURIComponent(id)}/value${query}`)
+    return value
+  }
+
+  // Current code of a TOTP secret; the seed never leaves the backend
+  static async getTotpCode(id: string, purpose?: 'copy'): Promise<TotpCode> {
+    const query = purpose ? `?purpose=${purpose}` : ''
+    return this.request<TotpCode>(`/secrets/${encodeURIComponent(id)}/totp${query}`, purpose ? undefined : { headers: BACKGROUND_HEADERS })
+  }
+
+  // Whether a certificate matches the private key it is paired with
+  static async checkCertificateKey(id: string): Promise<CertificateKeyCheck> {
+    return this.request<CertificateKeyCheck>(`/secrets/${encodeURIComponent(id)}/certificate/check`)
+  }
+
+  // Render a template with values masked; values never leave the backend
+  static async previewTemplate(template: string): Promise<TemplatePreview> {
+    return this.request<TemplatePreview>('/templates/preview', {
+      method: 'POST',
+      body: JSON.stringify({ template }),
+    })
+  }
+
   static async createSecret(data: SecretFormData & { id: string; createdAt: number; updatedAt: number }): Promise<Secret> {
     return this.request<Secret>('/secrets', {
       method: 'POST',
@@ -45,20 +124,266 @@ export class ApiClient {
     })
   }
 
-  static async updateSecret(id: string, data: SecretFormData & { updatedAt: number }): Promise<Secret> {
-    return this.request<Secret>(`/secrets/${id}`, {
+  static async updateSecret(id: string, data: Partial<SecretFormData> & { updatedAt: number }): Promise<Secret> {
+    return this.request<Secret>(`/secrets/${encodeURIComponent(id)}`, {
       method: 'PUT',
       body: JSON.stringify(data),
     })
   }
 
+  // Secrets that expire or are due for rotation within withinDays (server default 14), overdue ones included
+  static async getDueSecrets(withinDays?: number): Promise<DueSecret[]> {
+    const query = withinDays !== undefined ? `?withinDays=${withinDays}` : ''
+    return this.request<DueSecret[]>(`/secrets/due${query}`)
+  }
+
+  // Moves the secret to the trash
   static async deleteSecret(id: string): Promise<void> {
-    return this.request<void>(`/secrets/${id}`, {
+    return this.request<void>(`/secrets/${encodeURIComponent(id)}`, {
       method: 'DELETE',
     })
   }
 
-  static async checkHealth(): Promise<{ status: string; service: string }> {
-    return this.request<{ status: string; service: string }>('/health')
+  static async getCategories(): Promise<CategoryListing> {
+    return this.request<CategoryListing>('/categories')
+  }
+
+  static async createCategory(data: CategoryFormData): Promise<Category> {
+    return this.request<Category>('/categories', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  static async updateCategory(id: string, data: Partial<CategoryFormData>): Promise<Category> {
+    return this.request<Category>(`/categories/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  // Secrets in the category are moved to reassignTo
+  static async deleteCategory(id: string, reassignTo?: string): Promise<{ reassigned: number }> {
+    const query = reassignTo ? `?reassignTo=${encodeURIComponent(reassignTo)}` : ''
+    return this.request<{ reassigned: number }>(`/categories/${encodeURIComponent(id)}${query}`, {
+      method: 'DELETE',
+    })
+  }
+
+  static async generateSecret(options: Partial<GeneratorOptions>): Promise<GeneratedSecret> {
+    return this.request<GeneratedSecret>('/generator', {
+      method: 'POST',
+      body: JSON.stringify(options),
+    })
+  }
+
+  static async getGeneratorPresets(): Promise<GeneratorPreset[]> {
+    return this.request<GeneratorPreset[]>('/generator/presets')
+  }
+
+  static async createGeneratorPreset(data: { name: string; options: GeneratorOptions }): Promise<GeneratorPreset> {
+    return this.request<GeneratorPreset>('/generator/presets', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  static async deleteGeneratorPreset(id: string): Promise<void> {
+    return this.request<void>(`/generator/presets/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    })
+  }
+
+  static async getTrash(): Promise<TrashListing> {
+    return this.request<TrashListing>('/trash')
+  }
+
+  static async restoreFromTrash(id: string): Promise<Secret> {
+    return this.request<Secret>(`/trash/${encodeURIComponent(id)}/restore`, {
+      method: 'POST',
+    })
+  }
+
+  static async deleteFromTrash(id: string): Promise<void> {
+    return this.request<void>(`/trash/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    })
+  }
+
+  static async emptyTrash(): Promise<{ purged: number }> {
+    return this.request<{ purged: number }>('/trash', {
+      method: 'DELETE',
+    })
+  }
+
+  static async updateTrashSettings(settings: { retentionDays: number }): Promise<{ retentionDays: number }> {
+    return this.request<{ retentionDays: number }>('/trash/settings', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    })
+  }
+
+  static async getSecretVersions(id: string): Promise<SecretVersion[]> {
+    return this.request<SecretVersion[]>(`/secrets/${encodeURIComponent(id)}/versions`)
+  }
+
+  static async getSecretVersionValue(id: string, version: number): Promise<string> {
+    const { value } = await this.request<{ value: string }>(`/secrets/${encodeURIComponent(id)}/versions/${version}/value`)
+    return value
+  }
+
+  // Makes a previous version current; the replaced state becomes a new version
+  static async restoreSecretVersion(id: string, version: number): Promise<Secret> {
+    return this.request<Secret>(`/secrets/${encodeURIComponent(id)}/versions/${version}/restore`, {
+      method: 'POST',
+    })
+  }
+
+  // Returns the encrypted export file contents; they are safe to save as-is
+  static async exportVault(passphrase: string): Promise<unknown> {
+    return this.request<unknown>('/export', {
+      headers: { 'X-Export-Passphrase': passphrase },
+    })
+  }
+
+  static async importVault(data: {
+    file: unknown
+    passphrase: string
+    mode: ImportMode
+    dryRun: boolean
+  }): Promise<ImportPreview> {
+    return this.request<ImportPreview>('/import', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  // Parse another password manager's export; with dryRun only the review rows are returned
+  static async importExternal(data: {
+    format: ExternalImportFormat
+    content: string
+    dryRun: boolean
+    selected?: number[]
+  }): Promise<ExternalImportResult> {
+    return this.request<ExternalImportResult>('/import/external', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  static async getAuditLog(query: AuditQuery = {}): Promise<{ total: number; entries: AuditEntry[] }> {
+    const params = new URLSearchParams()
+    if (query.secretId) params.set('secretId', query.secretId)
+    if (query.actions?.length) params.set('action', query.actions.join(','))
+    if (query.since !== undefined) params.set('since', String(query.since))
+    if (query.until !== undefined) params.set('until', String(query.until))
+    if (query.limit !== undefined) params.set('limit', String(query.limit))
+    const search = params.toString()
+    return this.request<{ total: number; entries: AuditEntry[] }>(`/audit${search ? `?${search}` : ''}`)
+  }
+
+  static async verifyAuditLog(): Promise<AuditVerification> {
+    return this.request<AuditVerification>('/audit/verify')
+  }
+
+  static async getHealthReport(): Promise<HealthReport> {
+    return this.request<HealthReport>('/health/report')
+  }
+
+  static async getIntegrityReport(): Promise<IntegrityReport> {
+    return this.request<IntegrityReport>('/doctor')
+  }
+
+  // Turn a value no secret refers to into a new secret
+  static async reattachOrphan(account: string, fields: { title?: string; category?: SecretCategory } = {}): Promise<Secret> {
+    return this.request<Secret>('/doctor/orphans/reattach', {
+      method: 'POST',
+      body: JSON.stringify({ account, ...fields }),
+    })
+  }
+
+  // Delete a secret whose value is missing from storage
+  static async removeMissingSecret(id: string): Promise<void> {
+    return this.request<void>(`/doctor/missing/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    })
+  }
+
+  static async checkHealth(): Promise<{ status: string; service: string; backend?: string }> {
+    return this.request<{ status: string; service: string; backend?: string }>('/health')
+  }
+
+  static async getSettings(): Promise<Settings> {
+    return this.request<Settings>('/settings')
+  }
+
+  // Only the given settings change
+  static async updateSettings(changes: Partial<Settings>): Promise<Settings> {
+    return this.request<Settings>('/settings', {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    })
+  }
+
+  static async getVaults(): Promise<VaultListing> {
+    return this.request<VaultListing>('/vaults')
+  }
+
+  static async createVault(name: string): Promise<Vault> {
+    return this.request<Vault>('/vaults', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    })
+  }
+
+  static async renameVault(id: string, name: string): Promise<Vault> {
+    return this.request<Vault>(`/vaults/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name }),
+    })
+  }
+
+  // Secrets and categories have to be reloaded afterwards
+  static async switchVault(id: string): Promise<VaultListing> {
+    return this.request<VaultListing>(`/vaults/${encodeURIComponent(id)}/activate`, {
+      method: 'POST',
+    })
+  }
+
+  // Deletes the vault's values from the keychain too
+  static async deleteVault(id: string): Promise<{ deletedValues: number }> {
+    return this.request<{ deletedValues: number }>(`/vaults/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    })
+  }
+
+  static async getLockStatus(): Promise<LockStatus> {
+    return this.request<LockStatus>('/lock')
+  }
+
+  static async lock(): Promise<LockStatus> {
+    return this.request<LockStatus>('/lock', { method: 'POST' })
+  }
+
+  static async unlock(password: string): Promise<LockStatus> {
+    return this.request<LockStatus>('/lock/unlock', {
+      method: 'POST',
+      body: JSON.stringify({ password }),
+    })
+  }
+
+  // newPassword null removes the master password; currentPassword is needed once one is set
+  static async setMasterPassword(currentPassword: string | undefined, newPassword: string | null): Promise<LockStatus> {
+    return this.request<LockStatus>('/lock/password', {
+      method: 'PUT',
+      body: JSON.stringify({ currentPassword, newPassword }),
+    })
+  }
+
+  static async updateLockSettings(autoLockMinutes: number): Promise<LockStatus> {
+    return this.request<LockStatus>('/lock/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ autoLockMinutes }),
+    })
   }
 }
@@ -0,0 +1,27 @@
+// The securevault launcher hands the per-launch API token to the browser in the
+// URL fragment (#token=...), which is never sent over the network. We move it to
+// sessionStorage so it survives reloads of this tab but not the browser session.
+const TOKEN_STORAGE_KEY = 'securevault:api-token'
+const TOKEN_HASH_PARAM = 'token'
+
+function captureTokenFromUrl() {
+  const hash = window.location.hash.replace(/^#/, '')
+  if (!hash) return
+
+  const params = new URLSearchParams(hash)
+  const token = params.get(TOKEN_HASH_PARAM)
+  if (!token) return
+
+  sessionStorage.setItem(TOKEN_STORAGE_KEY, token)
+
+  // Strip the token from the address bar and history
+  params.delete(TOKEN_HASH_PARAM)
+  const remaining = params.toString()
+  const url = `${window.location.pathname}${window.location.search}${remaining ? `#${remaining}` : ''}`
+  window.history.replaceState(window.history.state, '', url)
+}
+
+export function getApiToken(): string | null {
+  captureTokenFromUrl()
+  return sessionStorage.getItem(TOKEN_STORAGE_KEY)
+}
@@ -0,0 +1,56 @@
+import {
+  Certificate,
+  Cloud,
+  Code,
+  CreditCard,
+  Database,
+  Folder,
+  Globe,
+  type Icon,
+  Key,
+  Lock,
+  Note,
+  Shield,
+  Terminal,
+  Ticket,
+  User,
+} from '@phosphor-icons/react'
+import { Category, CategoryColor, CategoryIcon, SecretCategory } from '@/lib/types'
+
+// How the color and icon names stored with a category are drawn. Categories
+// themselves come from the server (ApiClient.getCategories).
+
+export const categoryColorClasses: Record<CategoryColor, string> = {
+  blue: 'bg-blue-500/10 text-blue-400 border-blue-500/20',
+  purple: 'bg-purple-500/10 text-purple-400 border-purple-500/20',
+  yellow: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/20',
+  orange: 'bg-orange-500/10 text-orange-400 border-orange-500/20',
+  green: 'bg-green-500/10 text-green-400 border-green-500/20',
+  gray: 'bg-gray-500/10 text-gray-400 border-gray-500/20',
+  red: 'bg-red-500/10 text-red-400 border-red-500/20',
+  pink: 'bg-pink-500/10 text-pink-400 border-pink-500/20',
+  teal: 'bg-teal-500/10 text-teal-400 border-teal-500/20',
+  cyan: 'bg-cyan-500/10 text-cyan-400 border-cyan-500/20',
+}
+
+export const categoryIcons: Record<CategoryIcon, Icon> = {
+  key: Key,
+  code: Code,
+  ticket: Ticket,
+  certificate: Certificate,
+  note: Note,
+  folder: Folder,
+  database: Database,
+  terminal: Terminal,
+  lock: Lock,
+  globe: Globe,
+  cloud: Cloud,
+  'credit-card': CreditCard,
+  user: User,
+  shield: Shield,
+}
+
+// Look up a secret's category. A category missing from the list (e.g. while it
+// is still loading) is shown with its ID in gray.
+export const findCategory = (categories: Category[], id: SecretCategory): Category =>
+  categories.find((category) => category.id === id) ?? { id, label: id, color: 'gray', icon: 'folder' }
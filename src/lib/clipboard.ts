@@ -0,0 +1,31 @@
+// Copy text to the clipboard and clear it again after clearAfterSeconds
+// (0: never), but only if the clipboard still holds that text, so anything
+// copied in the meantime is left alone. That check needs to read the clipboard,
+// which some browsers never allow, so reading is tried right away. Resolves to
+// whether the clipboard will be cleared.
+export async function copyWithAutoClear(text: string, clearAfterSeconds: number): Promise<boolean> {
+  await navigator.clipboard.writeText(text)
+  if (clearAfterSeconds <= 0) return false
+
+  try {
+    if ((await navigator.clipboard.readText()) !== text) return false
+  } catch {
+    return false
+  }
+
+  const clearIfUnchanged = async (retryOnFocus: boolean) => {
+    try {
+      if ((await navigator.clipboard.readText()) === text) {
+        await navigator.clipboard.writeText('')
+      }
+    } catch {
+      // Browsers only allow clipboard access while the page has focus; try once
+      // more when it gets focus back
+      if (retryOnFocus) {
+        window.addEventListener('focus', () => clearIfUnchanged(false), { once: true })
+      }
+    }
+  }
+  setTimeout(() => clearIfUnchanged(true), clearAfterSeconds * 1000)
+  return true
+}
@@ -0,0 +1,59 @@
+import { Secret } from './types'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Cards show reminders due within this many days, and overdue ones
+export const REMINDER_WINDOW_DAYS = 30
+
+export interface Reminder {
+  reason: 'expires' | 'rotate'
+  dueAt: number
+  // Whole days until due, rounded up; 0 or less once due
+  daysLeft: number
+  overdue: boolean
+}
+
+// When the value is next due for rotation (mirrors server/reminders.js)
+export const rotationDueAt = (secret: Secret): number | null =>
+  secret.rotateEveryDays
+    ? (secret.rotatedAt ?? secret.createdAt) + secret.rotateEveryDays * DAY_MS
+    : null
+
+// When a secret expires: the earlier of its expiry date and the end of its
+// certificate's validity (mirrors server/reminders.js)
+export const expiryOf = (secret: Secret): number | null => {
+  const dates = [secret.expiresAt, secret.certificate?.validTo].filter((d): d is number => Number.isFinite(d))
+  return dates.length > 0 ? Math.min(...dates) : null
+}
+
+// The most pressing reminder for a secret, or null when nothing is due within
+// REMINDER_WINDOW_DAYS
+export const nextReminder = (secret: Secret, now: number = Date.now()): Reminder | null => {
+  const rotateAt = rotationDueAt(secret)
+  const expiresAt = expiryOf(secret)
+  const candidates = [
+    ...(expiresAt !== null ? [{ reason: 'expires' as const, dueAt: expiresAt }] : []),
+    ...(rotateAt !== null ? [{ reason: 'rotate' as const, dueAt: rotateAt }] : []),
+  ].sort((a, b) => a.dueAt - b.dueAt)
+
+  const next = candidates[0]
+  if (!next || next.dueAt > now + REMINDER_WINDOW_DAYS * DAY_MS) return null
+  return { ...next, daysLeft: Math.ceil((next.dueAt - now) / DAY_MS), overdue: next.dueAt <= now }
+}
+
+// Badge text, e.g. "Expires in 5 days", "Expired" or "Rotation overdue"
+export const describeReminder = ({ reason, daysLeft, overdue }: Reminder): string => {
+  if (overdue) return reason === 'expires' ? 'Expired' : 'Rotation overdue'
+  const days = daysLeft === 1 ? '1 day' : `${daysLeft} days`
+  return reason === 'expires' ? `Expires in ${days}` : `Rotate in ${days}`
+}
+
+// Convert between timestamps and <input type="date"> values (local midnight)
+export const toDateInputValue = (time: number): string => {
+  const date = new Date(time)
+  const pad = (n: number) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+export const fromDateInputValue = (value: string): number | null =>
+  value === '' ? null : new Date(`${value}T00:00`).getTime()
@@ -0,0 +1,39 @@
+import { Secret } from '@/lib/types'
+
+export interface SearchQuery {
+  // Free text matched against titles and notes
+  text: string
+  // Tags named with `tag:name`; a secret must have all of them
+  tags: string[]
+}
+
+// Same rules as the server: tags are trimmed and lowercased
+export const normalizeTag = (tag: string) => tag.trim().toLowerCase()
+
+// Split a search box query into free text and `tag:` terms,
+// e.g. 'tag:prod database' -> { text: 'database', tags: ['prod'] }
+export const parseSearchQuery = (query: string): SearchQuery => {
+  const tags: string[] = []
+  const words: string[] = []
+  for (const word of query.split(/\s+/).filter(Boolean)) {
+    const match = /^tag:(.+)$/i.exec(word)
+    if (match) {
+      tags.push(normalizeTag(match[1]))
+    } else {
+      words.push(word)
+    }
+  }
+  return { text: words.join(' ').toLowerCase(), tags }
+}
+
+export const matchesSearch = (secret: Secret, { text, tags }: SearchQuery) => {
+  const matchesText =
+    secret.title.toLowerCase().includes(text) ||
+    (secret.notes?.toLowerCase().includes(text) ?? false)
+  const secretTags = secret.tags ?? []
+  return matchesText && tags.every((tag) => secretTags.includes(tag))
+}
+
+// Every tag in use, sorted, for filter chips and autocomplete
+export const collectTags = (secrets: Secret[]) =>
+  [...new Set(secrets.flatMap((secret) => secret.tags ?? []))].sort()
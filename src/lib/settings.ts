@@ -0,0 +1,11 @@
+import { Settings } from './types'
+
+// Used until the backend's settings have loaded (mirrors server/settings.js)
+export const DEFAULT_SETTINGS: Settings = {
+  revealTimeoutSeconds: 30,
+  clipboardClearSeconds: 30,
+  defaultCategory: 'password',
+  confirmDelete: true,
+}
+
+export const MAX_DELAY_SECONDS = 3600
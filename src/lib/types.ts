@@ -1,18 +1,390 @@
-export type SecretCategory = 'password' | 'api-key' | 'token' | 'certificate' | 'note' | 'other'
+// ID of one of the vault's categories. Categories are user-defined and listed
+// by ApiClient.getCategories; the IDs of a new vault are password, api-key,
+// token, certificate, note and other.
+export type SecretCategory = string
 
+export type CategoryColor =
+  | 'blue'
+  | 'purple'
+  | 'yellow'
+  | 'orange'
+  | 'green'
+  | 'gray'
+  | 'red'
+  | 'pink'
+  | 'teal'
+  | 'cyan'
+
+export type CategoryIcon =
+  | 'key'
+  | 'code'
+  | 'ticket'
+  | 'certificate'
+  | 'note'
+  | 'folder'
+  | 'database'
+  | 'terminal'
+  | 'lock'
+  | 'globe'
+  | 'cloud'
+  | 'credit-card'
+  | 'user'
+  | 'shield'
+
+export interface Category {
+  // Never changes, even when the category is renamed
+  id: SecretCategory
+  label: string
+  color: CategoryColor
+  icon: CategoryIcon
+  // Days before a secret's value counts as stale; 0 = never, unset = server default
+  staleAfterDays?: number
+}
+
+export interface CategoryListing {
+  categories: Category[]
+  colors: CategoryColor[]
+  icons: CategoryIcon[]
+}
+
+// null clears a category's own rotation threshold
+export type CategoryFormData = Omit<Category, 'id' | 'staleAfterDays'> & { staleAfterDays?: number | null }
+
+// Generic secrets hold any value; TOTP secrets hold a 2FA seed the backend computes codes from
+export type SecretType = 'generic' | 'totp'
+
+export type TotpAlgorithm = 'SHA1' | 'SHA256' | 'SHA512'
+
+export interface TotpSettings {
+  digits: number
+  // Seconds each code is valid
+  period: number
+  algorithm: TotpAlgorithm
+  // Taken from an otpauth:// URI when present
+  issuer?: string
+  account?: string
+}
+
+export interface TotpCode {
+  code: string
+  digits: number
+  period: number
+  // When the next code starts (ms)
+  validUntil: number
+}
+
+// Details the backend reads from a certificate secret's value
+export interface CertificateSummary {
+  // e.g. "CN=example.com, O=Example"
+  subject: string
+  issuer: string
+  // End of validity (ms)
+  validTo: number
+  // SHA-256 fingerprint as colon-separated hex
+  fingerprint256: string
+}
+
+// The leaf certificate, with the rest of the chain summarized
+export interface CertificateInfo extends CertificateSummary {
+  // e.g. ['DNS:example.com', 'IP Address:127.0.0.1']
+  subjectAltNames: string[]
+  validFrom: number
+  serialNumber: string
+  chain: CertificateSummary[]
+}
+
+export interface CertificateKeyCheck {
+  matches: boolean
+  privateKeyId: string
+}
+
+// A vault reference in a template ({{ vault "Title" }} or ${vault:id}): the secret
+// it resolves to, or why it does not resolve
+export type TemplateReference =
+  | { ref: string; id: string; title: string; error?: undefined }
+  | { ref: string; error: string; id?: undefined; title?: undefined }
+
+// A template rendered with every value masked
+export interface TemplatePreview {
+  rendered: string
+  references: TemplateReference[]
+}
+
+// Secret metadata as listed by the API. Values are fetched on demand with
+// ApiClient.getSecretValue so they never sit in app state unless requested.
 export interface Secret {
   id: string
   title: string
-  value: string
   category: SecretCategory
   notes?: string
+  // Lowercase tags, e.g. ['prod', 'aws']
+  tags?: string[]
+  // Number of previous versions kept (server default when unset)
+  historyLimit?: number
+  // Unset for generic secrets
+  type?: SecretType
+  totp?: TotpSettings
+  // Set for secrets in the certificate category
+  certificate?: CertificateInfo
+  // Secret holding the certificate's private key
+  privateKeyId?: string
   createdAt: number
   updatedAt: number
+  // When the value last changed (unset until the first change after creation)
+  rotatedAt?: number
+  // When the secret stops working, and how often its value should be changed
+  expiresAt?: number
+  rotateEveryDays?: number
+  // Set while the secret is in the trash
+  deletedAt?: number
 }
 
 export interface SecretFormData {
   title: string
+  // When editing, an empty value keeps the value currently stored
   value: string
   category: SecretCategory
   notes?: string
+  tags?: string[]
+  historyLimit?: number
+  // null clears them
+  expiresAt?: number | null
+  rotateEveryDays?: number | null
+  // Set when creating; a secret's type cannot change
+  type?: SecretType
+  totp?: Pick<TotpSettings, 'digits' | 'period' | 'algorithm'>
+  // Certificates only; null unpairs the private key
+  privateKeyId?: string | null
+}
+
+// A previous state of a secret. The value is fetched on demand.
+export interface SecretVersion {
+  version: number
+  title: string
+  category: SecretCategory
+  notes?: string
+  tags?: string[]
+  // When this state was last edited, and when it was replaced
+  updatedAt: number
+  savedAt: number
+  changed: ('value' | 'title' | 'category' | 'notes' | 'tags')[]
+}
+
+// A secret that expires or is due for rotation soon (GET /api/secrets/due)
+export interface DueSecret {
+  id: string
+  title: string
+  category: SecretCategory
+  reason: 'expires' | 'rotate'
+  dueAt: number
+  daysLeft: number
+  overdue: boolean
+}
+
+// A secret named in the health report
+export interface HealthReportSecret {
+  id: string
+  title: string
+  category: SecretCategory
+}
+
+export interface WeakSecret extends HealthReportSecret {
+  score: number
+  label: string
+}
+
+export interface StaleSecret extends HealthReportSecret {
+  rotatedAt: number
+  ageDays: number
+  staleAfterDays: number
+}
+
+// Weak, reused and stale secrets. Only names and categories, never values.
+export interface HealthReport {
+  generatedAt: number
+  summary: {
+    total: number
+    weak: number
+    // Secrets sharing a value with another secret, and the number of such groups
+    reused: number
+    reuseGroups: number
+    stale: number
+    // Secrets whose value is missing from storage
+    missing: number
+  }
+  weak: WeakSecret[]
+  reused: { secrets: HealthReportSecret[] }[]
+  stale: StaleSecret[]
+}
+
+// A secret whose value is missing from storage
+export interface MissingSecret extends HealthReportSecret {
+  trashed: boolean
+}
+
+// Drift between metadata and storage (server/doctor.js). Names accounts, never values.
+export interface IntegrityReport {
+  checkedAt: number
+  // Whether the backend can list its entries; orphans are only found when it can
+  listable: boolean
+  summary: {
+    secrets: number
+    missing: number
+    orphans: number
+  }
+  missing: MissingSecret[]
+  // Storage accounts of the vault that no secret refers to
+  orphans: { account: string }[]
+}
+
+export interface TrashItem extends Secret {
+  deletedAt: number
+  purgeAt: number
+}
+
+export interface TrashListing {
+  retentionDays: number
+  items: TrashItem[]
+}
+
+export type ImportMode = 'merge' | 'overwrite' | 'skip'
+
+export type ImportAction = 'create' | 'update' | 'skip' | 'invalid'
+
+export interface ImportChange {
+  id?: string
+  title?: string
+  category?: string
+  action: ImportAction
+  reason?: string
+}
+
+export interface ImportPreview {
+  mode: ImportMode
+  applied: boolean
+  summary: Record<ImportAction, number>
+  changes: ImportChange[]
+}
+
+export type ExternalImportFormat = 'bitwarden-json' | 'bitwarden-csv' | '1password-csv' | 'keepass-csv' | 'dotenv'
+
+// One parsed row of an external import; values stay on the server
+export interface ExternalImportItem {
+  index: number
+  title: string
+  category: SecretCategory
+  notes?: string
+  duplicate: boolean
+  duplicateOf: string | null
+  error: string | null
+}
+
+export interface ExternalImportResult {
+  format: ExternalImportFormat
+  items: ExternalImportItem[]
+  imported: Secret[]
+}
+
+export type AuditAction =
+  | 'secret.create'
+  | 'secret.update'
+  | 'secret.delete'
+  | 'secret.restore'
+  | 'secret.purge'
+  | 'secret.read'
+  | 'version.read'
+  | 'version.restore'
+  | 'vault.export'
+  | 'vault.import'
+  | 'vault.lock'
+  | 'vault.unlock'
+  | 'vault.unlock-failed'
+  | 'vault.password'
+  | 'vault.create'
+  | 'vault.rename'
+  | 'vault.delete'
+  | 'category.create'
+  | 'category.update'
+  | 'category.delete'
+
+export interface AuditEntry {
+  seq: number
+  timestamp: string
+  actor: string
+  action: AuditAction
+  secretId: string | null
+  title: string | null
+  details: Record<string, unknown> | null
+  prevHash: string
+  hash: string
+}
+
+export interface AuditQuery {
+  secretId?: string
+  actions?: AuditAction[]
+  since?: number
+  until?: number
+  limit?: number
+}
+
+export interface AuditVerification {
+  valid: boolean
+  entries: number
+  problems: { line: number | null; message: string }[]
+}
+
+export type GeneratorMode = 'random' | 'pronounceable' | 'passphrase'
+
+// Options for the server-side generator. Character options apply to random and
+// pronounceable mode, word options to passphrases.
+export interface GeneratorOptions {
+  mode: GeneratorMode
+  length: number
+  lowercase: boolean
+  uppercase: boolean
+  digits: boolean
+  symbols: boolean
+  excludeLookAlikes: boolean
+  words: number
+  separator: string
+  capitalize: boolean
+  includeNumber: boolean
+}
+
+export interface GeneratedSecret {
+  value: string
+  entropyBits: number
+}
+
+export interface GeneratorPreset {
+  id: string
+  name: string
+  options: GeneratorOptions
+}
+
+// Master password lock; retryAfterMs is how long unlock attempts have to wait
+export interface LockStatus {
+  enabled: boolean
+  locked: boolean
+  autoLockMinutes: number
+  retryAfterMs: number
+}
+
+// User settings (server/settings.js); delays in seconds, 0 = never
+export interface Settings {
+  revealTimeoutSeconds: number
+  clipboardClearSeconds: number
+  defaultCategory: SecretCategory
+  confirmDelete: boolean
+}
+
+// Named vault (server/vaultStore.js); the ID never changes
+export interface Vault {
+  id: string
+  name: string
+}
+
+export interface VaultListing {
+  activeVault: string
+  vaults: Vault[]
 }
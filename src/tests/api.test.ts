@@ -1,8 +1,16 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { ApiClient } from '../lib/api'
+import { ApiClient, VAULT_LOCKED_EVENT } from '../lib/api'
+
+// The API lives on the origin the app was served from
+const API_BASE_URL = `${window.location.origin}/api`
 
 // Mock fetch
-global.fetch = vi.fn()
+const fetchMock = vi.fn<typeof fetch>()
+global.fetch = fetchMock
+
+// Responses for the mocked fetch: a JSON body, or none (e.g. 204 No Content)
+const jsonResponse = (body: unknown, init: ResponseInit = {}) => new Response(JSON.stringify(body), init)
+const emptyResponse = (status = 204) => new Response(null, { status })
 
 describe('ApiClient', () => {
   beforeEach(() => {
@@ -15,23 +23,19 @@ describe('ApiClient', () => {
         {
           id: '1',
           title: 'Test Secret',
-          value: 'test-value',
           category: 'password' as const,
           createdAt: Date.now(),
           updatedAt: Date.now(),
         },
       ]
 
-      ;(global.fetch as any).mockResolvedValueOnce({
-        ok: true,
-        json: async () => mockSecrets,
-      })
+      fetchMock.mockResolvedValueOnce(jsonResponse(mockSecrets))
 
       const result = await ApiClient.getSecrets()
 
       // GET requests should not set Content-Type header to avoid CORS preflights
       expect(global.fetch).toHaveBeenCalledWith(
-        'http://localhost:3001/api/secrets',
+        `${API_BASE_URL}/secrets`,
         expect.objectContaining({
           headers: expect.not.objectContaining({
             'Content-Type': expect.anything(),
@@ -42,16 +46,48 @@ describe('ApiClient', () => {
     })
 
     it('should throw error on API failure', async () => {
-      ;(global.fetch as any).mockResolvedValueOnce({
-        ok: false,
-        status: 500,
-        json: async () => ({ error: 'Server error' }),
-      })
+      fetchMock.mockResolvedValueOnce(jsonResponse({ error: 'Server error' }, { status: 500 }))
 
       await expect(ApiClient.getSecrets()).rejects.toThrow()
     })
   })
 
+  describe('getSecretValue', () => {
+    it('should fetch a single secret value on demand', async () => {
+      fetchMock.mockResolvedValueOnce(jsonResponse({ value: 'revealed-value' }))
+
+      const result = await ApiClient.getSecretValue('1')
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/secrets/1/value`,
+        expect.anything()
+      )
+      expect(result).toBe('revealed-value')
+    })
+
+    it('should pass the purpose for the audit log', async () => {
+      fetchMock.mockResolvedValueOnce(jsonResponse({ value: 'copied-value' }))
+
+      await ApiClient.getSecretValue('1', 'copy')
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/secrets/1/value?purpose=copy`,
+        expect.anything()
+      )
+    })
+
+    it('should encode the ID into the path', async () => {
+      fetchMock.mockResolvedValueOnce(jsonResponse({ value: 'v' }))
+
+      await ApiClient.getSecretValue('a/b#v1?x')
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/secrets/a%2Fb%23v1%3Fx/value`,
+        expect.anything()
+      )
+    })
+  })
+
   describe('createSecret', () => {
     it('should create a new secret', async () => {
       const newSecret = {
@@ -63,15 +99,12 @@ describe('ApiClient', () => {
         updatedAt: Date.now(),
       }
 
-      ;(global.fetch as any).mockResolvedValueOnce({
-        ok: true,
-        json: async () => newSecret,
-      })
+      fetchMock.mockResolvedValueOnce(jsonResponse(newSecret))
 
       const result = await ApiClient.createSecret(newSecret)
 
       expect(global.fetch).toHaveBeenCalledWith(
-        'http://localhost:3001/api/secrets',
+        `${API_BASE_URL}/secrets`,
         expect.objectContaining({
           method: 'POST',
           body: JSON.stringify(newSecret),
@@ -90,15 +123,12 @@ describe('ApiClient', () => {
         updatedAt: Date.now(),
       }
 
-      ;(global.fetch as any).mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({ id: '1', ...updatedSecret }),
-      })
+      fetchMock.mockResolvedValueOnce(jsonResponse({ id: '1', ...updatedSecret }))
 
       const result = await ApiClient.updateSecret('1', updatedSecret)
 
       expect(global.fetch).toHaveBeenCalledWith(
-        'http://localhost:3001/api/secrets/1',
+        `${API_BASE_URL}/secrets/1`,
         expect.objectContaining({
           method: 'PUT',
           body: JSON.stringify(updatedSecret),
@@ -109,15 +139,12 @@ describe('ApiClient', () => {
 
   describe('deleteSecret', () => {
     it('should delete a secret', async () => {
-      ;(global.fetch as any).mockResolvedValueOnce({
-        ok: true,
-        status: 204,
-      })
+      fetchMock.mockResolvedValueOnce(emptyResponse())
 
       await ApiClient.deleteSecret('1')
 
       expect(global.fetch).toHaveBeenCalledWith(
-        'http://localhost:3001/api/secrets/1',
+        `${API_BASE_URL}/secrets/1`,
         expect.objectContaining({
           method: 'DELETE',
         })
@@ -125,14 +152,330 @@ describe('ApiClient', () => {
     })
   })
 
+  describe('version history', () => {
+    it('should list versions and fetch a version value on demand', async () => {
+      const versions = [
+        { version: 1, title: 'A', category: 'password', updatedAt: 1, savedAt: 2, changed: ['value'] },
+      ]
+
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse(versions))
+        .mockResolvedValueOnce(jsonResponse({ value: 'old-value' }))
+
+      expect(await ApiClient.getSecretVersions('1')).toEqual(versions)
+      expect(await ApiClient.getSecretVersionValue('1', 1)).toBe('old-value')
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        `${API_BASE_URL}/secrets/1/versions/1/value`,
+        expect.anything()
+      )
+    })
+
+    it('should restore a version with a POST', async () => {
+      const restored = { id: '1', title: 'A', category: 'password', createdAt: 1, updatedAt: 3 }
+
+      fetchMock.mockResolvedValueOnce(jsonResponse(restored))
+
+      const result = await ApiClient.restoreSecretVersion('1', 1)
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/secrets/1/versions/1/restore`,
+        expect.objectContaining({ method: 'POST' })
+      )
+      expect(result).toEqual(restored)
+    })
+  })
+
+  describe('trash', () => {
+    it('should restore a secret from the trash', async () => {
+      const restored = { id: '1', title: 'A', category: 'password', createdAt: 1, updatedAt: 1 }
+
+      fetchMock.mockResolvedValueOnce(jsonResponse(restored))
+
+      const result = await ApiClient.restoreFromTrash('1')
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/trash/1/restore`,
+        expect.objectContaining({ method: 'POST' })
+      )
+      expect(result).toEqual(restored)
+    })
+
+    it('should delete a secret from the trash permanently', async () => {
+      fetchMock.mockResolvedValueOnce(emptyResponse())
+
+      await ApiClient.deleteFromTrash('1')
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/trash/1`,
+        expect.objectContaining({ method: 'DELETE' })
+      )
+    })
+  })
+
+  describe('deleteCategory', () => {
+    it('should pass the category that receives its secrets', async () => {
+      fetchMock.mockResolvedValueOnce(jsonResponse({ reassigned: 2 }))
+
+      const result = await ApiClient.deleteCategory('ssh-key', 'other')
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/categories/ssh-key?reassignTo=other`,
+        expect.objectContaining({ method: 'DELETE' })
+      )
+      expect(result).toEqual({ reassigned: 2 })
+    })
+  })
+
+  describe('getTotpCode', () => {
+    it('should fetch the current code of a TOTP secret', async () => {
+      const code = { code: '287082', digits: 6, period: 30, validUntil: 60000 }
+      fetchMock.mockResolvedValueOnce(jsonResponse(code))
+
+      const result = await ApiClient.getTotpCode('1', 'copy')
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/secrets/1/totp?purpose=copy`,
+        expect.anything()
+      )
+      expect(result).toEqual(code)
+    })
+  })
+
+  describe('previewTemplate', () => {
+    it('should post the template for a masked preview', async () => {
+      const preview = { rendered: 'PASS=••••••••', references: [{ ref: 'db', id: '1', title: 'db' }] }
+      fetchMock.mockResolvedValueOnce(jsonResponse(preview))
+
+      const result = await ApiClient.previewTemplate('PASS=${vault:db}')
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/templates/preview`,
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ template: 'PASS=${vault:db}' }),
+        })
+      )
+      expect(result).toEqual(preview)
+    })
+  })
+
+  describe('vault lock', () => {
+    it('should post the master password to unlock', async () => {
+      const status = { enabled: true, locked: false, autoLockMinutes: 15, retryAfterMs: 0 }
+      fetchMock.mockResolvedValueOnce(jsonResponse(status))
+
+      const result = await ApiClient.unlock('correct horse battery')
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/lock/unlock`,
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ password: 'correct horse battery' }),
+        })
+      )
+      expect(result).toEqual(status)
+    })
+
+    it('should announce that the vault is locked when the backend answers 423', async () => {
+      const onLocked = vi.fn()
+      window.addEventListener(VAULT_LOCKED_EVENT, onLocked)
+      fetchMock.mockResolvedValueOnce(jsonResponse({ error: 'The vault is locked' }, { status: 423 }))
+
+      await expect(ApiClient.getSecrets()).rejects.toThrow('The vault is locked')
+
+      expect(onLocked).toHaveBeenCalledTimes(1)
+      window.removeEventListener(VAULT_LOCKED_EVENT, onLocked)
+    })
+
+    it('should mark TOTP refreshes as background requests but not copies', async () => {
+      const code = { code: '287082', digits: 6, period: 30, validUntil: 60000 }
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse(code))
+        .mockResolvedValueOnce(jsonResponse(code))
+
+      await ApiClient.getTotpCode('1')
+      await ApiClient.getTotpCode('1', 'copy')
+
+      const [[, display], [, copy]] = fetchMock.mock.calls
+      expect(new Headers(display?.headers).get('X-SecureVault-Background')).toBe('1')
+      expect(new Headers(copy?.headers).has('X-SecureVault-Background')).toBe(false)
+    })
+  })
+
+  describe('generateSecret', () => {
+    it('should post the generator options', async () => {
+      fetchMock.mockResolvedValueOnce(jsonResponse({ value: 'abc', entropyBits: 120 }))
+
+      const result = await ApiClient.generateSecret({ length: 32, symbols: false })
+
+      const [url, init] = fetchMock.mock.calls[0]
+      expect(url).toBe(`${API_BASE_URL}/generator`)
+      expect(init?.method).toBe('POST')
+      expect(JSON.parse(String(init?.body))).toEqual({ length: 32, symbols: false })
+      expect(result).toEqual({ value: 'abc', entropyBits: 120 })
+    })
+  })
+
+  describe('exportVault', () => {
+    it('should send the passphrase in a header, not the URL', async () => {
+      const envelope = { format: 'securevault-export', version: 1 }
+
+      fetchMock.mockResolvedValueOnce(jsonResponse(envelope))
+
+      const result = await ApiClient.exportVault('long passphrase')
+
+      const [url, init] = fetchMock.mock.calls[0]
+      expect(url).toBe(`${API_BASE_URL}/export`)
+      expect(new Headers(init?.headers).get('X-Export-Passphrase')).toBe('long passphrase')
+      expect(result).toEqual(envelope)
+    })
+  })
+
+  describe('importVault', () => {
+    it('should post the file, passphrase and mode', async () => {
+      const preview = {
+        mode: 'merge',
+        applied: false,
+        summary: { create: 1, update: 0, skip: 0, invalid: 0 },
+        changes: [{ id: '1', title: 'A', category: 'password', action: 'create' }],
+      }
+
+      fetchMock.mockResolvedValueOnce(jsonResponse(preview))
+
+      const request = { file: { format: 'securevault-export' }, passphrase: 'pass', mode: 'merge' as const, dryRun: true }
+      const result = await ApiClient.importVault(request)
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/import`,
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify(request),
+        })
+      )
+      expect(result).toEqual(preview)
+    })
+  })
+
+  describe('importExternal', () => {
+    it('should post the format, file contents and selected rows', async () => {
+      const response = { format: 'dotenv', items: [], imported: [] }
+
+      fetchMock.mockResolvedValueOnce(jsonResponse(response))
+
+      const request = { format: 'dotenv' as const, content: 'API_KEY=abc', dryRun: false, selected: [0] }
+      const result = await ApiClient.importExternal(request)
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/import/external`,
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify(request),
+        })
+      )
+      expect(result).toEqual(response)
+    })
+  })
+
+  describe('getAuditLog', () => {
+    it('should encode filters as query parameters', async () => {
+      fetchMock.mockResolvedValueOnce(jsonResponse({ total: 0, entries: [] }))
+
+      await ApiClient.getAuditLog({ secretId: 'db', actions: ['secret.read', 'secret.update'], limit: 1 })
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/audit?secretId=db&action=secret.read%2Csecret.update&limit=1`,
+        expect.anything()
+      )
+    })
+  })
+
+  describe('authentication', () => {
+    beforeEach(() => {
+      sessionStorage.clear()
+    })
+
+    it('should capture the token from the URL fragment and send it as a bearer token', async () => {
+      window.history.replaceState(null, '', '/#token=launch-token')
+
+      fetchMock.mockResolvedValueOnce(jsonResponse([]))
+
+      await ApiClient.getSecrets()
+
+      const [, init] = fetchMock.mock.calls[0]
+      expect(new Headers(init?.headers).get('Authorization')).toBe('Bearer launch-token')
+      expect(window.location.hash).toBe('')
+      expect(sessionStorage.getItem('securevault:api-token')).toBe('launch-token')
+    })
+
+    it('should not send an Authorization header when no token is available', async () => {
+      fetchMock.mockResolvedValueOnce(jsonResponse([]))
+
+      await ApiClient.getSecrets()
+
+      const [, init] = fetchMock.mock.calls[0]
+      expect(new Headers(init?.headers).has('Authorization')).toBe(false)
+    })
+  })
+
+  describe('updateSettings', () => {
+    it('should send only the changed settings', async () => {
+      const saved = { revealTimeoutSeconds: 30, clipboardClearSeconds: 10, defaultCategory: 'password', confirmDelete: true }
+
+      fetchMock.mockResolvedValueOnce(jsonResponse(saved))
+
+      const result = await ApiClient.updateSettings({ clipboardClearSeconds: 10 })
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/settings`,
+        expect.objectContaining({
+          method: 'PUT',
+          body: JSON.stringify({ clipboardClearSeconds: 10 }),
+        })
+      )
+      expect(result).toEqual(saved)
+    })
+  })
+
+  describe('switchVault', () => {
+    it('should activate the vault and return the new listing', async () => {
+      const listing = { activeVault: 'work', vaults: [{ id: 'default', name: 'Default' }, { id: 'work', name: 'Work' }] }
+
+      fetchMock.mockResolvedValueOnce(jsonResponse(listing))
+
+      const result = await ApiClient.switchVault('work')
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/vaults/work/activate`,
+        expect.objectContaining({ method: 'POST' })
+      )
+      expect(result).toEqual(listing)
+    })
+  })
+
+  describe('reattachOrphan', () => {
+    it('should post the account with the chosen title', async () => {
+      const secret = { id: 'new-id', title: 'Found', category: 'password', createdAt: 1, updatedAt: 1 }
+
+      fetchMock.mockResolvedValueOnce(jsonResponse(secret, { status: 201 }))
+
+      const result = await ApiClient.reattachOrphan('lost#v2', { title: 'Found' })
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${API_BASE_URL}/doctor/orphans/reattach`,
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ account: 'lost#v2', title: 'Found' }),
+        })
+      )
+      expect(result).toEqual(secret)
+    })
+  })
+
   describe('checkHealth', () => {
     it('should check API health', async () => {
       const healthResponse = { status: 'ok', service: 'SecureVault Backend' }
 
-      ;(global.fetch as any).mockResolvedValueOnce({
-        ok: true,
-        json: async () => healthResponse,
-      })
+      fetchMock.mockResolvedValueOnce(jsonResponse(healthResponse))
 
       const result = await ApiClient.checkHealth()
 
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { copyWithAutoClear } from '../lib/clipboard'
+
+describe('copyWithAutoClear', () => {
+  let contents: string
+  const clipboard = {
+    writeText: vi.fn(async (text: string) => {
+      contents = text
+    }),
+    readText: vi.fn(async () => contents),
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.clearAllMocks()
+    contents = ''
+    Object.defineProperty(navigator, 'clipboard', { value: clipboard, configurable: true })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should clear the clipboard once the delay has passed', async () => {
+    expect(await copyWithAutoClear('s3cret', 30)).toBe(true)
+    expect(contents).toBe('s3cret')
+
+    await vi.advanceTimersByTimeAsync(29_000)
+    expect(contents).toBe('s3cret')
+
+    await vi.advanceTimersByTimeAsync(1_000)
+    expect(contents).toBe('')
+  })
+
+  it('should leave anything copied in the meantime alone', async () => {
+    await copyWithAutoClear('s3cret', 30)
+    contents = 'something else'
+
+    await vi.advanceTimersByTimeAsync(30_000)
+    expect(contents).toBe('something else')
+  })
+
+  it('should never clear the clipboard with a delay of 0', async () => {
+    expect(await copyWithAutoClear('s3cret', 0)).toBe(false)
+
+    await vi.advanceTimersByTimeAsync(3_600_000)
+    expect(contents).toBe('s3cret')
+    expect(clipboard.readText).not.toHaveBeenCalled()
+  })
+
+  it('should not promise clearing when the browser does not let the clipboard be read', async () => {
+    clipboard.readText.mockRejectedValueOnce(new Error('Read permission denied'))
+
+    expect(await copyWithAutoClear('s3cret', 5)).toBe(false)
+    await vi.runAllTimersAsync()
+    expect(contents).toBe('s3cret')
+    expect(clipboard.readText).toHaveBeenCalledTimes(1)
+  })
+
+  it('should retry when the page gets focus back if the clipboard was not readable', async () => {
+    await copyWithAutoClear('s3cret', 5)
+    clipboard.readText.mockRejectedValueOnce(new Error('Document is not focused'))
+
+    await vi.advanceTimersByTimeAsync(5_000)
+    expect(contents).toBe('s3cret')
+
+    window.dispatchEvent(new Event('focus'))
+    await vi.runAllTimersAsync()
+    expect(contents).toBe('')
+  })
+})
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { describeReminder, fromDateInputValue, nextReminder, toDateInputValue } from '../lib/reminders'
+import { Secret } from '../lib/types'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = Date.UTC(2026, 5, 1)
+
+const secret = (fields: Partial<Secret>): Secret => ({
+  id: '1',
+  title: 'CI token',
+  category: 'token',
+  createdAt: NOW - 10 * DAY_MS,
+  updatedAt: NOW - 10 * DAY_MS,
+  ...fields,
+})
+
+describe('reminders', () => {
+  it('should ignore secrets without reminders or with distant ones', () => {
+    expect(nextReminder(secret({}), NOW)).toBeNull()
+    expect(nextReminder(secret({ expiresAt: NOW + 90 * DAY_MS }), NOW)).toBeNull()
+  })
+
+  it('should report the soonest of expiry and rotation', () => {
+    const reminder = nextReminder(secret({ expiresAt: NOW + 20 * DAY_MS, rotateEveryDays: 15 }), NOW)
+    expect(reminder).toEqual({ reason: 'rotate', dueAt: NOW + 5 * DAY_MS, daysLeft: 5, overdue: false })
+    expect(describeReminder(reminder!)).toBe('Rotate in 5 days')
+  })
+
+  it('should count rotation from the last value change', () => {
+    expect(nextReminder(secret({ rotateEveryDays: 7 }), NOW)?.overdue).toBe(true)
+    expect(nextReminder(secret({ rotateEveryDays: 7, rotatedAt: NOW - DAY_MS }), NOW)?.daysLeft).toBe(6)
+  })
+
+  it('should describe overdue and imminent reminders', () => {
+    expect(describeReminder(nextReminder(secret({ expiresAt: NOW - DAY_MS }), NOW)!)).toBe('Expired')
+    expect(describeReminder(nextReminder(secret({ rotateEveryDays: 1 }), NOW)!)).toBe('Rotation overdue')
+    expect(describeReminder(nextReminder(secret({ expiresAt: NOW + DAY_MS / 2 }), NOW)!)).toBe('Expires in 1 day')
+  })
+
+  it('should treat the end of a certificate\'s validity as its expiry', () => {
+    const certificate = {
+      subject: 'CN=example.com',
+      issuer: 'CN=Example CA',
+      validTo: NOW + 3 * DAY_MS,
+      fingerprint256: 'AA:BB',
+      subjectAltNames: [],
+      validFrom: NOW - DAY_MS,
+      serialNumber: '01',
+      chain: [],
+    }
+    expect(nextReminder(secret({ certificate }), NOW)).toMatchObject({ reason: 'expires', daysLeft: 3 })
+    expect(nextReminder(secret({ certificate, expiresAt: NOW + DAY_MS }), NOW)?.daysLeft).toBe(1)
+  })
+
+  it('should round-trip date input values', () => {
+    const time = fromDateInputValue('2026-07-15')!
+    expect(toDateInputValue(time)).toBe('2026-07-15')
+    expect(fromDateInputValue('')).toBeNull()
+  })
+})
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest'
+import { collectTags, matchesSearch, parseSearchQuery } from '../lib/search'
+import { Secret } from '../lib/types'
+
+const secret = (fields: Partial<Secret>): Secret => ({
+  id: '1',
+  title: 'Database',
+  category: 'password',
+  createdAt: 0,
+  updatedAt: 0,
+  ...fields,
+})
+
+describe('search', () => {
+  it('should split tag terms from free text', () => {
+    expect(parseSearchQuery('  tag:Prod main  db TAG:aws ')).toEqual({
+      text: 'main db',
+      tags: ['prod', 'aws'],
+    })
+    expect(parseSearchQuery('')).toEqual({ text: '', tags: [] })
+  })
+
+  it('should require every searched tag', () => {
+    const tagged = secret({ tags: ['prod', 'aws'] })
+
+    expect(matchesSearch(tagged, parseSearchQuery('tag:prod'))).toBe(true)
+    expect(matchesSearch(tagged, parseSearchQuery('tag:prod tag:aws data'))).toBe(true)
+    expect(matchesSearch(tagged, parseSearchQuery('tag:prod tag:gcp'))).toBe(false)
+    expect(matchesSearch(tagged, parseSearchQuery('tag:prod mail'))).toBe(false)
+    expect(matchesSearch(secret({}), parseSearchQuery('tag:prod'))).toBe(false)
+  })
+
+  it('should collect tags in use without duplicates', () => {
+    expect(collectTags([secret({ tags: ['prod', 'aws'] }), secret({ tags: ['aws'] }), secret({})])).toEqual([
+      'aws',
+      'prod',
+    ])
+  })
+})
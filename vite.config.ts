@@ -22,4 +22,11 @@ export default defineConfig({
       '@': resolve(projectRoot, 'src')
     }
   },
+  // The app calls the API on its own origin; in development that is the backend
+  // started with `npm run server`
+  server: {
+    proxy: {
+      '/api': `http://localhost:${process.env.SECUREVAULT_PORT || 3001}`,
+    },
+  },
 });